@@ -0,0 +1,44 @@
+const {
+  submitTransactionOnChain,
+  getEvidenceEventsFromChain,
+} = require("./ledger");
+
+// Event types written by the RecordAccess transaction
+const ACCESS_TYPES = ["VIEWED", "DOWNLOADED", "VERIFIED"];
+
+/*
+ * Logs on chain that userId viewed, downloaded or verified the evidence.
+ * The event sits in the item's history next to its custody events and
+ * carries the caller's identity; purpose is what they gave as the reason.
+ */
+function recordAccess(userId, { evidenceId, accessType, purpose, hash }) {
+  return submitTransactionOnChain(userId, "RecordAccess", {
+    evidenceId,
+    accessType,
+    purpose: typeof purpose === "string" && purpose ? purpose : undefined,
+    artifactHash: hash,
+  });
+}
+
+function isAccessEvent(event) {
+  return ACCESS_TYPES.includes(event.eventType);
+}
+
+// Access events of one evidence item, oldest first, optionally filtered by
+// access type, user and time range (ms)
+async function getAccessEvents(userId, evidenceId, filters = {}) {
+  const { type, user, from, to } = filters;
+  const events = await getEvidenceEventsFromChain(userId, evidenceId);
+  return events
+    .filter(isAccessEvent)
+    .filter((ev) => !type || ev.eventType === type)
+    .filter((ev) => !user || ev.performedBy === user)
+    .filter((ev) => !from || ev.timestamp >= from)
+    .filter((ev) => !to || ev.timestamp <= to);
+}
+
+module.exports = {
+  ACCESS_TYPES,
+  recordAccess,
+  getAccessEvents,
+};
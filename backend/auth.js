@@ -0,0 +1,92 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+
+const { registerAndEnrollUser } = require("./ledger");
+
+const ROLES = ["ForensicTechnician", "EvidenceManager", "Viewer"];
+
+// Local account store: password hashes and the role issued on the user's cert.
+// The wallet identity of each user has the same name as the account.
+const usersPath = path.join(__dirname, "config", "users.json");
+
+function loadUsers() {
+  if (!fs.existsSync(usersPath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(usersPath, "utf8"));
+}
+
+function saveUsers(users) {
+  fs.writeFileSync(usersPath, JSON.stringify(users, null, 2));
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return { salt, hash };
+}
+
+function verifyPassword(password, user) {
+  const { hash } = hashPassword(password, user.salt);
+  return crypto.timingSafeEqual(
+    Buffer.from(hash, "hex"),
+    Buffer.from(user.hash, "hex")
+  );
+}
+
+// Creates the account and enrolls a matching identity through the Fabric CA.
+async function createUser(username, password, role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role '${role}'`);
+  }
+
+  const users = loadUsers();
+  if (users[username]) {
+    throw new Error(`User '${username}' already exists`);
+  }
+
+  await registerAndEnrollUser(username, password, role);
+
+  users[username] = { role, ...hashPassword(password) };
+  saveUsers(users);
+
+  return { username, role };
+}
+
+function authenticate(username, password) {
+  const user = loadUsers()[username];
+  if (!user || !verifyPassword(password, user)) {
+    return null;
+  }
+  return { username, role: user.role };
+}
+
+function requireAuth(req, res, next) {
+  if (!req.session.user) {
+    return res.status(401).json({ error: "Login required" });
+  }
+  next();
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const user = req.session.user;
+    if (!user) {
+      return res.status(401).json({ error: "Login required" });
+    }
+    if (!roles.includes(user.role)) {
+      return res
+        .status(403)
+        .json({ error: `Role '${user.role}' may not perform this action` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  createUser,
+  authenticate,
+  requireAuth,
+  requireRole,
+};
@@ -0,0 +1,432 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const yauzl = require("yauzl");
+
+const {
+  INCOMING_DIR,
+  putObject,
+  recordProvenance,
+} = require("./evidenceStore");
+const { hashFileChunks } = require("./merkle");
+const { getEvidenceFromChain, submitTransactionAsync } = require("./ledger");
+const { LedgerError, toLedgerError } = require("./errors");
+const { REQUEST_SCHEMAS, validate } = require("./validation");
+
+/*
+ * Bulk evidence intake. A manifest (CSV with a header row, or JSON) lists
+ * one evidence item per row and names its file inside an uploaded ZIP. Rows
+ * are taken in order: the file is extracted and hashed, and the item is
+ * created with CreateEvidence unless the ledger already has it, in which
+ * case the row reports whether the recorded hash matches. Resubmitting a
+ * manifest is therefore safe; rows created the first time come back as
+ * ALREADY_EXISTS with a matching hash. Creates go through the submit queue
+ * without waiting for each commit, so the next file is hashed meanwhile.
+ * A file enters the evidence store only once its create has committed, so
+ * failed rows leave no unlinked objects behind.
+ * Jobs are kept in memory until JOB_TTL_MS after they finish.
+ */
+const MAX_MANIFEST_BYTES = 8 * 1024 * 1024;
+const MAX_MANIFEST_ROWS = 10000;
+const JOB_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_MEDIA_TYPE = "application/octet-stream";
+
+const ROW_SCHEMA = REQUEST_SCHEMAS.IntakeManifestRow;
+const MANIFEST_FIELDS = Object.keys(ROW_SCHEMA.properties);
+
+// jobId -> job
+const jobs = new Map();
+
+function invalid(message) {
+  return new LedgerError("VALIDATION_ERROR", message, 422);
+}
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      record.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) {
+    throw invalid("manifest has an unterminated quoted field");
+  }
+  record.push(field);
+  records.push(record);
+
+  return records.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+// Manifest rows as objects. JSON is an array of rows or { rows: [...] };
+// anything else is CSV whose header row names the fields.
+function parseManifest(text, filename) {
+  text = text.replace(/^\uFEFF/, "");
+  let rows;
+
+  if (/\.json$/i.test(filename) || /^\s*[[{]/.test(text)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw invalid(`manifest is not valid JSON (${err.message})`);
+    }
+    rows = Array.isArray(parsed) ? parsed : parsed && parsed.rows;
+    if (!Array.isArray(rows)) {
+      throw invalid(
+        "JSON manifest must be an array of rows or { rows: [...] }"
+      );
+    }
+  } else {
+    const [header = [], ...records] = parseCsv(text);
+    const fields = header.map((name) => name.trim());
+    const unknown = fields.filter((name) => !MANIFEST_FIELDS.includes(name));
+    if (unknown.length > 0) {
+      throw invalid(
+        `unknown manifest columns: ${unknown.join(
+          ", "
+        )} (expected ${MANIFEST_FIELDS.join(", ")})`
+      );
+    }
+    rows = records.map((values) =>
+      Object.fromEntries(
+        fields.map((name, i) => [name, (values[i] || "").trim()])
+      )
+    );
+  }
+
+  if (rows.length === 0) {
+    throw invalid("manifest has no rows");
+  }
+  if (rows.length > MAX_MANIFEST_ROWS) {
+    throw invalid(`manifest has more than ${MAX_MANIFEST_ROWS} rows`);
+  }
+  return rows;
+}
+
+// Files in the ZIP by their path, without directories
+async function openArchive(archivePath) {
+  let zip;
+  try {
+    zip = await yauzl.openPromise(archivePath, {
+      lazyEntries: true,
+      autoClose: false,
+    });
+  } catch (err) {
+    throw invalid(`archive is not a readable ZIP (${err.message})`);
+  }
+
+  const entries = new Map();
+  for await (const entry of zip.eachEntry()) {
+    if (!entry.fileName.endsWith("/")) {
+      entries.set(entry.fileName, entry);
+    }
+  }
+  return { zip, entries };
+}
+
+// A manifest path as stored in the ZIP: forward slashes, no leading ./ or /
+function entryName(file) {
+  return path.posix
+    .normalize(file.replace(/\\/g, "/"))
+    .replace(/^(\.\/|\/)+/, "");
+}
+
+async function extractEntry(zip, entry) {
+  const target = path.join(INCOMING_DIR, `${crypto.randomUUID()}.intake`);
+  await pipeline(
+    await zip.openReadStreamPromise(entry),
+    fs.createWriteStream(target)
+  );
+  return target;
+}
+
+// The evidence record, or null when the ledger has none with this ID
+async function findEvidence(userId, evidenceId) {
+  try {
+    return await getEvidenceFromChain(userId, evidenceId);
+  } catch (err) {
+    if (toLedgerError(err).code === "NOT_FOUND") return null;
+    throw err;
+  }
+}
+
+function alreadyExists(record, hash) {
+  return {
+    status: "ALREADY_EXISTS",
+    hashMatches: record.imageHash === hash,
+    ledgerHash: record.imageHash,
+  };
+}
+
+/*
+ * Takes one row as far as submitting CreateEvidence, noting the file's hash
+ * on result. Resolves to the row's final outcome, or to SUBMITTED with a
+ * committed promise of the outcome. The extracted file waits in
+ * INCOMING_DIR until the commit and is then moved into the store.
+ */
+async function intakeRow(job, archive, row, result) {
+  if (row && typeof row.sha256 === "string") {
+    row = { ...row, sha256: row.sha256.toLowerCase() };
+  }
+  const problems = validate(ROW_SCHEMA, row);
+  if (problems.length > 0) {
+    throw invalid(problems.join("; "));
+  }
+  const entry = archive.entries.get(entryName(row.file));
+  if (!entry) {
+    throw invalid(`'${row.file}' is not in the archive`);
+  }
+
+  const tempPath = await extractEntry(archive.zip, entry);
+  let submitted = false;
+  try {
+    const hashed = await hashFileChunks(tempPath);
+    result.hash = hashed.hash;
+    if (row.sha256 && row.sha256 !== hashed.hash) {
+      throw invalid(
+        `file hash ${hashed.hash} does not match the manifest's sha256`
+      );
+    }
+
+    const existing = await findEvidence(job.owner, row.evidenceId);
+    if (existing) {
+      return alreadyExists(existing, hashed.hash);
+    }
+
+    const caseIdHash = job.hashCaseId(row.caseId);
+    const filename = path.posix.basename(entry.fileName).replace(/\s+/g, "_");
+    const mediaType = row.mediaType || DEFAULT_MEDIA_TYPE;
+    const { txId, committed, privateDetails } = await submitTransactionAsync(
+      job.owner,
+      "CreateEvidence",
+      {
+        evidenceId: row.evidenceId,
+        caseIdHash,
+        imageHash: hashed.hash,
+        imageFilename: filename,
+        imageSize: hashed.size,
+        imageMediaType: mediaType,
+        imageMerkleRoot: hashed.merkleRoot,
+        imageChunkSize: hashed.chunkSize,
+        category: row.category || undefined,
+      },
+      { caseId: row.caseId, description: row.description, notes: row.notes }
+    );
+    submitted = true;
+
+    return {
+      status: "SUBMITTED",
+      txId,
+      committed: committed
+        .then(async () => {
+          await putObject(
+            tempPath,
+            hashed,
+            {
+              by: job.owner,
+              originalName: filename,
+              mediaType,
+              source: "bulk-intake",
+            },
+            caseIdHash
+          );
+          recordProvenance(caseIdHash, hashed.hash, {
+            action: "LINKED",
+            by: job.owner,
+            evidenceId: row.evidenceId,
+          });
+          // the item exists either way; its details can be written again
+          // with POST /api/evidence/:id/private
+          const failed = await privateDetails;
+          if (!failed) return { status: "CREATED" };
+          const ledgerError = toLedgerError(failed.error);
+          return {
+            status: "CREATED",
+            privateDetails: {
+              txId: failed.txId,
+              code: ledgerError.code,
+              error: ledgerError.message,
+            },
+          };
+        })
+        // already gone once putObject has moved it into the store
+        .finally(() => fs.rmSync(tempPath, { force: true })),
+    };
+  } finally {
+    if (!submitted) fs.rmSync(tempPath, { force: true });
+  }
+}
+
+function settleRow(job, result, outcome) {
+  Object.assign(result, outcome);
+  job.counts[result.status]++;
+  job.processed++;
+}
+
+// Records a failed row; a create that lost a race with another submission
+// of the same item is reported like any existing item
+async function failRow(job, result, err) {
+  const ledgerError = toLedgerError(err);
+  if (ledgerError.code === "ALREADY_EXISTS" && result.hash) {
+    const existing = await findEvidence(job.owner, result.evidenceId).catch(
+      () => null
+    );
+    if (existing) {
+      return settleRow(job, result, alreadyExists(existing, result.hash));
+    }
+  }
+  settleRow(job, result, {
+    status: "FAILED",
+    code: ledgerError.code,
+    error: ledgerError.message,
+  });
+}
+
+async function runJob(job, archive, rows) {
+  const commits = [];
+  const firstRow = new Map();
+
+  for (const [index, row] of rows.entries()) {
+    const result = job.rows[index];
+    try {
+      if (firstRow.has(result.evidenceId)) {
+        throw invalid(
+          `evidenceId repeats row ${firstRow.get(result.evidenceId)}`
+        );
+      }
+      if (result.evidenceId) firstRow.set(result.evidenceId, result.row);
+
+      const { committed, ...outcome } = await intakeRow(
+        job,
+        archive,
+        row,
+        result
+      );
+      if (!committed) {
+        settleRow(job, result, outcome);
+        continue;
+      }
+      Object.assign(result, outcome);
+      commits.push(
+        committed.then(
+          (final) => settleRow(job, result, final),
+          (err) => failRow(job, result, err)
+        )
+      );
+    } catch (err) {
+      await failRow(job, result, err);
+    }
+  }
+
+  await Promise.all(commits);
+}
+
+function pruneJobs() {
+  const now = Date.now();
+  for (const [jobId, job] of jobs) {
+    if (job.finishedAt && now - Date.parse(job.finishedAt) > JOB_TTL_MS) {
+      jobs.delete(jobId);
+    }
+  }
+}
+
+/*
+ * Parses the manifest, opens the archive and starts processing the rows in
+ * the background. Both staged files are removed once they are no longer
+ * needed. Rejects with a VALIDATION_ERROR when either upload is unusable.
+ * hashCaseId(caseId) gives the on-chain hash of a case ID.
+ */
+async function startIntake({ owner, manifest, archive, hashCaseId }) {
+  let rows;
+  let opened;
+  try {
+    if (manifest.size > MAX_MANIFEST_BYTES) {
+      throw invalid(
+        `manifest is larger than ${MAX_MANIFEST_BYTES / 1024 / 1024} MiB`
+      );
+    }
+    rows = parseManifest(
+      fs.readFileSync(manifest.path, "utf8"),
+      manifest.originalname
+    );
+    opened = await openArchive(archive.path);
+  } catch (err) {
+    fs.rmSync(archive.path, { force: true });
+    throw err;
+  } finally {
+    fs.rmSync(manifest.path, { force: true });
+  }
+
+  pruneJobs();
+  const job = {
+    jobId: crypto.randomUUID(),
+    owner,
+    hashCaseId,
+    status: "RUNNING",
+    total: rows.length,
+    processed: 0,
+    counts: { CREATED: 0, ALREADY_EXISTS: 0, FAILED: 0 },
+    rows: rows.map((row, index) => ({
+      row: index + 1,
+      evidenceId: row && row.evidenceId,
+      file: row && row.file,
+      status: "PENDING",
+    })),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+  jobs.set(job.jobId, job);
+
+  runJob(job, opened, rows)
+    .catch((err) => console.error(`Intake job ${job.jobId} failed`, err))
+    .finally(() => {
+      opened.zip.close();
+      fs.rmSync(archive.path, { force: true });
+      job.status = "DONE";
+      job.finishedAt = new Date().toISOString();
+    });
+
+  return describeJob(job);
+}
+
+function describeJob(job) {
+  const { hashCaseId, rows, ...rest } = job;
+  return { ...rest, rows: rows.map((row) => ({ ...row })) };
+}
+
+function getIntakeJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? describeJob(job) : null;
+}
+
+module.exports = {
+  startIntake,
+  getIntakeJob,
+};
@@ -0,0 +1,254 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+
+const { DEFAULT_CHUNK_SIZE, merkleRoot, hashFileChunks } = require("./merkle");
+const { STORE_DIR, putObject } = require("./evidenceStore");
+
+/*
+ * Resumable uploads for files too large for one multipart POST (raw/E01
+ * disk images). The client opens a session, PUTs fixed-size chunks in any
+ * order (re-sending is harmless), asks which chunks are still missing after
+ * an interruption, and completes the session once all have arrived. The
+ * completed file then stands in for a multipart file when evidence or an
+ * artifact is recorded.
+ */
+const SESSIONS_DIR = path.join(STORE_DIR, "sessions");
+const MIN_CHUNK_SIZE = 1024 * 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+
+if (!fs.existsSync(SESSIONS_DIR)) {
+  fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+}
+
+function sessionPath(uploadId) {
+  return path.join(SESSIONS_DIR, `${uploadId}.json`);
+}
+
+function partPath(uploadId) {
+  return path.join(SESSIONS_DIR, `${uploadId}.part`);
+}
+
+// One PUT of a chunk, held apart from the file until it has been checked
+function chunkPath(uploadId, index) {
+  return path.join(
+    SESSIONS_DIR,
+    `${uploadId}.${index}.${crypto.randomUUID()}.chunk`
+  );
+}
+
+function saveSession(session) {
+  fs.writeFileSync(sessionPath(session.uploadId), JSON.stringify(session));
+}
+
+// Session state without the per-chunk hash list, for API responses
+function describeSession(session) {
+  const missingChunks = [];
+  session.chunkHashes.forEach((hash, index) => {
+    if (!hash) missingChunks.push(index);
+  });
+
+  const { chunkHashes, owner, ...rest } = session;
+  return {
+    ...rest,
+    receivedCount: session.chunkCount - missingChunks.length,
+    missingChunks,
+  };
+}
+
+function createUploadSession({ owner, filename, size, mediaType, chunkSize }) {
+  chunkSize = chunkSize || DEFAULT_CHUNK_SIZE;
+  if (!Number.isInteger(size) || size < 0) {
+    throw new Error("size must be a byte count");
+  }
+  if (
+    !Number.isInteger(chunkSize) ||
+    chunkSize < MIN_CHUNK_SIZE ||
+    chunkSize > MAX_CHUNK_SIZE
+  ) {
+    throw new Error(
+      `chunkSize must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`
+    );
+  }
+
+  const uploadId = crypto.randomUUID();
+  const chunkCount = Math.ceil(size / chunkSize);
+
+  // sparse file of the final size; chunks are written in place
+  const fd = fs.openSync(partPath(uploadId), "w");
+  fs.ftruncateSync(fd, size);
+  fs.closeSync(fd);
+
+  const session = {
+    uploadId,
+    owner,
+    filename: path.basename(filename).replace(/\s+/g, "_"),
+    size,
+    mediaType: mediaType || "application/octet-stream",
+    chunkSize,
+    chunkCount,
+    chunkHashes: new Array(chunkCount).fill(null),
+    status: "UPLOADING",
+    createdAt: Date.now(),
+  };
+  saveSession(session);
+  return session;
+}
+
+// The session, or null when it does not exist or belongs to someone else.
+function getUploadSession(uploadId, owner) {
+  if (!/^[0-9a-f-]{36}$/.test(uploadId)) return null;
+  try {
+    const session = JSON.parse(fs.readFileSync(sessionPath(uploadId), "utf8"));
+    return session.owner === owner ? session : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function expectedChunkLength(session, index) {
+  return Math.min(session.chunkSize, session.size - index * session.chunkSize);
+}
+
+/*
+ * Streams one chunk into a file of its own and returns { hash, length,
+ * chunkFile }. The caller checks it, then moves it into the upload with
+ * placeChunk; either way it removes chunkFile with discardChunk. A short
+ * or corrupted PUT thus never touches the chunks already received.
+ */
+function writeChunk(session, index, stream) {
+  const chunkFile = chunkPath(session.uploadId, index);
+  return new Promise((resolve, reject) => {
+    const maxLength = expectedChunkLength(session, index);
+    const hash = crypto.createHash("sha256");
+    let length = 0;
+    let failed = false;
+
+    const out = fs.createWriteStream(chunkFile, { flags: "wx" });
+    const fail = (err) => {
+      failed = true;
+      out.destroy();
+      fs.rmSync(chunkFile, { force: true });
+      reject(err);
+    };
+
+    stream.on("data", (data) => {
+      if (failed) return;
+      length += data.length;
+      if (length > maxLength) {
+        stream.unpipe(out);
+        fail(new Error(`chunk ${index} is longer than ${maxLength} bytes`));
+        return;
+      }
+      hash.update(data);
+    });
+    stream.on("error", fail);
+    out.on("error", fail);
+    out.on(
+      "finish",
+      () => !failed && resolve({ hash: hash.digest("hex"), length, chunkFile })
+    );
+    stream.pipe(out);
+  });
+}
+
+// Copies a checked chunk into its place in the upload.
+async function placeChunk(session, index, { chunkFile }) {
+  await pipeline(
+    fs.createReadStream(chunkFile),
+    fs.createWriteStream(partPath(session.uploadId), {
+      flags: "r+",
+      start: index * session.chunkSize,
+    })
+  );
+}
+
+function discardChunk({ chunkFile }) {
+  fs.rmSync(chunkFile, { force: true });
+}
+
+function markChunkReceived(session, index, hash) {
+  session.chunkHashes[index] = hash;
+  saveSession(session);
+}
+
+/*
+ * Checks that every chunk arrived and hashes the assembled file. Returns
+ * the file description used for the on-chain record; the file itself
+ * goes into the evidence store with storeUpload once its case is known.
+ * Chunks whose bytes on disk no longer match the hash they were received
+ * with (two PUTs of a chunk racing) are marked missing again, and null is
+ * returned so they can be re-sent.
+ */
+async function completeUpload(session) {
+  if (session.chunkHashes.some((hash) => !hash)) {
+    throw new Error("Upload is missing chunks");
+  }
+
+  // whole-file hash for imageHash / artifactHash and the chunk hashes the
+  // Merkle root is built from; chunks arrive in any order, so this takes
+  // one more pass over the assembled file
+  const assembled = await hashFileChunks(
+    partPath(session.uploadId),
+    session.chunkSize
+  );
+  const intact = (hash, index) => hash === assembled.chunkHashes[index];
+  if (!session.chunkHashes.every(intact)) {
+    session.chunkHashes = session.chunkHashes.map((hash, index) =>
+      intact(hash, index) ? hash : null
+    );
+    saveSession(session);
+    return null;
+  }
+
+  Object.assign(session, {
+    status: "COMPLETE",
+    file: {
+      filename: session.filename,
+      size: session.size,
+      mediaType: session.mediaType,
+      hash: assembled.hash,
+      chunkSize: session.chunkSize,
+      merkleRoot: merkleRoot(session.chunkHashes),
+    },
+  });
+  saveSession(session);
+  return session.file;
+}
+
+// Encrypts the completed upload into the case's part of the evidence store.
+async function storeUpload(session, caseIdHash) {
+  await putObject(
+    partPath(session.uploadId),
+    { ...session.file, chunkHashes: session.chunkHashes },
+    {
+      by: session.owner,
+      originalName: session.filename,
+      mediaType: session.mediaType,
+      source: "chunked-upload",
+      uploadId: session.uploadId,
+    },
+    caseIdHash
+  );
+  return session.file;
+}
+
+// Drops a completed session once its file has been recorded on chain.
+function releaseUpload(session) {
+  fs.rmSync(sessionPath(session.uploadId), { force: true });
+}
+
+module.exports = {
+  createUploadSession,
+  getUploadSession,
+  describeSession,
+  expectedChunkLength,
+  writeChunk,
+  placeChunk,
+  discardChunk,
+  markChunkReceived,
+  completeUpload,
+  storeUpload,
+  releaseUpload,
+};
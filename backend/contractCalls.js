@@ -0,0 +1,381 @@
+const { createSubmitQueue } = require("./submitQueue");
+
+// Chaincode calls shared by the ledger adapters. withContract(userId, fn)
+// runs fn with a contract signed as the given user, offering
+// evaluateTransaction(name, ...args) and createTransaction(name), whose
+// transaction has setTransient, setEndorsingOrganizations and
+// submitAsync(...args) resolving to { txId, result, status } once ordered
+// (status: a promise of { successful, code, blockNumber }).
+// privateDataOrgs are the members of the contract's private collection.
+function contractCalls(withContract, { privateDataOrgs }) {
+  const queue = createSubmitQueue();
+
+  /*
+   * Plaintext (caseId, description, notes) never travels with the public
+   * transaction, which the gateway has a majority of orgs endorse. Once
+   * that has committed, PutEvidencePrivateDetails or PutCasePrivateDetails
+   * writes it in a transaction of its own, carried in the transient map
+   * and endorsed only by the collection's member orgs, so it never
+   * reaches the block or another org's peers.
+   */
+  async function endorseAndOrder(contract, name, payloadObj, privateData) {
+    const transaction = contract.createTransaction(name);
+    if (privateData) {
+      transaction.setTransient({
+        private: Buffer.from(JSON.stringify(privateData)),
+      });
+      transaction.setEndorsingOrganizations(...privateDataOrgs);
+    }
+    return transaction.submitAsync(JSON.stringify(payloadObj));
+  }
+
+  function queueTransaction(userId, name, payloadObj, privateData) {
+    return queue.submit({
+      userId,
+      name,
+      evidenceId: payloadObj.evidenceId,
+      attempt: () =>
+        withContract(userId, (contract) =>
+          endorseAndOrder(contract, name, payloadObj, privateData)
+        ),
+    });
+  }
+
+  /*
+   * Writes private details and waits for the commit. target names what
+   * they belong to: { evidenceId, txId } for an event of an evidence item,
+   * or { caseIdHash } for a case. Also used on its own to write them again
+   * after they failed to be written with their transaction.
+   */
+  async function submitPrivateDetailsOnChain(userId, target, privateData) {
+    const { committed } = target.evidenceId
+      ? await queueTransaction(
+          userId,
+          "PutEvidencePrivateDetails",
+          { evidenceId: target.evidenceId, txId: target.txId },
+          privateData
+        )
+      : await queueTransaction(
+          userId,
+          "PutCasePrivateDetails",
+          { caseIdHash: target.caseIdHash },
+          privateData
+        );
+    await committed;
+  }
+
+  /*
+   * Resolves once the transaction is ordered, with { txId, result,
+   * committed, privateDetails }; see submitQueue.js. privateDetails
+   * settles after the commit: to null once the private details are
+   * written (or when there are none), otherwise to { txId, error }, txId
+   * being the committed transaction they belong to. It never rejects: the
+   * committed transaction stands either way.
+   */
+  async function submitTransactionAsync(
+    userId,
+    actionName,
+    payloadObj,
+    privateData
+  ) {
+    const submitted = await queueTransaction(userId, actionName, payloadObj);
+    let privateDetails = Promise.resolve(null);
+    if (privateData && Object.values(privateData).some(Boolean)) {
+      privateDetails = submitted.committed.then(
+        ({ txId }) =>
+          submitPrivateDetailsOnChain(
+            userId,
+            payloadObj.evidenceId
+              ? { evidenceId: payloadObj.evidenceId, txId }
+              : { caseIdHash: payloadObj.caseIdHash },
+            privateData
+          ).then(
+            () => null,
+            (error) => {
+              console.error(
+                `Private details of transaction ${txId} were not written:`,
+                error.message
+              );
+              return { txId, error };
+            }
+          ),
+        () => null
+      );
+    }
+    return {
+      ...submitted,
+      privateDetails,
+      result: submitted.result.toString(),
+    };
+  }
+
+  // Submits and waits for the commit and the private details; resolves to
+  // the result of the transaction that committed. Fails if either fails.
+  async function submitTransactionOnChain(
+    userId,
+    actionName,
+    payloadObj,
+    privateData
+  ) {
+    const { committed, privateDetails } = await submitTransactionAsync(
+      userId,
+      actionName,
+      payloadObj,
+      privateData
+    );
+    const { result } = await committed;
+    const failed = await privateDetails;
+    if (failed) throw failed.error;
+    return result.toString();
+  }
+
+  // Commit status of a transaction submitted through the queue, or null
+  function getTransactionStatus(txId) {
+    return queue.getStatus(txId);
+  }
+
+  // Create evidence on the ledger
+  async function createEvidenceOnChain(userId, evidenceData, privateData) {
+    return submitTransactionOnChain(
+      userId,
+      "CreateEvidence",
+      evidenceData,
+      privateData
+    );
+  }
+
+  // Get a single evidence record by its ID
+  async function getEvidenceFromChain(userId, evidenceId) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "GetEvidence",
+        evidenceId
+      );
+      if (!result || !result.length) {
+        throw new Error(`Evidence ${evidenceId} not found on chain`);
+      }
+      return JSON.parse(result.toString());
+    });
+  }
+
+  // Filtered, paginated evidence listing (CouchDB rich query)
+  async function searchEvidenceOnChain(userId, query) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "SearchEvidence",
+        JSON.stringify(query)
+      );
+      return JSON.parse(result.toString());
+    });
+  }
+
+  async function getEvidenceHistoryFromChain(userId, evidenceId) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "GetEvidenceHistory",
+        evidenceId
+      );
+      return JSON.parse(result.toString());
+    });
+  }
+
+  async function getEvidenceEventsFromChain(userId, evidenceId) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "GetEvidenceEvents",
+        evidenceId
+      );
+      if (!result || !result.length) {
+        return [];
+      }
+      return JSON.parse(result.toString());
+    });
+  }
+
+  // Private collection data; fails for orgs outside the collection
+  async function getEvidencePrivateDetailsFromChain(userId, evidenceId) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "GetEvidencePrivateDetails",
+        evidenceId
+      );
+      return JSON.parse(result.toString());
+    });
+  }
+
+  async function getCasePrivateDetailsFromChain(userId, caseIdHash) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "GetCasePrivateDetails",
+        caseIdHash
+      );
+      return JSON.parse(result.toString());
+    });
+  }
+
+  async function getCaseFromChain(userId, caseIdHash) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction("GetCase", caseIdHash);
+      return JSON.parse(result.toString());
+    });
+  }
+
+  async function getCaseEvidenceFromChain(userId, caseIdHash) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "GetCaseEvidence",
+        caseIdHash
+      );
+      if (!result || !result.length) {
+        return [];
+      }
+      return JSON.parse(result.toString());
+    });
+  }
+
+  // Pending transfers addressed to the given user's identity
+  async function getPendingTransfersFromChain(userId) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction("GetPendingTransfers");
+      if (!result || !result.length) {
+        return [];
+      }
+      return JSON.parse(result.toString());
+    });
+  }
+
+  // Orgs whose peers must endorse changes to the evidence record (its
+  // key-level policy; see GetEndorsingOrgs)
+  async function getEndorsingOrgsFromChain(userId, evidenceId) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "GetEndorsingOrgs",
+        evidenceId
+      );
+      return JSON.parse(result.toString());
+    });
+  }
+
+  // Lifecycle actions the given user may apply to the evidence in its state
+  async function getAllowedActionsFromChain(userId, evidenceId) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "GetAllowedActions",
+        evidenceId
+      );
+      return JSON.parse(result.toString());
+    });
+  }
+
+  // Files attached to an evidence item, oldest first
+  async function listArtifactsFromChain(userId, evidenceId) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "ListArtifacts",
+        evidenceId
+      );
+      return JSON.parse(result.toString());
+    });
+  }
+
+  // Evidence items holding a file with this SHA-256, each with the
+  // matching artifact
+  async function findEvidenceByHashOnChain(userId, hash) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "FindEvidenceByHash",
+        hash
+      );
+      return JSON.parse(result.toString());
+    });
+  }
+
+  // Retention period of each evidence category that has one
+  async function getRetentionPoliciesFromChain(userId) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction("GetRetentionPolicies");
+      return JSON.parse(result.toString());
+    });
+  }
+
+  // Evidence past its retention period and not under legal hold
+  async function getEligibleForDispositionFromChain(userId) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "GetEligibleForDisposition"
+      );
+      return JSON.parse(result.toString());
+    });
+  }
+
+  // Custody SLA per status (and optionally role)
+  async function getCustodySlasFromChain(userId) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction("GetCustodySlas");
+      return JSON.parse(result.toString());
+    });
+  }
+
+  // Evidence held in its status past its custody SLA, longest overdue first
+  async function getOverdueEvidenceFromChain(userId, filters = {}) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "GetOverdueEvidence",
+        JSON.stringify(filters)
+      );
+      return JSON.parse(result.toString());
+    });
+  }
+
+  // Custody periods of one item, per custodian
+  async function getCustodyPeriodsFromChain(userId, evidenceId) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "GetCustodyPeriods",
+        evidenceId
+      );
+      return JSON.parse(result.toString());
+    });
+  }
+
+  // Counts by status and custodian and custody time per custodian, over all
+  // evidence or one case (filters.caseIdHash)
+  async function getCustodyAnalyticsFromChain(userId, filters = {}) {
+    return withContract(userId, async (contract) => {
+      const result = await contract.evaluateTransaction(
+        "GetCustodyAnalytics",
+        JSON.stringify(filters)
+      );
+      return JSON.parse(result.toString());
+    });
+  }
+
+  return {
+    createEvidenceOnChain,
+    getEvidenceFromChain,
+    searchEvidenceOnChain,
+    getEvidenceHistoryFromChain,
+    getEvidenceEventsFromChain,
+    submitTransactionOnChain,
+    submitTransactionAsync,
+    submitPrivateDetailsOnChain,
+    getTransactionStatus,
+    getEvidencePrivateDetailsFromChain,
+    getCasePrivateDetailsFromChain,
+    getCaseFromChain,
+    getCaseEvidenceFromChain,
+    getPendingTransfersFromChain,
+    getEndorsingOrgsFromChain,
+    getAllowedActionsFromChain,
+    listArtifactsFromChain,
+    findEvidenceByHashOnChain,
+    getRetentionPoliciesFromChain,
+    getEligibleForDispositionFromChain,
+    getCustodySlasFromChain,
+    getOverdueEvidenceFromChain,
+    getCustodyPeriodsFromChain,
+    getCustodyAnalyticsFromChain,
+  };
+}
+
+module.exports = contractCalls;
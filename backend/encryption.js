@@ -0,0 +1,252 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+
+/*
+ * Encryption at rest for stored evidence files. Each case has its own
+ * AES-256 data key, kept wrapped (AES-256-GCM) under the master key in
+ * MASTER_KEY_PATH (default backend/config/master-key, created on first use).
+ * Losing the master key makes every stored file unreadable.
+ *
+ * Files are encrypted in fixed-size segments so arbitrarily large disk
+ * images stay within GCM's per-nonce limit:
+ *
+ *   header   "CGE1" | segment size (uint32 BE) | nonce prefix (8 bytes)
+ *   segment  AES-256-GCM ciphertext | 16-byte tag
+ *
+ * Segment i uses nonce = prefix | i (uint32 BE) and authenticates
+ * SHA-256(plaintext) | i | final flag, so segments cannot be reordered,
+ * dropped, or moved to another file.
+ */
+const MAGIC = Buffer.from("CGE1");
+const HEADER_LENGTH = 16;
+const SEGMENT_SIZE = 1024 * 1024;
+const TAG_LENGTH = 16;
+
+const MASTER_KEY_PATH =
+  process.env.MASTER_KEY_PATH || path.join(__dirname, "config", "master-key");
+const KEYS_DIR = path.join(__dirname, "store", "keys");
+
+let masterKey = null;
+const caseKeys = new Map();
+
+function getMasterKey() {
+  if (!masterKey) {
+    if (!fs.existsSync(MASTER_KEY_PATH)) {
+      fs.writeFileSync(
+        MASTER_KEY_PATH,
+        crypto.randomBytes(32).toString("hex"),
+        {
+          mode: 0o600,
+        }
+      );
+    }
+    masterKey = Buffer.from(
+      fs.readFileSync(MASTER_KEY_PATH, "utf8").trim(),
+      "hex"
+    );
+    if (masterKey.length !== 32) {
+      throw new Error(`${MASTER_KEY_PATH} must hold a 256-bit hex key`);
+    }
+  }
+  return masterKey;
+}
+
+function wrapKey(dataKey, caseIdHash) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getMasterKey(), iv);
+  cipher.setAAD(Buffer.from(caseIdHash));
+  const wrappedKey = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return {
+    caseIdHash,
+    alg: "AES-256-GCM",
+    iv: iv.toString("base64"),
+    wrappedKey: wrappedKey.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    createdAt: Date.now(),
+  };
+}
+
+function unwrapKey(wrapped) {
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getMasterKey(),
+    Buffer.from(wrapped.iv, "base64")
+  );
+  decipher.setAAD(Buffer.from(wrapped.caseIdHash));
+  decipher.setAuthTag(Buffer.from(wrapped.tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(wrapped.wrappedKey, "base64")),
+    decipher.final(),
+  ]);
+}
+
+// The case's data key, generated and stored wrapped on first use.
+function getCaseKey(caseIdHash) {
+  if (!/^[0-9a-f]{64}$/.test(caseIdHash)) {
+    throw new Error(`Not a case ID hash: '${caseIdHash}'`);
+  }
+  if (caseKeys.has(caseIdHash)) {
+    return caseKeys.get(caseIdHash);
+  }
+
+  const keyPath = path.join(KEYS_DIR, `${caseIdHash}.json`);
+  if (!fs.existsSync(keyPath)) {
+    fs.mkdirSync(KEYS_DIR, { recursive: true });
+    const wrapped = wrapKey(crypto.randomBytes(32), caseIdHash);
+    try {
+      fs.writeFileSync(keyPath, JSON.stringify(wrapped), {
+        flag: "wx",
+        mode: 0o600,
+      });
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+  }
+
+  const key = unwrapKey(JSON.parse(fs.readFileSync(keyPath, "utf8")));
+  caseKeys.set(caseIdHash, key);
+  return key;
+}
+
+function segmentNonce(prefix, index) {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, 8);
+  return nonce;
+}
+
+function segmentAad(hash, index, final) {
+  const aad = Buffer.alloc(37);
+  Buffer.from(hash, "hex").copy(aad, 0);
+  aad.writeUInt32BE(index, 32);
+  aad[36] = final ? 1 : 0;
+  return aad;
+}
+
+// Reads up to length bytes at position; fewer only at the end of the file.
+async function readFully(handle, length, position) {
+  const buffer = Buffer.alloc(length);
+  let filled = 0;
+  while (filled < length) {
+    const { bytesRead } = await handle.read(
+      buffer,
+      filled,
+      length - filled,
+      position + filled
+    );
+    if (bytesRead === 0) break;
+    filled += bytesRead;
+  }
+  return buffer.subarray(0, filled);
+}
+
+// Encrypts the plaintext file at sourcePath (SHA-256 hash) into targetPath.
+async function encryptFile(sourcePath, targetPath, key, hash) {
+  const prefix = crypto.randomBytes(8);
+  const header = Buffer.alloc(HEADER_LENGTH);
+  MAGIC.copy(header, 0);
+  header.writeUInt32BE(SEGMENT_SIZE, 4);
+  prefix.copy(header, 8);
+
+  const input = await fs.promises.open(sourcePath, "r");
+  const output = await fs.promises.open(targetPath, "wx", 0o444);
+  try {
+    const { size } = await input.stat();
+    // an empty file still gets one (empty) final segment
+    const segments = Math.max(1, Math.ceil(size / SEGMENT_SIZE));
+
+    await output.write(header);
+    for (let i = 0; i < segments; i++) {
+      const plain = await readFully(input, SEGMENT_SIZE, i * SEGMENT_SIZE);
+      const cipher = crypto.createCipheriv(
+        "aes-256-gcm",
+        key,
+        segmentNonce(prefix, i)
+      );
+      cipher.setAAD(segmentAad(hash, i, i === segments - 1));
+      await output.write(
+        Buffer.concat([
+          cipher.update(plain),
+          cipher.final(),
+          cipher.getAuthTag(),
+        ])
+      );
+    }
+  } finally {
+    await input.close();
+    await output.close();
+  }
+}
+
+/*
+ * Plaintext of an encrypted file as a stream. In strict mode (downloads) a
+ * segment that fails authentication ends the stream with an error. Otherwise
+ * (integrity checks) the unauthenticated plaintext is passed on, so a later
+ * hash comparison can still locate the altered chunks; failed segment
+ * indexes are collected in authFailures.
+ */
+function createDecryptStream(filePath, key, hash, { strict = true } = {}) {
+  const authFailures = [];
+
+  async function* segments() {
+    const handle = await fs.promises.open(filePath, "r");
+    try {
+      const { size } = await handle.stat();
+      const header = await readFully(handle, HEADER_LENGTH, 0);
+      if (
+        header.length < HEADER_LENGTH ||
+        !header.subarray(0, 4).equals(MAGIC)
+      ) {
+        throw new Error("Not an encrypted evidence file");
+      }
+      const segmentSize = header.readUInt32BE(4);
+      const prefix = header.subarray(8, 16);
+      const stride = segmentSize + TAG_LENGTH;
+      const segmentCount = Math.ceil((size - HEADER_LENGTH) / stride);
+
+      for (let i = 0; i < segmentCount; i++) {
+        const data = await readFully(
+          handle,
+          stride,
+          HEADER_LENGTH + i * stride
+        );
+        if (data.length < TAG_LENGTH) {
+          throw new Error("Encrypted file is truncated");
+        }
+        const decipher = crypto.createDecipheriv(
+          "aes-256-gcm",
+          key,
+          segmentNonce(prefix, i)
+        );
+        decipher.setAAD(segmentAad(hash, i, i === segmentCount - 1));
+        decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+        const plain = decipher.update(
+          data.subarray(0, data.length - TAG_LENGTH)
+        );
+        try {
+          decipher.final();
+        } catch (err) {
+          if (strict) {
+            throw new Error(`Segment ${i} failed authentication`);
+          }
+          authFailures.push(i);
+        }
+        yield plain;
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  const stream = Readable.from(segments());
+  stream.authFailures = authFailures;
+  return stream;
+}
+
+module.exports = {
+  getCaseKey,
+  encryptFile,
+  createDecryptStream,
+};
@@ -0,0 +1,110 @@
+/*
+ * Turns ledger failures into HTTP responses. The contract prefixes its
+ * errors with a code (VALIDATION_ERROR: ..., NOT_FOUND: ...); Fabric wraps
+ * that message in its own endorsement or query error, so the code is looked
+ * for anywhere in the error, including each peer's response. Failures to
+ * reach the network at all become 503, anything else stays 500.
+ */
+const CODE_STATUS = {
+  VALIDATION_ERROR: 422,
+  ACCESS_DENIED: 403,
+  NOT_FOUND: 404,
+  ALREADY_EXISTS: 409,
+  INVALID_STATE: 409,
+};
+
+const CODE_PATTERN = new RegExp(
+  `\\b(${Object.keys(CODE_STATUS).join("|")}): ([^\\n]*)`
+);
+
+// gRPC and gateway messages when no peer or orderer answered
+const UNAVAILABLE_PATTERN =
+  /\b(UNAVAILABLE|DEADLINE_EXCEEDED|ECONNREFUSED|ETIMEDOUT|failed to connect|DiscoveryService has failed|no (peers|endorsers) available|REQUEST TIMEOUT)\b/i;
+
+class LedgerError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = "LedgerError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Endorsers disagreed on the result, typically because a read raced a commit
+const MISMATCH_PATTERN = /ProposalResponsePayloads do not match/i;
+
+// Commit validation codes a fresh attempt can succeed with: another
+// transaction changed a key this one read
+const CONFLICT_CODES = ["MVCC_READ_CONFLICT", "PHANTOM_READ_CONFLICT"];
+
+// All text Fabric attaches to an error: its message and peer responses
+// (fabric-network) or error details (Fabric Gateway)
+function errorText(err) {
+  const responses = (err.responses || err.errors || err.details || [])
+    .map((r) => (r && r.response ? r.response.message : r && r.message))
+    .filter(Boolean);
+  return [err.message, ...responses].join("\n");
+}
+
+function toLedgerError(err) {
+  if (err instanceof LedgerError) return err;
+
+  const text = errorText(err);
+  const match = text.match(CODE_PATTERN);
+  if (match) {
+    // the contract's own message, without the peer's wrapping
+    const message = match[2].replace(/["\]\s]+$/, "");
+    return new LedgerError(match[1], message, CODE_STATUS[match[1]]);
+  }
+  if (UNAVAILABLE_PATTERN.test(text)) {
+    return new LedgerError("LEDGER_UNAVAILABLE", err.message, 503);
+  }
+  return new LedgerError("INTERNAL_ERROR", err.message, 500);
+}
+
+// Whether submitting the transaction again may succeed: the ledger was
+// unreachable or endorsers disagreed. Contract errors never qualify.
+function isTransientError(err) {
+  if (err instanceof LedgerError) {
+    return err.code === "LEDGER_UNAVAILABLE";
+  }
+  const text = errorText(err);
+  return (
+    !CODE_PATTERN.test(text) &&
+    (UNAVAILABLE_PATTERN.test(text) || MISMATCH_PATTERN.test(text))
+  );
+}
+
+// A transaction the peers did not commit, by its validation code
+function commitError(txId, code) {
+  return new LedgerError(
+    code,
+    `transaction ${txId} was not committed: ${code}`,
+    CONFLICT_CODES.includes(code) ? 409 : 500
+  );
+}
+
+/*
+ * Responds to a failed request with the status matching err:
+ * { error, code, details }, where error says what failed and details
+ * carries the contract's message.
+ */
+function sendError(res, err, error, extra = {}) {
+  const ledgerError = toLedgerError(err);
+  res.status(ledgerError.status).json({
+    error,
+    code: ledgerError.code,
+    details: ledgerError.message,
+    ...extra,
+  });
+}
+
+module.exports = {
+  CODE_STATUS,
+  CONFLICT_CODES,
+  LedgerError,
+  toLedgerError,
+  isTransientError,
+  commitError,
+  sendError,
+};
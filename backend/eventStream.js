@@ -0,0 +1,50 @@
+const { EventEmitter } = require("events");
+
+// In-process fan-out of EvidenceEvent chaincode events received from the
+// ledger listener. Consumers subscribe to "evidenceEvent".
+const ledgerEvents = new EventEmitter();
+ledgerEvents.setMaxListeners(0); // one listener per open SSE connection
+
+const KEEPALIVE_MS = 25000;
+
+function publishEvidenceEvent(event) {
+  ledgerEvents.emit("evidenceEvent", event);
+}
+
+// Server-Sent Events stream of ledger events, optionally limited to one
+// evidence ID. Each message id is the Fabric tx ID.
+function streamEvidenceEvents(req, res, evidenceId) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const onEvent = (event) => {
+    if (evidenceId && event.evidenceId !== evidenceId) {
+      return;
+    }
+    res.write(`id: ${event.txId}\n`);
+    res.write("event: evidence\n");
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // comment lines keep proxies from closing an idle stream
+  const keepalive = setInterval(
+    () => res.write(": keepalive\n\n"),
+    KEEPALIVE_MS
+  );
+
+  ledgerEvents.on("evidenceEvent", onEvent);
+  req.on("close", () => {
+    clearInterval(keepalive);
+    ledgerEvents.off("evidenceEvent", onEvent);
+  });
+}
+
+module.exports = {
+  ledgerEvents,
+  publishEvidenceEvent,
+  streamEvidenceEvents,
+};
@@ -0,0 +1,157 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+
+const { saveChunkManifest } = require("./merkle");
+const {
+  getCaseKey,
+  encryptFile,
+  createDecryptStream,
+} = require("./encryption");
+
+/*
+ * Content-addressed, write-once file store. Every object lives at
+ * store/objects/<caseIdHash>/<first two hex digits>/<sha256 of plaintext>,
+ * encrypted with the case's data key (see encryption.js), and is read-only
+ * once written; storing content the case already holds only adds a
+ * provenance entry. Next to each object sit its chunk manifest
+ * (<hash>.chunks.json) and an append-only provenance log
+ * (<hash>.provenance.jsonl).
+ *
+ * Older files are still found by openFile, unencrypted: objects stored
+ * before encryption (store/objects/<two hex digits>/<hash>) and uploads
+ * from before the store (backend/uploads, by upload name).
+ */
+const STORE_DIR = path.join(__dirname, "store");
+const OBJECTS_DIR = path.join(STORE_DIR, "objects");
+// multer and chunk assembly write plaintext here until it is encrypted into
+// the store
+const INCOMING_DIR = path.join(STORE_DIR, "incoming");
+const LEGACY_UPLOADS_DIR = path.join(__dirname, "uploads");
+
+const SHA256_HEX = /^[0-9a-f]{64}$/;
+
+for (const dir of [OBJECTS_DIR, INCOMING_DIR]) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+function objectPath(caseIdHash, hash) {
+  if (!SHA256_HEX.test(caseIdHash) || !SHA256_HEX.test(hash)) {
+    throw new Error(`Not a SHA-256 hash: '${caseIdHash}/${hash}'`);
+  }
+  return path.join(OBJECTS_DIR, caseIdHash, hash.slice(0, 2), hash);
+}
+
+function hasObject(caseIdHash, hash) {
+  return (
+    SHA256_HEX.test(caseIdHash) &&
+    SHA256_HEX.test(hash) &&
+    fs.existsSync(objectPath(caseIdHash, hash))
+  );
+}
+
+function recordProvenance(caseIdHash, hash, entry) {
+  fs.appendFileSync(
+    `${objectPath(caseIdHash, hash)}.provenance.jsonl`,
+    JSON.stringify({ ...entry, at: Date.now() }) + "\n"
+  );
+}
+
+function getProvenance(caseIdHash, hash) {
+  try {
+    return fs
+      .readFileSync(`${objectPath(caseIdHash, hash)}.provenance.jsonl`, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  } catch (err) {
+    return [];
+  }
+}
+
+/*
+ * Encrypts an already hashed plaintext file (see merkle.hashFileChunks)
+ * into the case's part of the store and removes the plaintext. The object
+ * is linked into place, so an existing object is never overwritten:
+ * identical content is deduplicated. provenance describes where the file
+ * came from (by, originalName, mediaType, source).
+ */
+async function putObject(sourcePath, hashed, provenance, caseIdHash) {
+  const target = objectPath(caseIdHash, hashed.hash);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+
+  let deduplicated = fs.existsSync(target);
+  if (!deduplicated) {
+    const encryptedPath = path.join(INCOMING_DIR, `${crypto.randomUUID()}.enc`);
+    try {
+      await encryptFile(
+        sourcePath,
+        encryptedPath,
+        getCaseKey(caseIdHash),
+        hashed.hash
+      );
+      fs.linkSync(encryptedPath, target);
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      deduplicated = true;
+    } finally {
+      fs.rmSync(encryptedPath, { force: true });
+    }
+  }
+  fs.rmSync(sourcePath, { force: true });
+
+  saveChunkManifest(target, hashed);
+  recordProvenance(caseIdHash, hashed.hash, {
+    action: deduplicated ? "DEDUPLICATED" : "STORED",
+    size: hashed.size,
+    ...provenance,
+  });
+
+  return { hash: hashed.hash, path: target, deduplicated };
+}
+
+/*
+ * Plaintext stream of a file recorded on chain, or null when no copy is
+ * stored. path locates the chunk manifest. strict is passed to
+ * createDecryptStream: downloads fail on altered ciphertext, integrity
+ * checks read through it.
+ */
+function openFile({ caseIdHash, hash, filename }, { strict = true } = {}) {
+  if (hash && caseIdHash && hasObject(caseIdHash, hash)) {
+    const filePath = objectPath(caseIdHash, hash);
+    return {
+      path: filePath,
+      encrypted: true,
+      stream: createDecryptStream(filePath, getCaseKey(caseIdHash), hash, {
+        strict,
+      }),
+    };
+  }
+
+  const candidates = [];
+  if (hash && SHA256_HEX.test(hash)) {
+    candidates.push(path.join(OBJECTS_DIR, hash.slice(0, 2), hash));
+  }
+  if (filename) {
+    candidates.push(path.join(LEGACY_UPLOADS_DIR, path.basename(filename)));
+  }
+  const filePath = candidates.find((p) => fs.existsSync(p));
+  return filePath
+    ? {
+        path: filePath,
+        encrypted: false,
+        stream: fs.createReadStream(filePath),
+      }
+    : null;
+}
+
+module.exports = {
+  STORE_DIR,
+  INCOMING_DIR,
+  putObject,
+  recordProvenance,
+  getProvenance,
+  openFile,
+};
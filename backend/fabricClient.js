@@ -1,134 +1,369 @@
 const path = require("path");
 const fs = require("fs");
-const { Gateway, Wallets } = require("fabric-network");
+const crypto = require("crypto");
+const grpc = require("@grpc/grpc-js");
+const {
+  StatusCode,
+  checkpointers,
+  connect,
+  signers,
+} = require("@hyperledger/fabric-gateway");
+const { Wallets } = require("fabric-network");
+const FabricCAServices = require("fabric-ca-client");
+const fabproto = require("fabric-protos");
+
+const contractCalls = require("./contractCalls");
 
 const CHANNEL_NAME = "forensic-chainguard";
 const CHAINCODE_NAME = "chainguard";
 const MSP_ID = "Org1MSP";
-const USER_ID = "User1"; // identity name in wallet
+const CA_NAME = "ca.org1.example.com";
+const CA_ADMIN_ID = process.env.CA_ADMIN_ID || "admin";
+const CA_ADMIN_SECRET = process.env.CA_ADMIN_SECRET || "adminpw";
+const AFFILIATION = "org1.department1";
+// Gateway peer every client connection goes through
+const GATEWAY_PEER = process.env.GATEWAY_PEER || "peer0.org1.example.com";
+const EVIDENCE_EVENT_NAME = "EvidenceEvent";
+// Peer query system chaincode: raw blocks and chain info
+const QSCC_NAME = "qscc";
+// Service identity used for the long-lived chaincode event listener
+const LISTENER_ID = process.env.EVENT_LISTENER_ID || CA_ADMIN_ID;
+const EVENT_RECONNECT_DELAY_MS = 5000;
+
+// Validation code names by number, as Fabric reports them
+const STATUS_NAMES = Object.fromEntries(
+  Object.entries(StatusCode).map(([name, code]) => [code, name])
+);
 
 const ccpPath = path.join(__dirname, "config", "connection-org1.json");
 const walletPath = path.join(__dirname, "config", "wallet");
+const checkpointPath = path.join(__dirname, "config", "event-checkpoint.json");
 
-async function ensureIdentityInWallet() {
-  const wallet = await Wallets.newFileSystemWallet(walletPath);
-
-  const existing = await wallet.get(USER_ID);
-  if (existing) {
-    return wallet;
-  }
-
-  const userFolder = path.join(walletPath, USER_ID);
-  const certPath = path.join(userFolder, "cert.pem");
-  const keyPath = path.join(userFolder, "key.pem");
+function loadConnectionProfile() {
+  return JSON.parse(fs.readFileSync(ccpPath, "utf8"));
+}
 
-  if (!fs.existsSync(certPath) || !fs.existsSync(keyPath)) {
-    throw new Error(
-      `cert.pem or key.pem not found in ${userFolder}. ` +
-        "Make sure you copied them from User1@org1.example.com/msp."
-    );
-  }
-  const cert = fs.readFileSync(certPath).toString();
-  const key = fs.readFileSync(keyPath).toString();
+function getCaClient(ccp) {
+  const caInfo = ccp.certificateAuthorities[CA_NAME];
+  return new FabricCAServices(
+    caInfo.url,
+    { trustedRoots: caInfo.tlsCACerts.pem, verify: false },
+    caInfo.caName
+  );
+}
 
-  const identity = {
+function toX509Identity(enrollment) {
+  return {
     credentials: {
-      certificate: cert,
-      privateKey: key,
+      certificate: enrollment.certificate,
+      privateKey: enrollment.key.toBytes(),
     },
     mspId: MSP_ID,
     type: "X.509",
   };
-
-  await wallet.put(USER_ID, identity);
-  console.log(`Success: Added identity "${USER_ID}" to wallet`);
-
-  return wallet;
 }
 
-async function getGateway() {
-  const ccp = JSON.parse(fs.readFileSync(ccpPath, "utf8"));
-  const wallet = await ensureIdentityInWallet();
+// Enroll the CA bootstrap admin once; it is only used to register users.
+async function ensureCaAdmin(wallet, ca) {
+  const existing = await wallet.get(CA_ADMIN_ID);
+  if (existing) {
+    return existing;
+  }
 
-  const gateway = new Gateway();
-  await gateway.connect(ccp, {
-    wallet,
-    identity: USER_ID,
-    discovery: { enabled: true, asLocalhost: true },
+  const enrollment = await ca.enroll({
+    enrollmentID: CA_ADMIN_ID,
+    enrollmentSecret: CA_ADMIN_SECRET,
   });
+  const identity = toX509Identity(enrollment);
+  await wallet.put(CA_ADMIN_ID, identity);
+  console.log(`Success: Enrolled CA admin "${CA_ADMIN_ID}" into wallet`);
 
-  return gateway;
+  return identity;
 }
 
-async function withContract(fn) {
-  const gateway = await getGateway();
-  try {
-    const network = await gateway.getNetwork(CHANNEL_NAME);
-    const contract = network.getContract(CHAINCODE_NAME);
-    return await fn(contract);
-  } finally {
-    gateway.disconnect();
+// Register a user with the Fabric CA (role issued as a cert attribute) and
+// store the enrolled identity in the wallet under the same name.
+async function registerAndEnrollUser(userId, secret, role) {
+  const ccp = loadConnectionProfile();
+  const ca = getCaClient(ccp);
+  const wallet = await Wallets.newFileSystemWallet(walletPath);
+
+  if (await wallet.get(userId)) {
+    throw new Error(`Identity "${userId}" already exists in wallet`);
   }
-}
 
-// Create evidence on the ledger
-async function createEvidenceOnChain(evidenceData) {
-  return withContract(async (contract) => {
-    const payload = JSON.stringify(evidenceData);
-    const result = await contract.submitTransaction("CreateEvidence", payload);
-    return result.toString();
+  const adminIdentity = await ensureCaAdmin(wallet, ca);
+  const provider = wallet.getProviderRegistry().getProvider(adminIdentity.type);
+  const adminUser = await provider.getUserContext(adminIdentity, CA_ADMIN_ID);
+
+  await ca.register(
+    {
+      affiliation: AFFILIATION,
+      enrollmentID: userId,
+      enrollmentSecret: secret,
+      role: "client",
+      attrs: [{ name: "role", value: role, ecert: true }],
+    },
+    adminUser
+  );
+
+  const enrollment = await ca.enroll({
+    enrollmentID: userId,
+    enrollmentSecret: secret,
   });
+  await wallet.put(userId, toX509Identity(enrollment));
+  console.log(`Success: Enrolled "${userId}" (${role}) into wallet`);
 }
 
-// Get a single evidence record by its ID
-async function getEvidenceFromChain(evidenceId) {
-  return withContract(async (contract) => {
-    const result = await contract.evaluateTransaction(
-      "GetEvidence",
-      evidenceId
-    );
-    if (!result || !result.length) {
-      throw new Error(`Evidence ${evidenceId} not found on chain`);
+let grpcClient = null;
+// userId -> Promise<Gateway>
+const gateways = new Map();
+
+// One gRPC connection to the gateway peer, opened on first use and shared
+// by every identity's gateway for the lifetime of the process
+function getGrpcClient() {
+  if (!grpcClient) {
+    const peer = loadConnectionProfile().peers[GATEWAY_PEER];
+    if (!peer) {
+      throw new Error(`Peer "${GATEWAY_PEER}" is not in ${ccpPath}`);
     }
-    return JSON.parse(result.toString());
-  });
+    grpcClient = new grpc.Client(
+      new URL(peer.url).host,
+      grpc.credentials.createSsl(Buffer.from(peer.tlsCACerts.pem)),
+      {
+        "grpc.ssl_target_name_override":
+          peer.grpcOptions["ssl-target-name-override"],
+      }
+    );
+  }
+  return grpcClient;
 }
 
-async function getEvidenceHistoryFromChain(evidenceId) {
-  return withContract(async (contract) => {
-    const result = await contract.evaluateTransaction(
-      "GetEvidenceHistory",
-      evidenceId
+async function connectGateway(userId) {
+  const wallet = await Wallets.newFileSystemWallet(walletPath);
+  const identity = await wallet.get(userId);
+  if (!identity) {
+    throw new Error(
+      `No wallet identity for "${userId}"; enroll the user first`
     );
-    return JSON.parse(result.toString());
+  }
+
+  return connect({
+    client: getGrpcClient(),
+    identity: {
+      mspId: identity.mspId,
+      credentials: Buffer.from(identity.credentials.certificate),
+    },
+    signer: signers.newPrivateKeySigner(
+      crypto.createPrivateKey(identity.credentials.privateKey)
+    ),
+    evaluateOptions: () => ({ deadline: Date.now() + 5000 }),
+    endorseOptions: () => ({ deadline: Date.now() + 15000 }),
+    submitOptions: () => ({ deadline: Date.now() + 5000 }),
+    commitStatusOptions: () => ({ deadline: Date.now() + 60000 }),
   });
 }
 
-async function getEvidenceEventsFromChain(evidenceId) {
-  return withContract(async (contract) => {
-    const result = await contract.evaluateTransaction(
-      "GetEvidenceEvents",
-      evidenceId
-    );
-    if (!result || !result.length) {
-      return [];
+// Gateways hold no connection of their own, so one per identity is kept
+// and reused; a failed connect is not cached.
+function getGateway(userId) {
+  if (!gateways.has(userId)) {
+    const gateway = connectGateway(userId);
+    gateways.set(userId, gateway);
+    gateway.catch(() => gateways.delete(userId));
+  }
+  return gateways.get(userId);
+}
+
+async function withNetwork(userId, fn) {
+  const gateway = await getGateway(userId);
+  return fn(gateway.getNetwork(CHANNEL_NAME));
+}
+
+function toCommitStatus(status) {
+  return {
+    successful: status.successful,
+    code: STATUS_NAMES[status.code] || String(status.code),
+    blockNumber: status.blockNumber.toString(),
+  };
+}
+
+// The contract surface contractCalls.js expects, over a Fabric Gateway
+// Contract
+function contractSurface(contract) {
+  return {
+    evaluateTransaction: async (name, ...args) =>
+      Buffer.from(await contract.evaluateTransaction(name, ...args)),
+    createTransaction: (name) => {
+      const options = {};
+      const transaction = {
+        setTransient(map) {
+          options.transientData = map;
+          return transaction;
+        },
+        setEndorsingOrganizations(...orgs) {
+          options.endorsingOrganizations = orgs;
+          return transaction;
+        },
+        async submitAsync(...args) {
+          const submitted = await contract.submitAsync(name, {
+            ...options,
+            arguments: args,
+          });
+          return {
+            txId: submitted.getTransactionId(),
+            result: Buffer.from(submitted.getResult()),
+            status: submitted.getStatus().then(toCommitStatus),
+          };
+        },
+      };
+      return transaction;
+    },
+  };
+}
+
+async function withContract(userId, fn) {
+  return withNetwork(userId, (network) =>
+    fn(contractSurface(network.getContract(CHAINCODE_NAME)))
+  );
+}
+
+function toHex(bytes) {
+  return Buffer.from(bytes || []).toString("hex");
+}
+
+function toHeaderJson(header) {
+  return {
+    number: header.number.toString(),
+    previousHash: toHex(header.previous_hash),
+    dataHash: toHex(header.data_hash),
+  };
+}
+
+// Raw blocks holding the given transactions, plus every block header between
+// the first and last of them so the hash chain can be checked offline.
+async function getLedgerProofFromChain(userId, txIds) {
+  return withNetwork(userId, async (network) => {
+    const qscc = network.getContract(QSCC_NAME);
+
+    const blocks = new Map();
+    for (const txId of txIds) {
+      const raw = Buffer.from(
+        await qscc.evaluateTransaction("GetBlockByTxID", CHANNEL_NAME, txId)
+      );
+      const { header } = fabproto.common.Block.decode(raw);
+      const number = Number(header.number.toString());
+      if (!blocks.has(number)) {
+        blocks.set(number, { number, header, raw, txIds: [] });
+      }
+      blocks.get(number).txIds.push(txId);
     }
-    return JSON.parse(result.toString());
+
+    const numbers = [...blocks.keys()].sort((a, b) => a - b);
+    const headers = [];
+    for (let n = numbers[0]; n <= numbers[numbers.length - 1]; n++) {
+      if (blocks.has(n)) {
+        headers.push(toHeaderJson(blocks.get(n).header));
+        continue;
+      }
+      const raw = await qscc.evaluateTransaction(
+        "GetBlockByNumber",
+        CHANNEL_NAME,
+        String(n)
+      );
+      headers.push(toHeaderJson(fabproto.common.Block.decode(raw).header));
+    }
+
+    const info = fabproto.common.BlockchainInfo.decode(
+      await qscc.evaluateTransaction("GetChainInfo", CHANNEL_NAME)
+    );
+
+    return {
+      channel: CHANNEL_NAME,
+      chaincode: CHAINCODE_NAME,
+      chainInfo: {
+        height: info.height.toString(),
+        currentBlockHash: toHex(info.currentBlockHash),
+        previousBlockHash: toHex(info.previousBlockHash),
+      },
+      blocks: numbers.map((n) => ({
+        number: String(n),
+        txIds: blocks.get(n).txIds,
+        block: blocks.get(n).raw.toString("base64"),
+      })),
+      headers,
+    };
   });
 }
 
-async function submitEvidenceActionOnChain(actionName, payloadObj) {
-  return withContract(async (contract) => {
-    const payload = JSON.stringify(payloadObj);
-    const result = await contract.submitTransaction(actionName, payload);
-    return result.toString();
-  });
+// Subscribes to EvidenceEvent chaincode events for the lifetime of the
+// process. The file checkpointer records each event as it is handled, so
+// after a restart or a dropped stream the listener resumes from there
+// without missing or replaying events (checkpoints written by the earlier
+// fabric-network listener are read too). Returns an object with
+// disconnect() to stop listening on shutdown.
+async function listenForEvidenceEvents(onEvent) {
+  const ccp = loadConnectionProfile();
+  const wallet = await Wallets.newFileSystemWallet(walletPath);
+  if (LISTENER_ID === CA_ADMIN_ID) {
+    await ensureCaAdmin(wallet, getCaClient(ccp));
+  }
+
+  const network = (await getGateway(LISTENER_ID)).getNetwork(CHANNEL_NAME);
+  const checkpointer = await checkpointers.file(checkpointPath);
+  const openEvents = () =>
+    network.getChaincodeEvents(CHAINCODE_NAME, { checkpoint: checkpointer });
+
+  let events = await openEvents();
+  let closed = false;
+
+  (async () => {
+    while (!closed) {
+      try {
+        for await (const event of events) {
+          if (event.eventName === EVIDENCE_EVENT_NAME && event.payload.length) {
+            // a bad event is logged and skipped, not retried forever
+            try {
+              await onEvent({
+                ...JSON.parse(Buffer.from(event.payload).toString()),
+                blockNumber: event.blockNumber.toString(),
+              });
+            } catch (err) {
+              console.error("Error handling ledger event", err);
+            }
+          }
+          await checkpointer.checkpointChaincodeEvent(event);
+        }
+      } catch (err) {
+        if (closed) return;
+        console.error(
+          `Chaincode event stream failed, reconnecting in ${EVENT_RECONNECT_DELAY_MS} ms:`,
+          err.message
+        );
+      }
+      if (closed) return;
+      await new Promise((resolve) =>
+        setTimeout(resolve, EVENT_RECONNECT_DELAY_MS)
+      );
+      events = await openEvents().catch(() => events);
+    }
+  })();
+
+  return {
+    disconnect: () => {
+      closed = true;
+      events.close();
+    },
+  };
 }
 
 module.exports = {
-  createEvidenceOnChain,
-  getEvidenceFromChain,
-  getEvidenceHistoryFromChain,
-  getEvidenceEventsFromChain,
-  submitEvidenceActionOnChain,
+  registerAndEnrollUser,
+  // private data transactions are endorsed by Org1 alone (contractCalls.js);
+  // for all others the Gateway's discovery plans the endorsers from the
+  // chaincode policy and the key-level policies of the keys written, so
+  // changes to a record in a cross-org transfer reach both orgs' peers
+  ...contractCalls(withContract, { privateDataOrgs: [MSP_ID] }),
+  getLedgerProofFromChain,
+  listenForEvidenceEvents,
 };
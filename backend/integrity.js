@@ -0,0 +1,322 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+
+const { STORE_DIR, openFile } = require("./evidenceStore");
+const {
+  DEFAULT_CHUNK_SIZE,
+  merkleRoot,
+  hashChunks,
+  loadChunkManifest,
+  mismatchedRanges,
+} = require("./merkle");
+const { searchEvidenceOnChain, listArtifactsFromChain } = require("./ledger");
+
+// One JSON line per tamper alert, appended by integrity sweeps
+const ALERTS_PATH = path.join(STORE_DIR, "tamper-alerts.jsonl");
+const SWEEP_PAGE_SIZE = 100;
+
+// Authenticated, role-checked download route of a stored file
+function fileUrl(evidenceId, hash) {
+  return `/api/evidence/${encodeURIComponent(evidenceId)}/files/${hash}`;
+}
+
+/*
+ * Recomputes the plaintext hash of a stored file and compares it with the
+ * on-chain hash. tampered is null when there is nothing to compare against.
+ * With an on-chain Merkle root, chunkCheck also locates the damage: the
+ * chunk manifest is trusted only if its root matches the chain, and then
+ * mismatchedRanges lists the byte ranges whose chunks changed (null when
+ * the manifest is missing or was altered as well). A file that cannot be
+ * decrypted at all counts as tampered, with the reason in error.
+ */
+async function checkFileIntegrity(file) {
+  const { evidenceId, hash: hashOnChain, merkleRoot: rootOnChain } = file;
+  const chunkSize = file.chunkSize || DEFAULT_CHUNK_SIZE;
+
+  const stored = openFile(file, { strict: false });
+  if (!stored) {
+    return { hashLocal: null, exists: false, tampered: null, chunkCheck: null };
+  }
+
+  let local;
+  try {
+    local = await hashChunks(stored.stream, chunkSize);
+  } catch (err) {
+    return {
+      hashLocal: null,
+      exists: true,
+      tampered: true,
+      chunkCheck: null,
+      error: err.message,
+      url: fileUrl(evidenceId, hashOnChain),
+    };
+  }
+
+  const hashLocal = local.hash;
+  let tampered = hashOnChain ? hashOnChain !== hashLocal : null;
+  let chunkCheck = null;
+
+  if (rootOnChain) {
+    const rootMatches = local.merkleRoot === rootOnChain;
+    const manifest = loadChunkManifest(stored.path);
+    const trusted =
+      manifest &&
+      manifest.chunkSize === file.chunkSize &&
+      merkleRoot(manifest.chunkHashes) === rootOnChain;
+
+    chunkCheck = {
+      chunkSize: file.chunkSize,
+      chunkCount: local.chunkHashes.length,
+      merkleRootOnChain: rootOnChain,
+      merkleRootLocal: local.merkleRoot,
+      mismatchedRanges: rootMatches
+        ? []
+        : trusted
+        ? mismatchedRanges(
+            manifest.chunkHashes,
+            local.chunkHashes,
+            file.chunkSize
+          )
+        : null,
+    };
+    tampered = tampered || !rootMatches;
+  }
+  if (stored.stream.authFailures && stored.stream.authFailures.length > 0) {
+    tampered = true;
+  }
+
+  return {
+    hashLocal,
+    exists: true,
+    tampered,
+    chunkCheck,
+    url: fileUrl(evidenceId, hashOnChain),
+  };
+}
+
+// The stored-file description of an evidence record's image
+function imageFile(evidence) {
+  return {
+    evidenceId: evidence.evidenceId,
+    caseIdHash: evidence.caseIdHash,
+    hash: evidence.imageHash,
+    filename: evidence.imageFilename,
+    merkleRoot: evidence.imageMerkleRoot,
+    chunkSize: evidence.imageChunkSize,
+  };
+}
+
+// The stored-file description of an artifact of the given evidence record
+function artifactFile(evidence, artifact) {
+  return {
+    evidenceId: evidence.evidenceId,
+    caseIdHash: evidence.caseIdHash,
+    hash: artifact.artifactHash,
+    filename: artifact.filename,
+    merkleRoot: artifact.merkleRoot,
+    chunkSize: artifact.chunkSize,
+  };
+}
+
+async function checkImageIntegrity(evidence) {
+  const { hashLocal, exists, tampered, chunkCheck, error, url } =
+    await checkFileIntegrity(imageFile(evidence));
+  return {
+    hashOnChain: evidence.imageHash,
+    hashLocal,
+    imageExists: exists,
+    tampered,
+    chunkCheck,
+    error,
+    imageUrl: url || null,
+  };
+}
+
+/*
+ * Every artifact of the item with its own tamper check. image, the item's
+ * checkImageIntegrity result when the caller already has one, is reused
+ * for the primary artifact (the image itself) instead of decrypting and
+ * hashing the same file twice.
+ */
+async function checkArtifactsIntegrity(evidence, artifacts, image = null) {
+  const checked = [];
+  for (const artifact of artifacts) {
+    const result =
+      image && artifact.artifactHash === image.hashOnChain
+        ? {
+            hashLocal: image.hashLocal,
+            exists: image.imageExists,
+            tampered: image.tampered,
+            chunkCheck: image.chunkCheck,
+            error: image.error,
+            url: image.imageUrl,
+          }
+        : await checkFileIntegrity(artifactFile(evidence, artifact));
+    checked.push({ ...artifact, ...result, url: result.url || null });
+  }
+  return checked;
+}
+
+function readAlerts() {
+  if (!fs.existsSync(ALERTS_PATH)) {
+    return [];
+  }
+  return fs
+    .readFileSync(ALERTS_PATH, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+// Alerts newest first, optionally for one evidence ID and/or since a time (ms)
+function listTamperAlerts({ evidenceId, since } = {}) {
+  return readAlerts()
+    .filter((a) => !evidenceId || a.evidenceId === evidenceId)
+    .filter((a) => !since || a.detectedAt >= since)
+    .reverse();
+}
+
+let lastSweep = null;
+let runningSweep = null;
+
+function getSweepStatus() {
+  return { running: !!runningSweep, lastSweep };
+}
+
+// Files an evidence item is responsible for: its artifacts, or just the
+// image for records created before artifacts existed.
+async function sweepTargets(userId, evidence) {
+  const artifacts = await listArtifactsFromChain(userId, evidence.evidenceId);
+  if (artifacts.length > 0 || !evidence.imageHash) {
+    return artifacts.map((artifact) => artifactFile(evidence, artifact));
+  }
+  return [imageFile(evidence)];
+}
+
+/*
+ * Re-hashes the stored file of every artifact of every evidence record
+ * visible to userId and appends a tamper alert for each mismatch or
+ * missing file. A failure that is already the latest alert for the same
+ * file, with the same finding, is not repeated.
+ */
+async function runSweep(userId, trigger) {
+  const sweep = {
+    sweepId: crypto.randomUUID(),
+    trigger,
+    runBy: userId,
+    startedAt: Date.now(),
+    evidenceChecked: 0,
+    filesChecked: 0,
+    alertsRaised: 0,
+  };
+
+  const latest = new Map();
+  readAlerts().forEach((a) => latest.set(`${a.evidenceId}:${a.hash}`, a));
+
+  let bookmark;
+  for (;;) {
+    const page = await searchEvidenceOnChain(userId, {
+      pageSize: SWEEP_PAGE_SIZE,
+      bookmark,
+    });
+
+    for (const evidence of page.records) {
+      sweep.evidenceChecked++;
+      for (const target of await sweepTargets(userId, evidence)) {
+        sweep.filesChecked++;
+        const result = await checkFileIntegrity(target);
+        if (result.exists && !result.tampered) continue;
+
+        const reason = result.exists ? "HASH_MISMATCH" : "MISSING";
+        const previous = latest.get(`${evidence.evidenceId}:${target.hash}`);
+        if (
+          previous &&
+          previous.reason === reason &&
+          previous.hashLocal === result.hashLocal
+        ) {
+          continue;
+        }
+
+        const alert = {
+          alertId: crypto.randomUUID(),
+          detectedAt: Date.now(),
+          sweepId: sweep.sweepId,
+          evidenceId: evidence.evidenceId,
+          hash: target.hash,
+          filename: target.filename,
+          reason,
+          hashLocal: result.hashLocal,
+          mismatchedRanges: result.chunkCheck
+            ? result.chunkCheck.mismatchedRanges
+            : null,
+        };
+        fs.appendFileSync(ALERTS_PATH, JSON.stringify(alert) + "\n");
+        sweep.alertsRaised++;
+      }
+    }
+
+    if (page.records.length < SWEEP_PAGE_SIZE || !page.bookmark) break;
+    bookmark = page.bookmark;
+  }
+
+  sweep.finishedAt = Date.now();
+  return sweep;
+}
+
+// Starts a sweep unless one is already running; resolves to its summary.
+function startSweep(userId, trigger) {
+  if (!runningSweep) {
+    runningSweep = runSweep(userId, trigger)
+      .then((sweep) => {
+        lastSweep = sweep;
+        return sweep;
+      })
+      .catch((err) => {
+        lastSweep = { trigger, runBy: userId, error: err.message };
+        throw err;
+      })
+      .finally(() => {
+        runningSweep = null;
+      });
+  }
+  return runningSweep;
+}
+
+/*
+ * Periodic sweep as INTEGRITY_SWEEP_USER (an account that can read every
+ * evidence record) every INTEGRITY_SWEEP_INTERVAL_MS, one hour by default.
+ */
+function scheduleSweeps() {
+  const userId = process.env.INTEGRITY_SWEEP_USER;
+  const intervalMs = Number(process.env.INTEGRITY_SWEEP_INTERVAL_MS) || 3600000;
+
+  if (!userId) {
+    console.log("Integrity sweeps disabled: INTEGRITY_SWEEP_USER is not set");
+    return;
+  }
+
+  const sweep = () =>
+    startSweep(userId, "scheduled")
+      .then((s) =>
+        console.log(
+          `Integrity sweep: ${s.filesChecked} files checked, ${s.alertsRaised} new alerts`
+        )
+      )
+      .catch((err) => console.error("Integrity sweep failed:", err.message));
+
+  setInterval(sweep, intervalMs).unref();
+  sweep();
+}
+
+module.exports = {
+  imageFile,
+  artifactFile,
+  checkFileIntegrity,
+  checkImageIntegrity,
+  checkArtifactsIntegrity,
+  listTamperAlerts,
+  getSweepStatus,
+  startSweep,
+  scheduleSweeps,
+};
@@ -0,0 +1,76 @@
+// Ledger adapter used by the API. Every implementation exports the functions
+// below with the same signatures and results; LEDGER selects one:
+//   fabric (default) — fabricClient.js, the Fabric network via the gateway
+//   memory           — memoryLedger.js, the real ForensicContract running
+//                      in-process against an in-memory stub (no Docker)
+const ADAPTERS = {
+  fabric: "./fabricClient",
+  memory: "./memoryLedger",
+};
+
+const LEDGER_FUNCTIONS = [
+  // identities
+  "registerAndEnrollUser",
+  // evidence
+  "createEvidenceOnChain",
+  "getEvidenceFromChain",
+  "searchEvidenceOnChain",
+  "getEvidenceHistoryFromChain",
+  "getEvidenceEventsFromChain",
+  "getAllowedActionsFromChain",
+  "listArtifactsFromChain",
+  "findEvidenceByHashOnChain",
+  "getPendingTransfersFromChain",
+  "getEndorsingOrgsFromChain",
+  // any submit transaction taking one JSON payload (actions, cases), with
+  // optional private data passed through the transient map
+  "submitTransactionOnChain",
+  // the same, resolving once ordered with { txId, result, committed,
+  // privateDetails }, and the commit status of such a transaction (see
+  // submitQueue.js)
+  "submitTransactionAsync",
+  // private data alone, to write it again when it failed after its commit
+  "submitPrivateDetailsOnChain",
+  "getTransactionStatus",
+  // retention and disposition
+  "getRetentionPoliciesFromChain",
+  "getEligibleForDispositionFromChain",
+  // custody SLAs and custody analytics
+  "getCustodySlasFromChain",
+  "getOverdueEvidenceFromChain",
+  "getCustodyPeriodsFromChain",
+  "getCustodyAnalyticsFromChain",
+  // cases
+  "getCaseFromChain",
+  "getCaseEvidenceFromChain",
+  // Org1-only private collection (case number, description, notes)
+  "getEvidencePrivateDetailsFromChain",
+  "getCasePrivateDetailsFromChain",
+  // raw blocks for offline proofs
+  "getLedgerProofFromChain",
+  // EvidenceEvent subscription; resolves to an object with disconnect()
+  "listenForEvidenceEvents",
+];
+
+const LEDGER = process.env.LEDGER || "fabric";
+
+if (!ADAPTERS[LEDGER]) {
+  throw new Error(
+    `Unknown LEDGER '${LEDGER}'; expected one of: ${Object.keys(ADAPTERS).join(
+      ", "
+    )}`
+  );
+}
+
+const adapter = require(ADAPTERS[LEDGER]);
+
+for (const name of LEDGER_FUNCTIONS) {
+  if (typeof adapter[name] !== "function") {
+    throw new Error(`Ledger adapter '${LEDGER}' does not implement ${name}`);
+  }
+}
+
+module.exports = {
+  LEDGER,
+  ...Object.fromEntries(LEDGER_FUNCTIONS.map((name) => [name, adapter[name]])),
+};
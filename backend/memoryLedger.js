@@ -0,0 +1,611 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+const contractCalls = require("./contractCalls");
+
+// The contract logs every decorator at info level on load
+process.env.CORE_CHAINCODE_LOGGING_LEVEL =
+  process.env.CORE_CHAINCODE_LOGGING_LEVEL || "WARNING";
+
+const CHANNEL_NAME = "forensic-chainguard";
+const MSP_ID = "Org1MSP";
+// Channel members; the chaincode's endorsement policy is MAJORITY of them
+const CHANNEL_ORGS = ["Org1MSP", "Org2MSP"];
+// Each collection's endorsementPolicy (chaincode/collections_config.json),
+// satisfied by a peer of any one of the orgs
+const COLLECTION_ENDORSERS = { Org1PrivateDetails: ["Org1MSP"] };
+const EVIDENCE_EVENT_NAME = "EvidenceEvent";
+const CA_SUBJECT =
+  "/C=US/ST=North Carolina/L=Durham/O=org1.example.com/CN=ca.org1.example.com";
+
+// Compiled chaincode (`npm run build` in the repository root)
+const contractPath = path.join(__dirname, "..", "chaincode", "dist");
+// Users enrolled in memory mode: the stand-in for the Fabric wallet
+const walletPath = path.join(__dirname, "config", "memory-wallet.json");
+
+// fabric-shim as the contract sees it, for decoding key-level policies
+function loadKeyEndorsementPolicy() {
+  const shimPath = require.resolve("fabric-shim", { paths: [contractPath] });
+  return require(shimPath).KeyEndorsementPolicy;
+}
+
+function loadContract() {
+  try {
+    return require(contractPath).ForensicContract;
+  } catch (err) {
+    throw new Error(
+      `Cannot load the compiled contract from ${contractPath}; run "npm run build" in the repository root (${err.message})`
+    );
+  }
+}
+
+// ---------------------------------------------------------------------------
+// World state
+
+// Same layout as fabric-shim, so keys match what the peer would store
+function createCompositeKey(objectType, attributes) {
+  return `\u0000${objectType}\u0000${attributes
+    .map((a) => `${a}\u0000`)
+    .join("")}`;
+}
+
+function splitCompositeKey(key) {
+  const [objectType, ...attributes] = key.split("\u0000").slice(1, -1);
+  return { objectType, attributes };
+}
+
+function getField(doc, fieldPath) {
+  return fieldPath
+    .split(".")
+    .reduce((value, k) => (value == null ? undefined : value[k]), doc);
+}
+
+// The CouchDB (Mango) selector subset the contract uses
+function matchCondition(value, cond) {
+  if (cond === null || typeof cond !== "object" || Array.isArray(cond)) {
+    return value === cond;
+  }
+  return Object.entries(cond).every(([op, arg]) => {
+    switch (op) {
+      case "$eq":
+        return value === arg;
+      case "$ne":
+        return value !== arg;
+      case "$gt":
+        return value !== undefined && value > arg;
+      case "$gte":
+        return value !== undefined && value >= arg;
+      case "$lt":
+        return value !== undefined && value < arg;
+      case "$lte":
+        return value !== undefined && value <= arg;
+      case "$in":
+        return arg.includes(value);
+      case "$nin":
+        return !arg.includes(value);
+      case "$exists":
+        return (value !== undefined) === arg;
+      default:
+        if (op.startsWith("$")) {
+          throw new Error(`Unsupported query operator ${op}`);
+        }
+        return matchSelector(value || {}, cond);
+    }
+  });
+}
+
+function matchSelector(doc, selector) {
+  return Object.entries(selector).every(([field, cond]) => {
+    if (field === "$and") {
+      return cond.every((s) => matchSelector(doc, s));
+    }
+    if (field === "$or") {
+      return cond.some((s) => matchSelector(doc, s));
+    }
+    return matchCondition(getField(doc, field), cond);
+  });
+}
+
+function parseDoc(value) {
+  try {
+    return JSON.parse(value.toString());
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// Async iterator with the fabric-shim next()/close() protocol
+class MemoryIterator {
+  constructor(items) {
+    this.items = items;
+    this.pos = 0;
+  }
+
+  async next() {
+    if (this.pos >= this.items.length) {
+      return { done: true };
+    }
+    return { value: this.items[this.pos++], done: false };
+  }
+
+  async close() {}
+
+  async *[Symbol.asyncIterator]() {
+    for (let res = await this.next(); !res.done; res = await this.next()) {
+      yield res.value;
+    }
+  }
+}
+
+// ChaincodeStub for one transaction. Reads see committed state only and
+// writes are buffered until commit, as during peer simulation.
+class MemoryStub {
+  constructor(ledger, txId, timestamp, transient) {
+    this.ledger = ledger;
+    this.txId = txId;
+    this.timestamp = timestamp;
+    this.transient = transient;
+    this.writes = new Map();
+    this.privateWrites = new Map();
+    this.validationParameters = new Map();
+    this.event = null;
+  }
+
+  getTxID() {
+    return this.txId;
+  }
+
+  getChannelID() {
+    return CHANNEL_NAME;
+  }
+
+  getTxTimestamp() {
+    const ms = this.timestamp.getTime();
+    return { seconds: Math.floor(ms / 1000), nanos: (ms % 1000) * 1e6 };
+  }
+
+  createCompositeKey(objectType, attributes) {
+    return createCompositeKey(objectType, attributes);
+  }
+
+  splitCompositeKey(key) {
+    return splitCompositeKey(key);
+  }
+
+  async getState(key) {
+    return this.ledger.state.get(key) || Buffer.alloc(0);
+  }
+
+  async putState(key, value) {
+    if (!key) {
+      throw new Error("key must not be an empty string");
+    }
+    this.writes.set(key, Buffer.from(value));
+  }
+
+  async deleteState(key) {
+    this.writes.set(key, null);
+  }
+
+  async getStateValidationParameter(key) {
+    return this.ledger.validationParameters.get(key) || Buffer.alloc(0);
+  }
+
+  async setStateValidationParameter(key, policy) {
+    this.validationParameters.set(key, Buffer.from(policy));
+  }
+
+  getTransient() {
+    return this.transient;
+  }
+
+  collection(name) {
+    return this.ledger.privateState.get(name) || new Map();
+  }
+
+  async getPrivateData(collection, key) {
+    return this.collection(collection).get(key) || Buffer.alloc(0);
+  }
+
+  async putPrivateData(collection, key, value) {
+    if (!key) {
+      throw new Error("key must not be an empty string");
+    }
+    this.privateWrites.set(`${collection}\u0000${key}`, {
+      collection,
+      key,
+      value: Buffer.from(value),
+    });
+  }
+
+  async deletePrivateData(collection, key) {
+    this.privateWrites.set(`${collection}\u0000${key}`, {
+      collection,
+      key,
+      value: null,
+    });
+  }
+
+  async getPrivateDataByPartialCompositeKey(
+    collection,
+    objectType,
+    attributes
+  ) {
+    const prefix = createCompositeKey(objectType, attributes);
+    const data = this.collection(collection);
+    return new MemoryIterator(
+      [...data.keys()]
+        .filter((key) => key.startsWith(prefix))
+        .sort()
+        .map((key) => ({ key, value: data.get(key) }))
+    );
+  }
+
+  setEvent(name, payload) {
+    this.event = { eventName: name, payload: Buffer.from(payload) };
+  }
+
+  stateEntries(filter) {
+    return [...this.ledger.state.keys()]
+      .sort()
+      .filter(filter)
+      .map((key) => ({ key, value: this.ledger.state.get(key) }));
+  }
+
+  async getStateByPartialCompositeKey(objectType, attributes) {
+    const prefix = createCompositeKey(objectType, attributes);
+    return new MemoryIterator(
+      this.stateEntries((key) => key.startsWith(prefix))
+    );
+  }
+
+  async getStateByRange(startKey, endKey) {
+    return new MemoryIterator(
+      this.stateEntries(
+        (key) => (!startKey || key >= startKey) && (!endKey || key < endKey)
+      )
+    );
+  }
+
+  queryEntries(query) {
+    const { selector = {} } = JSON.parse(query);
+    return this.stateEntries(() => true).filter(({ value }) => {
+      const doc = parseDoc(value);
+      return doc !== undefined && matchSelector(doc, selector);
+    });
+  }
+
+  async getQueryResult(query) {
+    return new MemoryIterator(this.queryEntries(query));
+  }
+
+  // The bookmark is the last key of the previous page
+  async getQueryResultWithPagination(query, pageSize, bookmark) {
+    const after = bookmark ? Buffer.from(bookmark, "base64url").toString() : "";
+    const page = this.queryEntries(query)
+      .filter(({ key }) => key > after)
+      .slice(0, pageSize);
+    const last = page.length ? page[page.length - 1].key : after;
+
+    return {
+      iterator: new MemoryIterator(page),
+      metadata: {
+        fetchedRecordsCount: page.length,
+        bookmark: last ? Buffer.from(last).toString("base64url") : "",
+      },
+    };
+  }
+
+  // Newest first, like the peer's history database
+  async getHistoryForKey(key) {
+    const entries = this.ledger.history.get(key) || [];
+    return new MemoryIterator([...entries].reverse());
+  }
+}
+
+// ClientIdentity for an enrolled memory-mode user; same ID format as
+// fabric-shim ("x509::<subject>::<issuer>") and role as a cert attribute
+class MemoryClientIdentity {
+  constructor(userId, identity) {
+    this.userId = userId;
+    this.identity = identity;
+  }
+
+  getID() {
+    return `x509::/C=US/ST=North Carolina/O=Hyperledger/OU=client/CN=${this.userId}::${CA_SUBJECT}`;
+  }
+
+  getMSPID() {
+    return this.identity.mspId;
+  }
+
+  getAttributeValue(name) {
+    return name === "role" ? this.identity.role : null;
+  }
+
+  assertAttributeValue(name, value) {
+    return this.getAttributeValue(name) === value;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Ledger
+
+class MemoryLedger extends EventEmitter {
+  constructor(ContractClass) {
+    super();
+    this.contract = new ContractClass();
+    this.transactions = new Set(
+      (
+        Reflect.getMetadata("fabric:transactions", ContractClass.prototype) ||
+        []
+      ).map((tx) => tx.name)
+    );
+    this.state = new Map();
+    this.history = new Map();
+    // collection name -> key -> value
+    this.privateState = new Map();
+    // key -> key-level endorsement policy (SignaturePolicyEnvelope bytes)
+    this.validationParameters = new Map();
+    this.KeyEndorsementPolicy = loadKeyEndorsementPolicy();
+    this.height = 0;
+    // one transaction at a time, so every simulation sees a consistent state
+    this.queue = Promise.resolve();
+  }
+
+  // tx: { userId, identity, fn, args, transient, endorsers, commit }
+  invoke(tx) {
+    const run = this.queue.then(() => this.execute(tx));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async execute({ userId, identity, fn, args, transient, endorsers, commit }) {
+    if (!this.transactions.has(fn)) {
+      throw new Error(
+        `You've asked to invoke a function that does not exist: ${fn}`
+      );
+    }
+
+    const txId = crypto.randomBytes(32).toString("hex");
+    const timestamp = new Date();
+    const stub = new MemoryStub(this, txId, timestamp, transient);
+    const ctx = this.contract.createContext();
+    ctx.setChaincodeStub(stub);
+    ctx.setClientIdentity(new MemoryClientIdentity(userId, identity));
+
+    await this.contract.beforeTransaction(ctx);
+    const result = await this.contract[fn](ctx, ...args);
+    await this.contract.afterTransaction(ctx, result);
+
+    const payload = Buffer.from(result === undefined ? "" : String(result));
+    if (!commit) {
+      return payload;
+    }
+    // ordered and validated at once; the status is already known
+    const status = this.commit(stub, endorsers || this.plannedEndorsers(stub));
+    return { txId, result: payload, status: Promise.resolve(status) };
+  }
+
+  // Orgs named by the committed key-level policies of the keys written,
+  // or whose policy is replaced
+  keyPolicyOrgs(stub) {
+    const orgs = new Set();
+    for (const key of [
+      ...stub.writes.keys(),
+      ...stub.validationParameters.keys(),
+    ]) {
+      const policy = this.validationParameters.get(key);
+      if (!policy) continue;
+      for (const org of new this.KeyEndorsementPolicy(policy).listOrgs()) {
+        orgs.add(org);
+      }
+    }
+    return orgs;
+  }
+
+  // The orgs the Fabric Gateway collects endorsements from when the client
+  // names none: those the chaincode policy and the key-level policies
+  // need, as far as they have peers on the channel
+  plannedEndorsers(stub) {
+    const needed = new Set([...CHANNEL_ORGS, ...this.keyPolicyOrgs(stub)]);
+    return CHANNEL_ORGS.filter((org) => needed.has(org));
+  }
+
+  // What a committing peer checks: public writes need the chaincode
+  // policy, MAJORITY of the channel's orgs, and each org a written key's
+  // committed policy names; private writes need their collection's
+  // endorsement policy.
+  endorsementsValid(stub, endorsers) {
+    const missing = new Set();
+    if (stub.writes.size > 0 || stub.validationParameters.size > 0) {
+      const endorsing = CHANNEL_ORGS.filter((org) => endorsers.includes(org));
+      if (endorsing.length <= CHANNEL_ORGS.length / 2) {
+        CHANNEL_ORGS.filter((org) => !endorsers.includes(org)).forEach((org) =>
+          missing.add(org)
+        );
+      }
+    }
+    for (const org of this.keyPolicyOrgs(stub)) {
+      if (!endorsers.includes(org)) missing.add(org);
+    }
+    for (const { collection } of stub.privateWrites.values()) {
+      const orgs = COLLECTION_ENDORSERS[collection] || [];
+      if (!orgs.some((org) => endorsers.includes(org))) {
+        orgs.forEach((org) => missing.add(org));
+      }
+    }
+
+    if (missing.size > 0) {
+      console.warn(
+        `Transaction ${stub.txId} also needs endorsement from ${[
+          ...missing,
+        ].join(", ")}`
+      );
+      return false;
+    }
+    return true;
+  }
+
+  // Applies the write set atomically as one block, or only records the
+  // block when validation fails. Returns the commit status.
+  commit(stub, endorsers) {
+    const blockNumber = this.height++;
+    if (!this.endorsementsValid(stub, endorsers)) {
+      return {
+        successful: false,
+        code: "ENDORSEMENT_POLICY_FAILURE",
+        blockNumber: String(blockNumber),
+      };
+    }
+    const timestamp = stub.getTxTimestamp();
+
+    for (const [key, value] of stub.writes) {
+      if (value === null) {
+        this.state.delete(key);
+      } else {
+        this.state.set(key, value);
+      }
+      if (!this.history.has(key)) {
+        this.history.set(key, []);
+      }
+      this.history.get(key).push({
+        txId: stub.txId,
+        timestamp,
+        isDelete: value === null,
+        value: value || Buffer.alloc(0),
+      });
+    }
+
+    for (const [key, policy] of stub.validationParameters) {
+      this.validationParameters.set(key, policy);
+    }
+
+    for (const { collection, key, value } of stub.privateWrites.values()) {
+      if (!this.privateState.has(collection)) {
+        this.privateState.set(collection, new Map());
+      }
+      if (value === null) {
+        this.privateState.get(collection).delete(key);
+      } else {
+        this.privateState.get(collection).set(key, value);
+      }
+    }
+
+    if (stub.event) {
+      this.emit("chaincodeEvent", { ...stub.event, blockNumber });
+    }
+    return {
+      successful: true,
+      code: "VALID",
+      blockNumber: String(blockNumber),
+    };
+  }
+}
+
+let ledger = null;
+
+function getLedger() {
+  if (!ledger) {
+    ledger = new MemoryLedger(loadContract());
+  }
+  return ledger;
+}
+
+function loadWallet() {
+  if (!fs.existsSync(walletPath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(walletPath, "utf8"));
+}
+
+async function registerAndEnrollUser(userId, secret, role) {
+  const wallet = loadWallet();
+  if (wallet[userId]) {
+    throw new Error(`Identity "${userId}" already exists in wallet`);
+  }
+
+  wallet[userId] = { mspId: MSP_ID, role };
+  fs.writeFileSync(walletPath, JSON.stringify(wallet, null, 2));
+  console.log(`Success: Enrolled "${userId}" (${role}) into memory wallet`);
+}
+
+async function withContract(userId, fn) {
+  const identity = loadWallet()[userId];
+  if (!identity) {
+    throw new Error(
+      `No wallet identity for "${userId}"; enroll the user first`
+    );
+  }
+
+  const memoryLedger = getLedger();
+  const invoke = (fn, args, commit, transient = new Map(), endorsers) =>
+    memoryLedger.invoke({
+      userId,
+      identity,
+      fn,
+      args,
+      transient,
+      endorsers,
+      commit,
+    });
+
+  // The contract surface contractCalls.js expects
+  return fn({
+    evaluateTransaction: (name, ...args) => invoke(name, args, false),
+    createTransaction: (name) => {
+      let transient = new Map();
+      let endorsers;
+      const transaction = {
+        setTransient(map) {
+          transient = new Map(Object.entries(map));
+          return transaction;
+        },
+        setEndorsingOrganizations(...orgs) {
+          endorsers = orgs;
+          return transaction;
+        },
+        submitAsync: (...args) =>
+          invoke(name, args, true, transient, endorsers),
+      };
+      return transaction;
+    },
+  });
+}
+
+async function getLedgerProofFromChain() {
+  throw new Error(
+    "Proof bundles need Fabric blocks and are not available with the memory ledger"
+  );
+}
+
+// Delivers EvidenceEvent chaincode events as they commit. Returns an object
+// with disconnect(), like the Fabric gateway.
+async function listenForEvidenceEvents(onEvent) {
+  const memoryLedger = getLedger();
+  const listener = (event) => {
+    if (event.eventName !== EVIDENCE_EVENT_NAME) {
+      return;
+    }
+    Promise.resolve(
+      onEvent({
+        ...JSON.parse(event.payload.toString()),
+        blockNumber: String(event.blockNumber),
+      })
+    ).catch((err) => console.error("Error handling ledger event", err));
+  };
+
+  memoryLedger.on("chaincodeEvent", listener);
+  return {
+    disconnect: () => memoryLedger.off("chaincodeEvent", listener),
+  };
+}
+
+module.exports = {
+  registerAndEnrollUser,
+  ...contractCalls(withContract, { privateDataOrgs: [MSP_ID] }),
+  getLedgerProofFromChain,
+  listenForEvidenceEvents,
+};
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const crypto = require("crypto");
+
+// Leaf size for new uploads; disk images are hashed in 8 MiB chunks.
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+
+// Per-file list of chunk hashes, kept next to the file as <file>.chunks.json
+const MANIFEST_SUFFIX = ".chunks.json";
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/*
+ * Merkle root over hex chunk hashes (the leaves are plain SHA-256 of each
+ * chunk). Interior nodes are SHA-256(0x01 || left || right); an odd node at
+ * the end of a level is carried up unchanged. An empty file's root is the
+ * SHA-256 of no data.
+ */
+function merkleRoot(chunkHashes) {
+  if (chunkHashes.length === 0) {
+    return sha256Hex(Buffer.alloc(0));
+  }
+
+  let level = chunkHashes.map((hash) => Buffer.from(hash, "hex"));
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      if (i + 1 === level.length) {
+        next.push(level[i]);
+      } else {
+        next.push(
+          crypto
+            .createHash("sha256")
+            .update(Buffer.from([1]))
+            .update(level[i])
+            .update(level[i + 1])
+            .digest()
+        );
+      }
+    }
+    level = next;
+  }
+  return level[0].toString("hex");
+}
+
+// One pass over a readable stream (e.g. decrypted file contents): SHA-256 of
+// the whole stream plus the hash of every chunk.
+async function hashChunks(readable, chunkSize = DEFAULT_CHUNK_SIZE) {
+  const fileHash = crypto.createHash("sha256");
+  const chunkHashes = [];
+  const chunkHash = () => crypto.createHash("sha256");
+  let current = chunkHash();
+  let filled = 0;
+  let size = 0;
+
+  for await (let data of readable) {
+    fileHash.update(data);
+    size += data.length;
+    while (data.length > 0) {
+      const take = Math.min(chunkSize - filled, data.length);
+      current.update(data.subarray(0, take));
+      filled += take;
+      data = data.subarray(take);
+      if (filled === chunkSize) {
+        chunkHashes.push(current.digest("hex"));
+        current = chunkHash();
+        filled = 0;
+      }
+    }
+  }
+  if (filled > 0) {
+    chunkHashes.push(current.digest("hex"));
+  }
+
+  return {
+    hash: fileHash.digest("hex"),
+    size,
+    chunkSize,
+    chunkHashes,
+    merkleRoot: merkleRoot(chunkHashes),
+  };
+}
+
+function hashFileChunks(filePath, chunkSize = DEFAULT_CHUNK_SIZE) {
+  return hashChunks(fs.createReadStream(filePath), chunkSize);
+}
+
+// Written once; an existing manifest is never replaced.
+function saveChunkManifest(filePath, { chunkSize, chunkHashes }) {
+  try {
+    fs.writeFileSync(
+      filePath + MANIFEST_SUFFIX,
+      JSON.stringify({ chunkSize, chunkHashes }),
+      { flag: "wx", mode: 0o444 }
+    );
+  } catch (err) {
+    if (err.code !== "EEXIST") throw err;
+  }
+}
+
+function loadChunkManifest(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath + MANIFEST_SUFFIX, "utf8"));
+  } catch (err) {
+    return null;
+  }
+}
+
+/*
+ * Chunk-aligned byte ranges [start, end) where the local chunks differ from
+ * the recorded ones. Chunks present on only one side count as differing.
+ */
+function mismatchedRanges(recordedHashes, localHashes, chunkSize) {
+  const ranges = [];
+  const count = Math.max(recordedHashes.length, localHashes.length);
+
+  for (let i = 0; i < count; i++) {
+    if (recordedHashes[i] === localHashes[i]) continue;
+
+    const last = ranges[ranges.length - 1];
+    if (last && last.lastChunk === i - 1) {
+      last.lastChunk = i;
+      last.end = (i + 1) * chunkSize;
+    } else {
+      ranges.push({
+        firstChunk: i,
+        lastChunk: i,
+        start: i * chunkSize,
+        end: (i + 1) * chunkSize,
+      });
+    }
+  }
+  return ranges;
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  sha256Hex,
+  merkleRoot,
+  hashChunks,
+  hashFileChunks,
+  saveChunkManifest,
+  loadChunkManifest,
+  mismatchedRanges,
+};
@@ -0,0 +1,420 @@
+const { INPUT_SCHEMAS, REQUEST_SCHEMAS } = require("./validation");
+const { CODE_STATUS } = require("./errors");
+
+/*
+ * OpenAPI document for every /api route, served at /api/openapi.json.
+ * Request bodies reference REQUEST_SCHEMAS, the same schemas validateBody
+ * enforces; the contract's input schemas are published alongside them for
+ * integrations that submit transactions themselves. Keep ROUTES in step
+ * with server.js.
+ */
+
+// [method, path, summary, options]
+//   auth: false for public routes, or the role required
+//   body / multipart: REQUEST_SCHEMAS name of the JSON or multipart body
+//   query: query parameter names; status: success status (200)
+//   produces: response media type when not JSON
+//   async: accepts `Prefer: respond-async` (202 with the transaction ID)
+const ROUTES = [
+  ["get", "/api/health", "Liveness check", { auth: false }],
+  [
+    "post",
+    "/api/auth/login",
+    "Start a session",
+    { auth: false, body: "Login" },
+  ],
+  ["post", "/api/auth/logout", "End the session", { auth: false }],
+  ["get", "/api/auth/me", "The logged-in user", {}],
+  [
+    "post",
+    "/api/users",
+    "Register and enroll a user",
+    { auth: "EvidenceManager", body: "CreateUser", status: 201 },
+  ],
+  [
+    "post",
+    "/api/uploads",
+    "Open a resumable chunked upload",
+    { body: "CreateUpload", status: 201 },
+  ],
+  ["get", "/api/uploads/{uploadId}", "Upload state and missing chunks", {}],
+  [
+    "put",
+    "/api/uploads/{uploadId}/chunks/{index}",
+    "Upload one chunk as a raw body (optional X-Chunk-Sha256 header)",
+    { raw: true },
+  ],
+  [
+    "post",
+    "/api/uploads/{uploadId}/complete",
+    "Assemble and hash a fully uploaded file",
+    {},
+  ],
+  [
+    "post",
+    "/api/evidence",
+    "Register evidence",
+    { multipart: "CreateEvidence", status: 201, async: true },
+  ],
+  [
+    "get",
+    "/api/evidence",
+    "Search evidence, one page at a time",
+    {
+      query: [
+        "status",
+        "custodian",
+        "createdBy",
+        "from",
+        "to",
+        "dateField",
+        "pageSize",
+        "bookmark",
+      ],
+    },
+  ],
+  [
+    "get",
+    "/api/evidence/{id}",
+    "Evidence record with a fresh tamper check (logged as VIEWED)",
+    { query: ["purpose"] },
+  ],
+  [
+    "get",
+    "/api/evidence/{id}/report",
+    "Signed chain-of-custody report",
+    { query: ["format"], produces: "application/pdf" },
+  ],
+  ["get", "/api/evidence/{id}/proof", "Offline proof bundle", {}],
+  ["get", "/api/evidence/{id}/artifacts", "Artifacts with tamper checks", {}],
+  [
+    "post",
+    "/api/evidence/{id}/artifacts",
+    "Attach artifacts",
+    { multipart: "AddArtifacts", status: 201 },
+  ],
+  [
+    "get",
+    "/api/evidence/{id}/files/{hash}",
+    "Download a stored file (logged as DOWNLOADED)",
+    { query: ["purpose"], produces: "application/octet-stream" },
+  ],
+  [
+    "get",
+    "/api/evidence/{id}/files/{hash}/provenance",
+    "Provenance log of a stored file",
+    {},
+  ],
+  [
+    "get",
+    "/api/evidence/{id}/access",
+    "On-chain access log",
+    { query: ["type", "user", "from", "to"] },
+  ],
+  ["get", "/api/evidence/{id}/actions", "Actions open to the caller", {}],
+  [
+    "post",
+    "/api/evidence/{id}/action",
+    "Apply a lifecycle action",
+    { body: "EvidenceAction", async: true },
+  ],
+  [
+    "post",
+    "/api/evidence/{id}/legal-hold",
+    "Place a legal hold",
+    { body: "LegalHold" },
+  ],
+  [
+    "delete",
+    "/api/evidence/{id}/legal-hold",
+    "Release a legal hold",
+    { body: "LegalHold" },
+  ],
+  [
+    "get",
+    "/api/evidence/{id}/stream",
+    "Live lifecycle events (Server-Sent Events)",
+    { produces: "text/event-stream" },
+  ],
+  ["get", "/api/evidence/{id}/history", "Record versions with field diffs", {}],
+  ["get", "/api/evidence/{id}/events", "Lifecycle events", {}],
+  ["get", "/api/evidence/{id}/custody", "Time spent with each custodian", {}],
+  [
+    "get",
+    "/api/evidence/{id}/endorsement",
+    "Orgs that must endorse changes to the record",
+    {},
+  ],
+  [
+    "get",
+    "/api/evidence/{id}/private",
+    "Private details (collection members only)",
+    {},
+  ],
+  [
+    "post",
+    "/api/evidence/{id}/private",
+    "Write an event's private details again",
+    { body: "EvidencePrivateDetails", status: 201 },
+  ],
+  [
+    "get",
+    "/api/reports/public-key",
+    "Report signing key",
+    { auth: false, produces: "application/x-pem-file" },
+  ],
+  [
+    "post",
+    "/api/reports/verify",
+    "Verify a custody report copy",
+    { auth: false, body: "VerifyReport" },
+  ],
+  [
+    "post",
+    "/api/verify",
+    "Verify a file copy against the ledger",
+    { multipart: "VerifyFile" },
+  ],
+  [
+    "get",
+    "/api/events/stream",
+    "Live events of every evidence item (Server-Sent Events)",
+    { produces: "text/event-stream" },
+  ],
+  ["get", "/api/transfers/pending", "Transfers awaiting the caller", {}],
+  [
+    "get",
+    "/api/integrity/alerts",
+    "Tamper alerts and sweep status",
+    { query: ["evidenceId", "since"] },
+  ],
+  [
+    "post",
+    "/api/integrity/sweep",
+    "Run an integrity sweep",
+    { auth: "EvidenceManager" },
+  ],
+  [
+    "post",
+    "/api/intake",
+    "Start a bulk intake from a manifest and a ZIP of its files",
+    { multipart: "Intake", status: 202 },
+  ],
+  [
+    "get",
+    "/api/intake/{jobId}",
+    "Progress and per-row results of an intake job",
+    {},
+  ],
+  ["get", "/api/retention/policies", "Retention policies", {}],
+  [
+    "put",
+    "/api/retention/policies/{category}",
+    "Set a category's retention period",
+    { body: "RetentionPolicy" },
+  ],
+  ["get", "/api/retention/eligible", "Evidence eligible for disposition", {}],
+  ["get", "/api/custody/slas", "Custody SLAs", {}],
+  [
+    "put",
+    "/api/custody/slas/{status}",
+    "Set how many days evidence may stay in a status",
+    { body: "CustodySla" },
+  ],
+  [
+    "delete",
+    "/api/custody/slas/{status}",
+    "Remove a custody SLA",
+    { query: ["role"] },
+  ],
+  [
+    "get",
+    "/api/custody/overdue",
+    "Evidence past its custody SLA",
+    { query: ["caseId", "bookmark"] },
+  ],
+  [
+    "get",
+    "/api/custody/analytics",
+    "Counts by status and custodian, overdue items and custody time",
+    { query: ["caseId", "bookmark"] },
+  ],
+  [
+    "post",
+    "/api/cases",
+    "Open a case",
+    { body: "CreateCase", status: 201, async: true },
+  ],
+  ["get", "/api/cases/{id}", "Case record", {}],
+  ["get", "/api/cases/{id}/evidence", "Evidence filed under a case", {}],
+  [
+    "post",
+    "/api/cases/{id}/private",
+    "Write a case's private details again",
+    { body: "CasePrivateDetails", status: 201 },
+  ],
+  [
+    "post",
+    "/api/cases/{id}/action",
+    "Close, reopen or assign a case",
+    { body: "CaseAction", async: true },
+  ],
+  [
+    "get",
+    "/api/transactions/{txId}",
+    "Commit status of a transaction submitted asynchronously",
+    {},
+  ],
+  [
+    "post",
+    "/api/webhooks",
+    "Subscribe to evidence events (the response holds the signing secret)",
+    { auth: "EvidenceManager", body: "CreateWebhook", status: 201 },
+  ],
+  ["get", "/api/webhooks", "Webhook subscriptions", {}],
+  [
+    "get",
+    "/api/webhooks/dead-letters",
+    "Webhook deliveries that ran out of attempts",
+    {},
+  ],
+  ["get", "/api/webhooks/{id}", "Webhook subscription", {}],
+  ["delete", "/api/webhooks/{id}", "Delete a webhook subscription", {}],
+  ["get", "/api/openapi.json", "This document", { auth: false }],
+];
+
+function schemaRef(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+const errorResponse = {
+  description: "Error",
+  content: { "application/json": { schema: schemaRef("ErrorResponse") } },
+};
+
+function operation(path, summary, options) {
+  const op = {
+    summary,
+    parameters: [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: { type: "string" },
+    })),
+    responses: {
+      [options.status || 200]: {
+        description: "Success",
+        content: { [options.produces || "application/json"]: {} },
+      },
+      default: errorResponse,
+    },
+  };
+
+  for (const name of options.query || []) {
+    op.parameters.push({ name, in: "query", schema: { type: "string" } });
+  }
+  if (options.body) {
+    op.requestBody = {
+      content: { "application/json": { schema: schemaRef(options.body) } },
+    };
+  } else if (options.multipart) {
+    op.requestBody = {
+      required: true,
+      content: {
+        "multipart/form-data": { schema: schemaRef(options.multipart) },
+      },
+    };
+  } else if (options.raw) {
+    op.requestBody = {
+      required: true,
+      content: {
+        "application/octet-stream": {
+          schema: { type: "string", format: "binary" },
+        },
+      },
+    };
+  }
+  if (options.async) {
+    op.parameters.push({
+      name: "Prefer",
+      in: "header",
+      schema: { type: "string", enum: ["respond-async"] },
+    });
+    op.responses[202] = {
+      description: "Ordered, not yet committed",
+      content: {
+        "application/json": { schema: schemaRef("AcceptedResponse") },
+      },
+    };
+  }
+  if (options.auth !== false) {
+    op.security = [{ session: [] }];
+    if (options.auth) {
+      op.description = `Requires the ${options.auth} role.`;
+    }
+  }
+  return op;
+}
+
+function buildOpenApiSpec() {
+  const paths = {};
+  for (const [method, path, summary, options] of ROUTES) {
+    paths[path] = paths[path] || {};
+    paths[path][method] = operation(path, summary, options);
+  }
+
+  const chaincodeSchemas = {};
+  for (const [name, schema] of Object.entries(INPUT_SCHEMAS)) {
+    chaincodeSchemas[`Chaincode.${name}`] = schema;
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Forensic Chainguard API",
+      version: "1.0.0",
+      description: [
+        "Errors carry { error, code, details }. Contract error codes map to",
+        Object.entries(CODE_STATUS)
+          .map(([code, status]) => `${code} → ${status}`)
+          .join(", ") + ";",
+        "an unreachable ledger is 503 (LEDGER_UNAVAILABLE) and anything else",
+        "500 (INTERNAL_ERROR). Chaincode.* schemas describe the inputJson of",
+        "the contract's transactions.",
+      ].join(" "),
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        session: { type: "apiKey", in: "cookie", name: "connect.sid" },
+      },
+      schemas: {
+        ErrorResponse: {
+          type: "object",
+          properties: {
+            error: { type: "string" },
+            code: { type: "string" },
+            details: { type: "string" },
+          },
+          required: ["error"],
+        },
+        AcceptedResponse: {
+          type: "object",
+          properties: {
+            message: { type: "string" },
+            txId: { type: "string" },
+            status: { type: "string", enum: ["PENDING"] },
+            statusUrl: { type: "string" },
+          },
+          required: ["txId", "status", "statusUrl"],
+        },
+        ...REQUEST_SCHEMAS,
+        ...chaincodeSchemas,
+      },
+    },
+  };
+}
+
+module.exports = {
+  buildOpenApiSpec,
+};
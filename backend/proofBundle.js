@@ -0,0 +1,34 @@
+const PROOF_BUNDLE_FORMAT = "forensic-chainguard-proof-bundle";
+const PROOF_BUNDLE_VERSION = 1;
+
+// Every transaction that touched the record: lifecycle events and
+// world-state history entries, in first-seen order.
+function collectTxIds(events, history) {
+  const txIds = [...events, ...history].map((entry) => entry.txId);
+  return [...new Set(txIds.filter(Boolean))];
+}
+
+// Self-contained package for offline verification with
+// verifier/verify-bundle.js: the ledger data as the app sees it, plus the
+// raw blocks (endorsements, creator certs, orderer signatures) that prove it.
+function buildProofBundle({ evidence, events, history, ledger, exportedBy }) {
+  return {
+    format: PROOF_BUNDLE_FORMAT,
+    version: PROOF_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    exportedBy,
+    channel: ledger.channel,
+    chaincode: ledger.chaincode,
+    evidence,
+    events,
+    history,
+    chainInfo: ledger.chainInfo,
+    blocks: ledger.blocks,
+    headers: ledger.headers,
+  };
+}
+
+module.exports = {
+  collectTxIds,
+  buildProofBundle,
+};
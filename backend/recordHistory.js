@@ -0,0 +1,62 @@
+/*
+ * Version view of an evidence record: every world-state version from
+ * GetEvidenceHistory, oldest first, with the fields that changed since the
+ * previous version. Each version is matched with the EVIDENCE_EVENT its
+ * transaction wrote; a version without one changed the record without
+ * leaving a custody event and is flagged.
+ */
+
+// Changes on every write; the version's own timestamp already shows it
+const IGNORED_FIELDS = ["updatedAt"];
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Fields that differ between two versions of a record, as { field, from, to };
+// a field missing from either side is null there
+function diffRecords(before, after) {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  const changes = [];
+  for (const field of [...fields].sort()) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (!sameValue(from, to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+function buildVersionHistory(history, events) {
+  const eventsByTx = new Map(events.map((ev) => [ev.txId, ev]));
+  // the peer returns history newest first
+  const ordered = [...history].reverse();
+
+  let previous;
+  return ordered.map((entry, index) => {
+    const event = eventsByTx.get(entry.txId);
+    const version = {
+      version: index + 1,
+      txId: entry.txId,
+      timestamp: entry.timestamp,
+      isDelete: entry.isDelete,
+      record: entry.value,
+      changes: diffRecords(previous, entry.value),
+      eventType: event ? event.eventType : null,
+      performedBy: event ? event.performedBy : null,
+      missingEvent: !event,
+    };
+    previous = entry.value;
+    return version;
+  });
+}
+
+module.exports = {
+  diffRecords,
+  buildVersionHistory,
+};
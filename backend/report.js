@@ -0,0 +1,416 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+
+// Every issued report is kept here so a later copy can be checked against it
+const REPORTS_DIR = path.join(__dirname, "reports");
+const signingKeyPath = path.join(__dirname, "config", "report-signing-key.pem");
+
+let signingKey = null;
+
+// Ed25519 key used to sign reports; generated on first use.
+function getSigningKey() {
+  if (signingKey) {
+    return signingKey;
+  }
+  if (!fs.existsSync(signingKeyPath)) {
+    const { privateKey } = crypto.generateKeyPairSync("ed25519");
+    fs.writeFileSync(
+      signingKeyPath,
+      privateKey.export({ type: "pkcs8", format: "pem" }),
+      { mode: 0o600 }
+    );
+  }
+  signingKey = crypto.createPrivateKey(fs.readFileSync(signingKeyPath));
+  return signingKey;
+}
+
+function getPublicKeyPem() {
+  return crypto
+    .createPublicKey(getSigningKey())
+    .export({ type: "spki", format: "pem" });
+}
+
+function getKeyFingerprint() {
+  const der = crypto
+    .createPublicKey(getSigningKey())
+    .export({ type: "spki", format: "der" });
+  return crypto.createHash("sha256").update(der).digest("hex");
+}
+
+// JSON with object keys sorted at every level, so the hash is reproducible
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function buildReport({ evidence, events, history, integrity, generatedBy }) {
+  return {
+    reportId: crypto.randomUUID(),
+    generatedAt: new Date().toISOString(),
+    generatedBy,
+    evidence,
+    integrity,
+    custody: events.map((ev) => ({
+      timestamp: ev.timestamp,
+      eventType: ev.eventType,
+      performedBy: ev.performedBy,
+      role: ev.role,
+      mspId: ev.cert && ev.cert.mspId,
+      certSubject: ev.cert && ev.cert.subject,
+      fromCustodian: ev.fromCustodian,
+      toCustodian: ev.toCustodian,
+      notes: ev.notes,
+      imageHash: ev.imageHash,
+      txId: ev.txId,
+    })),
+    history: history.map((h) => ({
+      txId: h.txId,
+      timestamp: h.timestamp,
+      isDelete: h.isDelete,
+      status: h.value && h.value.status,
+      currentCustodian: h.value && h.value.currentCustodian,
+    })),
+  };
+}
+
+// Hashes and signs the canonical report and records it in the registry.
+function signAndRegister(report) {
+  const canonical = canonicalJson(report);
+  const verificationHash = crypto
+    .createHash("sha256")
+    .update(canonical)
+    .digest("hex");
+  const signature = crypto
+    .sign(null, Buffer.from(canonical), getSigningKey())
+    .toString("base64");
+
+  const signed = {
+    report,
+    verificationHash,
+    signature,
+    signatureAlgorithm: "Ed25519",
+    keyFingerprint: getKeyFingerprint(),
+  };
+
+  if (!fs.existsSync(REPORTS_DIR)) {
+    fs.mkdirSync(REPORTS_DIR, { recursive: true });
+  }
+  fs.writeFileSync(
+    path.join(REPORTS_DIR, `${report.reportId}.json`),
+    JSON.stringify(signed, null, 2)
+  );
+
+  return signed;
+}
+
+// Checks a verification hash printed on a report copy against the original.
+function verifyReport(reportId, verificationHash) {
+  if (!/^[0-9a-f-]{36}$/i.test(reportId)) {
+    return { valid: false, reason: "Malformed report ID" };
+  }
+  const recordPath = path.join(REPORTS_DIR, `${reportId}.json`);
+  if (!fs.existsSync(recordPath)) {
+    return { valid: false, reason: "No report was issued with this ID" };
+  }
+
+  const signed = JSON.parse(fs.readFileSync(recordPath, "utf8"));
+  const canonical = canonicalJson(signed.report);
+  const recomputed = crypto
+    .createHash("sha256")
+    .update(canonical)
+    .digest("hex");
+  const signatureValid = crypto.verify(
+    null,
+    Buffer.from(canonical),
+    crypto.createPublicKey(getSigningKey()),
+    Buffer.from(signed.signature, "base64")
+  );
+
+  if (!signatureValid || recomputed !== signed.verificationHash) {
+    return { valid: false, reason: "Stored report record has been altered" };
+  }
+  if (verificationHash && verificationHash !== signed.verificationHash) {
+    return { valid: false, reason: "Verification hash does not match" };
+  }
+
+  return {
+    valid: true,
+    reportId,
+    evidenceId: signed.report.evidence.evidenceId,
+    generatedAt: signed.report.generatedAt,
+    generatedBy: signed.report.generatedBy,
+    verificationHash: signed.verificationHash,
+    keyFingerprint: signed.keyFingerprint,
+  };
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toISOString() : "";
+}
+
+function integrityText(integrity) {
+  const ranges = integrity.chunkCheck && integrity.chunkCheck.mismatchedRanges;
+  if (integrity.tampered === true && ranges && ranges.length > 0) {
+    const list = ranges.map((r) => `${r.start}-${r.end - 1}`).join(", ");
+    return `TAMPER DETECTED (bytes ${list} differ)`;
+  }
+  if (integrity.tampered === true) return "TAMPER DETECTED (hash mismatch)";
+  if (integrity.tampered === false) return "VERIFIED (hashes match)";
+  if (!integrity.imageExists) return "No stored image to verify against";
+  return "Unknown";
+}
+
+function renderReportHtml(signed) {
+  const { report } = signed;
+  const { evidence, integrity } = report;
+
+  const custodyRows = report.custody
+    .map(
+      (ev, i) => `
+      <tr>
+        <td>${i + 1}</td>
+        <td>${escapeHtml(formatTime(ev.timestamp))}</td>
+        <td>${escapeHtml(ev.eventType)}</td>
+        <td>${escapeHtml(ev.performedBy)}<br><small>${escapeHtml(
+        ev.role
+      )} · ${escapeHtml(ev.mspId)}</small></td>
+        <td>${escapeHtml(ev.fromCustodian)}${
+        ev.fromCustodian ? " → " : ""
+      }${escapeHtml(ev.toCustodian)}</td>
+        <td>${escapeHtml(ev.notes)}</td>
+        <td class="mono">${escapeHtml(ev.txId)}</td>
+      </tr>`
+    )
+    .join("");
+
+  const historyRows = report.history
+    .map(
+      (h) => `
+      <tr>
+        <td>${escapeHtml(formatTime(h.timestamp))}</td>
+        <td>${escapeHtml(h.isDelete ? "DELETED" : h.status)}</td>
+        <td>${escapeHtml(h.currentCustodian)}</td>
+        <td class="mono">${escapeHtml(h.txId)}</td>
+      </tr>`
+    )
+    .join("");
+
+  // Machine-readable copy for offline re-verification; "<" is escaped so
+  // the JSON cannot close the script element.
+  const embedded = JSON.stringify(signed).replace(/</g, "\\u003c");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Chain of Custody Report — ${escapeHtml(evidence.evidenceId)}</title>
+<style>
+  @page { size: A4; margin: 18mm 14mm; }
+  body { font-family: Georgia, "Times New Roman", serif; font-size: 11pt; color: #111; }
+  h1 { font-size: 16pt; margin: 0 0 4px; }
+  h2 { font-size: 12pt; margin: 18px 0 6px; border-bottom: 1px solid #999; }
+  table { width: 100%; border-collapse: collapse; font-size: 9pt; }
+  thead { display: table-header-group; }
+  tr { page-break-inside: avoid; }
+  th, td { border: 1px solid #bbb; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  .mono { font-family: "Courier New", monospace; word-break: break-all; }
+  .meta td:first-child { width: 28%; font-weight: bold; }
+  .verification { margin-top: 18px; padding: 8px; border: 2px solid #111; page-break-inside: avoid; }
+  .tampered { color: #b00; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Chain of Custody Report</h1>
+<div>Report ID <span class="mono">${escapeHtml(report.reportId)}</span></div>
+<div>Generated ${escapeHtml(report.generatedAt)} by ${escapeHtml(
+    report.generatedBy
+  )}</div>
+
+<h2>Evidence</h2>
+<table class="meta">
+  <tr><td>Evidence ID</td><td>${escapeHtml(evidence.evidenceId)}</td></tr>
+  <tr><td>Case ID hash</td><td class="mono">${escapeHtml(
+    evidence.caseIdHash
+  )}</td></tr>
+  <tr><td>Description</td><td>${escapeHtml(evidence.description)}</td></tr>
+  <tr><td>Status</td><td>${escapeHtml(evidence.status)}</td></tr>
+  <tr><td>Current custodian</td><td>${escapeHtml(
+    evidence.currentCustodian
+  )}</td></tr>
+  <tr><td>Created</td><td>${escapeHtml(
+    formatTime(evidence.createdAt)
+  )} by ${escapeHtml(evidence.createdBy)}</td></tr>
+  <tr><td>Image hash (on chain)</td><td class="mono">${escapeHtml(
+    integrity.hashOnChain
+  )}</td></tr>
+  <tr><td>Image hash (stored copy)</td><td class="mono">${escapeHtml(
+    integrity.hashLocal
+  )}</td></tr>
+  <tr><td>Integrity check</td><td class="${
+    integrity.tampered ? "tampered" : ""
+  }">${escapeHtml(integrityText(integrity))}</td></tr>
+</table>
+
+<h2>Custody Events</h2>
+<table>
+  <thead><tr><th>#</th><th>Time (UTC)</th><th>Event</th><th>Actor</th><th>Custody</th><th>Notes</th><th>Tx ID</th></tr></thead>
+  <tbody>${custodyRows}</tbody>
+</table>
+
+<h2>Record Versions</h2>
+<table>
+  <thead><tr><th>Time (UTC)</th><th>Status</th><th>Custodian</th><th>Tx ID</th></tr></thead>
+  <tbody>${historyRows}</tbody>
+</table>
+
+<div class="verification">
+  <strong>Verification</strong><br />
+  SHA-256 of report content: <span class="mono">${escapeHtml(
+    signed.verificationHash
+  )}</span><br />
+  ${escapeHtml(
+    signed.signatureAlgorithm
+  )} signature: <span class="mono">${escapeHtml(signed.signature)}</span><br />
+  Signing key fingerprint: <span class="mono">${escapeHtml(
+    signed.keyFingerprint
+  )}</span><br />
+  Check a copy with <span class="mono">POST /api/reports/verify</span> using the report ID and hash above.
+</div>
+<script type="application/json" id="report-data">${embedded}</script>
+</body>
+</html>`;
+}
+
+// Streams a paginated PDF rendering of the signed report into `out`.
+function renderReportPdf(signed, out) {
+  const { report } = signed;
+  const { evidence, integrity } = report;
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margins: { top: 50, bottom: 60, left: 50, right: 50 },
+    bufferPages: true,
+    info: {
+      Title: `Chain of Custody Report — ${evidence.evidenceId}`,
+      Subject: signed.verificationHash,
+    },
+  });
+  doc.pipe(out);
+
+  const field = (label, value) => {
+    doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+    doc
+      .font("Helvetica")
+      .text(value === undefined || value === null ? "" : String(value));
+  };
+
+  doc.font("Helvetica-Bold").fontSize(16).text("Chain of Custody Report");
+  doc.fontSize(9).font("Helvetica");
+  field("Report ID", report.reportId);
+  field("Generated", `${report.generatedAt} by ${report.generatedBy}`);
+
+  doc.moveDown().fontSize(12).font("Helvetica-Bold").text("Evidence");
+  doc.fontSize(9);
+  field("Evidence ID", evidence.evidenceId);
+  field("Case ID hash", evidence.caseIdHash);
+  field("Description", evidence.description);
+  field("Status", evidence.status);
+  field("Current custodian", evidence.currentCustodian);
+  field(
+    "Created",
+    `${formatTime(evidence.createdAt)} by ${evidence.createdBy}`
+  );
+  field("Image hash (on chain)", integrity.hashOnChain);
+  field("Image hash (stored copy)", integrity.hashLocal);
+  field("Integrity check", integrityText(integrity));
+
+  doc.moveDown().fontSize(12).font("Helvetica-Bold").text("Custody Events");
+  doc.fontSize(9);
+  report.custody.forEach((ev, i) => {
+    doc.moveDown(0.5);
+    doc
+      .font("Helvetica-Bold")
+      .text(`${i + 1}. ${ev.eventType} — ${formatTime(ev.timestamp)}`);
+    field("Actor", `${ev.performedBy} (${ev.role}, ${ev.mspId || "?"})`);
+    if (ev.certSubject) field("Certificate", ev.certSubject);
+    if (ev.fromCustodian || ev.toCustodian) {
+      field(
+        "Custody",
+        `${ev.fromCustodian ? `${ev.fromCustodian} -> ` : ""}${
+          ev.toCustodian || ""
+        }`
+      );
+    }
+    if (ev.notes) field("Notes", ev.notes);
+    field("Tx ID", ev.txId);
+  });
+
+  doc.moveDown().fontSize(12).font("Helvetica-Bold").text("Record Versions");
+  doc.fontSize(9);
+  report.history.forEach((h) => {
+    field(
+      formatTime(h.timestamp),
+      `${h.isDelete ? "DELETED" : h.status} / ${
+        h.currentCustodian || ""
+      } / tx ${h.txId}`
+    );
+  });
+
+  doc.moveDown().fontSize(12).font("Helvetica-Bold").text("Verification");
+  doc.fontSize(9);
+  field("SHA-256 of report content", signed.verificationHash);
+  field(`${signed.signatureAlgorithm} signature`, signed.signature);
+  field("Signing key fingerprint", signed.keyFingerprint);
+
+  // Footer on every page: page numbering plus the verification hash
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // drawing inside the bottom margin would otherwise add a page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc
+      .fontSize(7)
+      .font("Helvetica")
+      .text(
+        `Report ${report.reportId} · Page ${i + 1} of ${range.count} · ${
+          signed.verificationHash
+        }`,
+        50,
+        doc.page.height - 40,
+        { width: doc.page.width - 100, align: "center", lineBreak: false }
+      );
+    doc.page.margins.bottom = bottomMargin;
+  }
+
+  doc.end();
+}
+
+module.exports = {
+  buildReport,
+  signAndRegister,
+  verifyReport,
+  getPublicKeyPem,
+  renderReportHtml,
+  renderReportPdf,
+};
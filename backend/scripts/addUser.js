@@ -0,0 +1,23 @@
+// Usage: node scripts/addUser.js <username> <password> <role>
+// Bootstraps accounts (e.g. the first EvidenceManager) before anyone can log in.
+const { ROLES, createUser } = require("../auth");
+
+async function main() {
+  const [username, password, role] = process.argv.slice(2);
+  if (!username || !password || !role) {
+    console.error(
+      `Usage: node scripts/addUser.js <username> <password> <${ROLES.join(
+        "|"
+      )}>`
+    );
+    process.exit(1);
+  }
+
+  const user = await createUser(username, password, role);
+  console.log(`Created user "${user.username}" with role ${user.role}`);
+}
+
+main().catch((err) => {
+  console.error("Failed to create user:", err.message);
+  process.exit(1);
+});
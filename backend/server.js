@@ -5,107 +5,628 @@ const crypto = require("crypto");
 const multer = require("multer");
 const cors = require("cors");
 const morgan = require("morgan");
+const session = require("express-session");
 
 const {
-  createEvidenceOnChain,
   getEvidenceFromChain,
+  getEvidenceHistoryFromChain,
+  searchEvidenceOnChain,
   getEvidenceEventsFromChain,
-  submitEvidenceActionOnChain,
-} = require("./fabricClient");
+  submitTransactionOnChain,
+  submitTransactionAsync,
+  submitPrivateDetailsOnChain,
+  getTransactionStatus,
+  getCaseFromChain,
+  getCaseEvidenceFromChain,
+  getPendingTransfersFromChain,
+  getEndorsingOrgsFromChain,
+  getAllowedActionsFromChain,
+  getEvidencePrivateDetailsFromChain,
+  getCasePrivateDetailsFromChain,
+  getLedgerProofFromChain,
+  listenForEvidenceEvents,
+  listArtifactsFromChain,
+  findEvidenceByHashOnChain,
+  getRetentionPoliciesFromChain,
+  getEligibleForDispositionFromChain,
+  getCustodySlasFromChain,
+  getOverdueEvidenceFromChain,
+  getCustodyPeriodsFromChain,
+  getCustodyAnalyticsFromChain,
+} = require("./ledger");
+const { publishEvidenceEvent, streamEvidenceEvents } = require("./eventStream");
+const {
+  createUser,
+  authenticate,
+  requireAuth,
+  requireRole,
+} = require("./auth");
+const {
+  buildReport,
+  signAndRegister,
+  verifyReport,
+  getPublicKeyPem,
+  renderReportHtml,
+  renderReportPdf,
+} = require("./report");
+const { collectTxIds, buildProofBundle } = require("./proofBundle");
+const { hashFileChunks } = require("./merkle");
+const {
+  INCOMING_DIR,
+  putObject,
+  recordProvenance,
+  getProvenance,
+  openFile,
+} = require("./evidenceStore");
+const {
+  imageFile,
+  artifactFile,
+  checkImageIntegrity,
+  checkArtifactsIntegrity,
+  listTamperAlerts,
+  getSweepStatus,
+  startSweep,
+  scheduleSweeps,
+} = require("./integrity");
+const {
+  createUploadSession,
+  getUploadSession,
+  describeSession,
+  expectedChunkLength,
+  writeChunk,
+  placeChunk,
+  discardChunk,
+  markChunkReceived,
+  completeUpload,
+  storeUpload,
+  releaseUpload,
+} = require("./chunkedUpload");
+const { ACCESS_TYPES, recordAccess, getAccessEvents } = require("./accessLog");
+const { buildVersionHistory } = require("./recordHistory");
+const { startIntake, getIntakeJob } = require("./bulkIntake");
+const {
+  checkWebhookTarget,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  deleteSubscription,
+  listDeadLetters,
+  notifyTamperDetected,
+  startWebhookDispatch,
+} = require("./webhooks");
+const { LedgerError, toLedgerError, sendError } = require("./errors");
+const { validateBody } = require("./validation");
+const { buildOpenApiSpec } = require("./openapi");
 
 const app = express();
-const PORT = 3000;
+const PORT = Number(process.env.PORT) || 3000;
 
 const FRONTEND_DIR = path.join(__dirname, "..", "frontend");
-const UPLOADS_DIR = path.join(__dirname, "uploads");
-
-if (!fs.existsSync(UPLOADS_DIR)) {
-  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-}
+const caseIdSaltPath = path.join(__dirname, "config", "case-id-salt");
 
 app.use(cors());
 app.use(express.json());
 app.use(morgan("dev"));
+app.use(
+  session({
+    secret:
+      process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex"),
+    resave: false,
+    saveUninitialized: false,
+    cookie: { httpOnly: true, sameSite: "strict" },
+  })
+);
 app.use(express.static(FRONTEND_DIR)); // frontend static files
-app.use("/images", express.static(UPLOADS_DIR));
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, UPLOADS_DIR);
-  },
-  filename: (req, file, cb) => {
-    const uniquePrefix = Date.now();
-    const safeOriginalName = file.originalname.replace(/\s+/g, "_");
-    cb(null, `${uniquePrefix}-${safeOriginalName}`);
-  },
-});
-
-const upload = multer({ storage });
-
-// SHA-256 hash of evidence image
-function hashFileSha256(filePath) {
-  return new Promise((resolve, reject) => {
-    const hash = crypto.createHash("sha256");
-    const stream = fs.createReadStream(filePath);
-    stream.on("error", (err) => reject(err));
-    stream.on("data", (chunk) => hash.update(chunk));
-    stream.on("end", () => resolve(hash.digest("hex")));
+// multer only stages files; they are moved into the store once hashed
+const upload = multer({ dest: INCOMING_DIR });
+
+/*
+ * Removes the files multer staged for the request once the response is
+ * done, so a rejected request or early return leaves no plaintext in
+ * INCOMING_DIR. Files already moved into the store are gone from there;
+ * a handler passing them on to background work sets
+ * req.stagedFilesHandedOff.
+ */
+function removeStagedFiles(req, res, next) {
+  res.on("close", () => {
+    if (req.stagedFilesHandedOff) return;
+    const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+    for (const file of files) {
+      fs.rmSync(file.path, { force: true });
+    }
+  });
+  next();
+}
+
+// Hashes a file staged by multer (whole file, per chunk and Merkle root)
+// and encrypts it into the case's part of the evidence store. Same shape
+// as a completed chunked upload.
+async function describeUploadedFile(file, uploadedBy, caseIdHash) {
+  const hashed = await hashFileChunks(file.path);
+  const filename = file.originalname.replace(/\s+/g, "_");
+  await putObject(
+    file.path,
+    hashed,
+    {
+      by: uploadedBy,
+      originalName: filename,
+      mediaType: file.mimetype,
+      source: "multipart",
+    },
+    caseIdHash
+  );
+  return {
+    filename,
+    size: file.size,
+    mediaType: file.mimetype,
+    hash: hashed.hash,
+    chunkSize: hashed.chunkSize,
+    merkleRoot: hashed.merkleRoot,
+  };
+}
+
+// A completed chunked upload of the current user, or null
+function completedUpload(req, uploadId) {
+  const upload = getUploadSession(uploadId, req.session.user.username);
+  return upload && upload.status === "COMPLETE" ? upload : null;
+}
+
+// Stored files are released to Evidence Managers, and to Forensic
+// Technicians who hold (or are about to receive) custody of the item.
+// Viewers see the ledger record only.
+function canDownloadFiles(user, evidence) {
+  if (user.role === "EvidenceManager") {
+    return true;
+  }
+  if (user.role !== "ForensicTechnician") {
+    return false;
+  }
+  return (
+    evidence.currentCustodian === user.username ||
+    (evidence.pendingTransfer &&
+      evidence.pendingTransfer.toCustodian === user.username)
+  );
+}
+
+let caseIdSalt = null;
+
+// Org secret mixed into case ID hashes; generated on first use unless
+// CASE_ID_SALT is set. Losing it orphans the link from case numbers to
+// their on-chain records.
+function getCaseIdSalt() {
+  if (!caseIdSalt) {
+    caseIdSalt = process.env.CASE_ID_SALT;
+  }
+  if (!caseIdSalt) {
+    if (!fs.existsSync(caseIdSaltPath)) {
+      fs.writeFileSync(caseIdSaltPath, crypto.randomBytes(32).toString("hex"), {
+        mode: 0o600,
+      });
+    }
+    caseIdSalt = fs.readFileSync(caseIdSaltPath, "utf8").trim();
+  }
+  return caseIdSalt;
+}
+
+// Only a salted hash of a case ID is stored on the shared channel, so other
+// orgs cannot confirm a case number by hashing guesses. The plaintext goes to
+// the private collection.
+function hashCaseId(caseId) {
+  return crypto
+    .createHmac("sha256", getCaseIdSalt())
+    .update(caseId)
+    .digest("hex");
+}
+
+// Private collection details, or null when the user's org is not a member
+// of the collection or nothing private was recorded.
+async function getPrivateDetails(userId, evidenceId) {
+  try {
+    return await getEvidencePrivateDetailsFromChain(userId, evidenceId);
+  } catch (err) {
+    return null;
+  }
+}
+
+/*
+ * Submits a transaction through the ledger's submit queue and waits for
+ * the commit and the private details. Resolves to the submission (see
+ * submitTransactionAsync) with privateFailure: null, or what kept the
+ * private details from being written. The committed transaction stands
+ * either way, so the request succeeds and reports it with
+ * privateDetailsFailure.
+ */
+async function submitAndCommit(req, txName, payload, privateData) {
+  const submitted = await submitTransactionAsync(
+    req.session.user.username,
+    txName,
+    payload,
+    privateData
+  );
+  await submitted.committed;
+  return { ...submitted, privateFailure: await submitted.privateDetails };
+}
+
+/*
+ * Submits a transaction for the request: with submitAndCommit, or for a
+ * client sending `Prefer: respond-async` as soon as the transaction is
+ * ordered, the submission then having pending set, to answer with
+ * sendAccepted.
+ */
+async function submitForRequest(req, txName, payload, privateData) {
+  if (!/\brespond-async\b/i.test(req.get("Prefer") || "")) {
+    return submitAndCommit(req, txName, payload, privateData);
+  }
+  const submitted = await submitTransactionAsync(
+    req.session.user.username,
+    txName,
+    payload,
+    privateData
+  );
+  return { ...submitted, pending: true };
+}
+
+// Response fields for private details that were not written after their
+// transaction committed; the client sends them again to retryUrl.
+function privateDetailsFailure({ txId, error }, retryUrl) {
+  const ledgerError = toLedgerError(error);
+  return {
+    privateDetails: {
+      error: "Private details were not written",
+      code: ledgerError.code,
+      details: ledgerError.message,
+      txId,
+      retryUrl,
+    },
+  };
+}
+
+// 202 for a transaction still committing; its status is polled at
+// GET /api/transactions/:txId
+function sendAccepted(res, submitted, body) {
+  res.status(202).json({
+    ...body,
+    txId: submitted.txId,
+    status: "PENDING",
+    statusUrl: `/api/transactions/${submitted.txId}`,
   });
 }
 
+// Puts the private note of each event back on it for display
+function withPrivateNotes(events, privateDetails) {
+  if (!privateDetails) {
+    return events;
+  }
+  const notes = new Map(privateDetails.notes.map((n) => [n.txId, n.text]));
+  return events.map((ev) =>
+    notes.has(ev.txId) ? { ...ev, notes: notes.get(ev.txId) } : ev
+  );
+}
+
 app.get("/api/health", (req, res) => {
   res.json({ status: "ok" });
 });
 
-app.post("/api/evidence", upload.single("image"), async (req, res) => {
+app.post("/api/auth/login", validateBody("Login"), (req, res) => {
+  const { username, password } = req.body;
+
+  const user = authenticate(username, password);
+  if (!user) {
+    return res.status(401).json({ error: "Invalid username or password" });
+  }
+
+  req.session.regenerate((err) => {
+    if (err) {
+      console.error("Error in POST /api/auth/login", err);
+      return res.status(500).json({ error: "Failed to start session" });
+    }
+    req.session.user = user;
+    res.json({ user });
+  });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  req.session.destroy(() => {
+    res.json({ message: "Logged out" });
+  });
+});
+
+app.get("/api/auth/me", requireAuth, (req, res) => {
+  res.json({ user: req.session.user });
+});
+
+// Register a new user with the Fabric CA and enroll it into the wallet.
+app.post(
+  "/api/users",
+  requireRole("EvidenceManager"),
+  validateBody("CreateUser"),
+  async (req, res) => {
+    const { username, password, role } = req.body;
+
+    try {
+      const user = await createUser(username, password, role);
+      res.status(201).json({ user });
+    } catch (err) {
+      console.error("Error in POST /api/users", err);
+      sendError(res, err, "Failed to create user");
+    }
+  }
+);
+
+/*
+ * Resumable chunked upload. POST opens a session ({ filename, size,
+ * mediaType?, chunkSize? }); each chunk is PUT as a raw body at
+ * /chunks/:index, optionally with X-Chunk-Sha256 so damage in transit is
+ * caught; GET reports missingChunks for resuming; complete assembles the
+ * file. The uploadId is then passed to POST /api/evidence or
+ * /api/evidence/:id/artifacts in place of a file.
+ */
+app.use("/api/uploads", requireAuth);
+
+app.post("/api/uploads", validateBody("CreateUpload"), (req, res) => {
+  const { filename, size, mediaType, chunkSize } = req.body;
+
   try {
-    const { evidenceId, caseId, description, role, userId } = req.body;
-    const file = req.file;
+    const upload = createUploadSession({
+      owner: req.session.user.username,
+      filename,
+      size,
+      mediaType,
+      chunkSize,
+    });
+    res.status(201).json(describeSession(upload));
+  } catch (err) {
+    res.status(400).json({
+      error: "Failed to start upload",
+      details: err.message,
+    });
+  }
+});
 
-    if (!evidenceId || !caseId) {
+app.get("/api/uploads/:uploadId", (req, res) => {
+  const upload = getUploadSession(
+    req.params.uploadId,
+    req.session.user.username
+  );
+  if (!upload) {
+    return res.status(404).json({ error: "Upload not found" });
+  }
+  res.json(describeSession(upload));
+});
+
+app.put("/api/uploads/:uploadId/chunks/:index", async (req, res) => {
+  const upload = getUploadSession(
+    req.params.uploadId,
+    req.session.user.username
+  );
+  if (!upload) {
+    return res.status(404).json({ error: "Upload not found" });
+  }
+  if (upload.status !== "UPLOADING") {
+    return res.status(409).json({ error: "Upload is already complete" });
+  }
+
+  const index = Number(req.params.index);
+  if (!Number.isInteger(index) || index < 0 || index >= upload.chunkCount) {
+    return res.status(400).json({
+      error: `Chunk index must be between 0 and ${upload.chunkCount - 1}`,
+    });
+  }
+
+  let chunk;
+  try {
+    chunk = await writeChunk(upload, index, req);
+    const { hash, length } = chunk;
+    const expectedLength = expectedChunkLength(upload, index);
+    const expectedHash = req.get("X-Chunk-Sha256");
+
+    if (length !== expectedLength) {
       return res.status(400).json({
-        error: "evidenceId and caseId are required",
+        error: `Chunk ${index} must be ${expectedLength} bytes, got ${length}`,
       });
     }
-
-    if (!file) {
+    if (expectedHash && expectedHash.toLowerCase() !== hash) {
       return res.status(400).json({
-        error: "Image file is required",
+        error: `Chunk ${index} does not match X-Chunk-Sha256`,
+        hash,
+      });
+    }
+
+    await placeChunk(upload, index, chunk);
+    // re-read: other chunks may have been recorded while this one streamed
+    const current = getUploadSession(upload.uploadId, upload.owner);
+    markChunkReceived(current, index, hash);
+    res.json({
+      index,
+      hash,
+      receivedCount: describeSession(current).receivedCount,
+    });
+  } catch (err) {
+    console.error("Error in PUT /api/uploads/:uploadId/chunks/:index", err);
+    res.status(400).json({
+      error: "Failed to store chunk",
+      details: err.message,
+    });
+  } finally {
+    if (chunk) discardChunk(chunk);
+  }
+});
+
+app.post("/api/uploads/:uploadId/complete", async (req, res) => {
+  const upload = getUploadSession(
+    req.params.uploadId,
+    req.session.user.username
+  );
+  if (!upload) {
+    return res.status(404).json({ error: "Upload not found" });
+  }
+  if (upload.status === "COMPLETE") {
+    return res.json(describeSession(upload));
+  }
+
+  const { missingChunks } = describeSession(upload);
+  if (missingChunks.length > 0) {
+    return res.status(409).json({
+      error: "Upload is missing chunks",
+      missingChunks,
+    });
+  }
+
+  try {
+    if (!(await completeUpload(upload))) {
+      return res.status(409).json({
+        error: "Upload has chunks that changed after they were received",
+        missingChunks: describeSession(upload).missingChunks,
       });
     }
+    res.json(describeSession(upload));
+  } catch (err) {
+    console.error("Error in POST /api/uploads/:uploadId/complete", err);
+    sendError(res, err, "Failed to complete upload");
+  }
+});
 
-    const imagePath = file.path;
-    const imageFilename = file.filename;
+app.use("/api/evidence", requireAuth);
 
-    const imageHash = await hashFileSha256(imagePath); // Hash of the image file
-    const caseIdHash = crypto.createHash("sha256").update(caseId).digest("hex"); // Hash of caseId to store on chain (for privacy)
-    const createdBy = userId || "demoUser"; // in real system, this would be cert identity
+app.post(
+  "/api/evidence",
+  upload.single("image"),
+  removeStagedFiles,
+  validateBody("CreateEvidence"),
+  async (req, res) => {
+    try {
+      const { evidenceId, caseId, category, description, notes, uploadId } =
+        req.body;
+      const file = req.file;
 
-    // chaincode object
-    const evidenceData = {
-      evidenceId,
-      caseIdHash,
-      description: description || "",
-      imageHash,
-      imageFilename, // local image name with timestamp
-      createdBy,
-      role: role || "Unknown",
-    };
+      // either a multipart image or a completed chunked upload
+      const chunked = uploadId ? completedUpload(req, uploadId) : null;
+      if (!file && !chunked) {
+        return res.status(400).json({
+          error: uploadId
+            ? `Upload '${uploadId}' is not complete`
+            : "Image file is required",
+        });
+      }
 
-    await createEvidenceOnChain(evidenceData); // submit to fabric network
+      const caseIdHash = hashCaseId(caseId);
+      const image = chunked
+        ? await storeUpload(chunked, caseIdHash)
+        : await describeUploadedFile(
+            file,
+            req.session.user.username,
+            caseIdHash
+          );
+      const imageHash = image.hash; // also the file's key in the evidence store
+      const imageFilename = image.filename; // original file name
 
-    res.status(201).json({
-      message: "Evidence created successfully",
-      evidenceId,
-      imageHash,
-      imageFilename,
-    });
+      // chaincode object; creator and role are taken from the signing cert
+      const evidenceData = {
+        evidenceId,
+        caseIdHash,
+        imageHash,
+        imageFilename,
+        imageSize: image.size,
+        imageMediaType: image.mediaType,
+        imageMerkleRoot: image.merkleRoot,
+        imageChunkSize: image.chunkSize,
+        category: category || undefined,
+      };
+
+      // submit to fabric network; plaintext goes to the private collection
+      const submitted = await submitForRequest(
+        req,
+        "CreateEvidence",
+        evidenceData,
+        { caseId, description, notes }
+      );
+      const linkFile = () => {
+        if (chunked) releaseUpload(chunked);
+        recordProvenance(caseIdHash, imageHash, {
+          action: "LINKED",
+          by: req.session.user.username,
+          evidenceId,
+        });
+      };
+      const body = {
+        evidenceId,
+        imageHash,
+        imageFilename,
+        imageMerkleRoot: image.merkleRoot,
+      };
+
+      if (submitted.pending) {
+        submitted.committed.then(linkFile, (err) =>
+          console.error(`Evidence '${evidenceId}' was not committed:`, err)
+        );
+        return sendAccepted(res, submitted, {
+          message: "Evidence submitted",
+          ...body,
+        });
+      }
+      linkFile();
+      res.status(201).json({
+        message: "Evidence created successfully",
+        ...body,
+        ...(submitted.privateFailure &&
+          privateDetailsFailure(
+            submitted.privateFailure,
+            `/api/evidence/${encodeURIComponent(evidenceId)}/private`
+          )),
+      });
+    } catch (err) {
+      console.error("Error in /api/evidence:", err);
+      sendError(res, err, "Failed to create evidence");
+    }
+  }
+);
+
+/*
+ * Lists evidence matching the given filters, one page at a time. `from`/`to`
+ * accept any date string Date.parse understands and apply to `dateField`
+ * (createdAt by default, or updatedAt).
+ */
+app.get("/api/evidence", async (req, res) => {
+  const {
+    status,
+    custodian,
+    createdBy,
+    from,
+    to,
+    dateField = "createdAt",
+    pageSize,
+    bookmark,
+  } = req.query;
+
+  if (!["createdAt", "updatedAt"].includes(dateField)) {
+    return res
+      .status(400)
+      .json({ error: "dateField must be createdAt or updatedAt" });
+  }
+
+  const fromMs = from ? Date.parse(from) : undefined;
+  const toMs = to ? Date.parse(to) : undefined;
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    return res.status(400).json({ error: "from and to must be valid dates" });
+  }
+
+  const prefix = dateField === "createdAt" ? "created" : "updated";
+  const query = {
+    status,
+    custodian,
+    createdBy,
+    [`${prefix}From`]: fromMs,
+    [`${prefix}To`]: toMs,
+    pageSize: pageSize ? Number(pageSize) : undefined,
+    bookmark,
+  };
+
+  try {
+    const page = await searchEvidenceOnChain(req.session.user.username, query);
+    res.json(page);
   } catch (err) {
-    console.error("Error in /api/evidence:", err);
-    res.status(500).json({
-      error: "Failed to create evidence",
-      details: err.message,
-    });
+    console.error("Error in GET /api/evidence", err);
+    sendError(res, err, "Failed to search evidence");
   }
 });
 
@@ -116,122 +637,513 @@ app.get("/api/evidence/:id", async (req, res) => {
   const evidenceId = req.params.id;
 
   try {
-    const evidence = await getEvidenceFromChain(evidenceId); // query ledger
-
-    const hashOnChain = evidence.imageHash;
-    const imageFilename = evidence.imageFilename;
-
-    let hashLocal = null;
-    let tampered = null;
-    let imageExists = false;
-
-    if (imageFilename) {
-      const imagePath = path.join(UPLOADS_DIR, imageFilename);
-      if (fs.existsSync(imagePath)) {
-        imageExists = true;
-        hashLocal = await hashFileSha256(imagePath);
-        tampered = hashOnChain && hashLocal ? hashOnChain !== hashLocal : null;
-      } else {
-        imageExists = false;
-        tampered = null;
-      }
+    const evidence = await getEvidenceFromChain(
+      req.session.user.username,
+      evidenceId
+    ); // query ledger
+
+    // logged on chain without holding up the response
+    recordAccess(req.session.user.username, {
+      evidenceId,
+      accessType: "VIEWED",
+      purpose: req.query.purpose,
+    }).catch((err) =>
+      console.error(`Failed to log view of '${evidenceId}':`, err.message)
+    );
+
+    const image = await checkImageIntegrity(evidence);
+    const {
+      hashOnChain,
+      hashLocal,
+      imageExists,
+      tampered,
+      chunkCheck,
+      imageUrl,
+    } = image;
+    const privateDetails = await getPrivateDetails(
+      req.session.user.username,
+      evidenceId
+    );
+    const artifacts = await checkArtifactsIntegrity(
+      evidence,
+      await listArtifactsFromChain(req.session.user.username, evidenceId),
+      image
+    );
+
+    const tamperedFiles = artifacts
+      .filter((a) => a.tampered && a.artifactHash !== hashOnChain)
+      .map((a) => ({
+        hash: a.artifactHash,
+        filename: a.filename,
+        hashLocal: a.hashLocal,
+      }));
+    if (tampered) {
+      tamperedFiles.unshift({
+        hash: hashOnChain,
+        filename: evidence.imageFilename,
+        hashLocal,
+      });
+    }
+    if (tamperedFiles.length > 0) {
+      notifyTamperDetected(
+        req.session.user.username,
+        evidenceId,
+        tamperedFiles
+      );
     }
 
     res.json({
       evidence,
+      privateDetails,
       hashOnChain,
       hashLocal,
       imageExists,
-      tampered,
-      imageUrl: imageExists ? `/images/${imageFilename}` : null,
+      chunkCheck,
+      // the item counts as tampered if any of its files is
+      tampered: tampered || artifacts.some((a) => a.tampered),
+      imageUrl,
+      artifacts,
     });
   } catch (err) {
     console.error("Error in GET /api/evidence/:id", err);
-    res.status(500).json({
-      error: "Failed to fetch evidence",
-      details: err.message,
-    });
+    sendError(res, err, "Failed to fetch evidence");
   }
 });
 
-app.post("/api/evidence/:id/action", async (req, res) => {
+/*
+ * Court-ready chain-of-custody report combining the record, its events and
+ * its world-state history with a fresh tamper check. The report is signed
+ * with the backend key and registered so copies can be verified later.
+ */
+app.get("/api/evidence/:id/report", async (req, res) => {
   const evidenceId = req.params.id;
-  const {
-    actionType,
-    role,
-    userId,
-    custodian,
-    fromCustodian,
-    toCustodian,
-    notes,
-  } = req.body || {};
+  const format = req.query.format || "html";
 
-  if (!actionType) {
-    return res.status(400).json({ error: "actionType is required" });
+  if (!["html", "pdf"].includes(format)) {
+    return res.status(400).json({ error: "format must be pdf or html" });
   }
 
   try {
-    let txName;
-    let payload;
+    const userId = req.session.user.username;
+    const [evidence, events, history] = await Promise.all([
+      getEvidenceFromChain(userId, evidenceId),
+      getEvidenceEventsFromChain(userId, evidenceId),
+      getEvidenceHistoryFromChain(userId, evidenceId),
+    ]);
+    const integrity = await checkImageIntegrity(evidence);
+    const privateDetails = await getPrivateDetails(userId, evidenceId);
 
-    const performedBy = userId || "demoUser";
+    const signed = signAndRegister(
+      buildReport({
+        evidence,
+        events: withPrivateNotes(events, privateDetails),
+        history,
+        integrity,
+        generatedBy: userId,
+      })
+    );
+    const filename = `custody-report-${evidenceId}-${signed.report.reportId}`;
 
-    switch (actionType) {
-      case "CHECKIN":
-        txName = "CheckInEvidence";
-        payload = {
-          evidenceId,
-          custodian,
-          performedBy,
-          role,
-          notes,
-        };
-        break;
+    if (format === "pdf") {
+      res.type("application/pdf");
+      res.set("Content-Disposition", `inline; filename="${filename}.pdf"`);
+      renderReportPdf(signed, res);
+    } else {
+      res.type("html");
+      res.set("Content-Disposition", `inline; filename="${filename}.html"`);
+      res.send(renderReportHtml(signed));
+    }
+  } catch (err) {
+    console.error("Error in GET /api/evidence/:id/report", err);
+    sendError(res, err, "Failed to generate custody report");
+  }
+});
 
-      case "TRANSFER":
-        txName = "TransferEvidence";
-        if (!toCustodian) {
-          return res
-            .status(400)
-            .json({ error: "toCustodian is required for TRANSFER" });
-        }
-        payload = {
-          evidenceId,
-          fromCustodian,
-          toCustodian,
-          performedBy,
-          role,
-          notes,
-        };
-        break;
+/*
+ * Offline proof bundle: the record, its events and history together with
+ * the raw blocks of every transaction that touched it, for checking with
+ * verifier/verify-bundle.js away from the network.
+ */
+app.get("/api/evidence/:id/proof", async (req, res) => {
+  const evidenceId = req.params.id;
+
+  try {
+    const userId = req.session.user.username;
+    const [evidence, events, history] = await Promise.all([
+      getEvidenceFromChain(userId, evidenceId),
+      getEvidenceEventsFromChain(userId, evidenceId),
+      getEvidenceHistoryFromChain(userId, evidenceId),
+    ]);
+    const ledger = await getLedgerProofFromChain(
+      userId,
+      collectTxIds(events, history)
+    );
+
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="proof-bundle-${evidenceId}.json"`
+    );
+    res.json(
+      buildProofBundle({
+        evidence,
+        events,
+        history,
+        ledger,
+        exportedBy: userId,
+      })
+    );
+  } catch (err) {
+    console.error("Error in GET /api/evidence/:id/proof", err);
+    sendError(res, err, "Failed to export proof bundle");
+  }
+});
+
+app.get("/api/evidence/:id/artifacts", async (req, res) => {
+  const evidenceId = req.params.id;
+
+  try {
+    const evidence = await getEvidenceFromChain(
+      req.session.user.username,
+      evidenceId
+    );
+    const artifacts = await listArtifactsFromChain(
+      req.session.user.username,
+      evidenceId
+    );
+    res.json({
+      evidenceId,
+      artifacts: await checkArtifactsIntegrity(evidence, artifacts),
+    });
+  } catch (err) {
+    console.error("Error in GET /api/evidence/:id/artifacts", err);
+    sendError(res, err, "Failed to fetch artifacts");
+  }
+});
+
+/*
+ * Attaches one or more files to an evidence item: multipart `files` and/or
+ * completed chunked uploads named by `uploadId`. Each file becomes its own
+ * artifact (and ledger transaction); parentHash marks them as derived from
+ * an existing artifact, e.g. forensic copies of a seized disk image.
+ */
+app.post(
+  "/api/evidence/:id/artifacts",
+  upload.array("files"),
+  removeStagedFiles,
+  validateBody("AddArtifacts"),
+  async (req, res) => {
+    const evidenceId = req.params.id;
+    const parentHash = req.body.parentHash || undefined;
+    const files = req.files || [];
+    const uploadIds = [].concat(req.body.uploadId || []);
+
+    const uploads = uploadIds.map((id) => completedUpload(req, id));
+    const incomplete = uploadIds.filter((id, i) => !uploads[i]);
+    if (incomplete.length > 0) {
+      return res
+        .status(400)
+        .json({ error: `Upload '${incomplete[0]}' is not complete` });
+    }
+    if (files.length + uploads.length === 0) {
+      return res.status(400).json({ error: "At least one file is required" });
+    }
 
-      case "REMOVE":
-        txName = "RemoveEvidence";
-        payload = {
+    const added = [];
+    try {
+      const { caseIdHash } = await getEvidenceFromChain(
+        req.session.user.username,
+        evidenceId
+      );
+
+      for (const source of [...files, ...uploads]) {
+        const fileInfo = source.file
+          ? await storeUpload(source, caseIdHash)
+          : await describeUploadedFile(
+              source,
+              req.session.user.username,
+              caseIdHash
+            );
+        const artifact = {
           evidenceId,
-          performedBy,
-          role,
-          notes,
+          artifactHash: fileInfo.hash,
+          filename: fileInfo.filename,
+          size: fileInfo.size,
+          mediaType: fileInfo.mediaType,
+          parentHash,
+          merkleRoot: fileInfo.merkleRoot,
+          chunkSize: fileInfo.chunkSize,
         };
-        break;
+        await submitTransactionOnChain(
+          req.session.user.username,
+          "AddArtifact",
+          artifact
+        );
+        if (source.file) releaseUpload(source);
+        recordProvenance(caseIdHash, artifact.artifactHash, {
+          action: "LINKED",
+          by: req.session.user.username,
+          evidenceId,
+        });
+        added.push(artifact);
+      }
+
+      res.status(201).json({
+        message: `${added.length} artifact(s) added to evidence '${evidenceId}'`,
+        artifacts: added,
+      });
+    } catch (err) {
+      console.error("Error in POST /api/evidence/:id/artifacts", err);
+      sendError(res, err, "Failed to add artifacts", {
+        artifacts: added, // files recorded before the failure
+      });
+    }
+  }
+);
+
+// The stored file description of the evidence image or of one of its
+// artifacts, or null when hash belongs to neither.
+async function findEvidenceFile(userId, evidence, hash) {
+  const artifacts = await listArtifactsFromChain(userId, evidence.evidenceId);
+  const artifact = artifacts.find((a) => a.artifactHash === hash);
+  if (artifact) {
+    return {
+      ...artifactFile(evidence, artifact),
+      mediaType: artifact.mediaType,
+    };
+  }
+  // records from before artifacts only know their image
+  return evidence.imageHash === hash ? imageFile(evidence) : null;
+}
+
+/*
+ * Decrypts and streams a stored file of the evidence item to callers
+ * allowed by canDownloadFiles. Every download is logged on chain first.
+ */
+app.get("/api/evidence/:id/files/:hash", async (req, res) => {
+  const { id: evidenceId, hash } = req.params;
+  const user = req.session.user;
+
+  try {
+    const evidence = await getEvidenceFromChain(user.username, evidenceId);
+    if (!canDownloadFiles(user, evidence)) {
+      return res.status(403).json({
+        error: `'${user.username}' may not download files of evidence '${evidenceId}'`,
+      });
+    }
+
+    const file = await findEvidenceFile(user.username, evidence, hash);
+    const stored = file && openFile(file);
+    if (!stored) {
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    // no download without its trace on chain
+    await recordAccess(user.username, {
+      evidenceId,
+      accessType: "DOWNLOADED",
+      purpose: req.query.purpose,
+      hash,
+    });
+
+    res.type(file.mediaType || "application/octet-stream");
+    res.attachment(file.filename || hash);
+    stored.stream.on("error", (err) => {
+      console.error("Error streaming evidence file", err.message);
+      res.destroy(err); // truncated download rather than altered content
+    });
+    stored.stream.pipe(res);
+  } catch (err) {
+    console.error("Error in GET /api/evidence/:id/files/:hash", err);
+    sendError(res, err, "Failed to download file");
+  }
+});
+
+// Who stored the file, when, and which evidence records reference it
+app.get("/api/evidence/:id/files/:hash/provenance", async (req, res) => {
+  const { id: evidenceId, hash } = req.params;
+
+  try {
+    const evidence = await getEvidenceFromChain(
+      req.session.user.username,
+      evidenceId
+    );
+    const file = await findEvidenceFile(
+      req.session.user.username,
+      evidence,
+      hash
+    );
+    if (!file) {
+      return res.status(404).json({ error: "File not found" });
+    }
+    res.json({ hash, provenance: getProvenance(evidence.caseIdHash, hash) });
+  } catch (err) {
+    console.error("Error in GET /api/evidence/:id/files/:hash/provenance", err);
+    sendError(res, err, "Failed to fetch provenance");
+  }
+});
+
+/*
+ * Views, downloads and verifications of the evidence item, oldest first.
+ * Optional filters: type (VIEWED, DOWNLOADED or VERIFIED), user, and
+ * from/to as any date string Date.parse understands.
+ */
+app.get("/api/evidence/:id/access", async (req, res) => {
+  const evidenceId = req.params.id;
+  const { type, user, from, to } = req.query;
+
+  if (type && !ACCESS_TYPES.includes(type)) {
+    return res
+      .status(400)
+      .json({ error: `type must be one of ${ACCESS_TYPES.join(", ")}` });
+  }
+  const fromMs = from ? Date.parse(from) : undefined;
+  const toMs = to ? Date.parse(to) : undefined;
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    return res.status(400).json({ error: "from and to must be valid dates" });
+  }
+
+  try {
+    const accessEvents = await getAccessEvents(
+      req.session.user.username,
+      evidenceId,
+      { type, user, from: fromMs, to: toMs }
+    );
+    res.json({ evidenceId, accessEvents });
+  } catch (err) {
+    console.error("Error in GET /api/evidence/:id/access", err);
+    sendError(res, err, "Failed to fetch access log");
+  }
+});
+
+// Lists the lifecycle actions the logged-in user may apply right now.
+app.get("/api/evidence/:id/actions", async (req, res) => {
+  const evidenceId = req.params.id;
+
+  try {
+    const actions = await getAllowedActionsFromChain(
+      req.session.user.username,
+      evidenceId
+    );
+    res.json(actions);
+  } catch (err) {
+    console.error("Error in GET /api/evidence/:id/actions", err);
+    sendError(res, err, "Failed to fetch allowed actions");
+  }
+});
+
+// The contract's transition table decides whether actionType is valid for
+// the current state and the caller's role.
+app.post(
+  "/api/evidence/:id/action",
+  validateBody("EvidenceAction"),
+  async (req, res) => {
+    const evidenceId = req.params.id;
+    const { actionType, custodian, toCustodian, toMspId, notes } = req.body;
 
-      default:
-        return res
-          .status(400)
-          .json({ error: `Unknown actionType '${actionType}'` });
+    try {
+      const submitted = await submitForRequest(
+        req,
+        "PerformAction",
+        { evidenceId, action: actionType, custodian, toCustodian, toMspId },
+        { notes }
+      );
+
+      if (submitted.pending) {
+        return sendAccepted(res, submitted, {
+          message: `Action ${actionType} submitted for evidence '${evidenceId}'`,
+        });
+      }
+      res.json({
+        message: `Action ${actionType} applied to evidence '${evidenceId}'`,
+        ...(submitted.privateFailure &&
+          privateDetailsFailure(
+            submitted.privateFailure,
+            `/api/evidence/${encodeURIComponent(evidenceId)}/private`
+          )),
+      });
+    } catch (err) {
+      console.error("Error in POST /api/evidence/:id/action", err);
+      sendError(res, err, "Failed to apply evidence action");
     }
+  }
+);
 
-    await submitEvidenceActionOnChain(txName, payload);
+/*
+ * Places (POST) or releases (DELETE) a legal hold, which blocks release,
+ * destruction and removal. notes, the reason, go to the private collection.
+ */
+app.post(
+  "/api/evidence/:id/legal-hold",
+  validateBody("LegalHold"),
+  async (req, res) => {
+    await setLegalHold(req, res, "PlaceLegalHold");
+  }
+);
+
+app.delete(
+  "/api/evidence/:id/legal-hold",
+  validateBody("LegalHold"),
+  async (req, res) => {
+    await setLegalHold(req, res, "ReleaseLegalHold");
+  }
+);
+
+async function setLegalHold(req, res, txName) {
+  const evidenceId = req.params.id;
+  const { notes } = req.body || {};
 
+  try {
+    const { privateFailure } = await submitAndCommit(
+      req,
+      txName,
+      { evidenceId },
+      { notes }
+    );
     res.json({
-      message: `Action ${actionType} applied to evidence '${evidenceId}'`,
+      message:
+        txName === "PlaceLegalHold"
+          ? `Legal hold placed on evidence '${evidenceId}'`
+          : `Legal hold on evidence '${evidenceId}' released`,
+      ...(privateFailure &&
+        privateDetailsFailure(
+          privateFailure,
+          `/api/evidence/${encodeURIComponent(evidenceId)}/private`
+        )),
     });
   } catch (err) {
-    console.error("Error in POST /api/evidence/:id/action", err);
-    res.status(500).json({
-      error: "Failed to apply evidence action",
-      details: err.message,
+    console.error(`Error in ${req.method} /api/evidence/:id/legal-hold`, err);
+    sendError(res, err, "Failed to update legal hold");
+  }
+}
+
+// Live stream (Server-Sent Events) of new lifecycle events for one evidence ID.
+app.get("/api/evidence/:id/stream", (req, res) => {
+  streamEvidenceEvents(req, res, req.params.id);
+});
+
+/*
+ * Every world-state version of the record with the fields each transaction
+ * changed; versions whose transaction wrote no custody event are flagged
+ * with missingEvent.
+ */
+app.get("/api/evidence/:id/history", async (req, res) => {
+  const evidenceId = req.params.id;
+
+  try {
+    const userId = req.session.user.username;
+    const [history, events] = await Promise.all([
+      getEvidenceHistoryFromChain(userId, evidenceId),
+      getEvidenceEventsFromChain(userId, evidenceId),
+    ]);
+    const versions = buildVersionHistory(history, events);
+    res.json({
+      evidenceId,
+      versions,
+      missingEvents: versions.filter((v) => v.missingEvent).length,
     });
+  } catch (err) {
+    console.error("Error in GET /api/evidence/:id/history", err);
+    sendError(res, err, "Failed to fetch evidence history");
   }
 });
 
@@ -240,15 +1152,690 @@ app.get("/api/evidence/:id/events", async (req, res) => {
   const evidenceId = req.params.id;
 
   try {
-    const events = await getEvidenceEventsFromChain(evidenceId);
-    res.json({ evidenceId, events });
+    const userId = req.session.user.username;
+    const [events, privateDetails] = await Promise.all([
+      getEvidenceEventsFromChain(userId, evidenceId),
+      getPrivateDetails(userId, evidenceId),
+    ]);
+    res.json({ evidenceId, events: withPrivateNotes(events, privateDetails) });
   } catch (err) {
     console.error("Error in GET /api/evidence/:id/events", err);
-    res.status(500).json({
-      error: "Failed to fetch evidence events",
-      details: err.message,
+    sendError(res, err, "Failed to fetch evidence events");
+  }
+});
+
+// Who has held the item and for how long, from its lifecycle events
+app.get("/api/evidence/:id/custody", async (req, res) => {
+  const evidenceId = req.params.id;
+
+  try {
+    const periods = await getCustodyPeriodsFromChain(
+      req.session.user.username,
+      evidenceId
+    );
+    res.json({ evidenceId, periods });
+  } catch (err) {
+    console.error("Error in GET /api/evidence/:id/custody", err);
+    sendError(res, err, "Failed to fetch custody periods");
+  }
+});
+
+// Orgs whose peers must endorse changes to the record: the custody org,
+// and the receiving org while a transfer to it is pending
+app.get("/api/evidence/:id/endorsement", async (req, res) => {
+  const evidenceId = req.params.id;
+
+  try {
+    const endorsingOrgs = await getEndorsingOrgsFromChain(
+      req.session.user.username,
+      evidenceId
+    );
+    res.json({ evidenceId, endorsingOrgs });
+  } catch (err) {
+    console.error("Error in GET /api/evidence/:id/endorsement", err);
+    sendError(res, err, "Failed to fetch endorsing orgs");
+  }
+});
+
+// Case number, description and notes from the Org1-only private collection.
+app.get("/api/evidence/:id/private", async (req, res) => {
+  const evidenceId = req.params.id;
+
+  try {
+    const details = await getEvidencePrivateDetailsFromChain(
+      req.session.user.username,
+      evidenceId
+    );
+    res.json(details);
+  } catch (err) {
+    console.error("Error in GET /api/evidence/:id/private", err);
+    sendError(res, err, "Failed to fetch private details");
+  }
+});
+
+/*
+ * Writes the private details of an event of the item (caseId and
+ * description for CREATED, notes for any) when they failed to be written
+ * after the event committed; the response that reported it names txId.
+ */
+app.post(
+  "/api/evidence/:id/private",
+  validateBody("EvidencePrivateDetails"),
+  async (req, res) => {
+    const evidenceId = req.params.id;
+    const { txId, caseId, description, notes } = req.body;
+    const userId = req.session.user.username;
+
+    try {
+      if (caseId) {
+        const evidence = await getEvidenceFromChain(userId, evidenceId);
+        if (hashCaseId(caseId) !== evidence.caseIdHash) {
+          throw new LedgerError(
+            "VALIDATION_ERROR",
+            `evidence '${evidenceId}' does not belong to case '${caseId}'`,
+            422
+          );
+        }
+      }
+      await submitPrivateDetailsOnChain(
+        userId,
+        { evidenceId, txId },
+        { caseId, description, notes }
+      );
+      res.status(201).json({
+        message: `Private details of evidence '${evidenceId}' written`,
+        txId,
+      });
+    } catch (err) {
+      console.error("Error in POST /api/evidence/:id/private", err);
+      sendError(res, err, "Failed to write private details");
+    }
+  }
+);
+
+// Public key for checking report signatures independently.
+app.get("/api/reports/public-key", (req, res) => {
+  res.type("application/x-pem-file").send(getPublicKeyPem());
+});
+
+// Checks a report copy (ID + printed verification hash) against the original.
+app.post("/api/reports/verify", validateBody("VerifyReport"), (req, res) => {
+  const { reportId, verificationHash } = req.body;
+
+  const result = verifyReport(reportId, verificationHash);
+  // verification is open to anyone; only logged-in users leave a trace
+  if (result.valid && req.session.user) {
+    recordAccess(req.session.user.username, {
+      evidenceId: result.evidenceId,
+      accessType: "VERIFIED",
+      purpose: `Verified custody report ${reportId}`,
+    }).catch((err) =>
+      console.error(
+        `Failed to log verification of '${result.evidenceId}':`,
+        err.message
+      )
+    );
+  }
+  res.json(result);
+});
+
+/*
+ * Checks a copy of a file held outside the system (a lab's or a court's)
+ * against the ledger. The upload is hashed and discarded, never stored.
+ * With an evidenceId the hash is compared with that item's imageHash;
+ * either way every evidence item holding a file with the same hash is
+ * listed, from the contract's hash index.
+ */
+app.post(
+  "/api/verify",
+  requireAuth,
+  upload.single("file"),
+  removeStagedFiles,
+  validateBody("VerifyFile"),
+  async (req, res) => {
+    const userId = req.session.user.username;
+    const { evidenceId } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: "file is required" });
+    }
+
+    try {
+      const { hash } = await hashFileChunks(req.file.path);
+      const matches = await findEvidenceByHashOnChain(userId, hash);
+
+      const result = {
+        hash,
+        size: req.file.size,
+        filename: req.file.originalname,
+        valid: matches.length > 0,
+        matches: matches.map(({ evidence, artifact }) => ({
+          evidenceId: evidence.evidenceId,
+          caseIdHash: evidence.caseIdHash,
+          status: evidence.status,
+          isImage: evidence.imageHash === hash,
+          artifact,
+        })),
+      };
+      // a matching copy counts as a verification of the items it belongs to
+      let verifiedIds = result.matches.map((m) => m.evidenceId);
+      if (evidenceId) {
+        const evidence = await getEvidenceFromChain(userId, evidenceId);
+        Object.assign(result, {
+          evidenceId,
+          imageHash: evidence.imageHash,
+          valid: evidence.imageHash === hash,
+        });
+        verifiedIds = result.valid ? [evidenceId] : [];
+      }
+
+      for (const id of verifiedIds) {
+        recordAccess(userId, {
+          evidenceId: id,
+          accessType: "VERIFIED",
+          purpose: "Verified a copy of a file against the ledger",
+          hash,
+        }).catch((err) =>
+          console.error(`Failed to log verification of '${id}':`, err.message)
+        );
+      }
+
+      res.json(result);
+    } catch (err) {
+      console.error("Error in POST /api/verify", err);
+      sendError(res, err, "Failed to verify file");
+    }
+  }
+);
+
+// Live stream of every lifecycle event on the channel.
+app.get("/api/events/stream", requireAuth, (req, res) => {
+  streamEvidenceEvents(req, res);
+});
+
+// Inbox: transfers waiting for the logged-in user to accept or reject.
+app.get("/api/transfers/pending", requireAuth, async (req, res) => {
+  try {
+    const transfers = await getPendingTransfersFromChain(
+      req.session.user.username
+    );
+    res.json({ transfers });
+  } catch (err) {
+    console.error("Error in GET /api/transfers/pending", err);
+    sendError(res, err, "Failed to fetch pending transfers");
+  }
+});
+
+/*
+ * Tamper alerts written by integrity sweeps, newest first. Sweeps run on a
+ * schedule (see integrity.scheduleSweeps); an Evidence Manager can also
+ * start one, which runs with their ledger identity.
+ */
+app.get("/api/integrity/alerts", requireAuth, (req, res) => {
+  const { evidenceId, since } = req.query;
+  const sinceMs = since ? Date.parse(since) : undefined;
+  if (Number.isNaN(sinceMs)) {
+    return res.status(400).json({ error: "since must be a valid date" });
+  }
+
+  res.json({
+    alerts: listTamperAlerts({ evidenceId, since: sinceMs }),
+    sweep: getSweepStatus(),
+  });
+});
+
+app.post(
+  "/api/integrity/sweep",
+  requireRole("EvidenceManager"),
+  async (req, res) => {
+    try {
+      const sweep = await startSweep(req.session.user.username, "manual");
+      res.json(sweep);
+    } catch (err) {
+      console.error("Error in POST /api/integrity/sweep", err);
+      sendError(res, err, "Integrity sweep failed");
+    }
+  }
+);
+
+app.use("/api/intake", requireAuth);
+
+/*
+ * Bulk intake: a CSV or JSON manifest (`manifest`) and a ZIP of the files it
+ * names (`archive`). Answers 202 with the job, whose per-row progress and
+ * results are polled at GET /api/intake/:jobId. See bulkIntake.js.
+ */
+app.post(
+  "/api/intake",
+  upload.fields([
+    { name: "manifest", maxCount: 1 },
+    { name: "archive", maxCount: 1 },
+  ]),
+  removeStagedFiles,
+  validateBody("Intake"),
+  async (req, res) => {
+    const files = req.files || {};
+    const manifest = files.manifest && files.manifest[0];
+    const archive = files.archive && files.archive[0];
+    if (!manifest || !archive) {
+      return res
+        .status(400)
+        .json({ error: "Both manifest and archive files are required" });
+    }
+
+    try {
+      // the job removes them once done, or at once if it cannot start
+      req.stagedFilesHandedOff = true;
+      const job = await startIntake({
+        owner: req.session.user.username,
+        manifest,
+        archive,
+        hashCaseId,
+      });
+      res.status(202).json({ ...job, statusUrl: `/api/intake/${job.jobId}` });
+    } catch (err) {
+      console.error("Error in POST /api/intake", err);
+      sendError(res, err, "Failed to start intake");
+    }
+  }
+);
+
+// Users see their own intake jobs, Evidence Managers everyone's
+app.get("/api/intake/:jobId", (req, res) => {
+  const { username, role } = req.session.user;
+  const job = getIntakeJob(req.params.jobId);
+  if (!job || (job.owner !== username && role !== "EvidenceManager")) {
+    return res.status(404).json({ error: "Intake job not found" });
+  }
+  res.json(job);
+});
+
+app.use("/api/retention", requireAuth);
+
+// Retention period per evidence category
+app.get("/api/retention/policies", async (req, res) => {
+  try {
+    const policies = await getRetentionPoliciesFromChain(
+      req.session.user.username
+    );
+    res.json({ policies });
+  } catch (err) {
+    console.error("Error in GET /api/retention/policies", err);
+    sendError(res, err, "Failed to fetch retention policies");
+  }
+});
+
+app.put(
+  "/api/retention/policies/:category",
+  validateBody("RetentionPolicy"),
+  async (req, res) => {
+    const { category } = req.params;
+    const { retentionDays } = req.body;
+
+    try {
+      await submitTransactionOnChain(
+        req.session.user.username,
+        "SetRetentionPolicy",
+        { category, retentionDays }
+      );
+      res.json({ category, retentionDays });
+    } catch (err) {
+      console.error("Error in PUT /api/retention/policies/:category", err);
+      sendError(res, err, "Failed to set retention policy");
+    }
+  }
+);
+
+// Evidence past its category's retention period and not under legal hold.
+// Disposing of it takes a request and a second manager's approval (see
+// the RELEASE, DESTROY and REMOVE actions).
+app.get("/api/retention/eligible", async (req, res) => {
+  try {
+    const eligible = await getEligibleForDispositionFromChain(
+      req.session.user.username
+    );
+    res.json({ eligible });
+  } catch (err) {
+    console.error("Error in GET /api/retention/eligible", err);
+    sendError(res, err, "Failed to fetch evidence eligible for disposition");
+  }
+});
+
+app.use("/api/custody", requireAuth);
+
+// Custody SLAs: how many days evidence may stay in a status, optionally only
+// when a given role moved it there
+app.get("/api/custody/slas", async (req, res) => {
+  try {
+    const slas = await getCustodySlasFromChain(req.session.user.username);
+    res.json({ slas });
+  } catch (err) {
+    console.error("Error in GET /api/custody/slas", err);
+    sendError(res, err, "Failed to fetch custody SLAs");
+  }
+});
+
+app.put(
+  "/api/custody/slas/:status",
+  validateBody("CustodySla"),
+  async (req, res) => {
+    const { status } = req.params;
+    const { role, maxDays } = req.body;
+
+    try {
+      await submitTransactionOnChain(
+        req.session.user.username,
+        "SetCustodySla",
+        { status, role, maxDays }
+      );
+      res.json({ status, role: role || null, maxDays });
+    } catch (err) {
+      console.error("Error in PUT /api/custody/slas/:status", err);
+      sendError(res, err, "Failed to set custody SLA");
+    }
+  }
+);
+
+// ?role= removes the SLA for that role, otherwise the one for any role
+app.delete("/api/custody/slas/:status", async (req, res) => {
+  const { status } = req.params;
+  const role = req.query.role || undefined;
+
+  try {
+    await submitTransactionOnChain(
+      req.session.user.username,
+      "RemoveCustodySla",
+      { status, role }
+    );
+    res.json({
+      message: `Custody SLA for ${status}${role ? ` by ${role}` : ""} removed`,
+    });
+  } catch (err) {
+    console.error("Error in DELETE /api/custody/slas/:status", err);
+    sendError(res, err, "Failed to remove custody SLA");
+  }
+});
+
+// Evidence held in its status past its SLA, longest overdue first; only
+// one case's with ?caseId=. One scan covers a limited number of items:
+// truncated says more follow, from ?bookmark= set to the returned one.
+app.get("/api/custody/overdue", async (req, res) => {
+  const { caseId, bookmark } = req.query;
+
+  try {
+    const page = await getOverdueEvidenceFromChain(req.session.user.username, {
+      caseIdHash: caseId ? hashCaseId(caseId) : undefined,
+      bookmark,
+    });
+    res.json({
+      overdue: page.records,
+      truncated: page.truncated,
+      bookmark: page.bookmark,
+    });
+  } catch (err) {
+    console.error("Error in GET /api/custody/overdue", err);
+    sendError(res, err, "Failed to fetch overdue evidence");
+  }
+});
+
+/*
+ * Counts by status and by custodian, with overdue items among them, and
+ * each custodian's total custody time; over one case with ?caseId=.
+ * Computed by the contract in a single query over a limited number of
+ * items, continued like /api/custody/overdue.
+ */
+app.get("/api/custody/analytics", async (req, res) => {
+  const { caseId, bookmark } = req.query;
+
+  try {
+    const analytics = await getCustodyAnalyticsFromChain(
+      req.session.user.username,
+      { caseIdHash: caseId ? hashCaseId(caseId) : undefined, bookmark }
+    );
+    res.json(analytics);
+  } catch (err) {
+    console.error("Error in GET /api/custody/analytics", err);
+    sendError(res, err, "Failed to compute custody analytics");
+  }
+});
+
+app.use("/api/cases", requireAuth);
+
+app.post("/api/cases", validateBody("CreateCase"), async (req, res) => {
+  const { caseId, leadInvestigator, description } = req.body;
+
+  try {
+    const caseIdHash = hashCaseId(caseId);
+    const submitted = await submitForRequest(
+      req,
+      "CreateCase",
+      { caseIdHash, leadInvestigator },
+      { caseId, description }
+    );
+
+    if (submitted.pending) {
+      return sendAccepted(res, submitted, {
+        message: "Case submitted",
+        caseId,
+        caseIdHash,
+      });
+    }
+    res.status(201).json({
+      message: "Case created successfully",
+      caseId,
+      caseIdHash,
+      ...(submitted.privateFailure &&
+        privateDetailsFailure(
+          submitted.privateFailure,
+          `/api/cases/${encodeURIComponent(caseId)}/private`
+        )),
+    });
+  } catch (err) {
+    console.error("Error in POST /api/cases", err);
+    sendError(res, err, "Failed to create case");
+  }
+});
+
+app.get("/api/cases/:id", async (req, res) => {
+  const caseId = req.params.id;
+
+  try {
+    const userId = req.session.user.username;
+    const caseIdHash = hashCaseId(caseId);
+    const caseRecord = await getCaseFromChain(userId, caseIdHash);
+    const privateDetails = await getCasePrivateDetailsFromChain(
+      userId,
+      caseIdHash
+    ).catch(() => null);
+    res.json({ caseId, case: caseRecord, privateDetails });
+  } catch (err) {
+    console.error("Error in GET /api/cases/:id", err);
+    sendError(res, err, "Failed to fetch case");
+  }
+});
+
+// Returns every evidence record filed under the given case ID.
+app.get("/api/cases/:id/evidence", async (req, res) => {
+  const caseId = req.params.id;
+
+  try {
+    const evidence = await getCaseEvidenceFromChain(
+      req.session.user.username,
+      hashCaseId(caseId)
+    );
+    res.json({ caseId, evidence });
+  } catch (err) {
+    console.error("Error in GET /api/cases/:id/evidence", err);
+    sendError(res, err, "Failed to fetch case evidence");
+  }
+});
+
+// Writes a case's private details when they failed to be written after
+// the case was created
+app.post(
+  "/api/cases/:id/private",
+  validateBody("CasePrivateDetails"),
+  async (req, res) => {
+    const caseId = req.params.id;
+    const { description, notes } = req.body;
+
+    try {
+      await submitPrivateDetailsOnChain(
+        req.session.user.username,
+        { caseIdHash: hashCaseId(caseId) },
+        { caseId, description, notes }
+      );
+      res.status(201).json({
+        message: `Private details of case '${caseId}' written`,
+      });
+    } catch (err) {
+      console.error("Error in POST /api/cases/:id/private", err);
+      sendError(res, err, "Failed to write private details");
+    }
+  }
+);
+
+app.post(
+  "/api/cases/:id/action",
+  validateBody("CaseAction"),
+  async (req, res) => {
+    const caseIdHash = hashCaseId(req.params.id);
+    const { actionType, leadInvestigator } = req.body;
+
+    let txName;
+    let payload;
+
+    switch (actionType) {
+      case "CLOSE":
+        txName = "CloseCase";
+        payload = { caseIdHash };
+        break;
+
+      case "REOPEN":
+        txName = "ReopenCase";
+        payload = { caseIdHash };
+        break;
+
+      case "ASSIGN_LEAD":
+        txName = "AssignLeadInvestigator";
+        // the contract's AssignLeadInput schema requires leadInvestigator
+        payload = { caseIdHash, leadInvestigator };
+        break;
+    }
+
+    try {
+      const submitted = await submitForRequest(req, txName, payload);
+
+      if (submitted.pending) {
+        return sendAccepted(res, submitted, {
+          message: `Action ${actionType} submitted for case '${req.params.id}'`,
+        });
+      }
+      res.json({
+        message: `Action ${actionType} applied to case '${req.params.id}'`,
+      });
+    } catch (err) {
+      console.error("Error in POST /api/cases/:id/action", err);
+      sendError(res, err, "Failed to apply case action");
+    }
+  }
+);
+
+app.use("/api/transactions", requireAuth);
+
+/*
+ * Commit status of a transaction submitted with `Prefer: respond-async`:
+ * PENDING, COMMITTED, FAILED (with the validation code; replacedBy names
+ * the retry after a read conflict) or UNKNOWN if the status could not be
+ * read. Users see their own transactions, Evidence Managers everyone's.
+ */
+app.get("/api/transactions/:txId", (req, res) => {
+  const { username, role } = req.session.user;
+  const status = getTransactionStatus(req.params.txId);
+  if (
+    !status ||
+    (status.submittedBy !== username && role !== "EvidenceManager")
+  ) {
+    return res.status(404).json({ error: "Transaction not found" });
+  }
+  res.json(status);
+});
+
+app.use("/api/webhooks", requireAuth);
+
+/*
+ * Webhook subscriptions; see webhooks.js for delivery, signing and the
+ * receivers allowed. Deliveries carry evidence and tamper details out of
+ * the system, so only Evidence Managers subscribe; users manage their own
+ * subscriptions, Evidence Managers everyone's. A case is given by its ID
+ * (hashed here, never stored) or by its hash.
+ */
+app.post(
+  "/api/webhooks",
+  requireRole("EvidenceManager"),
+  validateBody("CreateWebhook"),
+  async (req, res) => {
+    const { caseId, caseIdHash, ...fields } = req.body;
+    const problem =
+      caseId && caseIdHash
+        ? "give caseId or caseIdHash, not both"
+        : await checkWebhookTarget(fields.url);
+    if (problem) {
+      return res.status(422).json({
+        error: "Invalid request body",
+        code: "VALIDATION_ERROR",
+        details: problem,
+      });
+    }
+
+    const subscription = createSubscription(req.session.user.username, {
+      ...fields,
+      caseIdHash: caseId ? hashCaseId(caseId) : caseIdHash,
     });
+    res.status(201).json(subscription);
   }
+);
+
+function ownScope(req) {
+  const { username, role } = req.session.user;
+  return role === "EvidenceManager" ? null : username;
+}
+
+app.get("/api/webhooks", (req, res) => {
+  res.json({ subscriptions: listSubscriptions(ownScope(req)) });
+});
+
+// Deliveries that ran out of attempts, newest first
+app.get("/api/webhooks/dead-letters", (req, res) => {
+  res.json({ deadLetters: listDeadLetters(ownScope(req)) });
+});
+
+function findSubscription(req, res) {
+  const scope = ownScope(req);
+  const subscription = getSubscription(req.params.id);
+  if (!subscription || (scope && subscription.owner !== scope)) {
+    res.status(404).json({ error: "Webhook subscription not found" });
+    return null;
+  }
+  return subscription;
+}
+
+app.get("/api/webhooks/:id", (req, res) => {
+  const subscription = findSubscription(req, res);
+  if (subscription) res.json(subscription);
+});
+
+app.delete("/api/webhooks/:id", (req, res) => {
+  const subscription = findSubscription(req, res);
+  if (!subscription) return;
+  deleteSubscription(subscription.subscriptionId);
+  res.json({
+    message: `Webhook subscription '${subscription.subscriptionId}' deleted`,
+  });
+});
+
+app.get("/api/openapi.json", (req, res) => {
+  res.json(buildOpenApiSpec());
 });
 
 app.get("*", (req, res) => {
@@ -257,4 +1844,19 @@ app.get("*", (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Backend listening on http://localhost:${PORT}`);
+
+  scheduleSweeps();
+  startWebhookDispatch();
+
+  listenForEvidenceEvents(publishEvidenceEvent)
+    .then((listener) => {
+      console.log("Listening for ledger EvidenceEvent chaincode events");
+      process.once("SIGINT", () => {
+        listener.disconnect();
+        process.exit(0);
+      });
+    })
+    .catch((err) => {
+      console.error("Ledger event listener not started:", err.message);
+    });
 });
@@ -0,0 +1,187 @@
+const { CONFLICT_CODES, commitError, isTransientError } = require("./errors");
+
+/*
+ * Concurrency-limited pipeline for submit transactions. A job holds one of
+ * SUBMIT_CONCURRENCY slots from endorsement until its commit status is
+ * known; the rest wait in order. Endorsements that fail transiently (peer
+ * unreachable, endorsers disagreeing) are retried, and so are transactions
+ * the peers reject with an MVCC or phantom read conflict, each retry being
+ * a new transaction endorsed against the latest state. Retries back off
+ * exponentially from SUBMIT_RETRY_DELAY_MS, up to SUBMIT_MAX_ATTEMPTS
+ * attempts in all.
+ *
+ * Every transaction's commit status is kept for STATUS_TTL_MS after it
+ * settles, so a caller handed a transaction ID can poll for it.
+ */
+const SUBMIT_CONCURRENCY = Number(process.env.SUBMIT_CONCURRENCY) || 8;
+const SUBMIT_MAX_ATTEMPTS = Number(process.env.SUBMIT_MAX_ATTEMPTS) || 5;
+const SUBMIT_RETRY_DELAY_MS = Number(process.env.SUBMIT_RETRY_DELAY_MS) || 200;
+const STATUS_TTL_MS = 60 * 60 * 1000;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with jitter, so conflicting retries spread out
+function retryDelay(attempt) {
+  const base = SUBMIT_RETRY_DELAY_MS * 2 ** (attempt - 1);
+  return base / 2 + Math.random() * base;
+}
+
+function createSubmitQueue() {
+  const waiting = [];
+  let active = 0;
+  // txId -> status record
+  const statuses = new Map();
+  let lastPruned = Date.now();
+
+  function acquire() {
+    if (active < SUBMIT_CONCURRENCY) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => waiting.push(resolve));
+  }
+
+  // hands the slot straight to the next job, if any
+  function release() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  }
+
+  function prune() {
+    const now = Date.now();
+    if (now - lastPruned < 60 * 1000) return;
+    lastPruned = now;
+    for (const [txId, record] of statuses) {
+      if (
+        record.settledAt &&
+        now - Date.parse(record.settledAt) > STATUS_TTL_MS
+      ) {
+        statuses.delete(txId);
+      }
+    }
+  }
+
+  function track(txId, job, attempt) {
+    prune();
+    const record = {
+      txId,
+      transaction: job.name,
+      evidenceId: job.evidenceId || null,
+      submittedBy: job.userId,
+      attempt,
+      status: "PENDING",
+      code: null,
+      blockNumber: null,
+      submittedAt: new Date().toISOString(),
+      settledAt: null,
+      replacedBy: null,
+      error: null,
+    };
+    statuses.set(txId, record);
+    return record;
+  }
+
+  function settle(record, fields) {
+    Object.assign(record, fields, { settledAt: new Date().toISOString() });
+  }
+
+  // Runs job.attempt() until a transaction commits. attempt() endorses and
+  // orders one transaction and resolves to { txId, result, status }, status
+  // being a promise of { successful, code, blockNumber }.
+  async function runJob(job, onSubmitted) {
+    await acquire();
+    try {
+      let previous = null;
+      for (let attempt = 1; ; attempt++) {
+        let tx;
+        try {
+          tx = await job.attempt();
+        } catch (err) {
+          if (attempt < SUBMIT_MAX_ATTEMPTS && isTransientError(err)) {
+            await delay(retryDelay(attempt));
+            continue;
+          }
+          if (previous) previous.error = `retry failed: ${err.message}`;
+          throw err;
+        }
+
+        const record = track(tx.txId, job, attempt);
+        if (previous) previous.replacedBy = tx.txId;
+        onSubmitted(tx);
+
+        let status;
+        try {
+          status = await tx.status;
+        } catch (err) {
+          // the transaction may still commit; never submit it twice
+          settle(record, { status: "UNKNOWN", error: err.message });
+          throw err;
+        }
+
+        if (status.successful) {
+          settle(record, {
+            status: "COMMITTED",
+            code: status.code,
+            blockNumber: status.blockNumber,
+          });
+          return { ...record, result: tx.result };
+        }
+
+        settle(record, {
+          status: "FAILED",
+          code: status.code,
+          blockNumber: status.blockNumber,
+        });
+        if (
+          attempt < SUBMIT_MAX_ATTEMPTS &&
+          CONFLICT_CODES.includes(status.code)
+        ) {
+          previous = record;
+          await delay(retryDelay(attempt));
+          continue;
+        }
+        throw commitError(tx.txId, status.code);
+      }
+    } finally {
+      release();
+    }
+  }
+
+  /*
+   * Queues a job and resolves once its first transaction has been ordered,
+   * with { txId, result, committed }. committed resolves to the status
+   * record of the transaction that finally committed, with its result,
+   * or rejects when none did. A failure before anything was ordered
+   * rejects the returned promise itself.
+   */
+  function submit(job) {
+    return new Promise((resolve, reject) => {
+      let submitted = false;
+      const committed = runJob(job, (tx) => {
+        if (submitted) return;
+        submitted = true;
+        resolve({ txId: tx.txId, result: tx.result, committed });
+      });
+      committed.catch((err) => {
+        if (!submitted) reject(err);
+      });
+    });
+  }
+
+  function getStatus(txId) {
+    const record = statuses.get(txId);
+    return record ? { ...record } : null;
+  }
+
+  return { submit, getStatus };
+}
+
+module.exports = {
+  createSubmitQueue,
+};
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { sha256Hex } = require("../merkle");
+const { startServer, createCase, createEvidence } = require("./helpers");
+
+function addArtifact(api, evidenceId, name, data, parentHash) {
+  const form = new FormData();
+  form.append("files", new Blob([data]), name);
+  if (parentHash) form.append("parentHash", parentHash);
+  return api.post(`/api/evidence/${evidenceId}/artifacts`, form);
+}
+
+test("artifacts and their lineage", async (t) => {
+  const server = await startServer({ manager: "EvidenceManager" });
+  t.after(() => server.stop());
+  const manager = await server.login("manager");
+  await createCase(manager, "CASE-ARTIFACTS");
+  await createEvidence(manager, "A1", "CASE-ARTIFACTS");
+  // createEvidence uploads this as the image
+  const imageHash = sha256Hex("image of A1");
+
+  await t.test("derived files name their parent", async () => {
+    let res = await addArtifact(
+      manager,
+      "A1",
+      "carved.bin",
+      "carved",
+      imageHash
+    );
+    assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+
+    res = await addArtifact(
+      manager,
+      "A1",
+      "orphan.bin",
+      "orphan",
+      sha256Hex("not recorded")
+    );
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(res.body.code, "NOT_FOUND");
+
+    const { body } = await manager.get("/api/evidence/A1/artifacts");
+    assert.deepStrictEqual(
+      body.artifacts.map((a) => [a.filename, a.parentHash || null]).sort(),
+      [
+        ["carved.bin", imageHash],
+        ["image.bin", null],
+      ]
+    );
+  });
+
+  await t.test("a view reports the image check on its artifact", async () => {
+    const { status, body } = await manager.get("/api/evidence/A1");
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.hashOnChain, imageHash);
+    assert.strictEqual(body.hashLocal, imageHash);
+    assert.strictEqual(body.tampered, false);
+
+    const primary = body.artifacts.find((a) => a.artifactHash === imageHash);
+    assert.strictEqual(primary.hashLocal, imageHash);
+    assert.strictEqual(primary.exists, true);
+    assert.strictEqual(primary.tampered, false);
+    assert.strictEqual(primary.url, body.imageUrl);
+
+    const carved = body.artifacts.find((a) => a.filename === "carved.bin");
+    assert.strictEqual(carved.hashLocal, sha256Hex("carved"));
+    assert.strictEqual(carved.tampered, false);
+  });
+});
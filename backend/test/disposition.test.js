@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const {
+  DISPOSITION_APPROVALS,
+  startServer,
+  createCase,
+  createEvidence,
+  act,
+  getEvidence,
+} = require("./helpers");
+
+test("final dispositions need a quorum of managers", async (t) => {
+  const managers = Array.from(
+    { length: DISPOSITION_APPROVALS },
+    (_, i) => `manager${i + 1}`
+  );
+  const server = await startServer({
+    ...Object.fromEntries(managers.map((name) => [name, "EvidenceManager"])),
+    tech: "ForensicTechnician",
+  });
+  t.after(() => server.stop());
+  const [requester, ...approvers] = await Promise.all(
+    managers.map((name) => server.login(name))
+  );
+  const tech = await server.login("tech");
+  await createCase(requester, "CASE-DISPOSITION");
+
+  const checkedIn = async (evidenceId) => {
+    await createEvidence(requester, evidenceId, "CASE-DISPOSITION");
+    await act(requester, evidenceId, "CHECK_IN");
+  };
+
+  await t.test("technicians cannot request a disposition", async () => {
+    await checkedIn("D0");
+    const res = await act(tech, "D0", "DESTROY");
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(res.body.code, "ACCESS_DENIED");
+  });
+
+  await t.test("the last approval records the final status", async () => {
+    await checkedIn("D1");
+    let res = await act(requester, "D1", "DESTROY");
+    assert.strictEqual(res.status, 200);
+    let evidence = await getEvidence(requester, "D1");
+    assert.strictEqual(evidence.status, "PENDING_DISPOSITION");
+    assert.strictEqual(evidence.pendingDisposition.disposition, "DESTROYED");
+    assert.strictEqual(evidence.pendingDisposition.approvals.length, 1);
+
+    // the requester's request already counts as their approval
+    res = await act(requester, "D1", "APPROVE_DISPOSITION");
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(res.body.code, "ACCESS_DENIED");
+
+    for (const approver of approvers) {
+      res = await act(approver, "D1", "APPROVE_DISPOSITION");
+      assert.strictEqual(res.status, 200);
+    }
+    evidence = await getEvidence(requester, "D1");
+    assert.strictEqual(evidence.status, "DESTROYED");
+    assert.strictEqual(evidence.pendingDisposition, undefined);
+
+    const events = await requester.get("/api/evidence/D1/events");
+    const destroyed = events.body.events.find(
+      (e) => e.eventType === "DESTROYED"
+    );
+    assert.deepStrictEqual(destroyed.approvedBy.sort(), managers);
+  });
+
+  await t.test("nothing changes a disposed item", async () => {
+    const res = await act(requester, "D1", "CHECK_OUT");
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual(res.body.code, "INVALID_STATE");
+  });
+
+  await t.test("cancelling restores the previous status", async () => {
+    await checkedIn("D2");
+    await act(requester, "D2", "RELEASE");
+    const res = await act(approvers[0], "D2", "CANCEL_DISPOSITION");
+    assert.strictEqual(res.status, 200);
+    const evidence = await getEvidence(requester, "D2");
+    assert.strictEqual(evidence.status, "CHECKED_IN");
+    assert.strictEqual(evidence.pendingDisposition, undefined);
+  });
+
+  await t.test("a legal hold blocks requests and approvals", async () => {
+    await checkedIn("D3");
+    await act(requester, "D3", "REMOVE");
+    let res = await requester.post("/api/evidence/D3/legal-hold", {
+      notes: "court order",
+    });
+    assert.strictEqual(res.status, 200);
+
+    res = await act(approvers[0], "D3", "APPROVE_DISPOSITION");
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual(res.body.code, "INVALID_STATE");
+    assert.strictEqual(
+      (await getEvidence(requester, "D3")).status,
+      "PENDING_DISPOSITION"
+    );
+  });
+});
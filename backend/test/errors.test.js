@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { CODE_STATUS, toLedgerError, isTransientError } = require("../errors");
+const {
+  startServer,
+  createCase,
+  createEvidence,
+  act,
+  getEvidence,
+} = require("./helpers");
+
+test("contract error codes map to HTTP statuses", () => {
+  // as the Fabric Gateway reports a chaincode error
+  const err = new Error("10 ABORTED: failed to endorse transaction");
+  err.details = [
+    {
+      address: "peer0.org1.example.com:7051",
+      message: "chaincode response 500, NOT_FOUND: evidence 'E404'",
+    },
+  ];
+  const ledgerError = toLedgerError(err);
+  assert.strictEqual(ledgerError.code, "NOT_FOUND");
+  assert.strictEqual(ledgerError.status, 404);
+  assert.strictEqual(ledgerError.message, "evidence 'E404'");
+  assert.strictEqual(isTransientError(err), false);
+
+  for (const [code, status] of Object.entries(CODE_STATUS)) {
+    const mapped = toLedgerError(new Error(`${code}: something`));
+    assert.deepStrictEqual([mapped.code, mapped.status], [code, status]);
+  }
+  assert.strictEqual(toLedgerError(new Error("boom")).status, 500);
+});
+
+test("API responses carry the contract's error code", async (t) => {
+  const server = await startServer({
+    manager: "EvidenceManager",
+    viewer: "Viewer",
+  });
+  t.after(() => server.stop());
+  const manager = await server.login("manager");
+  const viewer = await server.login("viewer");
+  await createCase(manager, "CASE-ERRORS");
+  await createEvidence(manager, "X1", "CASE-ERRORS");
+
+  const expectError = (res, status, code) => {
+    assert.strictEqual(res.status, status, JSON.stringify(res.body));
+    assert.strictEqual(res.body.code, code);
+  };
+
+  await t.test("401 without a session", async () => {
+    const res = await server.anonymous().get("/api/evidence/X1");
+    assert.strictEqual(res.status, 401);
+  });
+
+  await t.test("422 VALIDATION_ERROR", async () => {
+    // rejected by the request schema
+    expectError(await act(manager, "X1", "SHRED"), 422, "VALIDATION_ERROR");
+    // rejected by the contract: a transfer needs its recipient
+    expectError(
+      await act(manager, "X1", "INITIATE_TRANSFER"),
+      422,
+      "VALIDATION_ERROR"
+    );
+  });
+
+  await t.test("403 ACCESS_DENIED", async () => {
+    expectError(await act(viewer, "X1", "CHECK_IN"), 403, "ACCESS_DENIED");
+  });
+
+  await t.test("404 NOT_FOUND", async () => {
+    expectError(await manager.get("/api/evidence/NOPE"), 404, "NOT_FOUND");
+    expectError(await act(manager, "NOPE", "CHECK_IN"), 404, "NOT_FOUND");
+  });
+
+  await t.test("409 ALREADY_EXISTS", async () => {
+    expectError(
+      await manager.post("/api/cases", { caseId: "CASE-ERRORS" }),
+      409,
+      "ALREADY_EXISTS"
+    );
+    expectError(
+      await createEvidence(manager, "X1", "CASE-ERRORS"),
+      409,
+      "ALREADY_EXISTS"
+    );
+  });
+
+  await t.test("409 INVALID_STATE", async () => {
+    expectError(await act(manager, "X1", "ARCHIVE"), 409, "INVALID_STATE");
+    assert.strictEqual((await getEvidence(manager, "X1")).status, "CREATED");
+  });
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const fs = require("fs");
+
+const { sha256Hex } = require("../merkle");
+const { startServer, createCase, createEvidence, act } = require("./helpers");
+
+test("stored evidence files", async (t) => {
+  const server = await startServer({
+    manager: "EvidenceManager",
+    tech: "ForensicTechnician",
+    other: "ForensicTechnician",
+    viewer: "Viewer",
+  });
+  t.after(() => server.stop());
+  const manager = await server.login("manager");
+  const tech = await server.login("tech");
+  const other = await server.login("other");
+  const viewer = await server.login("viewer");
+  await createCase(manager, "CASE-FILES");
+  await createEvidence(manager, "F1", "CASE-FILES");
+
+  // createEvidence uploads this as the image
+  const plaintext = "image of F1";
+  const hash = sha256Hex(plaintext);
+  const fileUrl = `/api/evidence/F1/files/${hash}`;
+  const { body } = await manager.get("/api/evidence/F1");
+  const objectPath = path.join(
+    server.backendDir,
+    "store",
+    "objects",
+    body.evidence.caseIdHash,
+    hash.slice(0, 2),
+    hash
+  );
+
+  await t.test("files are encrypted at rest", async () => {
+    const stored = fs.readFileSync(objectPath);
+    assert.strictEqual(stored.subarray(0, 4).toString(), "CGE1");
+    assert.strictEqual(stored.includes(plaintext), false);
+
+    const res = await manager.download(`${fileUrl}?purpose=review`);
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get("content-disposition"), /image\.bin/);
+    assert.strictEqual(await res.text(), plaintext);
+  });
+
+  await t.test("downloads follow custody", async () => {
+    const status = async (api) => (await api.download(fileUrl)).status;
+    assert.strictEqual(await status(viewer), 403);
+    assert.strictEqual(await status(tech), 403);
+
+    // the receiving technician may download before accepting
+    const res = await act(manager, "F1", "INITIATE_TRANSFER", {
+      toCustodian: "tech",
+    });
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    assert.strictEqual(await status(tech), 200);
+    assert.strictEqual(await status(other), 403);
+
+    const missing = await manager.download(
+      `/api/evidence/F1/files/${sha256Hex("other")}`
+    );
+    assert.strictEqual(missing.status, 404);
+  });
+
+  await t.test("every download is on the ledger", async () => {
+    const { body } = await manager.get(
+      "/api/evidence/F1/access?type=DOWNLOADED"
+    );
+    assert.deepStrictEqual(
+      body.accessEvents.map((e) => [e.performedBy, e.purpose || null]),
+      [
+        ["manager", "review"],
+        ["tech", null],
+      ]
+    );
+  });
+
+  await t.test("altered ciphertext is never served", async () => {
+    const stored = fs.readFileSync(objectPath);
+    stored[stored.length - 1] ^= 0xff;
+    fs.chmodSync(objectPath, 0o600);
+    fs.writeFileSync(objectPath, stored);
+
+    // the connection is cut, before or after the headers
+    await assert.rejects(async () => (await manager.download(fileUrl)).text());
+
+    const { body } = await manager.get("/api/evidence/F1");
+    assert.strictEqual(body.tampered, true);
+  });
+});
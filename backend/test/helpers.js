@@ -0,0 +1,227 @@
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const { once } = require("events");
+const { execFileSync, spawn } = require("child_process");
+
+/*
+ * Runs the backend on the memory ledger for API tests. The server runs
+ * from a throwaway copy of the backend, so the users, wallet, keys and
+ * evidence store it writes never touch the working tree. The copy links
+ * to the compiled chaincode (`npm run build` in the repository root).
+ */
+const BACKEND_DIR = path.join(__dirname, "..");
+const REPO_DIR = path.join(BACKEND_DIR, "..");
+const PASSWORD = "pw123456";
+const START_TIMEOUT_MS = 30000;
+
+const { TRANSITIONS, DISPOSITION_APPROVALS } = require(path.join(
+  REPO_DIR,
+  "chaincode",
+  "dist",
+  "lifecycle"
+));
+
+function createSandbox() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "chainguard-test-"));
+  const backendDir = path.join(root, "backend");
+  fs.mkdirSync(path.join(backendDir, "config"), { recursive: true });
+
+  for (const file of fs.readdirSync(BACKEND_DIR)) {
+    if (file.endsWith(".js")) {
+      fs.copyFileSync(
+        path.join(BACKEND_DIR, file),
+        path.join(backendDir, file)
+      );
+    }
+  }
+  fs.cpSync(
+    path.join(BACKEND_DIR, "scripts"),
+    path.join(backendDir, "scripts"),
+    { recursive: true }
+  );
+  fs.symlinkSync(
+    path.join(BACKEND_DIR, "node_modules"),
+    path.join(backendDir, "node_modules")
+  );
+  for (const dir of ["chaincode", "frontend", "node_modules"]) {
+    fs.symlinkSync(path.join(REPO_DIR, dir), path.join(root, dir));
+  }
+  return { root, backendDir };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on("error", reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function waitForListening(child) {
+  return new Promise((resolve, reject) => {
+    let output = "";
+    const timer = setTimeout(
+      () => reject(new Error(`Server did not start:\n${output}`)),
+      START_TIMEOUT_MS
+    );
+    const onData = (data) => {
+      output += data;
+      if (output.includes("Backend listening")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+}
+
+// An API client holding one user's session cookie. Each call resolves to
+// { status, body }, body being the parsed JSON response. Buffers are sent
+// as application/octet-stream, plain objects as JSON. download() resolves
+// to the fetch Response itself, for bodies that are not JSON.
+function apiClient(baseUrl, cookie = "") {
+  async function request(method, urlPath, body, extraHeaders = {}) {
+    const headers = { ...extraHeaders };
+    if (cookie) headers.Cookie = cookie;
+    let payload;
+    if (body instanceof FormData) {
+      payload = body;
+    } else if (Buffer.isBuffer(body)) {
+      headers["Content-Type"] = "application/octet-stream";
+      payload = body;
+    } else if (body !== undefined) {
+      headers["Content-Type"] = "application/json";
+      payload = JSON.stringify(body);
+    }
+    const res = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers,
+      body: payload,
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  return {
+    get: (urlPath) => request("GET", urlPath),
+    post: (urlPath, body, headers) => request("POST", urlPath, body, headers),
+    put: (urlPath, body, headers) => request("PUT", urlPath, body, headers),
+    delete: (urlPath) => request("DELETE", urlPath),
+    download: (urlPath) =>
+      fetch(`${baseUrl}${urlPath}`, {
+        headers: cookie ? { Cookie: cookie } : {},
+      }),
+  };
+}
+
+/*
+ * Starts a server whose users are given as { username: role }, all with
+ * PASSWORD, and with the environment variables in env. Resolves to
+ * { baseUrl, backendDir, login(username), anonymous(), stop() }; stop()
+ * ends the server and removes its files.
+ */
+async function startServer(users, env = {}) {
+  const { root, backendDir } = createSandbox();
+  env = { ...process.env, ...env, LEDGER: "memory" };
+  for (const [username, role] of Object.entries(users)) {
+    execFileSync(
+      process.execPath,
+      ["scripts/addUser.js", username, PASSWORD, role],
+      { cwd: backendDir, env, stdio: "ignore" }
+    );
+  }
+
+  const port = await freePort();
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: backendDir,
+    env: { ...env, PORT: String(port) },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  try {
+    await waitForListening(child);
+  } catch (err) {
+    child.kill();
+    fs.rmSync(root, { recursive: true, force: true });
+    throw err;
+  }
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  return {
+    baseUrl,
+    backendDir,
+    anonymous: () => apiClient(baseUrl),
+    async login(username) {
+      const res = await fetch(`${baseUrl}/api/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password: PASSWORD }),
+      });
+      if (!res.ok) {
+        throw new Error(`Login of ${username} failed: ${res.status}`);
+      }
+      const cookie = res.headers.get("set-cookie").split(";")[0];
+      return apiClient(baseUrl, cookie);
+    },
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = once(child, "exit");
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(root, { recursive: true, force: true });
+    },
+  };
+}
+
+async function createCase(api, caseId) {
+  const res = await api.post("/api/cases", { caseId });
+  if (res.status !== 201) {
+    throw new Error(`Case ${caseId} not created: ${JSON.stringify(res.body)}`);
+  }
+}
+
+async function createEvidence(api, evidenceId, caseId, fields = {}) {
+  const form = new FormData();
+  form.append("evidenceId", evidenceId);
+  form.append("caseId", caseId);
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value);
+  }
+  form.append("image", new Blob([`image of ${evidenceId}`]), "image.bin");
+  return api.post("/api/evidence", form);
+}
+
+function act(api, evidenceId, actionType, fields = {}) {
+  return api.post(`/api/evidence/${evidenceId}/action`, {
+    actionType,
+    ...fields,
+  });
+}
+
+async function getEvidence(api, evidenceId) {
+  const res = await api.get(`/api/evidence/${evidenceId}`);
+  if (res.status !== 200) {
+    throw new Error(`Evidence ${evidenceId}: ${JSON.stringify(res.body)}`);
+  }
+  return res.body.evidence;
+}
+
+module.exports = {
+  TRANSITIONS,
+  DISPOSITION_APPROVALS,
+  startServer,
+  createCase,
+  createEvidence,
+  act,
+  getEvidence,
+};
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { diffRecords, buildVersionHistory } = require("../recordHistory");
+const { startServer, createCase, createEvidence, act } = require("./helpers");
+
+test("diffs name each changed field", () => {
+  assert.deepStrictEqual(
+    diffRecords(
+      { status: "CREATED", tags: ["a"], updatedAt: 1, holder: "x" },
+      { status: "CHECKED_IN", tags: ["a"], updatedAt: 2, note: "n" }
+    ),
+    [
+      { field: "holder", from: "x", to: null },
+      { field: "note", from: null, to: "n" },
+      { field: "status", from: "CREATED", to: "CHECKED_IN" },
+    ]
+  );
+  assert.deepStrictEqual(diffRecords(undefined, { status: "CREATED" }), [
+    { field: "status", from: null, to: "CREATED" },
+  ]);
+});
+
+test("versions without a custody event are flagged", () => {
+  // newest first, as the peer returns it
+  const history = [
+    { txId: "t3", timestamp: 3, isDelete: false, value: { status: "B" } },
+    { txId: "t2", timestamp: 2, isDelete: false, value: { status: "B" } },
+    { txId: "t1", timestamp: 1, isDelete: false, value: { status: "A" } },
+  ];
+  const events = [
+    { txId: "t1", eventType: "CREATED", performedBy: "alice" },
+    { txId: "t3", eventType: "CHECKED_IN", performedBy: "bob" },
+  ];
+
+  const versions = buildVersionHistory(history, events);
+  assert.deepStrictEqual(
+    versions.map((v) => [v.version, v.txId, v.eventType, v.missingEvent]),
+    [
+      [1, "t1", "CREATED", false],
+      [2, "t2", null, true],
+      [3, "t3", "CHECKED_IN", false],
+    ]
+  );
+  assert.deepStrictEqual(versions[1].changes, [
+    { field: "status", from: "A", to: "B" },
+  ]);
+  assert.deepStrictEqual(versions[2].changes, []);
+});
+
+test("the history route diffs ledger versions", async (t) => {
+  const server = await startServer({ manager: "EvidenceManager" });
+  t.after(() => server.stop());
+  const manager = await server.login("manager");
+  await createCase(manager, "CASE-HISTORY");
+  await createEvidence(manager, "H1", "CASE-HISTORY");
+  await act(manager, "H1", "CHECK_IN");
+
+  const { status, body } = await manager.get("/api/evidence/H1/history");
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.missingEvents, 0);
+  assert.deepStrictEqual(
+    body.versions.map((v) => [v.version, v.eventType, v.performedBy]),
+    [
+      [1, "CREATED", "manager"],
+      [2, "CHECKED_IN", "manager"],
+    ]
+  );
+
+  const [created, checkedIn] = body.versions;
+  assert.ok(created.changes.some((c) => c.field === "evidenceId"));
+  assert.ok(
+    checkedIn.changes.some(
+      (c) =>
+        c.field === "status" && c.from === "CREATED" && c.to === "CHECKED_IN"
+    )
+  );
+  assert.ok(checkedIn.changes.every((c) => c.field !== "updatedAt"));
+  assert.strictEqual(checkedIn.record.status, "CHECKED_IN");
+});
@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const fs = require("fs");
+const zlib = require("zlib");
+
+const { sha256Hex } = require("../merkle");
+const { startServer, createCase, getEvidence } = require("./helpers");
+
+// A ZIP of { name: content } with every entry stored uncompressed
+function zipOf(files) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const data = Buffer.from(content);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x21, 12); // 1980-01-01
+    header.writeUInt32LE(zlib.crc32(data), 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    header.copy(entry, 12, 10, 28);
+    entry.writeUInt32LE(offset, 42);
+
+    local.push(header, nameBytes, data);
+    central.push(entry, nameBytes);
+    offset += header.length + nameBytes.length + data.length;
+  }
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length / 2, 8);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...local, directory, end]);
+}
+
+async function runIntake(api, manifestName, manifest, files) {
+  const form = new FormData();
+  form.append("manifest", new Blob([manifest]), manifestName);
+  form.append("archive", new Blob([zipOf(files)]), "files.zip");
+  const res = await api.post("/api/intake", form);
+  assert.strictEqual(res.status, 202, JSON.stringify(res.body));
+
+  const deadline = Date.now() + 10000;
+  for (;;) {
+    const { body } = await api.get(res.body.statusUrl);
+    if (body.status === "DONE") return body;
+    if (Date.now() > deadline) throw new Error("intake did not finish");
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+// Hashes of the objects in a sandbox's evidence store, which sit at
+// <caseIdHash>/<two hex digits>/<hash>
+function storedObjects(backendDir) {
+  const objectsDir = path.join(backendDir, "store", "objects");
+  return fs
+    .readdirSync(objectsDir, { recursive: true })
+    .map((file) => file.split(path.sep))
+    .filter((parts) => parts.length === 3 && /^[0-9a-f]{64}$/.test(parts[2]))
+    .map((parts) => parts[2])
+    .sort();
+}
+
+test("bulk intake", async (t) => {
+  const server = await startServer({ manager: "EvidenceManager" });
+  t.after(() => server.stop());
+  const manager = await server.login("manager");
+  await createCase(manager, "CASE-INTAKE");
+
+  const files = {
+    "a.bin": "contents of a",
+    "disks/b.bin": "contents of b",
+    "c.bin": "contents of c",
+  };
+
+  await t.test("rows are created or fail on their own", async () => {
+    const job = await runIntake(
+      manager,
+      "manifest.csv",
+      [
+        "evidenceId,caseId,file,sha256,description",
+        "B1,CASE-INTAKE,a.bin,,first",
+        `B2,CASE-INTAKE,./disks/b.bin,${sha256Hex(files["disks/b.bin"])},`,
+        'B1,CASE-INTAKE,c.bin,,"again, with a comma"',
+        "B3,CASE-MISSING,c.bin,,",
+        "B4,CASE-INTAKE,missing.bin,,",
+      ].join("\n"),
+      files
+    );
+
+    assert.deepStrictEqual(job.counts, {
+      CREATED: 2,
+      ALREADY_EXISTS: 0,
+      FAILED: 3,
+    });
+    assert.deepStrictEqual(
+      job.rows.map((row) => [row.evidenceId, row.status, row.code || null]),
+      [
+        ["B1", "CREATED", null],
+        ["B2", "CREATED", null],
+        ["B1", "FAILED", "VALIDATION_ERROR"],
+        ["B3", "FAILED", "NOT_FOUND"],
+        ["B4", "FAILED", "VALIDATION_ERROR"],
+      ]
+    );
+    assert.match(job.rows[2].error, /repeats row 1/);
+
+    const evidence = await getEvidence(manager, "B2");
+    assert.strictEqual(evidence.imageHash, sha256Hex(files["disks/b.bin"]));
+    assert.strictEqual(evidence.imageFilename, "b.bin");
+  });
+
+  await t.test("failed rows leave nothing in the store", () => {
+    assert.deepStrictEqual(
+      storedObjects(server.backendDir),
+      [files["a.bin"], files["disks/b.bin"]].map((c) => sha256Hex(c)).sort()
+    );
+    assert.deepStrictEqual(
+      fs.readdirSync(path.join(server.backendDir, "store", "incoming")),
+      []
+    );
+  });
+
+  await t.test("a resubmitted manifest creates nothing twice", async () => {
+    const job = await runIntake(
+      manager,
+      "manifest.json",
+      JSON.stringify([
+        { evidenceId: "B1", caseId: "CASE-INTAKE", file: "a.bin" },
+        { evidenceId: "B2", caseId: "CASE-INTAKE", file: "c.bin" },
+      ]),
+      files
+    );
+
+    assert.deepStrictEqual(job.counts, {
+      CREATED: 0,
+      ALREADY_EXISTS: 2,
+      FAILED: 0,
+    });
+    assert.deepStrictEqual(
+      job.rows.map((row) => [row.evidenceId, row.hashMatches]),
+      [
+        ["B1", true],
+        ["B2", false],
+      ]
+    );
+    assert.strictEqual(job.rows[1].ledgerHash, sha256Hex(files["disks/b.bin"]));
+  });
+});
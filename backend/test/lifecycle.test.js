@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const {
+  TRANSITIONS,
+  startServer,
+  createCase,
+  createEvidence,
+  act,
+  getEvidence,
+} = require("./helpers");
+
+const USERS = {
+  manager: "EvidenceManager",
+  tech: "ForensicTechnician",
+  viewer: "Viewer",
+};
+
+test("evidence lifecycle follows the transition table", async (t) => {
+  const server = await startServer(USERS);
+  t.after(() => server.stop());
+  const clients = {};
+  for (const username of Object.keys(USERS)) {
+    clients[username] = await server.login(username);
+  }
+  const { manager, tech } = clients;
+  await createCase(manager, "CASE-LIFECYCLE");
+
+  await t.test("new evidence starts CREATED", async () => {
+    const res = await createEvidence(manager, "L1", "CASE-LIFECYCLE");
+    assert.strictEqual(res.status, 201);
+    const evidence = await getEvidence(manager, "L1");
+    assert.strictEqual(evidence.status, "CREATED");
+    assert.strictEqual(evidence.currentCustodian, "manager");
+  });
+
+  await t.test(
+    "each role is offered the actions the table allows",
+    async () => {
+      for (const [username, role] of Object.entries(USERS)) {
+        const res = await clients[username].get("/api/evidence/L1/actions");
+        assert.strictEqual(res.status, 200);
+        const expected = Object.entries(TRANSITIONS)
+          .filter(
+            ([, tr]) =>
+              tr.from.includes("CREATED") &&
+              tr.roles.includes(role) &&
+              !tr.recipientOnly
+          )
+          .map(([action]) => action)
+          .sort();
+        assert.deepStrictEqual(
+          res.body.allowed.map((a) => a.action).sort(),
+          expected,
+          `actions offered to ${role}`
+        );
+      }
+    }
+  );
+
+  await t.test("actions the table forbids in CREATED fail 409", async () => {
+    await createEvidence(manager, "L2", "CASE-LIFECYCLE");
+    for (const [action, tr] of Object.entries(TRANSITIONS)) {
+      if (tr.from.includes("CREATED")) continue;
+      const api = tr.roles.includes("EvidenceManager") ? manager : tech;
+      const res = await act(api, "L2", action, { toCustodian: "tech" });
+      assert.strictEqual(res.status, 409, `${action}: ${res.body.details}`);
+      assert.strictEqual(res.body.code, "INVALID_STATE");
+    }
+    assert.strictEqual((await getEvidence(manager, "L2")).status, "CREATED");
+  });
+
+  await t.test("a full custody path reaches each target status", async () => {
+    const steps = [
+      [tech, "CHECK_IN"],
+      [tech, "CHECK_OUT"],
+      [tech, "START_ANALYSIS"],
+      [tech, "RETURN"],
+      [manager, "CHECK_IN"],
+      [manager, "ARCHIVE"],
+      [manager, "CHECK_OUT"],
+    ];
+    for (const [api, action] of steps) {
+      const res = await act(api, "L1", action);
+      assert.strictEqual(res.status, 200, `${action}: ${res.body.details}`);
+      const evidence = await getEvidence(manager, "L1");
+      assert.strictEqual(evidence.status, TRANSITIONS[action].to, action);
+    }
+
+    const events = await manager.get("/api/evidence/L1/events");
+    const lifecycle = events.body.events
+      .map((e) => e.eventType)
+      .filter((type) => type !== "VIEWED");
+    assert.deepStrictEqual(lifecycle, [
+      "CREATED",
+      ...steps.map(([, action]) => TRANSITIONS[action].event),
+    ]);
+  });
+
+  await t.test("check-in records the named custodian", async () => {
+    const res = await act(manager, "L1", "CHECK_IN", { custodian: "tech" });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(
+      (await getEvidence(manager, "L1")).currentCustodian,
+      "tech"
+    );
+  });
+});
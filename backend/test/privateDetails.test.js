@@ -0,0 +1,162 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const contractCalls = require("../contractCalls");
+const {
+  startServer,
+  createCase,
+  createEvidence,
+  act,
+  getEvidence,
+} = require("./helpers");
+
+// A contract whose transactions all commit, except those named in failing,
+// which fail endorsement the way the Fabric Gateway reports it
+function fakeContract(failing = []) {
+  const submitted = [];
+  let count = 0;
+  return {
+    submitted,
+    createTransaction(name) {
+      let transient = null;
+      return {
+        setTransient(map) {
+          transient = JSON.parse(map.private.toString());
+        },
+        setEndorsingOrganizations() {},
+        async submitAsync(payload) {
+          submitted.push({ name, payload: JSON.parse(payload), transient });
+          if (failing.includes(name)) {
+            throw new Error(
+              "10 ABORTED: failed to endorse transaction, ACCESS_DENIED: not a collection member"
+            );
+          }
+          const txId = (++count).toString(16).padStart(64, "0");
+          return {
+            txId,
+            result: Buffer.from(""),
+            status: Promise.resolve({
+              successful: true,
+              code: "VALID",
+              blockNumber: String(count),
+            }),
+          };
+        },
+      };
+    },
+  };
+}
+
+function callsWith(contract) {
+  return contractCalls((userId, fn) => fn(contract), {
+    privateDataOrgs: ["Org1MSP"],
+  });
+}
+
+test("private details follow their committed transaction", async () => {
+  const contract = fakeContract();
+  const { submitTransactionAsync } = callsWith(contract);
+
+  const submitted = await submitTransactionAsync(
+    "alice",
+    "CreateEvidence",
+    { evidenceId: "P1", caseIdHash: "h" },
+    { caseId: "CASE-1", description: "laptop" }
+  );
+  const { txId } = await submitted.committed;
+  assert.strictEqual(await submitted.privateDetails, null);
+
+  assert.deepStrictEqual(
+    contract.submitted.map(({ name, transient }) => [name, transient]),
+    [
+      ["CreateEvidence", null],
+      [
+        "PutEvidencePrivateDetails",
+        { caseId: "CASE-1", description: "laptop" },
+      ],
+    ]
+  );
+  assert.deepStrictEqual(contract.submitted[1].payload, {
+    evidenceId: "P1",
+    txId,
+  });
+});
+
+test("a failed private write leaves the committed transaction", async () => {
+  const contract = fakeContract(["PutCasePrivateDetails"]);
+  const { submitTransactionAsync, submitTransactionOnChain } =
+    callsWith(contract);
+
+  const submitted = await submitTransactionAsync(
+    "alice",
+    "CreateCase",
+    { caseIdHash: "h" },
+    { caseId: "CASE-1" }
+  );
+  const { txId } = await submitted.committed;
+  const failed = await submitted.privateDetails;
+  assert.strictEqual(failed.txId, txId);
+  assert.match(failed.error.message, /ACCESS_DENIED/);
+
+  await assert.rejects(
+    submitTransactionOnChain(
+      "alice",
+      "CreateCase",
+      { caseIdHash: "h2" },
+      { caseId: "CASE-2" }
+    ),
+    /ACCESS_DENIED/
+  );
+});
+
+test("private details can be written again on their own", async (t) => {
+  const server = await startServer({ manager: "EvidenceManager" });
+  t.after(() => server.stop());
+  const manager = await server.login("manager");
+  await createCase(manager, "CASE-PRIVATE");
+  await createEvidence(manager, "P1", "CASE-PRIVATE");
+  await act(manager, "P1", "CHECK_IN");
+
+  const events = (await manager.get("/api/evidence/P1/events")).body.events;
+  const created = events.find((e) => e.eventType === "CREATED");
+  const checkedIn = events.find((e) => e.eventType === "CHECKED_IN");
+
+  await t.test("notes of an event that had none", async () => {
+    const res = await manager.post("/api/evidence/P1/private", {
+      txId: checkedIn.txId,
+      notes: "sealed bag 42",
+    });
+    assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+    const details = await manager.get("/api/evidence/P1/private");
+    assert.deepStrictEqual(
+      details.body.notes.map((n) => [n.eventType, n.text]),
+      [["CHECKED_IN", "sealed bag 42"]]
+    );
+    assert.strictEqual((await getEvidence(manager, "P1")).status, "CHECKED_IN");
+  });
+
+  await t.test("details already written are kept", async () => {
+    const res = await manager.post("/api/evidence/P1/private", {
+      txId: created.txId,
+      caseId: "CASE-PRIVATE",
+      description: "replaced",
+    });
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual(res.body.code, "ALREADY_EXISTS");
+
+    const caseRes = await manager.post("/api/cases/CASE-PRIVATE/private", {
+      description: "replaced",
+    });
+    assert.strictEqual(caseRes.status, 409);
+    assert.strictEqual(caseRes.body.code, "ALREADY_EXISTS");
+  });
+
+  await t.test("the case number must be the item's", async () => {
+    const res = await manager.post("/api/evidence/P1/private", {
+      txId: created.txId,
+      caseId: "CASE-OTHER",
+    });
+    assert.strictEqual(res.status, 422);
+    assert.strictEqual(res.body.code, "VALIDATION_ERROR");
+  });
+});
@@ -0,0 +1,172 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+// read once, when submitQueue.js is loaded
+process.env.SUBMIT_RETRY_DELAY_MS = "1";
+process.env.SUBMIT_MAX_ATTEMPTS = "3";
+process.env.SUBMIT_CONCURRENCY = "2";
+const { createSubmitQueue } = require("../submitQueue");
+
+/*
+ * A job whose attempts play out outcomes in order: a validation code the
+ * transaction commits with, or an Error its endorsement fails with. Each
+ * attempt gets a new txId, listed in attempts.
+ */
+function scriptedJob(outcomes) {
+  const attempts = [];
+  return {
+    attempts,
+    name: "EvidenceAction",
+    userId: "alice",
+    evidenceId: "Q1",
+    async attempt() {
+      const outcome = outcomes[attempts.length];
+      const txId = `tx${attempts.length + 1}`;
+      attempts.push(txId);
+      if (outcome instanceof Error) throw outcome;
+      return {
+        txId,
+        result: Buffer.from(txId),
+        status: Promise.resolve({
+          successful: outcome === "VALID",
+          code: outcome,
+          blockNumber: String(attempts.length),
+        }),
+      };
+    },
+  };
+}
+
+test("read conflicts are retried as new transactions", async () => {
+  const queue = createSubmitQueue();
+  const job = scriptedJob([
+    "MVCC_READ_CONFLICT",
+    "PHANTOM_READ_CONFLICT",
+    "VALID",
+  ]);
+
+  const submitted = await queue.submit(job);
+  assert.strictEqual(submitted.txId, "tx1");
+  const committed = await submitted.committed;
+  assert.strictEqual(committed.txId, "tx3");
+  assert.strictEqual(committed.attempt, 3);
+  assert.strictEqual(committed.status, "COMMITTED");
+  assert.strictEqual(committed.result.toString(), "tx3");
+
+  assert.deepStrictEqual(
+    ["tx1", "tx2", "tx3"].map((txId) => {
+      const { status, code, replacedBy } = queue.getStatus(txId);
+      return [status, code, replacedBy];
+    }),
+    [
+      ["FAILED", "MVCC_READ_CONFLICT", "tx2"],
+      ["FAILED", "PHANTOM_READ_CONFLICT", "tx3"],
+      ["COMMITTED", "VALID", null],
+    ]
+  );
+});
+
+test("conflicts give up after the last attempt", async () => {
+  const queue = createSubmitQueue();
+  const job = scriptedJob(Array(3).fill("MVCC_READ_CONFLICT"));
+
+  const submitted = await queue.submit(job);
+  await assert.rejects(submitted.committed, {
+    code: "MVCC_READ_CONFLICT",
+    status: 409,
+  });
+  assert.strictEqual(job.attempts.length, 3);
+  assert.strictEqual(queue.getStatus("tx3").replacedBy, null);
+});
+
+test("other invalid transactions are not retried", async () => {
+  const queue = createSubmitQueue();
+  const job = scriptedJob(["ENDORSEMENT_POLICY_FAILURE", "VALID"]);
+
+  const submitted = await queue.submit(job);
+  await assert.rejects(submitted.committed, {
+    code: "ENDORSEMENT_POLICY_FAILURE",
+    status: 500,
+  });
+  assert.deepStrictEqual(job.attempts, ["tx1"]);
+});
+
+test("unreachable endorsers are retried, contract errors are not", async () => {
+  const queue = createSubmitQueue();
+
+  const flaky = scriptedJob([
+    new Error("14 UNAVAILABLE: failed to connect to all addresses"),
+    "VALID",
+  ]);
+  const submitted = await queue.submit(flaky);
+  assert.strictEqual(submitted.txId, "tx2");
+  assert.strictEqual((await submitted.committed).attempt, 2);
+
+  const denied = scriptedJob([
+    new Error("10 ABORTED: failed to endorse, ACCESS_DENIED: not a custodian"),
+    "VALID",
+  ]);
+  await assert.rejects(queue.submit(denied), /ACCESS_DENIED/);
+  assert.deepStrictEqual(denied.attempts, ["tx1"]);
+});
+
+test("a transaction whose status is unknown is not resubmitted", async () => {
+  const queue = createSubmitQueue();
+  const job = {
+    name: "EvidenceAction",
+    userId: "alice",
+    attempts: 0,
+    async attempt() {
+      this.attempts++;
+      return {
+        txId: "lost",
+        result: Buffer.alloc(0),
+        status: Promise.reject(new Error("14 UNAVAILABLE: stream closed")),
+      };
+    },
+  };
+
+  const submitted = await queue.submit(job);
+  await assert.rejects(submitted.committed, /stream closed/);
+  assert.strictEqual(job.attempts, 1);
+  assert.strictEqual(queue.getStatus("lost").status, "UNKNOWN");
+});
+
+test("at most SUBMIT_CONCURRENCY jobs are in flight", async () => {
+  const queue = createSubmitQueue();
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const commits = [];
+  const job = (i) => ({
+    name: "EvidenceAction",
+    userId: "alice",
+    async attempt() {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      const status = new Promise((resolve) => commits.push(resolve)).then(
+        () => {
+          inFlight--;
+          return { successful: true, code: "VALID", blockNumber: "1" };
+        }
+      );
+      return { txId: `job${i}`, result: Buffer.alloc(0), status };
+    },
+  });
+
+  const submissions = [0, 1, 2, 3].map((i) => queue.submit(job(i)));
+  const first = await Promise.all(submissions.slice(0, 2));
+  assert.strictEqual(commits.length, 2);
+
+  // each commit hands its slot to the next job in order
+  for (let i = 0; i < 4; i++) {
+    commits[i]();
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  const rest = await Promise.all(submissions.slice(2));
+  await Promise.all([...first, ...rest].map((s) => s.committed));
+  assert.strictEqual(maxInFlight, 2);
+  assert.deepStrictEqual(
+    rest.map((s) => s.txId),
+    ["job2", "job3"]
+  );
+});
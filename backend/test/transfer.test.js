@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const {
+  startServer,
+  createCase,
+  createEvidence,
+  act,
+  getEvidence,
+} = require("./helpers");
+
+test("custody transfers and their endorsement policy", async (t) => {
+  const server = await startServer({
+    manager: "EvidenceManager",
+    tech: "ForensicTechnician",
+    other: "ForensicTechnician",
+  });
+  t.after(() => server.stop());
+  const manager = await server.login("manager");
+  const tech = await server.login("tech");
+  const other = await server.login("other");
+  await createCase(manager, "CASE-TRANSFER");
+
+  const endorsingOrgs = async (evidenceId) =>
+    (await manager.get(`/api/evidence/${evidenceId}/endorsement`)).body
+      .endorsingOrgs;
+
+  await t.test("only the named recipient can accept", async () => {
+    await createEvidence(manager, "T1", "CASE-TRANSFER");
+    let res = await act(manager, "T1", "INITIATE_TRANSFER", {
+      toCustodian: "tech",
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(
+      (await getEvidence(manager, "T1")).status,
+      "PENDING_TRANSFER"
+    );
+
+    const inbox = await tech.get("/api/transfers/pending");
+    assert.deepStrictEqual(
+      inbox.body.transfers.map((e) => e.evidenceId),
+      ["T1"]
+    );
+
+    res = await act(other, "T1", "ACCEPT_TRANSFER");
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(res.body.code, "ACCESS_DENIED");
+
+    res = await act(tech, "T1", "ACCEPT_TRANSFER");
+    assert.strictEqual(res.status, 200);
+    const evidence = await getEvidence(manager, "T1");
+    assert.strictEqual(evidence.status, "TRANSFERRED");
+    assert.strictEqual(evidence.currentCustodian, "tech");
+    assert.strictEqual(evidence.pendingTransfer, undefined);
+  });
+
+  await t.test("rejecting restores the status before the handoff", async () => {
+    await createEvidence(manager, "T2", "CASE-TRANSFER");
+    await act(manager, "T2", "CHECK_IN");
+    await act(manager, "T2", "INITIATE_TRANSFER", { toCustodian: "tech" });
+
+    const res = await act(tech, "T2", "REJECT_TRANSFER");
+    assert.strictEqual(res.status, 200);
+    const evidence = await getEvidence(manager, "T2");
+    assert.strictEqual(evidence.status, "CHECKED_IN");
+    assert.strictEqual(evidence.currentCustodian, "manager");
+  });
+
+  await t.test("a cross-org transfer adds the receiving org", async () => {
+    await createEvidence(manager, "T3", "CASE-TRANSFER");
+    assert.deepStrictEqual(await endorsingOrgs("T3"), ["Org1MSP"]);
+
+    let res = await act(manager, "T3", "INITIATE_TRANSFER", {
+      toCustodian: "bob",
+      toMspId: "Org2MSP",
+    });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual((await endorsingOrgs("T3")).sort(), [
+      "Org1MSP",
+      "Org2MSP",
+    ]);
+
+    // the recipient is bob of Org2MSP
+    res = await act(tech, "T3", "ACCEPT_TRANSFER");
+    assert.strictEqual(res.status, 403);
+
+    res = await act(manager, "T3", "CANCEL_TRANSFER", {
+      notes: "wrong lab",
+    });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(await endorsingOrgs("T3"), ["Org1MSP"]);
+    assert.strictEqual((await getEvidence(manager, "T3")).status, "CREATED");
+  });
+
+  await t.test("only channel orgs can receive a transfer", async () => {
+    await createEvidence(manager, "T4", "CASE-TRANSFER");
+    const res = await act(manager, "T4", "INITIATE_TRANSFER", {
+      toCustodian: "bob",
+      toMspId: "Org3MSP",
+    });
+    assert.strictEqual(res.status, 422);
+    assert.strictEqual(res.body.code, "VALIDATION_ERROR");
+    assert.strictEqual((await getEvidence(manager, "T4")).status, "CREATED");
+    assert.deepStrictEqual(await endorsingOrgs("T4"), ["Org1MSP"]);
+  });
+
+  await t.test("notes stay in the private collection", async () => {
+    const res = await manager.get("/api/evidence/T3/private");
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(
+      res.body.notes.map((n) => [n.eventType, n.text]),
+      [["TRANSFER_CANCELLED", "wrong lab"]]
+    );
+
+    const events = await manager.get("/api/evidence/T3/history");
+    assert.ok(!JSON.stringify(events.body).includes("wrong lab"));
+  });
+});
@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+
+const { merkleRoot, sha256Hex, mismatchedRanges } = require("../merkle");
+const { startServer, createCase, getEvidence } = require("./helpers");
+
+const CHUNK_SIZE = 1024 * 1024;
+
+test("Merkle roots over chunk hashes", () => {
+  const [a, b, c] = ["a", "b", "c"].map((data) => sha256Hex(data));
+  const node = (left, right) =>
+    crypto
+      .createHash("sha256")
+      .update(Buffer.from([1]))
+      .update(Buffer.from(left, "hex"))
+      .update(Buffer.from(right, "hex"))
+      .digest("hex");
+
+  assert.strictEqual(merkleRoot([]), sha256Hex(Buffer.alloc(0)));
+  assert.strictEqual(merkleRoot([a]), a);
+  assert.strictEqual(merkleRoot([a, b]), node(a, b));
+  // the odd node is carried up unchanged
+  assert.strictEqual(merkleRoot([a, b, c]), node(node(a, b), c));
+  assert.notStrictEqual(merkleRoot([b, a]), merkleRoot([a, b]));
+
+  assert.deepStrictEqual(mismatchedRanges([a, b, c], [a, c, a], 10), [
+    { firstChunk: 1, lastChunk: 2, start: 10, end: 30 },
+  ]);
+  assert.deepStrictEqual(mismatchedRanges([a, b], [a, b, c], 10), [
+    { firstChunk: 2, lastChunk: 2, start: 20, end: 30 },
+  ]);
+});
+
+test("chunked uploads resume and record their Merkle root", async (t) => {
+  const server = await startServer({ manager: "EvidenceManager" });
+  t.after(() => server.stop());
+  const manager = await server.login("manager");
+  await createCase(manager, "CASE-UPLOADS");
+
+  const data = crypto.randomBytes(CHUNK_SIZE * 2 + 1000);
+  const chunks = [0, 1, 2].map((i) =>
+    data.subarray(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE)
+  );
+  const putChunk = (uploadId, index, chunk, hash = sha256Hex(chunk)) =>
+    manager.put(`/api/uploads/${uploadId}/chunks/${index}`, chunk, {
+      "X-Chunk-Sha256": hash,
+    });
+
+  let res = await manager.post("/api/uploads", {
+    filename: "disk image.raw",
+    size: data.length,
+    chunkSize: CHUNK_SIZE,
+  });
+  assert.strictEqual(res.status, 201);
+  const { uploadId } = res.body;
+  assert.strictEqual(res.body.chunkCount, 3);
+  assert.deepStrictEqual(res.body.missingChunks, [0, 1, 2]);
+
+  await t.test("chunks arrive in any order", async () => {
+    assert.strictEqual((await putChunk(uploadId, 2, chunks[2])).status, 200);
+    assert.strictEqual((await putChunk(uploadId, 0, chunks[0])).status, 200);
+
+    const session = await manager.get(`/api/uploads/${uploadId}`);
+    assert.deepStrictEqual(session.body.missingChunks, [1]);
+    const early = await manager.post(`/api/uploads/${uploadId}/complete`);
+    assert.strictEqual(early.status, 409);
+    assert.deepStrictEqual(early.body.missingChunks, [1]);
+  });
+
+  await t.test("a bad re-send leaves the received chunk alone", async () => {
+    const garbage = crypto.randomBytes(CHUNK_SIZE);
+    let bad = await putChunk(uploadId, 0, garbage, sha256Hex(chunks[0]));
+    assert.strictEqual(bad.status, 400);
+    bad = await putChunk(uploadId, 0, garbage.subarray(0, 10));
+    assert.strictEqual(bad.status, 400);
+
+    const session = await manager.get(`/api/uploads/${uploadId}`);
+    assert.deepStrictEqual(session.body.missingChunks, [1]);
+  });
+
+  await t.test("the completed file is hashed as one", async () => {
+    assert.strictEqual((await putChunk(uploadId, 1, chunks[1])).status, 200);
+    const done = await manager.post(`/api/uploads/${uploadId}/complete`);
+    assert.strictEqual(done.status, 200, JSON.stringify(done.body));
+    assert.strictEqual(done.body.status, "COMPLETE");
+    assert.strictEqual(done.body.file.hash, sha256Hex(data));
+    assert.strictEqual(
+      done.body.file.merkleRoot,
+      merkleRoot(chunks.map((chunk) => sha256Hex(chunk)))
+    );
+
+    const again = await manager.put(
+      `/api/uploads/${uploadId}/chunks/0`,
+      chunks[0]
+    );
+    assert.strictEqual(again.status, 409);
+  });
+
+  await t.test("evidence records the upload's hashes", async () => {
+    const form = new FormData();
+    form.append("evidenceId", "U1");
+    form.append("caseId", "CASE-UPLOADS");
+    form.append("uploadId", uploadId);
+    res = await manager.post("/api/evidence", form);
+    assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+
+    const evidence = await getEvidence(manager, "U1");
+    assert.strictEqual(evidence.imageHash, sha256Hex(data));
+    assert.strictEqual(evidence.imageChunkSize, CHUNK_SIZE);
+    assert.strictEqual(
+      evidence.imageMerkleRoot,
+      merkleRoot(chunks.map((chunk) => sha256Hex(chunk)))
+    );
+    assert.strictEqual(evidence.imageFilename, "disk_image.raw");
+  });
+});
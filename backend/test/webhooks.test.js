@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const crypto = require("crypto");
+const { once } = require("events");
+
+const { startServer, createCase, createEvidence, act } = require("./helpers");
+
+// Polls check() until it returns something truthy
+async function eventually(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+// A receiver that refuses the first POST to /flaky and every POST to /down
+async function startReceiver() {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const data of req) body += data;
+    requests.push({ path: req.url, headers: req.headers, body });
+    const refused =
+      req.url === "/down" ||
+      (req.url === "/flaky" &&
+        requests.filter((r) => r.path === "/flaky").length === 1);
+    res.writeHead(refused ? 503 : 204).end();
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return {
+    url: (urlPath) => `http://127.0.0.1:${server.address().port}${urlPath}`,
+    requests: (urlPath) => requests.filter((r) => r.path === urlPath),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test("webhook subscriptions", async (t) => {
+  const receiver = await startReceiver();
+  t.after(() => receiver.close());
+  const server = await startServer(
+    { manager: "EvidenceManager", tech: "ForensicTechnician" },
+    {
+      WEBHOOK_ALLOWED_HOSTS: "127.0.0.1",
+      WEBHOOK_RETRY_DELAY_MS: "20",
+      WEBHOOK_MAX_ATTEMPTS: "2",
+    }
+  );
+  t.after(() => server.stop());
+  const manager = await server.login("manager");
+  const tech = await server.login("tech");
+  await createCase(manager, "CASE-HOOKS");
+
+  await t.test("only Evidence Managers subscribe", async () => {
+    const res = await tech.post("/api/webhooks", {
+      url: receiver.url("/flaky"),
+    });
+    assert.strictEqual(res.status, 403);
+  });
+
+  await t.test("internal receivers are refused", async () => {
+    const port = new URL(receiver.url("/")).port;
+    for (const url of [
+      `http://localhost:${port}/flaky`,
+      "http://10.0.0.1/hook",
+      "http://169.254.169.254/latest/meta-data",
+      "http://[::1]/hook",
+      "http://[::ffff:192.168.0.1]/hook",
+    ]) {
+      const res = await manager.post("/api/webhooks", { url });
+      assert.strictEqual(res.status, 422, url);
+      assert.strictEqual(res.body.code, "VALIDATION_ERROR");
+    }
+  });
+
+  await t.test("deliveries are signed and retried", async () => {
+    const res = await manager.post("/api/webhooks", {
+      url: receiver.url("/flaky"),
+      eventTypes: ["CREATED"],
+    });
+    assert.strictEqual(res.status, 201);
+    const { subscriptionId, secret } = res.body;
+
+    await createEvidence(manager, "W1", "CASE-HOOKS");
+    const attempts = await eventually(() => {
+      const received = receiver.requests("/flaky");
+      return received.length === 2 && received;
+    });
+
+    assert.strictEqual(
+      attempts[0].headers["x-chainguard-delivery"],
+      attempts[1].headers["x-chainguard-delivery"]
+    );
+    for (const { headers, body } of attempts) {
+      const timestamp = headers["x-chainguard-timestamp"];
+      const expected = crypto
+        .createHmac("sha256", secret)
+        .update(`${timestamp}.${body}`)
+        .digest("hex");
+      assert.strictEqual(
+        headers["x-chainguard-signature"],
+        `sha256=${expected}`
+      );
+      const payload = JSON.parse(body);
+      assert.strictEqual(payload.eventType, "CREATED");
+      assert.strictEqual(payload.evidence.evidenceId, "W1");
+    }
+
+    const subscription = await eventually(async () => {
+      const { body } = await manager.get(`/api/webhooks/${subscriptionId}`);
+      return body.lastDelivery?.status === "DELIVERED" && body;
+    });
+    assert.strictEqual(subscription.lastDelivery.attempts, 2);
+    assert.strictEqual(subscription.secret, undefined);
+  });
+
+  await t.test("undeliverable events are dead-lettered", async () => {
+    const res = await manager.post("/api/webhooks", {
+      url: receiver.url("/down"),
+      eventTypes: ["CHECKED_IN"],
+    });
+    assert.strictEqual(res.status, 201);
+
+    await act(manager, "W1", "CHECK_IN");
+    const [deadLetter] = await eventually(async () => {
+      const { body } = await manager.get("/api/webhooks/dead-letters");
+      return body.deadLetters.length > 0 && body.deadLetters;
+    });
+    assert.strictEqual(deadLetter.subscriptionId, res.body.subscriptionId);
+    assert.strictEqual(deadLetter.attempts, 2);
+    assert.strictEqual(deadLetter.error, "HTTP 503");
+    assert.strictEqual(deadLetter.payload.eventType, "CHECKED_IN");
+    assert.strictEqual(receiver.requests("/down").length, 2);
+  });
+});
@@ -0,0 +1,48 @@
+const path = require("path");
+
+// Schemas shared with the contract (src/schemas.ts), compiled with the
+// chaincode by `npm run build` in the repository root
+const schemasPath = path.join(__dirname, "..", "chaincode", "dist", "schemas");
+
+function loadSchemas() {
+  try {
+    return require(schemasPath);
+  } catch (err) {
+    throw new Error(
+      `Cannot load the shared schemas from ${schemasPath}; run "npm run build" in the repository root (${err.message})`
+    );
+  }
+}
+
+const { INPUT_SCHEMAS, REQUEST_SCHEMAS, validate } = loadSchemas();
+
+/*
+ * Express middleware checking req.body against REQUEST_SCHEMAS[name]; a
+ * body that does not match gets 422 with every problem found. Multipart
+ * routes must run it after multer has parsed the fields.
+ */
+function validateBody(name) {
+  const schema = REQUEST_SCHEMAS[name];
+  if (!schema) {
+    throw new Error(`No request schema named '${name}'`);
+  }
+
+  return (req, res, next) => {
+    const errors = validate(schema, req.body || {});
+    if (errors.length > 0) {
+      return res.status(422).json({
+        error: "Invalid request body",
+        code: "VALIDATION_ERROR",
+        details: errors.join("; "),
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  INPUT_SCHEMAS,
+  REQUEST_SCHEMAS,
+  validate,
+  validateBody,
+};
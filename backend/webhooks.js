@@ -0,0 +1,396 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const net = require("net");
+const dns = require("dns").promises;
+
+const { STORE_DIR } = require("./evidenceStore");
+const { ledgerEvents } = require("./eventStream");
+const { getEvidenceFromChain } = require("./ledger");
+
+/*
+ * Webhook subscriptions for evidence events: every EvidenceEvent the ledger
+ * listener receives, and TAMPER_DETECTED when GET /api/evidence/:id finds a
+ * stored file that no longer matches the chain. A subscription may be
+ * limited to event types, a case (by its hash) and a custodian, and only
+ * receives events of items its owner can read on the ledger.
+ *
+ * Each delivery is a JSON POST signed with the subscription's secret:
+ * X-Chainguard-Signature is "sha256=" and the hex HMAC-SHA256 of
+ * "<X-Chainguard-Timestamp>.<body>". Deliveries that fail (no 2xx within
+ * WEBHOOK_TIMEOUT_MS) are retried with exponential backoff from
+ * WEBHOOK_RETRY_DELAY_MS, up to WEBHOOK_MAX_ATTEMPTS attempts in all, and
+ * then written to the dead-letter log. Retries are held in memory, so a
+ * restart drops them; ledger events may also be delivered again after a
+ * restart, so receivers should ignore event IDs they have seen.
+ *
+ * Receivers must be public hosts: loopback, private, link-local and other
+ * special-purpose addresses are refused when subscribing and again before
+ * each attempt, so deliveries cannot be aimed at services on the backend's
+ * own network. WEBHOOK_ALLOWED_HOSTS lists host names or addresses exempt
+ * from this (comma-separated), for receivers inside that network.
+ */
+const SUBSCRIPTIONS_PATH = path.join(STORE_DIR, "webhooks.json");
+// One JSON line per delivery that ran out of attempts
+const DEAD_LETTERS_PATH = path.join(STORE_DIR, "webhook-dead-letters.jsonl");
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_DELAY_MS = Number(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Addresses that are not on the public internet
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+  return BLOCKED_ADDRESSES.check(
+    address,
+    net.isIPv6(address) ? "ipv6" : "ipv4"
+  );
+}
+
+// Why url may not receive deliveries, or null when it may
+async function checkWebhookTarget(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  if (ALLOWED_HOSTS.includes(hostname.toLowerCase())) {
+    return null;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch (err) {
+    return `cannot resolve '${hostname}' (${err.code || err.message})`;
+  }
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  return blocked
+    ? `'${hostname}' resolves to ${blocked.address}, which is not a public address`
+    : null;
+}
+
+// subscriptionId -> outcome of its latest delivery, until restart
+const lastDeliveries = new Map();
+// tamper findings already notified, so repeated views do not re-send them
+const notifiedTamper = new Set();
+
+function loadSubscriptions() {
+  if (!fs.existsSync(SUBSCRIPTIONS_PATH)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(SUBSCRIPTIONS_PATH, "utf8"));
+}
+
+function saveSubscriptions(subscriptions) {
+  fs.writeFileSync(SUBSCRIPTIONS_PATH, JSON.stringify(subscriptions, null, 2), {
+    mode: 0o600,
+  });
+}
+
+// A subscription as the API shows it: without its secret
+function describeSubscription(subscription) {
+  const { secret, ...rest } = subscription;
+  return {
+    ...rest,
+    lastDelivery: lastDeliveries.get(subscription.subscriptionId) || null,
+  };
+}
+
+// The secret is only ever returned here, when the subscription is created
+function createSubscription(
+  owner,
+  { url, description, eventTypes, caseIdHash, custodian }
+) {
+  const subscription = {
+    subscriptionId: crypto.randomUUID(),
+    owner,
+    url,
+    description: description || null,
+    eventTypes: [...new Set(eventTypes || [])],
+    caseIdHash: caseIdHash || null,
+    custodian: custodian || null,
+    secret: crypto.randomBytes(32).toString("hex"),
+    createdAt: new Date().toISOString(),
+  };
+
+  const subscriptions = loadSubscriptions();
+  subscriptions[subscription.subscriptionId] = subscription;
+  saveSubscriptions(subscriptions);
+
+  return { ...describeSubscription(subscription), secret: subscription.secret };
+}
+
+// Subscriptions of owner, or everyone's when owner is null
+function listSubscriptions(owner) {
+  return Object.values(loadSubscriptions())
+    .filter((s) => !owner || s.owner === owner)
+    .map(describeSubscription);
+}
+
+function getSubscription(subscriptionId) {
+  const subscription = loadSubscriptions()[subscriptionId];
+  return subscription ? describeSubscription(subscription) : null;
+}
+
+function deleteSubscription(subscriptionId) {
+  const subscriptions = loadSubscriptions();
+  delete subscriptions[subscriptionId];
+  saveSubscriptions(subscriptions);
+  lastDeliveries.delete(subscriptionId);
+}
+
+// Dead letters newest first, optionally of one owner's subscriptions
+function listDeadLetters(owner) {
+  if (!fs.existsSync(DEAD_LETTERS_PATH)) {
+    return [];
+  }
+  return fs
+    .readFileSync(DEAD_LETTERS_PATH, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((d) => !owner || d.owner === owner)
+    .reverse();
+}
+
+function sign(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// Exponential backoff with jitter, so retries to one receiver spread out
+function retryDelay(attempt) {
+  const base = RETRY_DELAY_MS * 2 ** (attempt - 1);
+  return base / 2 + Math.random() * base;
+}
+
+function noteDelivery(delivery, status, error = null) {
+  lastDeliveries.set(delivery.subscriptionId, {
+    deliveryId: delivery.deliveryId,
+    eventType: delivery.payload.eventType,
+    status,
+    attempts: delivery.attempts,
+    error,
+    at: new Date().toISOString(),
+  });
+}
+
+// Sends the signed payload; resolves to why it was not accepted, or null
+async function post(subscription, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Date.now());
+  try {
+    const response = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "forensic-chainguard-webhooks",
+        "X-Chainguard-Event": delivery.payload.eventType,
+        "X-Chainguard-Delivery": delivery.deliveryId,
+        "X-Chainguard-Timestamp": timestamp,
+        "X-Chainguard-Signature": `sha256=${sign(
+          subscription.secret,
+          timestamp,
+          body
+        )}`,
+      },
+      body,
+      // a signed payload must not be forwarded elsewhere
+      redirect: "error",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    return response.ok ? null : `HTTP ${response.status}`;
+  } catch (err) {
+    return err.cause ? `${err.message}: ${err.cause.message}` : err.message;
+  }
+}
+
+// One attempt; schedules the next or dead-letters the delivery on failure
+async function attemptDelivery(subscription, delivery) {
+  delivery.attempts++;
+
+  // checked on every attempt: the name may resolve elsewhere by now
+  let error = await checkWebhookTarget(subscription.url);
+  if (!error) {
+    error = await post(subscription, delivery);
+    if (!error) {
+      return noteDelivery(delivery, "DELIVERED");
+    }
+  }
+
+  if (delivery.attempts < MAX_ATTEMPTS) {
+    noteDelivery(delivery, "RETRYING", error);
+    setTimeout(
+      () => deliver(subscription, delivery),
+      retryDelay(delivery.attempts)
+    );
+    return;
+  }
+
+  noteDelivery(delivery, "FAILED", error);
+  fs.appendFileSync(
+    DEAD_LETTERS_PATH,
+    JSON.stringify({
+      ...delivery,
+      owner: subscription.owner,
+      url: subscription.url,
+      error,
+      failedAt: new Date().toISOString(),
+    }) + "\n"
+  );
+  console.error(
+    `Webhook delivery ${delivery.deliveryId} to ${subscription.url} dead-lettered after ${delivery.attempts} attempts: ${error}`
+  );
+}
+
+// Runs an attempt in the background; failures are logged, never thrown
+function deliver(subscription, delivery) {
+  attemptDelivery(subscription, delivery).catch((err) =>
+    console.error(`Webhook delivery ${delivery.deliveryId} failed`, err)
+  );
+}
+
+// The evidence record as userId sees it, or null when they cannot
+async function readEvidence(userId, evidenceId) {
+  try {
+    return await getEvidenceFromChain(userId, evidenceId);
+  } catch (err) {
+    return null;
+  }
+}
+
+function matches(subscription, event, evidence) {
+  if (
+    subscription.caseIdHash &&
+    subscription.caseIdHash !== evidence.caseIdHash
+  ) {
+    return false;
+  }
+  if (
+    subscription.custodian &&
+    ![
+      evidence.currentCustodian,
+      event.fromCustodian,
+      event.toCustodian,
+    ].includes(subscription.custodian)
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/*
+ * Queues a delivery of the event to every matching subscription. eventId
+ * identifies the event across deliveries: the ledger transaction ID, or a
+ * fresh ID for backend events.
+ */
+async function dispatchEvent(eventId, event) {
+  const subscriptions = Object.values(loadSubscriptions()).filter(
+    (s) => s.eventTypes.length === 0 || s.eventTypes.includes(event.eventType)
+  );
+
+  // owner -> the record as that owner may read it
+  const records = new Map();
+  for (const subscription of subscriptions) {
+    if (!records.has(subscription.owner)) {
+      records.set(
+        subscription.owner,
+        await readEvidence(subscription.owner, event.evidenceId)
+      );
+    }
+    const evidence = records.get(subscription.owner);
+    if (!evidence || !matches(subscription, event, evidence)) continue;
+
+    const delivery = {
+      deliveryId: crypto.randomUUID(),
+      subscriptionId: subscription.subscriptionId,
+      attempts: 0,
+      payload: {
+        eventId,
+        eventType: event.eventType,
+        occurredAt: new Date(event.timestamp).toISOString(),
+        evidence: {
+          evidenceId: evidence.evidenceId,
+          caseIdHash: evidence.caseIdHash,
+          status: evidence.status,
+          currentCustodian: evidence.currentCustodian || null,
+        },
+        event,
+      },
+    };
+    deliver(subscription, delivery);
+  }
+}
+
+/*
+ * TAMPER_DETECTED for an evidence item whose stored files no longer match
+ * the chain; files lists each as { hash, filename, hashLocal }. The same
+ * finding is only notified once.
+ */
+function notifyTamperDetected(detectedBy, evidenceId, files) {
+  const finding = `${evidenceId}:${files
+    .map((f) => `${f.hash}=${f.hashLocal}`)
+    .sort()
+    .join(",")}`;
+  if (notifiedTamper.has(finding)) return;
+  notifiedTamper.add(finding);
+
+  dispatchEvent(crypto.randomUUID(), {
+    evidenceId,
+    eventType: "TAMPER_DETECTED",
+    timestamp: Date.now(),
+    detectedBy,
+    files,
+  }).catch((err) =>
+    console.error(`Failed to dispatch tamper webhooks for '${evidenceId}'`, err)
+  );
+}
+
+// Delivers ledger events as the listener publishes them
+function startWebhookDispatch() {
+  ledgerEvents.on("evidenceEvent", (event) => {
+    dispatchEvent(event.txId, event).catch((err) =>
+      console.error(`Failed to dispatch webhooks for ${event.txId}`, err)
+    );
+  });
+}
+
+module.exports = {
+  checkWebhookTarget,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  deleteSubscription,
+  listDeadLetters,
+  notifyTamperDetected,
+  startWebhookDispatch,
+};
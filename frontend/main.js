@@ -17,6 +17,93 @@ function showResult(element, text, isError = false) {
   element.innerHTML = text;
 }
 
+// The transaction committed, but its case number, description or notes
+// were not written; the response says where to send them again
+function privateDetailsWarning(data) {
+  return data.privateDetails
+    ? `\n⚠️ ${data.privateDetails.error}: ${data.privateDetails.details}`
+    : "";
+}
+
+// Session
+const loginCard = document.getElementById("login-card");
+const loginForm = document.getElementById("login-form");
+const loginResultEl = document.getElementById("login-result");
+const appContent = document.getElementById("app-content");
+const sessionBar = document.getElementById("session-bar");
+
+function setSession(user) {
+  loginCard.classList.toggle("hidden", !!user);
+  appContent.classList.toggle("hidden", !user);
+  sessionBar.classList.toggle("hidden", !user);
+  if (user) {
+    document.getElementById("session-user").textContent = user.username;
+    document.getElementById("session-role").textContent = `(${user.role})`;
+    loadInbox();
+    loadOverdueCount();
+  }
+}
+
+// fetch wrapper that drops back to the login screen when the session expires
+async function apiFetch(url, options) {
+  const res = await fetch(url, options);
+  if (res.status === 401) {
+    setSession(null);
+  }
+  return res;
+}
+
+async function loadSession() {
+  try {
+    const res = await fetch(`${API_BASE}/api/auth/me`);
+    setSession(res.ok ? (await res.json()).user : null);
+  } catch (err) {
+    console.error(err);
+    setSession(null);
+  }
+}
+
+loginForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const loginBtn = loginForm.querySelector('button[type="submit"]');
+  const originalText = loginBtn.innerHTML;
+  showLoading(loginBtn, true);
+  loginResultEl.classList.add("hidden");
+
+  try {
+    const res = await fetch(`${API_BASE}/api/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        username: document.getElementById("username").value.trim(),
+        password: document.getElementById("password").value,
+      }),
+    });
+    const data = await res.json();
+
+    if (!res.ok) {
+      showResult(loginResultEl, `⛔ ${data.error || "Login failed"}`, true);
+      return;
+    }
+
+    loginForm.reset();
+    setSession(data.user);
+  } catch (err) {
+    console.error(err);
+    showResult(loginResultEl, "⛔ Network error: " + err.message, true);
+  } finally {
+    showLoading(loginBtn, false, originalText);
+  }
+});
+
+document.getElementById("logout-button").addEventListener("click", async () => {
+  await fetch(`${API_BASE}/api/auth/logout`, { method: "POST" });
+  stopLiveTimeline();
+  setSession(null);
+});
+
+loadSession();
+
 document.querySelectorAll(".tab-button").forEach((btn) => {
   btn.addEventListener("click", () => {
     const target = btn.getAttribute("data-tab");
@@ -33,6 +120,105 @@ document.querySelectorAll(".tab-button").forEach((btn) => {
   });
 });
 
+// Files above this size go through the resumable chunked upload API
+const CHUNKED_UPLOAD_THRESHOLD = 64 * 1024 * 1024;
+
+async function sha256Hex(blob) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    await blob.arrayBuffer()
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// localStorage key remembering the upload session of a file, so a page
+// reload or dropped connection resumes instead of starting over
+function uploadKey(file) {
+  return `upload:${file.name}:${file.size}:${file.lastModified}`;
+}
+
+async function uploadJson(res) {
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.details || data.error || "Upload failed");
+  }
+  return data;
+}
+
+// Sends the chunks the server is still missing and completes the upload.
+// Resolves to the completed upload session.
+async function uploadChunked(file, onProgress) {
+  let upload = null;
+  const savedId = localStorage.getItem(uploadKey(file));
+  if (savedId) {
+    const res = await apiFetch(`${API_BASE}/api/uploads/${savedId}`);
+    upload = res.ok ? await res.json() : null;
+  }
+  if (!upload) {
+    upload = await uploadJson(
+      await apiFetch(`${API_BASE}/api/uploads`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          filename: file.name,
+          size: file.size,
+          mediaType: file.type || undefined,
+        }),
+      })
+    );
+    localStorage.setItem(uploadKey(file), upload.uploadId);
+  }
+  if (upload.status === "COMPLETE") {
+    return upload;
+  }
+
+  let received = upload.receivedCount;
+  for (const index of upload.missingChunks) {
+    const chunk = file.slice(
+      index * upload.chunkSize,
+      (index + 1) * upload.chunkSize
+    );
+    await uploadJson(
+      await apiFetch(
+        `${API_BASE}/api/uploads/${upload.uploadId}/chunks/${index}`,
+        {
+          method: "PUT",
+          headers: {
+            "Content-Type": "application/octet-stream",
+            "X-Chunk-Sha256": await sha256Hex(chunk),
+          },
+          body: chunk,
+        }
+      )
+    );
+    onProgress(++received, upload.chunkCount);
+  }
+
+  return uploadJson(
+    await apiFetch(`${API_BASE}/api/uploads/${upload.uploadId}/complete`, {
+      method: "POST",
+    })
+  );
+}
+
+function uploadProgress(resultEl, file) {
+  return (received, total) =>
+    showResult(
+      resultEl,
+      `<i class="fa-solid fa-circle-notch fa-spin"></i> Uploading ${file.name}: chunk ${received} of ${total}`
+    );
+}
+
+// Byte ranges whose chunks no longer match the recorded ones
+function chunkRangesText(chunkCheck) {
+  if (!chunkCheck || !chunkCheck.mismatchedRanges) return "";
+  return chunkCheck.mismatchedRanges
+    .map((r) => `bytes ${r.start}-${r.end - 1}`)
+    .join(", ");
+}
+
 // Create Evidence
 const createForm = document.getElementById("create-form");
 const createResultEl = document.getElementById("create-result");
@@ -45,9 +231,19 @@ createForm.addEventListener("submit", async (e) => {
   createResultEl.classList.add("hidden");
 
   const formData = new FormData(createForm);
+  const imageFile = formData.get("image");
 
   try {
-    const res = await fetch(`${API_BASE}/api/evidence`, {
+    if (imageFile && imageFile.size > CHUNKED_UPLOAD_THRESHOLD) {
+      const upload = await uploadChunked(
+        imageFile,
+        uploadProgress(createResultEl, imageFile)
+      );
+      formData.delete("image");
+      formData.set("uploadId", upload.uploadId);
+    }
+
+    const res = await apiFetch(`${API_BASE}/api/evidence`, {
       method: "POST",
       body: formData,
     });
@@ -66,6 +262,7 @@ createForm.addEventListener("submit", async (e) => {
         `<strong>✅ Success! Evidence committed to ledger.</strong><br>` +
           JSON.stringify(data, null, 2)
       );
+      if (imageFile) localStorage.removeItem(uploadKey(imageFile));
       createForm.reset();
     }
   } catch (err) {
@@ -76,12 +273,157 @@ createForm.addEventListener("submit", async (e) => {
   }
 });
 
+// Bulk Intake
+const intakeForm = document.getElementById("intake-form");
+const intakeBtn = intakeForm.querySelector('button[type="submit"]');
+const intakeProgressEl = document.getElementById("intake-progress");
+const intakeProgressFill = document.getElementById("intake-progress-fill");
+const intakeProgressText = document.getElementById("intake-progress-text");
+const intakeResultEl = document.getElementById("intake-result");
+const intakeRowsEl = document.getElementById("intake-rows");
+const INTAKE_POLL_MS = 1000;
+
+function setIntakeProgress(fraction, text) {
+  intakeProgressEl.classList.remove("hidden");
+  intakeProgressFill.style.width = `${Math.round(fraction * 100)}%`;
+  intakeProgressText.textContent = text;
+}
+
+// Multipart POST through XMLHttpRequest, which reports upload progress
+// (fetch does not)
+function postWithProgress(url, formData, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", url);
+    xhr.upload.addEventListener("progress", (e) => {
+      if (e.lengthComputable) onProgress(e.loaded, e.total);
+    });
+    xhr.addEventListener("load", () => {
+      if (xhr.status === 401) setSession(null);
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch (err) {
+        // not JSON; the status says enough
+      }
+      resolve({ ok: xhr.status >= 200 && xhr.status < 300, data });
+    });
+    xhr.addEventListener("error", () => reject(new Error("upload failed")));
+    xhr.send(formData);
+  });
+}
+
+function intakeRowOutcome(row) {
+  switch (row.status) {
+    case "CREATED":
+      return '<span class="status-ok">Created</span>';
+    case "ALREADY_EXISTS":
+      return row.hashMatches
+        ? '<span class="status-ok">Already on the ledger (hash matches)</span>'
+        : '<span class="status-bad">Already on the ledger with a different hash</span>';
+    case "FAILED":
+      return `<span class="status-bad">Failed:</span> ${escapeText(
+        row.error || "unknown error"
+      )}`;
+    default:
+      // PENDING, or SUBMITTED and waiting for the commit
+      return `<span class="badge">${row.status}</span>`;
+  }
+}
+
+function renderIntakeJob(job) {
+  const { CREATED, ALREADY_EXISTS, FAILED } = job.counts;
+  setIntakeProgress(
+    job.processed / job.total,
+    `${job.processed} of ${job.total} rows processed: ${CREATED} created, ${ALREADY_EXISTS} already on the ledger, ${FAILED} failed`
+  );
+
+  const rows = job.rows
+    .map(
+      (row) => `<tr>
+        <td>${row.row}</td>
+        <td>${escapeText(row.evidenceId || "")}</td>
+        <td>${escapeText(row.file || "")}</td>
+        <td>${intakeRowOutcome(row)}</td>
+        <td class="artifact-hash" title="${row.hash || ""}">${
+        row.hash ? `${row.hash.slice(0, 16)}…` : ""
+      }</td>
+      </tr>`
+    )
+    .join("");
+  intakeRowsEl.innerHTML = `<table class="data-table"><thead><tr><th>Row</th><th>Evidence ID</th><th>File</th><th>Result</th><th>SHA-256</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+// Polls the intake job until every row has an outcome
+async function pollIntake(statusUrl) {
+  for (;;) {
+    const res = await apiFetch(`${API_BASE}${statusUrl}`);
+    const job = await res.json();
+    if (!res.ok) {
+      throw new Error(job.error || "Intake job not found");
+    }
+    renderIntakeJob(job);
+    if (job.status === "DONE") {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, INTAKE_POLL_MS));
+  }
+}
+
+intakeForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const originalBtnText = intakeBtn.innerHTML;
+  showLoading(intakeBtn, true);
+  intakeResultEl.classList.add("hidden");
+  intakeRowsEl.innerHTML = "";
+
+  try {
+    const { ok, data } = await postWithProgress(
+      `${API_BASE}/api/intake`,
+      new FormData(intakeForm),
+      (loaded, total) =>
+        setIntakeProgress(
+          loaded / total,
+          `Uploading: ${formatBytes(loaded)} of ${formatBytes(total)}`
+        )
+    );
+    if (!ok) {
+      intakeProgressEl.classList.add("hidden");
+      showResult(
+        intakeResultEl,
+        `⛔ Error: ${data.error || "Unknown error"}<br>${data.details || ""}`,
+        true
+      );
+      return;
+    }
+
+    const job = await pollIntake(data.statusUrl);
+    const conflicts = job.rows.filter(
+      (row) => row.status === "ALREADY_EXISTS" && !row.hashMatches
+    ).length;
+    const problems = job.counts.FAILED + conflicts;
+    showResult(
+      intakeResultEl,
+      problems > 0
+        ? `<strong>⚠️ Intake finished with ${problems} row(s) needing attention.</strong>`
+        : "<strong>✅ Intake finished; every row is on the ledger.</strong>",
+      problems > 0
+    );
+  } catch (err) {
+    console.error(err);
+    showResult(intakeResultEl, "⛔ Network error: " + err.message, true);
+  } finally {
+    showLoading(intakeBtn, false, originalBtnText);
+  }
+});
+
 // View / Verify Evidence
 const viewForm = document.getElementById("view-form");
 const viewResultEl = document.getElementById("view-result");
 const eventsButton = document.getElementById("events-button");
 const eventsResultEl = document.getElementById("events-result");
 const eventsSection = document.getElementById("events-section");
+const accessSection = document.getElementById("access-section");
 const actionForm = document.getElementById("action-form");
 const fetchBtn = viewForm.querySelector('button[type="submit"]');
 
@@ -91,6 +433,9 @@ viewForm.addEventListener("submit", async (e) => {
   showLoading(fetchBtn, true);
   viewResultEl.classList.add("hidden");
   eventsSection.classList.add("hidden");
+  accessSection.classList.add("hidden");
+  artifactsSection.classList.add("hidden");
+  stopLiveTimeline();
 
   const evidenceId = document.getElementById("viewEvidenceId").value.trim();
   if (!evidenceId) {
@@ -99,8 +444,8 @@ viewForm.addEventListener("submit", async (e) => {
   }
 
   try {
-    const res = await fetch(
-      `${API_BASE}/api/evidence/${encodeURIComponent(evidenceId)}`
+    const res = await apiFetch(
+      withPurpose(`${API_BASE}/api/evidence/${encodeURIComponent(evidenceId)}`)
     );
     const data = await res.json();
 
@@ -114,6 +459,8 @@ viewForm.addEventListener("submit", async (e) => {
     }
 
     renderEvidenceResult(data);
+    renderArtifacts(data.artifacts);
+    await loadAllowedActions(evidenceId);
   } catch (err) {
     console.error(err);
     showResult(viewResultEl, "⛔ Network error: " + err.message, true);
@@ -135,7 +482,7 @@ eventsButton.addEventListener("click", async () => {
     '<div style="padding:10px; color:#64748b"><i class="fa-solid fa-spinner fa-spin"></i> Loading blockchain events...</div>';
 
   try {
-    const res = await fetch(
+    const res = await apiFetch(
       `${API_BASE}/api/evidence/${encodeURIComponent(evidenceId)}/events`
     );
     const data = await res.json();
@@ -146,128 +493,708 @@ eventsButton.addEventListener("click", async () => {
     }
 
     renderEventsResult(data);
+    startLiveTimeline(data);
+    accessSection.classList.remove("hidden");
+    loadAccessLog(evidenceId);
   } catch (err) {
     console.error(err);
     eventsResultEl.textContent = "⛔ Network error: " + err.message;
   }
 });
 
-const actionResultEl = document.getElementById("action-result");
+// Access log: who viewed, downloaded or verified the item, and why
+const ACCESS_TYPES = ["VIEWED", "DOWNLOADED", "VERIFIED"];
+const accessForm = document.getElementById("access-form");
+const accessResultEl = document.getElementById("access-result");
 
-actionForm.addEventListener("submit", async (e) => {
-  e.preventDefault();
-  const actionBtn = actionForm.querySelector("button");
-  const originalText = actionBtn.innerHTML;
+// The purpose typed next to the evidence ID travels with every read
+function withPurpose(url) {
+  const purpose = document.getElementById("viewPurpose").value.trim();
+  return purpose ? `${url}?purpose=${encodeURIComponent(purpose)}` : url;
+}
 
-  const evidenceId = document.getElementById("viewEvidenceId").value.trim();
-  if (!evidenceId) {
-    showResult(
-      actionResultEl,
-      "⚠️ Please fetch an evidence record first.",
-      true
+async function loadAccessLog(evidenceId) {
+  const form = new FormData(accessForm);
+  const params = new URLSearchParams();
+  if (form.get("type")) params.set("type", form.get("type"));
+  if (form.get("user").trim()) params.set("user", form.get("user").trim());
+  if (form.get("from")) params.set("from", dayBoundary(form.get("from")));
+  if (form.get("to")) params.set("to", dayBoundary(form.get("to"), true));
+
+  try {
+    const res = await apiFetch(
+      `${API_BASE}/api/evidence/${encodeURIComponent(
+        evidenceId
+      )}/access?${params}`
     );
+    const data = await res.json();
+    if (!res.ok) {
+      accessResultEl.textContent = `⛔ Error: ${data.error || "Unknown error"}`;
+      return;
+    }
+    renderAccessLog(data.accessEvents);
+  } catch (err) {
+    console.error(err);
+    accessResultEl.textContent = "⛔ Network error: " + err.message;
+  }
+}
+
+// Purposes are free text from any reader; keep them out of the markup
+function escapeText(value) {
+  const el = document.createElement("span");
+  el.textContent = value;
+  return el.innerHTML;
+}
+
+function renderAccessLog(accessEvents) {
+  if (!accessEvents || accessEvents.length === 0) {
+    accessResultEl.innerHTML =
+      '<div style="padding:10px">No accesses match these filters.</div>';
     return;
   }
 
-  showLoading(actionBtn, true);
-  actionResultEl.classList.add("hidden");
+  let html =
+    '<table class="data-table"><thead><tr><th>When</th><th>Access</th><th>User</th><th>Purpose</th><th>File</th></tr></thead><tbody>';
+  // newest first
+  [...accessEvents].reverse().forEach((ev) => {
+    html += `<tr>
+      <td>${new Date(ev.timestamp).toLocaleString()}</td>
+      <td><span class="badge">${ev.eventType}</span></td>
+      <td>${ev.performedBy} <span style="opacity:0.7">(${ev.role})</span></td>
+      <td>${ev.purpose ? escapeText(ev.purpose) : "—"}</td>
+      <td>${
+        ev.artifactHash ? `<code>${ev.artifactHash.slice(0, 12)}…</code>` : "—"
+      }</td>
+    </tr>`;
+  });
+  html += "</tbody></table>";
+  accessResultEl.innerHTML = html;
+}
 
-  const actionType = document.getElementById("actionType").value;
-  const role = document.getElementById("actionRole").value;
-  const userId = document.getElementById("actionUserId").value.trim();
-  const custodian = document.getElementById("custodian").value.trim();
-  const toCustodian = document.getElementById("toCustodian").value.trim();
-  const notes = document.getElementById("actionNotes").value.trim();
+accessForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const evidenceId = document.getElementById("viewEvidenceId").value.trim();
+  if (evidenceId) loadAccessLog(evidenceId);
+});
 
-  try {
-    const res = await fetch(
-      `${API_BASE}/api/evidence/${encodeURIComponent(evidenceId)}/action`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          actionType,
-          role,
-          userId,
-          custodian,
-          toCustodian,
-          notes,
-        }),
+// Record versions: each world-state version of the record with the fields
+// its transaction changed, flagged when no custody event explains it
+const versionsSection = document.getElementById("versions-section");
+const versionsResultEl = document.getElementById("versions-result");
+
+function formatFieldValue(value) {
+  if (value === null || value === undefined) return "—";
+  return escapeText(
+    typeof value === "object" ? JSON.stringify(value) : String(value)
+  );
+}
+
+function renderVersions(data) {
+  if (data.versions.length === 0) {
+    versionsResultEl.innerHTML = `<div>No versions found for evidence '${escapeText(
+      data.evidenceId
+    )}'.</div>`;
+    return;
+  }
+
+  let html = data.missingEvents
+    ? `<div class="status-bad">⚠ ${data.missingEvents} version(s) changed the record without a custody event</div>`
+    : "";
+  // newest first, like the timeline
+  [...data.versions].reverse().forEach((v) => {
+    const rows = v.changes
+      .map(
+        (c) => `
+          <tr>
+            <th>${escapeText(c.field)}</th>
+            <td class="diff-from">${formatFieldValue(c.from)}</td>
+            <td class="diff-to">${formatFieldValue(c.to)}</td>
+          </tr>`
+      )
+      .join("");
+    html += `
+      <div class="version-item${v.missingEvent ? " missing-event" : ""}">
+        <div class="timeline-row">
+          <span>
+            <span class="badge">v${v.version}</span>
+            ${
+              v.missingEvent
+                ? '<span class="status-bad">No matching event</span>'
+                : `${escapeText(v.eventType)} by ${escapeText(v.performedBy)}`
+            }
+          </span>
+          <span class="timeline-date">${new Date(
+            v.timestamp
+          ).toLocaleString()}</span>
+        </div>
+        ${
+          v.isDelete
+            ? '<div class="timeline-meta">Record deleted</div>'
+            : rows
+            ? `<table class="version-diff">
+                 <tr><th>Field</th><th>Before</th><th>After</th></tr>${rows}
+               </table>`
+            : '<div class="timeline-meta">No field changes</div>'
+        }
+        <div class="timeline-txid" title="Transaction ID">TX: ${v.txId}</div>
+      </div>`;
+  });
+  versionsResultEl.innerHTML = html;
+}
+
+document
+  .getElementById("versions-button")
+  .addEventListener("click", async () => {
+    const evidenceId = document.getElementById("viewEvidenceId").value.trim();
+    if (!evidenceId) {
+      alert("Please enter an Evidence ID first.");
+      return;
+    }
+
+    versionsSection.classList.remove("hidden");
+    versionsResultEl.innerHTML =
+      '<div style="padding:10px; color:#64748b"><i class="fa-solid fa-spinner fa-spin"></i> Loading record versions...</div>';
+
+    try {
+      const res = await apiFetch(
+        `${API_BASE}/api/evidence/${encodeURIComponent(evidenceId)}/history`
+      );
+      const data = await res.json();
+      if (!res.ok) {
+        versionsResultEl.textContent = `⛔ Error: ${
+          data.error || "Unknown error"
+        }`;
+        return;
       }
+      renderVersions(data);
+    } catch (err) {
+      console.error(err);
+      versionsResultEl.textContent = "⛔ Network error: " + err.message;
+    }
+  });
+
+// Verify a copy: hash an outside copy of a file on the server and match it
+// against the ledger, by evidence ID or through the hash index
+const verifyForm = document.getElementById("verify-form");
+const verifyDrop = document.getElementById("verify-drop");
+const verifyFileInput = document.getElementById("verifyFile");
+const verifyResultEl = document.getElementById("verify-result");
+
+function showVerifyFile() {
+  const file = verifyFileInput.files[0];
+  if (file) {
+    document.getElementById("verify-drop-text").textContent = `${
+      file.name
+    } (${formatBytes(file.size)})`;
+  }
+}
+
+verifyFileInput.addEventListener("change", showVerifyFile);
+["dragenter", "dragover"].forEach((type) =>
+  verifyDrop.addEventListener(type, (e) => {
+    e.preventDefault();
+    verifyDrop.classList.add("dragover");
+  })
+);
+["dragleave", "drop"].forEach((type) =>
+  verifyDrop.addEventListener(type, () =>
+    verifyDrop.classList.remove("dragover")
+  )
+);
+verifyDrop.addEventListener("drop", (e) => {
+  e.preventDefault();
+  if (e.dataTransfer.files.length > 0) {
+    verifyFileInput.files = e.dataTransfer.files;
+    showVerifyFile();
+  }
+});
+
+function renderVerifyResult(data) {
+  const lines = [`SHA-256: ${data.hash}`];
+  if (data.evidenceId) {
+    lines.push(
+      data.valid
+        ? `<span class="status-ok">✅ MATCHES the image of ${escapeText(
+            data.evidenceId
+          )}</span>`
+        : `<span class="status-bad">⛔ DOES NOT MATCH the image of ${escapeText(
+            data.evidenceId
+          )}</span> (on chain: ${data.imageHash || "none"})`
     );
+  } else if (!data.valid) {
+    lines.push(
+      '<span class="status-bad">⛔ No evidence on the ledger holds this file</span>'
+    );
+  }
+  if (data.matches.length > 0) {
+    lines.push("", "Evidence holding this file:");
+    data.matches.forEach((m) => {
+      const file = m.isImage
+        ? "image"
+        : `artifact ${escapeText((m.artifact && m.artifact.filename) || "")}`;
+      lines.push(`• ${escapeText(m.evidenceId)} (${m.status}), ${file}`);
+    });
+  }
+  showResult(verifyResultEl, lines.join("\n"), !data.valid);
+}
 
-    const data = await res.json();
+verifyForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  if (verifyFileInput.files.length === 0) {
+    showResult(verifyResultEl, "⛔ Choose or drop a file first.", true);
+    return;
+  }
+  const submitBtn = verifyForm.querySelector('button[type="submit"]');
+  const originalText = submitBtn.innerHTML;
+  showLoading(submitBtn, true);
 
+  const formData = new FormData(verifyForm);
+  if (!formData.get("evidenceId")) formData.delete("evidenceId");
+
+  try {
+    const res = await apiFetch(`${API_BASE}/api/verify`, {
+      method: "POST",
+      body: formData,
+    });
+    const data = await res.json();
     if (!res.ok) {
-      const rawError = data.details || data.error || "Unknown Error";
       showResult(
-        actionResultEl,
-        `<strong>⛔ Blockchain Transaction Failed:</strong>\n${rawError}`,
+        verifyResultEl,
+        `⛔ Error: ${data.error || "Unknown error"}\n${data.details || ""}`,
         true
       );
     } else {
-      showResult(
-        actionResultEl,
-        `<strong>✅ Transaction Committed:</strong>\n${data.message}`
-      );
-      eventsButton.click();
-      actionForm.reset();
+      renderVerifyResult(data);
     }
   } catch (err) {
     console.error(err);
-    showResult(actionResultEl, "⛔ Network error: " + err.message, true);
+    showResult(verifyResultEl, "⛔ Network error: " + err.message, true);
   } finally {
-    showLoading(actionBtn, false, originalText);
+    showLoading(submitBtn, false, originalText);
   }
 });
 
-function renderEvidenceResult(data) {
-  const { evidence, hashOnChain, hashLocal, tampered, imageUrl, imageExists } =
-    data;
-
-  let html = `<strong>Evidence Data (Blockchain):</strong>\n${JSON.stringify(
-    evidence,
-    null,
-    2
-  )}\n\n`;
+// Artifacts: originals and derived copies of the fetched evidence item
+const artifactsSection = document.getElementById("artifacts-section");
+const artifactsTreeEl = document.getElementById("artifacts-tree");
+const artifactForm = document.getElementById("artifact-form");
+const artifactResultEl = document.getElementById("artifact-result");
 
-  html += `Hash on chain: ${hashOnChain || "N/A"}\n`;
-  html += `Hash of local image: ${
-    hashLocal || (imageExists ? "N/A" : "No local image")
-  }\n\n`;
+function formatBytes(size) {
+  if (size < 1024) return `${size} B`;
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+  return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
 
-  let statusHtml = "";
-  if (tampered === true) {
-    statusHtml =
-      'Integrity Check: <span class="status-bad"><i class="fa-solid fa-triangle-exclamation"></i> TAMPER DETECTED (Hash mismatch)</span>\n';
-  } else if (tampered === false) {
-    statusHtml =
-      'Integrity Check: <span class="status-ok"><i class="fa-solid fa-check-circle"></i> VERIFIED (Hashes match)</span>\n';
-  } else if (!imageExists) {
-    statusHtml =
-      'Integrity Check: <span class="status-bad">No local image found to verify against.</span>\n';
-  } else {
-    statusHtml = "Integrity Check: Unknown.\n";
+function artifactStatus(artifact) {
+  if (artifact.tampered === true) {
+    const ranges = chunkRangesText(artifact.chunkCheck);
+    return `<span class="status-bad"><i class="fa-solid fa-triangle-exclamation"></i> TAMPERED${
+      ranges ? ` (${ranges})` : ""
+    }</span>`;
   }
+  if (artifact.tampered === false) {
+    return '<span class="status-ok"><i class="fa-solid fa-check-circle"></i> Verified</span>';
+  }
+  return '<span class="status-bad">No local file</span>';
+}
 
-  html += statusHtml;
-
-  // if (imageUrl) {
-  //   html += '\n<div class="image-preview">';
-  //   html += `<div><strong>Evidence Preview:</strong></div>`;
-  //   html += `<img src="${imageUrl}" alt="Evidence image" />`;
-  //   html += "</div>";
-  // }
+// Nested list following parentHash links; artifacts whose parent is
+// unknown are shown at the top level
+function renderArtifactTree(artifacts, parentHash) {
+  const hashes = new Set(artifacts.map((a) => a.artifactHash));
+  const children = artifacts.filter((a) =>
+    parentHash
+      ? a.parentHash === parentHash
+      : !a.parentHash || !hashes.has(a.parentHash)
+  );
+  if (children.length === 0) return "";
 
-  showResult(viewResultEl, html, tampered === true);
+  let html = '<ul class="artifact-tree">';
+  children.forEach((a) => {
+    const name = a.url
+      ? `<a href="${withPurpose(a.url)}" target="_blank">${a.filename}</a>`
+      : a.filename || "(unnamed)";
+    html += `
+      <li class="artifact-node">
+        <i class="fa-solid fa-file"></i> <strong>${name}</strong>
+        · ${a.mediaType} · ${formatBytes(a.size)} · ${artifactStatus(a)}
+        <div class="artifact-hash" title="SHA-256">${a.artifactHash}</div>
+        <div class="timeline-meta">
+          Added by ${a.addedBy} (${a.role}) on ${new Date(
+      a.createdAt
+    ).toLocaleString()}
+        </div>
+        ${renderArtifactTree(artifacts, a.artifactHash)}
+      </li>
+    `;
+  });
+  return html + "</ul>";
 }
 
-function renderEventsResult(data) {
-  const { evidenceId, events } = data;
+function renderArtifacts(artifacts) {
+  artifactsSection.classList.remove("hidden");
+  artifactResultEl.classList.add("hidden");
+  artifactsTreeEl.innerHTML =
+    artifacts && artifacts.length
+      ? renderArtifactTree(artifacts)
+      : "<div>No artifacts recorded.</div>";
 
-  if (!events || events.length === 0) {
-    eventsResultEl.innerHTML = `<div style="padding:10px">No events found for evidence '${evidenceId}'.</div>`;
-    return;
+  const parentSelect = document.getElementById("artifactParent");
+  parentSelect.innerHTML = '<option value="">Original (no parent)</option>';
+  (artifacts || []).forEach((a) => {
+    const option = document.createElement("option");
+    option.value = a.artifactHash;
+    option.textContent = `${a.filename || "(unnamed)"} (${a.artifactHash.slice(
+      0,
+      12
+    )}…)`;
+    parentSelect.appendChild(option);
+  });
+}
+
+async function loadArtifacts(evidenceId) {
+  const res = await apiFetch(
+    `${API_BASE}/api/evidence/${encodeURIComponent(evidenceId)}/artifacts`
+  );
+  if (res.ok) {
+    renderArtifacts((await res.json()).artifacts);
+  }
+}
+
+artifactForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const evidenceId = document.getElementById("viewEvidenceId").value.trim();
+  if (!evidenceId) {
+    alert("Please enter an Evidence ID first.");
+    return;
+  }
+
+  const submitBtn = artifactForm.querySelector('button[type="submit"]');
+  const originalText = submitBtn.innerHTML;
+  showLoading(submitBtn, true);
+
+  const formData = new FormData(artifactForm);
+  const files = formData.getAll("files");
+
+  try {
+    formData.delete("files");
+    for (const file of files) {
+      if (file.size > CHUNKED_UPLOAD_THRESHOLD) {
+        const upload = await uploadChunked(
+          file,
+          uploadProgress(artifactResultEl, file)
+        );
+        formData.append("uploadId", upload.uploadId);
+      } else {
+        formData.append("files", file);
+      }
+    }
+
+    const res = await apiFetch(
+      `${API_BASE}/api/evidence/${encodeURIComponent(evidenceId)}/artifacts`,
+      { method: "POST", body: formData }
+    );
+    const data = await res.json();
+
+    if (!res.ok) {
+      showResult(
+        artifactResultEl,
+        `⛔ Error: ${data.error || "Unknown error"}\n${data.details || ""}`,
+        true
+      );
+    } else {
+      files.forEach((file) => localStorage.removeItem(uploadKey(file)));
+      artifactForm.reset();
+      await loadArtifacts(evidenceId);
+      showResult(artifactResultEl, `✅ ${data.message}`);
+    }
+  } catch (err) {
+    console.error(err);
+    showResult(artifactResultEl, "⛔ Network error: " + err.message, true);
+  } finally {
+    showLoading(submitBtn, false, originalText);
+  }
+});
+
+// Court report: signed PDF generated by the backend, opened in a new tab
+document.getElementById("report-button").addEventListener("click", () => {
+  const evidenceId = document.getElementById("viewEvidenceId").value.trim();
+  if (!evidenceId) {
+    alert("Please enter an Evidence ID first.");
+    return;
+  }
+  window.open(
+    `${API_BASE}/api/evidence/${encodeURIComponent(
+      evidenceId
+    )}/report?format=pdf`,
+    "_blank"
+  );
+});
+
+// Proof bundle: JSON download for the offline verifier
+document.getElementById("proof-button").addEventListener("click", () => {
+  const evidenceId = document.getElementById("viewEvidenceId").value.trim();
+  if (!evidenceId) {
+    alert("Please enter an Evidence ID first.");
+    return;
+  }
+  window.location.href = `${API_BASE}/api/evidence/${encodeURIComponent(
+    evidenceId
+  )}/proof`;
+});
+
+// Live timeline: the backend relays chaincode events over Server-Sent Events
+const liveIndicator = document.getElementById("live-indicator");
+let eventSource = null;
+
+function stopLiveTimeline() {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+  liveIndicator.classList.add("hidden");
+}
+
+function startLiveTimeline(timeline) {
+  stopLiveTimeline();
+  const { evidenceId } = timeline;
+
+  eventSource = new EventSource(
+    `${API_BASE}/api/evidence/${encodeURIComponent(evidenceId)}/stream`
+  );
+  eventSource.onopen = () => liveIndicator.classList.remove("hidden");
+  eventSource.onerror = () => liveIndicator.classList.add("hidden");
+
+  eventSource.addEventListener("evidence", (e) => {
+    const ev = JSON.parse(e.data);
+    // the events query and the stream can both deliver the same tx
+    if (timeline.events.some((known) => known.txId === ev.txId)) {
+      return;
+    }
+    timeline.events.push(ev);
+    if (ACCESS_TYPES.includes(ev.eventType)) {
+      loadAccessLog(evidenceId);
+      return;
+    }
+    renderEventsResult(timeline, ev.txId);
+    loadAllowedActions(evidenceId);
+  });
+}
+
+const actionResultEl = document.getElementById("action-result");
+
+actionForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const actionBtn = actionForm.querySelector("button");
+  const originalText = actionBtn.innerHTML;
+
+  const evidenceId = document.getElementById("viewEvidenceId").value.trim();
+  if (!evidenceId) {
+    showResult(
+      actionResultEl,
+      "⚠️ Please fetch an evidence record first.",
+      true
+    );
+    return;
+  }
+
+  showLoading(actionBtn, true);
+  actionResultEl.classList.add("hidden");
+
+  const actionType = document.getElementById("actionType").value;
+  const custodian = document.getElementById("custodian").value.trim();
+  const toCustodian = document.getElementById("toCustodian").value.trim();
+  const toMspId = document.getElementById("toMspId").value.trim();
+  const notes = document.getElementById("actionNotes").value.trim();
+
+  try {
+    const res = await apiFetch(
+      `${API_BASE}/api/evidence/${encodeURIComponent(evidenceId)}/action`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          actionType,
+          custodian,
+          toCustodian,
+          toMspId: toMspId || undefined,
+          notes,
+        }),
+      }
+    );
+
+    const data = await res.json();
+
+    if (!res.ok) {
+      const rawError = data.details || data.error || "Unknown Error";
+      showResult(
+        actionResultEl,
+        `<strong>⛔ Blockchain Transaction Failed:</strong>\n${rawError}`,
+        true
+      );
+    } else {
+      showResult(
+        actionResultEl,
+        `<strong>✅ Transaction Committed:</strong>\n${
+          data.message
+        }${privateDetailsWarning(data)}`
+      );
+      eventsButton.click();
+      actionForm.reset();
+      await loadAllowedActions(evidenceId);
+    }
+  } catch (err) {
+    console.error(err);
+    showResult(actionResultEl, "⛔ Network error: " + err.message, true);
+  } finally {
+    showLoading(actionBtn, false, originalText);
+  }
+});
+
+// Legal hold: the clicked button (place / release) picks the method
+const holdForm = document.getElementById("hold-form");
+const holdResultEl = document.getElementById("hold-result");
+
+holdForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const holdBtn = e.submitter;
+  const originalText = holdBtn.innerHTML;
+
+  const evidenceId = document.getElementById("viewEvidenceId").value.trim();
+  if (!evidenceId) {
+    showResult(holdResultEl, "⚠️ Please fetch an evidence record first.", true);
+    return;
+  }
+
+  showLoading(holdBtn, true);
+  holdResultEl.classList.add("hidden");
+
+  try {
+    const res = await apiFetch(
+      `${API_BASE}/api/evidence/${encodeURIComponent(evidenceId)}/legal-hold`,
+      {
+        method: holdBtn.value === "place" ? "POST" : "DELETE",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          notes: document.getElementById("holdNotes").value.trim(),
+        }),
+      }
+    );
+    const data = await res.json();
+
+    if (!res.ok) {
+      showResult(
+        holdResultEl,
+        `<strong>⛔ Blockchain Transaction Failed:</strong>\n${
+          data.details || data.error || "Unknown Error"
+        }`,
+        true
+      );
+    } else {
+      showResult(
+        holdResultEl,
+        `<strong>✅ Transaction Committed:</strong>\n${
+          data.message
+        }${privateDetailsWarning(data)}`
+      );
+      holdForm.reset();
+      await loadAllowedActions(evidenceId);
+    }
+  } catch (err) {
+    console.error(err);
+    showResult(holdResultEl, "⛔ Network error: " + err.message, true);
+  } finally {
+    showLoading(holdBtn, false, originalText);
+  }
+});
+
+function renderEvidenceResult(data) {
+  const {
+    evidence,
+    privateDetails,
+    hashOnChain,
+    hashLocal,
+    tampered,
+    imageUrl,
+    imageExists,
+    chunkCheck,
+  } = data;
+
+  let html = `<strong>Evidence Data (Blockchain):</strong>\n${JSON.stringify(
+    evidence,
+    null,
+    2
+  )}\n\n`;
+
+  if (privateDetails) {
+    html += `<strong>Private Details (Org1 only):</strong>\n`;
+    html += `Case ID: ${privateDetails.caseId || "N/A"}\n`;
+    html += `Description: ${privateDetails.description || "N/A"}\n\n`;
+  }
+
+  if (evidence.legalHold) {
+    html += `<span class="status-bad"><i class="fa-solid fa-gavel"></i> UNDER LEGAL HOLD</span> since ${new Date(
+      evidence.legalHold.placedAt
+    ).toLocaleString()} (placed by ${evidence.legalHold.placedBy})\n\n`;
+  }
+  if (evidence.pendingDisposition) {
+    const { disposition, approvals } = evidence.pendingDisposition;
+    html += `Pending disposition: ${disposition}, approved by ${approvals
+      .map((a) => a.name)
+      .join(", ")}; awaiting another Evidence Manager\n\n`;
+  }
+
+  html += `Hash on chain: ${hashOnChain || "N/A"}\n`;
+  html += `Hash of local image: ${
+    hashLocal || (imageExists ? "N/A" : "No local image")
+  }\n\n`;
+
+  if (chunkCheck) {
+    html += `Merkle root on chain: ${chunkCheck.merkleRootOnChain}\n`;
+    html += `Merkle root of local image: ${chunkCheck.merkleRootLocal}\n\n`;
+  }
+
+  let statusHtml = "";
+  if (tampered === true && chunkRangesText(chunkCheck)) {
+    statusHtml = `Integrity Check: <span class="status-bad"><i class="fa-solid fa-triangle-exclamation"></i> TAMPER DETECTED (${chunkRangesText(
+      chunkCheck
+    )} changed)</span>\n`;
+  } else if (tampered === true) {
+    statusHtml =
+      'Integrity Check: <span class="status-bad"><i class="fa-solid fa-triangle-exclamation"></i> TAMPER DETECTED (Hash mismatch)</span>\n';
+  } else if (tampered === false) {
+    statusHtml =
+      'Integrity Check: <span class="status-ok"><i class="fa-solid fa-check-circle"></i> VERIFIED (Hashes match)</span>\n';
+  } else if (!imageExists) {
+    statusHtml =
+      'Integrity Check: <span class="status-bad">No local image found to verify against.</span>\n';
+  } else {
+    statusHtml = "Integrity Check: Unknown.\n";
+  }
+
+  html += statusHtml;
+
+  // if (imageUrl) {
+  //   html += '\n<div class="image-preview">';
+  //   html += `<div><strong>Evidence Preview:</strong></div>`;
+  //   html += `<img src="${imageUrl}" alt="Evidence image" />`;
+  //   html += "</div>";
+  // }
+
+  showResult(viewResultEl, html, tampered === true);
+}
+
+// Views, downloads and verifications go to the access log, not the timeline
+function renderEventsResult(data, highlightTxId) {
+  const { evidenceId } = data;
+  const events = (data.events || []).filter(
+    (ev) => !ACCESS_TYPES.includes(ev.eventType)
+  );
+
+  if (!events || events.length === 0) {
+    eventsResultEl.innerHTML = `<div style="padding:10px">No events found for evidence '${evidenceId}'.</div>`;
+    return;
   }
 
   let html = '<ul class="timeline-list">';
@@ -275,7 +1202,7 @@ function renderEventsResult(data) {
   events.forEach((ev) => {
     const date = new Date(ev.timestamp).toLocaleString();
     html += `
-      <li class="timeline-item">
+      <li class="timeline-item${ev.txId === highlightTxId ? " live-new" : ""}">
         <div class="timeline-dot"></div>
         <div class="timeline-content">
           <div class="timeline-row">
@@ -301,6 +1228,29 @@ function renderEventsResult(data) {
                  </div>`
               : ""
           }
+          ${
+            ev.artifactHash
+              ? `<div class="timeline-meta">
+                   <i class="fa-solid fa-file"></i> ${
+                     ev.imageFilename || "Artifact"
+                   }: <code>${ev.artifactHash}</code>
+                   ${
+                     ev.parentArtifactHash
+                       ? `<br /><i class="fa-solid fa-code-branch"></i> Derived from <code>${ev.parentArtifactHash}</code>`
+                       : ""
+                   }
+                 </div>`
+              : ""
+          }
+          ${
+            ev.approvedBy
+              ? `<div class="timeline-meta">
+                   <i class="fa-solid fa-user-check"></i> Approved by ${ev.approvedBy.join(
+                     ", "
+                   )}
+                 </div>`
+              : ""
+          }
           ${ev.notes ? `<div class="timeline-notes">"${ev.notes}"</div>` : ""}
           <div class="timeline-txid" title="Transaction ID">TX: ${ev.txId}</div>
         </div>
@@ -312,6 +1262,114 @@ function renderEventsResult(data) {
   eventsResultEl.innerHTML = html;
 }
 
+// Search Ledger
+const searchForm = document.getElementById("search-form");
+const searchResultEl = document.getElementById("search-result");
+const searchMoreButton = document.getElementById("search-more-button");
+const SEARCH_PAGE_SIZE = 20;
+let searchParams = null;
+let searchBookmark = "";
+
+// Date inputs are local calendar days; send the whole day as ISO timestamps.
+function dayBoundary(value, endOfDay) {
+  if (!value) return "";
+  const time = endOfDay ? "T23:59:59.999" : "T00:00:00";
+  return new Date(`${value}${time}`).toISOString();
+}
+
+async function runSearch(append) {
+  const params = new URLSearchParams(searchParams);
+  params.set("pageSize", String(SEARCH_PAGE_SIZE));
+  if (append && searchBookmark) params.set("bookmark", searchBookmark);
+
+  const res = await apiFetch(`${API_BASE}/api/evidence?${params}`);
+  const data = await res.json();
+
+  if (!res.ok) {
+    searchResultEl.classList.remove("hidden");
+    searchResultEl.textContent = `⛔ Error: ${data.error || "Unknown error"}`;
+    searchMoreButton.classList.add("hidden");
+    return;
+  }
+
+  renderSearchResults(data.records, append);
+  searchBookmark = data.bookmark;
+  // A short page means CouchDB has nothing further to return
+  searchMoreButton.classList.toggle(
+    "hidden",
+    !data.bookmark || data.fetchedRecordsCount < SEARCH_PAGE_SIZE
+  );
+}
+
+function renderSearchResults(records, append) {
+  searchResultEl.classList.remove("hidden");
+  let tbody = searchResultEl.querySelector("tbody");
+
+  if (!append || !tbody) {
+    if (!records || records.length === 0) {
+      searchResultEl.innerHTML =
+        '<div style="padding:10px">No evidence matches these filters.</div>';
+      return;
+    }
+    searchResultEl.innerHTML =
+      '<table class="data-table"><thead><tr><th>Evidence ID</th><th>Status</th><th>Custodian</th><th>Created By</th><th>Updated</th></tr></thead><tbody></tbody></table>';
+    tbody = searchResultEl.querySelector("tbody");
+  }
+
+  records.forEach((ev) => {
+    const row = document.createElement("tr");
+    row.className = "clickable";
+    row.title = "Open this evidence";
+    row.innerHTML = `
+      <td>${ev.evidenceId}</td>
+      <td><span class="badge">${ev.status}</span></td>
+      <td>${ev.currentCustodian || "N/A"}</td>
+      <td>${ev.createdBy}</td>
+      <td>${new Date(ev.updatedAt).toLocaleString()}</td>
+    `;
+    row.addEventListener("click", () => {
+      document.getElementById("viewEvidenceId").value = ev.evidenceId;
+      viewForm.requestSubmit();
+    });
+    tbody.appendChild(row);
+  });
+}
+
+searchForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const searchBtn = searchForm.querySelector('button[type="submit"]');
+  const originalText = searchBtn.innerHTML;
+  showLoading(searchBtn, true);
+
+  const formData = new FormData(searchForm);
+  formData.set("from", dayBoundary(formData.get("from"), false));
+  formData.set("to", dayBoundary(formData.get("to"), true));
+  searchParams = [...formData.entries()].filter(([, value]) => value !== "");
+  searchBookmark = "";
+
+  try {
+    await runSearch(false);
+  } catch (err) {
+    console.error(err);
+    searchResultEl.classList.remove("hidden");
+    searchResultEl.textContent = "⛔ Network error: " + err.message;
+  } finally {
+    showLoading(searchBtn, false, originalText);
+  }
+});
+
+searchMoreButton.addEventListener("click", async () => {
+  const originalText = searchMoreButton.innerHTML;
+  showLoading(searchMoreButton, true);
+  try {
+    await runSearch(true);
+  } catch (err) {
+    console.error(err);
+  } finally {
+    showLoading(searchMoreButton, false, originalText);
+  }
+});
+
 const actionTypeSelect = document.getElementById("actionType");
 const custodianGroup = document
   .getElementById("custodian")
@@ -319,24 +1377,735 @@ const custodianGroup = document
 const toCustodianGroup = document
   .getElementById("toCustodian")
   .closest(".form-group");
+const toMspIdGroup = document.getElementById("toMspId").closest(".form-group");
 
-// Function to toggle fields based on action
-function updateActionFields() {
-  const type = actionTypeSelect.value;
-  custodianGroup.style.display = "block";
-  toCustodianGroup.style.display = "block";
+// Actions offered by the contract's transition table for the fetched evidence
+let allowedActions = [];
 
-  if (type === "CHECKIN") {
-    toCustodianGroup.style.display = "none";
-    document.querySelector('label[for="custodian"]').innerText =
-      "Check-in Location";
-  } else if (type === "TRANSFER") {
-    custodianGroup.style.display = "none";
-  } else if (type === "REMOVE") {
-    custodianGroup.style.display = "none";
-    toCustodianGroup.style.display = "none";
+async function loadAllowedActions(evidenceId) {
+  allowedActions = [];
+  try {
+    const res = await apiFetch(
+      `${API_BASE}/api/evidence/${encodeURIComponent(evidenceId)}/actions`
+    );
+    if (res.ok) {
+      allowedActions = (await res.json()).allowed;
+    }
+  } catch (err) {
+    console.error(err);
   }
+  renderActionOptions();
+}
+
+function renderActionOptions() {
+  actionTypeSelect.innerHTML = allowedActions.length
+    ? allowedActions
+        .map((a) => `<option value="${a.action}">${a.label}</option>`)
+        .join("")
+    : '<option value="">No actions available</option>';
+  updateActionFields();
+}
+
+// Function to toggle fields based on action
+function updateActionFields() {
+  const selected = allowedActions.find(
+    (a) => a.action === actionTypeSelect.value
+  );
+  const fields = selected ? selected.fields : [];
+
+  custodianGroup.style.display = fields.includes("custodian")
+    ? "block"
+    : "none";
+  toCustodianGroup.style.display = fields.includes("toCustodian")
+    ? "block"
+    : "none";
+  toMspIdGroup.style.display = fields.includes("toMspId") ? "block" : "none";
+
+  document.querySelector('label[for="custodian"]').innerText =
+    selected && selected.action === "CHECK_OUT"
+      ? "Check-out Location"
+      : "Check-in Location";
 }
 
 actionTypeSelect.addEventListener("change", updateActionFields);
 updateActionFields();
+
+// Cases
+const caseViewForm = document.getElementById("case-view-form");
+const caseResultEl = document.getElementById("case-result");
+const caseEvidenceSection = document.getElementById("case-evidence-section");
+const caseEvidenceResultEl = document.getElementById("case-evidence-result");
+const caseCreateForm = document.getElementById("case-create-form");
+const caseCreateResultEl = document.getElementById("case-create-result");
+const caseActionForm = document.getElementById("case-action-form");
+const caseActionResultEl = document.getElementById("case-action-result");
+
+async function loadCase(caseId) {
+  const encodedId = encodeURIComponent(caseId);
+  const [caseRes, evidenceRes] = await Promise.all([
+    apiFetch(`${API_BASE}/api/cases/${encodedId}`),
+    apiFetch(`${API_BASE}/api/cases/${encodedId}/evidence`),
+  ]);
+  const caseData = await caseRes.json();
+
+  if (!caseRes.ok) {
+    showResult(
+      caseResultEl,
+      `⛔ Error: ${caseData.error || "Unknown error"}\n${
+        caseData.details || ""
+      }`,
+      true
+    );
+    caseEvidenceSection.classList.add("hidden");
+    return;
+  }
+
+  let html = `<strong>Case Data (Blockchain):</strong>\n${JSON.stringify(
+    caseData.case,
+    null,
+    2
+  )}`;
+  if (caseData.privateDetails) {
+    html += `\n\n<strong>Private Details (Org1 only):</strong>\nDescription: ${
+      caseData.privateDetails.description || "N/A"
+    }`;
+  }
+  showResult(caseResultEl, html);
+
+  const evidenceData = await evidenceRes.json();
+  caseEvidenceSection.classList.remove("hidden");
+  renderCaseEvidence(evidenceRes.ok ? evidenceData.evidence : []);
+}
+
+function renderCaseEvidence(evidence) {
+  if (!evidence || evidence.length === 0) {
+    caseEvidenceResultEl.innerHTML =
+      '<div style="padding:10px">No evidence filed under this case.</div>';
+    return;
+  }
+
+  let html =
+    '<table class="data-table"><thead><tr><th>Evidence ID</th><th>Status</th><th>Custodian</th><th>Updated</th></tr></thead><tbody>';
+
+  evidence.forEach((ev) => {
+    html += `
+      <tr>
+        <td>${ev.evidenceId}</td>
+        <td><span class="badge">${ev.status}</span></td>
+        <td>${ev.currentCustodian || "N/A"}</td>
+        <td>${new Date(ev.updatedAt).toLocaleString()}</td>
+      </tr>
+    `;
+  });
+
+  html += "</tbody></table>";
+  caseEvidenceResultEl.innerHTML = html;
+}
+
+caseViewForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const caseFetchBtn = caseViewForm.querySelector('button[type="submit"]');
+  const originalText = caseFetchBtn.innerHTML;
+  showLoading(caseFetchBtn, true);
+  caseResultEl.classList.add("hidden");
+
+  try {
+    await loadCase(document.getElementById("viewCaseId").value.trim());
+  } catch (err) {
+    console.error(err);
+    showResult(caseResultEl, "⛔ Network error: " + err.message, true);
+  } finally {
+    showLoading(caseFetchBtn, false, originalText);
+  }
+});
+
+caseCreateForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const createCaseBtn = caseCreateForm.querySelector("button");
+  const originalText = createCaseBtn.innerHTML;
+  showLoading(createCaseBtn, true);
+  caseCreateResultEl.classList.add("hidden");
+
+  try {
+    const res = await apiFetch(`${API_BASE}/api/cases`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        caseId: document.getElementById("newCaseId").value.trim(),
+        leadInvestigator: document
+          .getElementById("newLeadInvestigator")
+          .value.trim(),
+        description: document.getElementById("newCaseDescription").value.trim(),
+      }),
+    });
+    const data = await res.json();
+
+    if (!res.ok) {
+      showResult(
+        caseCreateResultEl,
+        `⛔ Error: ${data.error || "Unknown error"}\n${data.details || ""}`,
+        true
+      );
+    } else {
+      showResult(
+        caseCreateResultEl,
+        `<strong>✅ Case opened on ledger.</strong>\n${
+          data.caseId
+        }${privateDetailsWarning(data)}`
+      );
+      caseCreateForm.reset();
+    }
+  } catch (err) {
+    console.error(err);
+    showResult(caseCreateResultEl, "⛔ Network error: " + err.message, true);
+  } finally {
+    showLoading(createCaseBtn, false, originalText);
+  }
+});
+
+caseActionForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const caseActionBtn = caseActionForm.querySelector("button");
+  const originalText = caseActionBtn.innerHTML;
+
+  const caseId = document.getElementById("viewCaseId").value.trim();
+  if (!caseId) {
+    showResult(caseActionResultEl, "⚠️ Please fetch a case first.", true);
+    return;
+  }
+
+  showLoading(caseActionBtn, true);
+  caseActionResultEl.classList.add("hidden");
+
+  try {
+    const res = await apiFetch(
+      `${API_BASE}/api/cases/${encodeURIComponent(caseId)}/action`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          actionType: document.getElementById("caseActionType").value,
+          leadInvestigator: document
+            .getElementById("caseLeadInvestigator")
+            .value.trim(),
+        }),
+      }
+    );
+    const data = await res.json();
+
+    if (!res.ok) {
+      showResult(
+        caseActionResultEl,
+        `<strong>⛔ Blockchain Transaction Failed:</strong>\n${
+          data.details || data.error || "Unknown Error"
+        }`,
+        true
+      );
+    } else {
+      showResult(
+        caseActionResultEl,
+        `<strong>✅ Transaction Committed:</strong>\n${data.message}`
+      );
+      caseActionForm.reset();
+      await loadCase(caseId);
+    }
+  } catch (err) {
+    console.error(err);
+    showResult(caseActionResultEl, "⛔ Network error: " + err.message, true);
+  } finally {
+    showLoading(caseActionBtn, false, originalText);
+  }
+});
+
+// Retention periods per evidence category, and what has outlived them
+const retentionPoliciesEl = document.getElementById("retention-policies");
+const retentionForm = document.getElementById("retention-form");
+const retentionResultEl = document.getElementById("retention-result");
+const eligibleResultEl = document.getElementById("eligible-result");
+
+async function loadRetentionPolicies() {
+  try {
+    const res = await apiFetch(`${API_BASE}/api/retention/policies`);
+    const data = await res.json();
+    if (!res.ok) {
+      retentionPoliciesEl.textContent = `⛔ Error: ${
+        data.error || "Unknown error"
+      }`;
+      return;
+    }
+    retentionPoliciesEl.innerHTML = data.policies.length
+      ? '<table class="data-table"><thead><tr><th>Category</th><th>Retention</th><th>Set By</th><th>Updated</th></tr></thead><tbody>' +
+        data.policies
+          .map(
+            (p) => `<tr>
+              <td>${escapeText(p.category)}</td>
+              <td>${p.retentionDays} days</td>
+              <td>${p.setBy}</td>
+              <td>${new Date(p.updatedAt).toLocaleString()}</td>
+            </tr>`
+          )
+          .join("") +
+        "</tbody></table>"
+      : '<div style="padding:10px">No retention periods set.</div>';
+  } catch (err) {
+    console.error(err);
+    retentionPoliciesEl.textContent = "⛔ Network error: " + err.message;
+  }
+}
+
+retentionForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const form = new FormData(retentionForm);
+
+  try {
+    const res = await apiFetch(
+      `${API_BASE}/api/retention/policies/${encodeURIComponent(
+        form.get("category").trim()
+      )}`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          retentionDays: Number(form.get("retentionDays")),
+        }),
+      }
+    );
+    const data = await res.json();
+
+    if (!res.ok) {
+      showResult(
+        retentionResultEl,
+        `⛔ Error: ${data.details || data.error || "Unknown error"}`,
+        true
+      );
+      return;
+    }
+    showResult(
+      retentionResultEl,
+      `✅ ${escapeText(data.category)}: kept for ${data.retentionDays} days`
+    );
+    retentionForm.reset();
+    await loadRetentionPolicies();
+  } catch (err) {
+    console.error(err);
+    showResult(retentionResultEl, "⛔ Network error: " + err.message, true);
+  }
+});
+
+document
+  .getElementById("eligible-button")
+  .addEventListener("click", async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/api/retention/eligible`);
+      const data = await res.json();
+      if (!res.ok) {
+        eligibleResultEl.textContent = `⛔ Error: ${
+          data.error || "Unknown error"
+        }`;
+        return;
+      }
+      if (data.eligible.length === 0) {
+        eligibleResultEl.innerHTML =
+          '<div style="padding:10px">Nothing is due for disposition.</div>';
+        return;
+      }
+
+      let html =
+        '<table class="data-table"><thead><tr><th>Evidence ID</th><th>Category</th><th>Status</th><th>Eligible Since</th></tr></thead><tbody>';
+      data.eligible.forEach(({ evidence, eligibleSince }) => {
+        html += `<tr>
+        <td>${evidence.evidenceId}</td>
+        <td>${escapeText(evidence.category)}</td>
+        <td><span class="badge">${evidence.status}</span></td>
+        <td>${new Date(eligibleSince).toLocaleString()}</td>
+      </tr>`;
+      });
+      html += "</tbody></table>";
+      eligibleResultEl.innerHTML = html;
+    } catch (err) {
+      console.error(err);
+      eligibleResultEl.textContent = "⛔ Network error: " + err.message;
+    }
+  });
+
+document
+  .querySelector('.tab-button[data-tab="cases"]')
+  .addEventListener("click", loadRetentionPolicies);
+
+// Inbox (pending transfers addressed to the logged-in user)
+const inboxResultEl = document.getElementById("inbox-result");
+const inboxActionResultEl = document.getElementById("inbox-action-result");
+const inboxCountEl = document.getElementById("inbox-count");
+
+async function loadInbox() {
+  try {
+    const res = await apiFetch(`${API_BASE}/api/transfers/pending`);
+    const data = await res.json();
+
+    if (!res.ok) {
+      inboxResultEl.textContent = `⛔ Error: ${data.error || "Unknown error"}`;
+      return;
+    }
+
+    renderInbox(data.transfers);
+  } catch (err) {
+    console.error(err);
+    inboxResultEl.textContent = "⛔ Network error: " + err.message;
+  }
+}
+
+function renderInbox(transfers) {
+  inboxCountEl.textContent = transfers.length;
+  inboxCountEl.classList.toggle("hidden", transfers.length === 0);
+
+  if (transfers.length === 0) {
+    inboxResultEl.innerHTML =
+      '<div style="padding:10px">No transfers are waiting for you.</div>';
+    return;
+  }
+
+  inboxResultEl.innerHTML =
+    '<table class="data-table"><thead><tr><th>Evidence ID</th><th>From</th><th>Initiated By</th><th>Initiated</th><th></th></tr></thead><tbody></tbody></table>';
+  const tbody = inboxResultEl.querySelector("tbody");
+
+  transfers.forEach((ev) => {
+    const pending = ev.pendingTransfer;
+    const row = document.createElement("tr");
+    row.innerHTML = `
+      <td>${ev.evidenceId}</td>
+      <td>${pending.fromCustodian}</td>
+      <td>${pending.initiatedBy} <span style="opacity:0.7">(${
+      pending.initiatedByMspId
+    })</span></td>
+      <td>${new Date(pending.initiatedAt).toLocaleString()}</td>
+      <td>
+        <button type="button" class="btn-primary btn-small" data-action="ACCEPT_TRANSFER">Accept</button>
+        <button type="button" class="btn-danger btn-small" data-action="REJECT_TRANSFER">Reject</button>
+      </td>
+    `;
+    row.querySelectorAll("button").forEach((btn) => {
+      btn.addEventListener("click", () =>
+        decideTransfer(ev.evidenceId, btn.dataset.action, btn)
+      );
+    });
+    tbody.appendChild(row);
+  });
+}
+
+async function decideTransfer(evidenceId, actionType, btn) {
+  const originalText = btn.innerHTML;
+  showLoading(btn, true);
+  inboxActionResultEl.classList.add("hidden");
+
+  try {
+    const res = await apiFetch(
+      `${API_BASE}/api/evidence/${encodeURIComponent(evidenceId)}/action`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ actionType }),
+      }
+    );
+    const data = await res.json();
+
+    if (!res.ok) {
+      showResult(
+        inboxActionResultEl,
+        `<strong>⛔ Blockchain Transaction Failed:</strong>\n${
+          data.details || data.error || "Unknown Error"
+        }`,
+        true
+      );
+    } else {
+      showResult(
+        inboxActionResultEl,
+        `<strong>✅ Transaction Committed:</strong>\n${data.message}`
+      );
+      await loadInbox();
+    }
+  } catch (err) {
+    console.error(err);
+    showResult(inboxActionResultEl, "⛔ Network error: " + err.message, true);
+  } finally {
+    showLoading(btn, false, originalText);
+  }
+}
+
+document
+  .getElementById("inbox-refresh-button")
+  .addEventListener("click", loadInbox);
+document
+  .querySelector('.tab-button[data-tab="inbox"]')
+  .addEventListener("click", loadInbox);
+
+// Custody dashboard: counts by status and custodian from the contract's
+// custody analytics, with items past their custody SLA highlighted
+const custodyFilterForm = document.getElementById("custody-filter-form");
+const custodySummaryEl = document.getElementById("custody-summary");
+const custodyStatusResultEl = document.getElementById("custody-status-result");
+const custodyCustodianResultEl = document.getElementById(
+  "custody-custodian-result"
+);
+const custodyOverdueResultEl = document.getElementById(
+  "custody-overdue-result"
+);
+const custodySlasEl = document.getElementById("custody-slas");
+const custodySlaForm = document.getElementById("custody-sla-form");
+const custodySlaResultEl = document.getElementById("custody-sla-result");
+const overdueCountEl = document.getElementById("overdue-count");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function formatDuration(ms) {
+  const days = Math.floor(ms / (24 * HOUR_MS));
+  const hours = Math.floor((ms % (24 * HOUR_MS)) / HOUR_MS);
+  if (days > 0) return `${days}d ${hours}h`;
+  return `${hours}h ${Math.floor((ms % HOUR_MS) / 60000)}m`;
+}
+
+function setOverdueCount(count) {
+  overdueCountEl.textContent = count;
+  overdueCountEl.classList.toggle("hidden", count === 0);
+}
+
+// Overdue items across all evidence, for the tab badge
+async function loadOverdueCount() {
+  try {
+    const res = await apiFetch(`${API_BASE}/api/custody/overdue`);
+    if (res.ok) setOverdueCount((await res.json()).overdue.length);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function renderCustodyStatus(byStatus) {
+  const statuses = Object.keys(byStatus).sort();
+  if (statuses.length === 0) {
+    custodyStatusResultEl.innerHTML =
+      '<div style="padding:10px">No evidence recorded.</div>';
+    return;
+  }
+
+  custodyStatusResultEl.innerHTML =
+    '<table class="data-table"><thead><tr><th>Status</th><th>Items</th><th>Overdue</th></tr></thead><tbody>' +
+    statuses
+      .map((status) => {
+        const { count, overdue } = byStatus[status];
+        return `<tr class="${overdue > 0 ? "overdue-row" : ""}">
+          <td><span class="badge">${status}</span></td>
+          <td>${count}</td>
+          <td>${overdue}</td>
+        </tr>`;
+      })
+      .join("") +
+    "</tbody></table>";
+}
+
+function renderCustodians(custodians) {
+  if (custodians.length === 0) {
+    custodyCustodianResultEl.innerHTML =
+      '<div style="padding:10px">No custodians recorded.</div>';
+    return;
+  }
+
+  custodyCustodianResultEl.innerHTML =
+    '<table class="data-table"><thead><tr><th>Custodian</th><th>Holding</th><th>Overdue</th><th>By Status</th><th>Total Custody</th><th>Average Hold</th></tr></thead><tbody>' +
+    custodians
+      .map(
+        (c) => `<tr class="${c.overdue > 0 ? "overdue-row" : ""}">
+          <td>${escapeText(c.custodian)}</td>
+          <td>${c.holding}</td>
+          <td>${c.overdue}</td>
+          <td>${Object.entries(c.holdingByStatus)
+            .map(([status, count]) => `${status}: ${count}`)
+            .join(", ")}</td>
+          <td>${formatDuration(c.heldMs)}</td>
+          <td>${c.periods ? formatDuration(c.heldMs / c.periods) : "N/A"}</td>
+        </tr>`
+      )
+      .join("") +
+    "</tbody></table>";
+}
+
+function renderOverdue(overdue, asOf) {
+  if (overdue.length === 0) {
+    custodyOverdueResultEl.innerHTML =
+      '<div style="padding:10px">Nothing is overdue.</div>';
+    return;
+  }
+
+  custodyOverdueResultEl.innerHTML =
+    '<table class="data-table"><thead><tr><th>Evidence ID</th><th>Status</th><th>Custodian</th><th>SLA</th><th>Since</th><th>Overdue By</th></tr></thead><tbody>' +
+    overdue
+      .map(
+        ({ evidence, sla, since, dueAt }) => `<tr class="overdue-row">
+          <td>${evidence.evidenceId}</td>
+          <td><span class="badge">${evidence.status}</span></td>
+          <td>${escapeText(evidence.currentCustodian || "N/A")}</td>
+          <td>${sla.maxDays} days${sla.role ? ` (${sla.role})` : ""}</td>
+          <td>${new Date(since).toLocaleString()}</td>
+          <td>${formatDuration(asOf - dueAt)}</td>
+        </tr>`
+      )
+      .join("") +
+    "</tbody></table>";
+}
+
+async function loadCustodyDashboard() {
+  const caseId = document.getElementById("custodyCaseId").value.trim();
+  const query = caseId ? `?caseId=${encodeURIComponent(caseId)}` : "";
+
+  try {
+    const [analyticsRes, overdueRes] = await Promise.all([
+      apiFetch(`${API_BASE}/api/custody/analytics${query}`),
+      apiFetch(`${API_BASE}/api/custody/overdue${query}`),
+    ]);
+    const analytics = await analyticsRes.json();
+    const overdueData = await overdueRes.json();
+
+    if (!analyticsRes.ok || !overdueRes.ok) {
+      const failed = analyticsRes.ok ? overdueData : analytics;
+      showResult(
+        custodySummaryEl,
+        `⛔ Error: ${failed.details || failed.error || "Unknown error"}`,
+        true
+      );
+      return;
+    }
+
+    showResult(
+      custodySummaryEl,
+      `<strong>${analytics.total}</strong> evidence items${
+        caseId ? ` in case ${escapeText(caseId)}` : ""
+      }, <strong>${analytics.overdue}</strong> overdue (as of ${new Date(
+        analytics.asOf
+      ).toLocaleString()})${
+        analytics.truncated
+          ? ". More evidence exists than one scan covers; these figures are partial."
+          : ""
+      }`,
+      analytics.overdue > 0
+    );
+    if (!caseId) setOverdueCount(analytics.overdue);
+
+    renderCustodyStatus(analytics.byStatus);
+    renderCustodians(analytics.custodians);
+    renderOverdue(overdueData.overdue, analytics.asOf);
+  } catch (err) {
+    console.error(err);
+    showResult(custodySummaryEl, "⛔ Network error: " + err.message, true);
+  }
+}
+
+async function loadCustodySlas() {
+  try {
+    const res = await apiFetch(`${API_BASE}/api/custody/slas`);
+    const data = await res.json();
+    if (!res.ok) {
+      custodySlasEl.textContent = `⛔ Error: ${data.error || "Unknown error"}`;
+      return;
+    }
+    if (data.slas.length === 0) {
+      custodySlasEl.innerHTML =
+        '<div style="padding:10px">No custody SLAs set.</div>';
+      return;
+    }
+
+    custodySlasEl.innerHTML =
+      '<table class="data-table"><thead><tr><th>Status</th><th>Moved There By</th><th>Limit</th><th>Set By</th><th></th></tr></thead><tbody></tbody></table>';
+    const tbody = custodySlasEl.querySelector("tbody");
+    data.slas.forEach((sla) => {
+      const row = document.createElement("tr");
+      row.innerHTML = `
+        <td><span class="badge">${sla.status}</span></td>
+        <td>${sla.role || "Any role"}</td>
+        <td>${sla.maxDays} days</td>
+        <td>${sla.setBy}</td>
+        <td><button type="button" class="btn-danger btn-small">Remove</button></td>
+      `;
+      row
+        .querySelector("button")
+        .addEventListener("click", () => removeCustodySla(sla));
+      tbody.appendChild(row);
+    });
+  } catch (err) {
+    console.error(err);
+    custodySlasEl.textContent = "⛔ Network error: " + err.message;
+  }
+}
+
+async function removeCustodySla({ status, role }) {
+  try {
+    const res = await apiFetch(
+      `${API_BASE}/api/custody/slas/${status}${
+        role ? `?role=${encodeURIComponent(role)}` : ""
+      }`,
+      { method: "DELETE" }
+    );
+    const data = await res.json();
+    showResult(
+      custodySlaResultEl,
+      res.ok
+        ? `✅ ${data.message}`
+        : `⛔ Error: ${data.details || data.error || "Unknown error"}`,
+      !res.ok
+    );
+    if (res.ok) {
+      await Promise.all([loadCustodySlas(), loadCustodyDashboard()]);
+    }
+  } catch (err) {
+    console.error(err);
+    showResult(custodySlaResultEl, "⛔ Network error: " + err.message, true);
+  }
+}
+
+custodySlaForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const form = new FormData(custodySlaForm);
+
+  try {
+    const res = await apiFetch(
+      `${API_BASE}/api/custody/slas/${form.get("status")}`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          role: form.get("role") || undefined,
+          maxDays: Number(form.get("maxDays")),
+        }),
+      }
+    );
+    const data = await res.json();
+
+    if (!res.ok) {
+      showResult(
+        custodySlaResultEl,
+        `⛔ Error: ${data.details || data.error || "Unknown error"}`,
+        true
+      );
+      return;
+    }
+    showResult(
+      custodySlaResultEl,
+      `✅ ${data.status}${data.role ? ` (${data.role})` : ""}: due within ${
+        data.maxDays
+      } days`
+    );
+    custodySlaForm.reset();
+    await Promise.all([loadCustodySlas(), loadCustodyDashboard()]);
+  } catch (err) {
+    console.error(err);
+    showResult(custodySlaResultEl, "⛔ Network error: " + err.message, true);
+  }
+});
+
+custodyFilterForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadCustodyDashboard();
+});
+document
+  .querySelector('.tab-button[data-tab="custody"]')
+  .addEventListener("click", () => {
+    loadCustodyDashboard();
+    loadCustodySlas();
+  });
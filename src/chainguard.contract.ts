@@ -11,78 +11,355 @@ import {
   Returns,
   Transaction,
 } from "fabric-contract-api";
+import { KeyEndorsementPolicy } from "fabric-shim";
+import {
+  ACCESS_ROLES,
+  ARTIFACT_ROLES,
+  AccessType,
+  CUSTODY_SLA_ROLES,
+  DISPOSITION_APPROVALS,
+  EvidenceAction,
+  EvidenceEventType,
+  EvidenceStatus,
+  FINAL_STATES,
+  HOLD_BLOCKED_ACTIONS,
+  LEGAL_HOLD_ROLES,
+  RETENTION_ROLES,
+  TRANSITIONS,
+} from "./lifecycle";
+import { INPUT_SCHEMAS, Schema, validate } from "./schemas";
+
+// Handoff awaiting the recipient's acknowledgement
+export interface PendingTransfer {
+  fromCustodian: string;
+  toCustodian: string; // CN of the recipient's certificate
+  toMspId: string;
+  previousStatus: EvidenceStatus;
+  initiatedBy: string;
+  initiatedByMspId: string;
+  initiatedAt: number;
+}
+
+// Litigation hold; the reason is the private note of the placing event
+export interface LegalHold {
+  placedBy: string;
+  placedByMspId: string;
+  placedAt: number;
+  txId: string;
+}
+
+export interface DispositionApproval {
+  name: string;
+  mspId: string;
+  approvedAt: number;
+}
 
-export type EvidenceStatus =
-  | "CREATED"
-  | "CHECKED_IN"
-  | "TRANSFERRED"
-  | "REMOVED";
+// Release, destruction or removal awaiting DISPOSITION_APPROVALS distinct
+// EvidenceManager identities
+export interface PendingDisposition {
+  disposition: EvidenceStatus;
+  previousStatus: EvidenceStatus;
+  approvals: DispositionApproval[]; // the requester's first
+}
 
 export interface EvidenceRecord {
+  docType: "evidence"; // discriminator for CouchDB rich queries
   evidenceId: string;
-  caseIdHash: string;
-  description?: string;
+  caseIdHash: string; // salted hash; the case number is private data
+  description?: string; // records created before private data only
+  category?: string; // selects the retention policy
   status: EvidenceStatus;
   imageHash?: string;
   imageFilename?: string;
+  // Merkle root over the image's fixed-size chunks, for locating corruption
+  imageMerkleRoot?: string;
+  imageChunkSize?: number;
 
   createdBy: string;
   role: string;
   currentCustodian?: string;
+  // Org holding custody; its peers must endorse changes to the record
+  custodianMspId?: string;
+  pendingTransfer?: PendingTransfer;
+  legalHold?: LegalHold;
+  pendingDisposition?: PendingDisposition;
 
   createdAt: number;
   updatedAt: number;
+  // When the item entered its status and the role that moved it there;
+  // custody SLAs count from these
+  statusSince?: number;
+  statusRole?: string;
 }
 
-interface CertInfo {
-  subject?: string;
-  issuer?: string;
+// A file belonging to an evidence item: an original from the seizure or a
+// forensic copy derived from another artifact (parentHash)
+export interface ArtifactRecord {
+  docType: "artifact";
+  evidenceId: string;
+  artifactHash: string; // SHA-256, hex
+  filename?: string;
+  size: number; // bytes
+  mediaType: string;
+  parentHash?: string;
+  merkleRoot?: string; // over chunkSize-byte chunks
+  chunkSize?: number;
+
+  addedBy: string;
+  role: string;
+  createdAt: number;
+  txId: string;
+}
+
+// How long evidence of a category is kept, counted from its creation
+export interface RetentionPolicy {
+  category: string;
+  retentionDays: number;
+  setBy: string;
+  updatedAt: number;
 }
 
-interface BaseActionInput {
-  performedBy?: string;
+// How many days evidence may stay in a status. With a role it applies to
+// items moved into the status by that role, and takes precedence over the
+// policy for any role.
+export interface CustodySla {
+  status: EvidenceStatus;
   role?: string;
-  cert?: CertInfo;
-  notes?: string;
+  maxDays: number;
+  setBy: string;
+  updatedAt: number;
+}
+
+// Time an item spent with one custodian; to is absent while they hold it
+export interface CustodyPeriod {
+  custodian: string;
+  from: number;
+  to?: number;
+  durationMs: number;
+}
+
+export interface CustodyDeadline {
+  sla: CustodySla;
+  since: number;
+  dueAt: number;
+}
+
+export interface CustodianStats {
+  custodian: string;
+  holding: number; // items currently held, not yet disposed of
+  holdingByStatus: Record<string, number>;
+  overdue: number; // of those held, past their custody SLA
+  heldMs: number; // custody time over every item, current holdings included
+  periods: number;
+}
+
+export type CaseStatus = "OPEN" | "CLOSED";
+
+export interface CaseRecord {
+  caseIdHash: string;
+  status: CaseStatus;
+  leadInvestigator?: string;
+
+  createdBy: string;
+  createdAt: number;
+  updatedAt: number;
 }
 
-interface CreateEvidenceInput extends BaseActionInput {
+// Plaintext kept in PRIVATE_COLLECTION instead of the shared world state
+export interface EvidencePrivateDetails {
   evidenceId: string;
+  caseId?: string;
+  description?: string;
+  notes: PrivateNote[];
+}
+
+export interface PrivateNote {
+  txId: string;
+  eventType: EvidenceEventType;
+  timestamp: number;
+  author: string;
+  text: string;
+}
+
+export interface CasePrivateDetails {
   caseIdHash: string;
+  caseId?: string;
+  description?: string;
+  notes?: string;
+}
+
+// Transient payload: never written to the ledger or sent to other orgs
+interface PrivateInput {
+  caseId?: string;
   description?: string;
+  notes?: string;
+}
+
+interface CertInfo {
+  mspId: string;
+  subject: string;
+  issuer: string;
+}
+
+// Verified identity of the transaction submitter, read from its X.509 cert
+interface CallerIdentity extends CertInfo {
+  name: string;
+  role?: string;
+}
+
+interface CreateEvidenceInput {
+  evidenceId: string;
+  caseIdHash: string;
   imageHash?: string;
   imageFilename?: string;
+  // recorded with the image as the item's first artifact
+  imageSize?: number;
+  imageMediaType?: string;
+  imageMerkleRoot?: string;
+  imageChunkSize?: number;
+  category?: string;
   currentCustodian?: string;
-  createdBy?: string;
 }
 
-interface CheckInInput extends BaseActionInput {
+// Payload shared by every lifecycle action; see TRANSITIONS for which
+// optional fields each action reads
+interface EvidenceActionInput {
   evidenceId: string;
+  action?: EvidenceAction;
   custodian?: string;
+  toCustodian?: string;
+  toMspId?: string;
 }
 
-interface TransferInput extends BaseActionInput {
+interface RecordAccessInput {
   evidenceId: string;
-  fromCustodian?: string;
-  toCustodian: string;
+  accessType: AccessType;
+  purpose?: string;
+  artifactHash?: string; // the file downloaded or verified, if any
+}
+
+interface LegalHoldInput {
+  evidenceId: string;
+}
+
+interface RetentionPolicyInput {
+  category: string;
+  retentionDays: number;
+}
+
+interface CustodySlaInput {
+  status: EvidenceStatus;
+  role?: string;
+  maxDays: number;
+}
+
+interface RemoveCustodySlaInput {
+  status: EvidenceStatus;
+  role?: string;
+}
+
+interface OverdueEvidenceInput {
+  caseIdHash?: string;
+  bookmark?: string;
+}
+
+interface CustodyAnalyticsInput {
+  caseIdHash?: string;
+  bookmark?: string;
+}
+
+interface AddArtifactInput {
+  evidenceId: string;
+  artifactHash: string;
+  filename?: string;
+  size: number;
+  mediaType: string;
+  parentHash?: string;
+  merkleRoot?: string;
+  chunkSize?: number;
+}
+
+interface CreateCaseInput {
+  caseIdHash: string;
+  leadInvestigator?: string;
 }
 
-interface RemoveInput extends BaseActionInput {
+interface EvidencePrivateDetailsInput {
   evidenceId: string;
+  txId: string;
+}
+
+interface CasePrivateDetailsInput {
+  caseIdHash: string;
+}
+
+interface CaseStatusInput {
+  caseIdHash: string;
+}
+
+interface AssignLeadInput {
+  caseIdHash: string;
+  leadInvestigator: string;
+}
+
+interface SearchEvidenceInput {
+  status?: EvidenceStatus;
+  custodian?: string;
+  createdBy?: string;
+  createdFrom?: number;
+  createdTo?: number;
+  updatedFrom?: number;
+  updatedTo?: number;
+  pageSize?: number;
+  bookmark?: string;
 }
 
+// Chaincode event name emitted for every appended EvidenceEvent
+export const EVIDENCE_EVENT_NAME = "EvidenceEvent";
+
+// Org1-only private data collection (chaincode/collections_config.json)
+export const PRIVATE_COLLECTION = "Org1PrivateDetails";
+// Must match the collection's member policy
+const PRIVATE_COLLECTION_ORGS = ["Org1MSP"];
+// Transient map entry holding the PrivateInput JSON
+const TRANSIENT_KEY = "private";
+// Fields that must never travel in transaction arguments
+const PRIVATE_FIELDS = ["caseId", "description", "notes"];
+
+const SHA256_HEX = /^[0-9a-f]{64}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Events that hand the item to their toCustodian
+const CUSTODY_EVENTS: EvidenceEventType[] = [
+  "CHECKED_IN",
+  "CHECKED_OUT",
+  "TRANSFERRED",
+];
+// Key attribute of a custody SLA that applies to any role
+const ANY_ROLE = "*";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Evidence records one custody query scans at most; the rest follow from
+// the bookmark it returns
+const CUSTODY_SCAN_LIMIT = 500;
+
 interface EvidenceEvent {
   evidenceId: string;
-  eventType: EvidenceStatus;
+  eventType: EvidenceEventType;
   timestamp: number;
   performedBy: string;
   role: string;
-  notes?: string;
+  notes?: string; // events recorded before private data only
   fromCustodian?: string;
   toCustodian?: string;
   imageHash?: string;
   imageFilename?: string;
-  cert?: CertInfo;
+  artifactHash?: string;
+  parentArtifactHash?: string;
+  purpose?: string; // access events
+  approvedBy?: string[]; // final disposition events
+  cert: CertInfo;
   txId: string;
 }
 
@@ -101,6 +378,31 @@ export class ForensicContract extends Contract {
     return ctx.stub.createCompositeKey("EVIDENCE_EVENT", [evidenceId, txId]);
   }
 
+  private caseKey(ctx: Context, caseIdHash: string): string {
+    return ctx.stub.createCompositeKey("CASE", [caseIdHash]);
+  }
+
+  // Index entry case -> evidence; the value is unused
+  private caseEvidenceKey(
+    ctx: Context,
+    caseIdHash: string,
+    evidenceId: string
+  ): string {
+    return ctx.stub.createCompositeKey("CASE_EVIDENCE", [
+      caseIdHash,
+      evidenceId,
+    ]);
+  }
+
+  // Index entry file hash -> evidence carrying it; the value is unused
+  private hashEvidenceKey(
+    ctx: Context,
+    hash: string,
+    evidenceId: string
+  ): string {
+    return ctx.stub.createCompositeKey("HASH_EVIDENCE", [hash, evidenceId]);
+  }
+
   private async put<T>(ctx: Context, key: string, value: T) {
     await ctx.stub.putState(key, Buffer.from(JSON.stringify(value)));
   }
@@ -111,15 +413,192 @@ export class ForensicContract extends Contract {
     return JSON.parse(b.toString()) as T;
   }
 
+  private artifactKey(ctx: Context, evidenceId: string, artifactHash: string) {
+    return ctx.stub.createCompositeKey("ARTIFACT", [evidenceId, artifactHash]);
+  }
+
+  private retentionKey(ctx: Context, category: string): string {
+    return ctx.stub.createCompositeKey("RETENTION", [category]);
+  }
+
+  private custodySlaKey(ctx: Context, status: string, role?: string): string {
+    return ctx.stub.createCompositeKey("CUSTODY_SLA", [
+      status,
+      role || ANY_ROLE,
+    ]);
+  }
+
+  private evidencePrivateKey(ctx: Context, evidenceId: string): string {
+    return ctx.stub.createCompositeKey("EVIDENCE_PRIVATE", [evidenceId]);
+  }
+
+  private evidenceNoteKey(ctx: Context, evidenceId: string, txId: string) {
+    return ctx.stub.createCompositeKey("EVIDENCE_NOTE", [evidenceId, txId]);
+  }
+
+  private casePrivateKey(ctx: Context, caseIdHash: string): string {
+    return ctx.stub.createCompositeKey("CASE_PRIVATE", [caseIdHash]);
+  }
+
+  private async putPrivate<T>(ctx: Context, key: string, value: T) {
+    await ctx.stub.putPrivateData(
+      PRIVATE_COLLECTION,
+      key,
+      Buffer.from(JSON.stringify(value))
+    );
+  }
+
+  private async getPrivate<T>(
+    ctx: Context,
+    key: string
+  ): Promise<T | undefined> {
+    const b = await ctx.stub.getPrivateData(PRIVATE_COLLECTION, key);
+    if (!b || b.length === 0) return undefined;
+    return JSON.parse(b.toString()) as T;
+  }
+
+  // Parses a transaction's inputJson and checks it against its schema
+  private parseInput<T>(inputJson: string, schema: Schema): T {
+    let input: unknown;
+    try {
+      input = JSON.parse(inputJson);
+    } catch (err) {
+      throw new Error("VALIDATION_ERROR: input is not valid JSON");
+    }
+    const errors = validate(schema, input);
+    if (errors.length) {
+      throw new Error(`VALIDATION_ERROR: ${errors.join("; ")}`);
+    }
+    return input as T;
+  }
+
+  // Plaintext fields arrive in the transient map; sending them as arguments
+  // would put them in the block for every org to read.
+  private privateInput(ctx: Context, args: object): PrivateInput {
+    const leaked = PRIVATE_FIELDS.filter(
+      (f) => (args as Record<string, unknown>)[f] !== undefined
+    );
+    if (leaked.length) {
+      throw new Error(
+        `VALIDATION_ERROR: ${leaked.join(
+          ", "
+        )} must be sent as transient data, not as arguments`
+      );
+    }
+
+    const data = ctx.stub.getTransient().get(TRANSIENT_KEY);
+    if (!data || data.length === 0) return {};
+    let priv: unknown;
+    try {
+      priv = JSON.parse(Buffer.from(data).toString());
+    } catch (err) {
+      throw new Error(
+        `VALIDATION_ERROR: transient '${TRANSIENT_KEY}' is not valid JSON`
+      );
+    }
+    const errors = validate(INPUT_SCHEMAS.PrivateInput, priv, TRANSIENT_KEY);
+    if (errors.length) {
+      throw new Error(`VALIDATION_ERROR: ${errors.join("; ")}`);
+    }
+    return priv as PrivateInput;
+  }
+
+  // Public writes are endorsed by a majority of orgs, so plaintext may not
+  // travel with them; see PutEvidencePrivateDetails
+  private assertNoPrivateInput(ctx: Context, args: object) {
+    const priv = this.privateInput(ctx, args);
+    if (Object.values(priv).some(Boolean)) {
+      throw new Error(
+        "VALIDATION_ERROR: private details are written by PutEvidencePrivateDetails or PutCasePrivateDetails, not with this transaction"
+      );
+    }
+  }
+
+  private assertPrivateReader(caller: CallerIdentity) {
+    if (!PRIVATE_COLLECTION_ORGS.includes(caller.mspId)) {
+      throw new Error(
+        `ACCESS_DENIED: organization '${caller.mspId}' may not read private details`
+      );
+    }
+  }
+
+  private assertPrivateWriter(caller: CallerIdentity) {
+    if (!PRIVATE_COLLECTION_ORGS.includes(caller.mspId)) {
+      throw new Error(
+        `ACCESS_DENIED: organization '${caller.mspId}' may not write private details`
+      );
+    }
+  }
+
+  private assertArtifactInput(
+    hash: unknown,
+    size: unknown,
+    mediaType: unknown
+  ) {
+    if (typeof hash !== "string" || !SHA256_HEX.test(hash)) {
+      throw new Error("VALIDATION_ERROR: artifact hash must be SHA-256 hex");
+    }
+    if (typeof size !== "number" || !Number.isInteger(size) || size < 0) {
+      throw new Error("VALIDATION_ERROR: artifact size must be a byte count");
+    }
+    if (typeof mediaType !== "string" || !mediaType) {
+      throw new Error("VALIDATION_ERROR: artifact mediaType is required");
+    }
+  }
+
+  // A Merkle root is optional but always comes with its chunk size
+  private assertMerkleInput(root: unknown, chunkSize: unknown) {
+    if (root === undefined && chunkSize === undefined) return;
+    if (typeof root !== "string" || !SHA256_HEX.test(root)) {
+      throw new Error("VALIDATION_ERROR: merkleRoot must be SHA-256 hex");
+    }
+    if (
+      typeof chunkSize !== "number" ||
+      !Number.isInteger(chunkSize) ||
+      chunkSize <= 0
+    ) {
+      throw new Error(
+        "VALIDATION_ERROR: chunkSize must be a positive byte count"
+      );
+    }
+  }
+
   private now(ctx: Context): number {
     const ts = ctx.stub.getTxTimestamp();
     return Number(ts.seconds) * 1000 + Math.floor(ts.nanos / 1e6);
   }
 
-  private assertRole(role: string | undefined, allowed: string[]): void {
+  private caller(ctx: Context): CallerIdentity {
+    // getID() has the form "x509::<subject DN>::<issuer DN>"
+    const [, subject = "", issuer = ""] = ctx.clientIdentity
+      .getID()
+      .split("::");
+    const cn = /CN=([^/,]+)/.exec(subject);
+    const role = ctx.clientIdentity.getAttributeValue("role");
+    return {
+      mspId: ctx.clientIdentity.getMSPID(),
+      subject,
+      issuer,
+      name: cn ? cn[1] : subject,
+      role: role || undefined,
+    };
+  }
+
+  private certInfo(caller: CallerIdentity): CertInfo {
+    return {
+      mspId: caller.mspId,
+      subject: caller.subject,
+      issuer: caller.issuer,
+    };
+  }
+
+  private assertRole(caller: CallerIdentity, allowed: string[]): string {
+    const role = caller.role;
     if (!role) {
       throw new Error(
-        `ACCESS_DENIED: missing role; allowed roles: ${allowed.join(", ")}`
+        `ACCESS_DENIED: certificate has no 'role' attribute; allowed roles: ${allowed.join(
+          ", "
+        )}`
       );
     }
     if (!allowed.includes(role)) {
@@ -129,6 +608,42 @@ export class ForensicContract extends Contract {
         )}`
       );
     }
+    return role;
+  }
+
+  /*
+   * Key-level endorsement policy of an evidence record: a peer of the org
+   * holding custody must endorse every change, and while a transfer to
+   * another org is pending, a peer of the receiving org as well. Without
+   * it the chaincode's MAJORITY policy would let other orgs change a record
+   * without the org holding it.
+   */
+  private async updateCustodyEndorsement(
+    ctx: Context,
+    key: string,
+    rec: EvidenceRecord
+  ) {
+    const orgs = [rec.custodianMspId as string];
+    const pending = rec.pendingTransfer;
+    if (pending && !orgs.includes(pending.toMspId)) {
+      orgs.push(pending.toMspId);
+    }
+
+    const current = await ctx.stub.getStateValidationParameter(key);
+    const currentOrgs =
+      current && current.length > 0
+        ? new KeyEndorsementPolicy(current).listOrgs()
+        : [];
+    if (
+      currentOrgs.length === orgs.length &&
+      orgs.every((org) => currentOrgs.includes(org))
+    ) {
+      return;
+    }
+
+    const policy = new KeyEndorsementPolicy();
+    policy.addOrgs("PEER", ...orgs);
+    await ctx.stub.setStateValidationParameter(key, policy.getPolicy());
   }
 
   private async appendEvent(
@@ -144,6 +659,12 @@ export class ForensicContract extends Contract {
       ...event,
     };
     await this.put(ctx, key, fullEvent);
+    // Fabric keeps one chaincode event per transaction; each lifecycle
+    // transaction appends exactly one EvidenceEvent
+    ctx.stub.setEvent(
+      EVIDENCE_EVENT_NAME,
+      Buffer.from(JSON.stringify(fullEvent))
+    );
   }
 
   // Read operations
@@ -192,6 +713,14 @@ export class ForensicContract extends Contract {
     ctx: Context,
     evidenceId: string
   ): Promise<string> {
+    return JSON.stringify(await this.evidenceEvents(ctx, evidenceId));
+  }
+
+  // The item's events, oldest first
+  private async evidenceEvents(
+    ctx: Context,
+    evidenceId: string
+  ): Promise<EvidenceEvent[]> {
     const iter = await ctx.stub.getStateByPartialCompositeKey(
       "EVIDENCE_EVENT",
       [evidenceId]
@@ -205,177 +734,1462 @@ export class ForensicContract extends Contract {
     await iter.close();
 
     events.sort((a, b) => a.timestamp - b.timestamp);
-    return JSON.stringify(events);
+    return events;
   }
 
-  // Write operations
-  @Transaction()
-  public async CreateEvidence(ctx: Context, inputJson: string): Promise<void> {
-    const input = JSON.parse(inputJson) as CreateEvidenceInput;
-
-    if (!input?.evidenceId || !input?.caseIdHash) {
-      throw new Error(
-        "VALIDATION_ERROR: evidenceId and caseIdHash are required"
-      );
-    }
-
-    // RBAC
-    this.assertRole(input.role, ["ForensicTechnician", "EvidenceManager"]);
-
-    const key = this.evidenceKey(ctx, input.evidenceId);
-    const exists = await this.get<EvidenceRecord>(ctx, key);
-    if (exists) throw new Error(`ALREADY_EXISTS: '${input.evidenceId}'`);
+  @Transaction(false)
+  @Returns("string")
+  public async GetCase(ctx: Context, caseIdHash: string): Promise<string> {
+    const rec = await this.get<CaseRecord>(ctx, this.caseKey(ctx, caseIdHash));
+    if (!rec) throw new Error(`NOT_FOUND: case '${caseIdHash}'`);
+    return JSON.stringify(rec);
+  }
 
-    const now = this.now(ctx);
-    const createdBy = input.performedBy || input.createdBy || "unknown";
+  // All evidence records filed under a case, via the CASE_EVIDENCE index
+  @Transaction(false)
+  @Returns("string")
+  public async GetCaseEvidence(
+    ctx: Context,
+    caseIdHash: string
+  ): Promise<string> {
+    const caseRec = await this.get<CaseRecord>(
+      ctx,
+      this.caseKey(ctx, caseIdHash)
+    );
+    if (!caseRec) throw new Error(`NOT_FOUND: case '${caseIdHash}'`);
 
-    const rec: EvidenceRecord = {
-      evidenceId: input.evidenceId,
-      caseIdHash: input.caseIdHash,
-      description: input.description,
-      status: "CREATED",
-      imageHash: input.imageHash,
-      imageFilename: input.imageFilename,
-      createdBy,
-      role: input.role || "Unknown",
-      currentCustodian: input.currentCustodian || createdBy,
-      createdAt: now,
-      updatedAt: now,
-    };
+    const iter = await ctx.stub.getStateByPartialCompositeKey("CASE_EVIDENCE", [
+      caseIdHash,
+    ]);
 
-    await this.put(ctx, key, rec);
+    const out: EvidenceRecord[] = [];
+    for (let res = await iter.next(); !res.done; res = await iter.next()) {
+      const { attributes } = ctx.stub.splitCompositeKey(res.value.key);
+      const rec = await this.get<EvidenceRecord>(
+        ctx,
+        this.evidenceKey(ctx, attributes[1])
+      );
+      if (rec) out.push(rec);
+    }
+    await iter.close();
 
-    await this.appendEvent(ctx, input.evidenceId, {
-      eventType: "CREATED",
-      timestamp: now,
-      performedBy: createdBy,
-      role: rec.role,
-      notes: input.notes || rec.description,
-      imageHash: input.imageHash,
-      imageFilename: input.imageFilename,
-      cert: input.cert,
-    });
+    return JSON.stringify(out);
   }
 
-  // Check in evidence (e.g., back into storage or lab).
-  @Transaction()
-  public async CheckInEvidence(ctx: Context, inputJson: string): Promise<void> {
-    const input = JSON.parse(inputJson) as CheckInInput;
-
-    if (!input?.evidenceId) {
-      throw new Error("VALIDATION_ERROR: evidenceId is required");
+  // Every evidence item holding a file with this SHA-256 (as its image or
+  // one of its artifacts), via the HASH_EVIDENCE index, with the matching
+  // artifact
+  @Transaction(false)
+  @Returns("string")
+  public async FindEvidenceByHash(ctx: Context, hash: string): Promise<string> {
+    if (!SHA256_HEX.test(hash)) {
+      throw new Error("VALIDATION_ERROR: hash must be SHA-256 hex");
     }
 
-    this.assertRole(input.role, ["ForensicTechnician", "EvidenceManager"]);
+    const iter = await ctx.stub.getStateByPartialCompositeKey("HASH_EVIDENCE", [
+      hash,
+    ]);
 
-    const key = this.evidenceKey(ctx, input.evidenceId);
-    const rec = await this.get<EvidenceRecord>(ctx, key);
-    if (!rec) throw new Error(`NOT_FOUND: evidence '${input.evidenceId}'`);
-    if (rec.status === "REMOVED") {
-      throw new Error(`INVALID_STATE: evidence '${input.evidenceId}' removed`);
+    const out: { evidence: EvidenceRecord; artifact?: ArtifactRecord }[] = [];
+    for (let res = await iter.next(); !res.done; res = await iter.next()) {
+      const evidenceId = ctx.stub.splitCompositeKey(res.value.key)
+        .attributes[1];
+      const evidence = await this.get<EvidenceRecord>(
+        ctx,
+        this.evidenceKey(ctx, evidenceId)
+      );
+      if (!evidence) continue;
+      out.push({
+        evidence,
+        artifact: await this.get<ArtifactRecord>(
+          ctx,
+          this.artifactKey(ctx, evidenceId, hash)
+        ),
+      });
     }
+    await iter.close();
+
+    return JSON.stringify(out);
+  }
+
+  // Artifacts of an evidence item in the order they were added; parentHash
+  // links give the derivation tree
+  @Transaction(false)
+  @Returns("string")
+  public async ListArtifacts(
+    ctx: Context,
+    evidenceId: string
+  ): Promise<string> {
+    const iter = await ctx.stub.getStateByPartialCompositeKey("ARTIFACT", [
+      evidenceId,
+    ]);
+
+    const artifacts: ArtifactRecord[] = [];
+    for (let res = await iter.next(); !res.done; res = await iter.next()) {
+      artifacts.push(JSON.parse(res.value.value.toString()) as ArtifactRecord);
+    }
+    await iter.close();
+    artifacts.sort((a, b) => a.createdAt - b.createdAt);
+
+    return JSON.stringify(artifacts);
+  }
+
+  // Case number, description and notes from the private collection
+  @Transaction(false)
+  @Returns("string")
+  public async GetEvidencePrivateDetails(
+    ctx: Context,
+    evidenceId: string
+  ): Promise<string> {
+    this.assertPrivateReader(this.caller(ctx));
+
+    const rec = await this.get<EvidenceRecord>(
+      ctx,
+      this.evidenceKey(ctx, evidenceId)
+    );
+    if (!rec) throw new Error(`NOT_FOUND: evidence '${evidenceId}'`);
+
+    const details = await this.getPrivate<EvidencePrivateDetails>(
+      ctx,
+      this.evidencePrivateKey(ctx, evidenceId)
+    );
+
+    const iter = await ctx.stub.getPrivateDataByPartialCompositeKey(
+      PRIVATE_COLLECTION,
+      "EVIDENCE_NOTE",
+      [evidenceId]
+    );
+    const notes: PrivateNote[] = [];
+    for (let res = await iter.next(); !res.done; res = await iter.next()) {
+      notes.push(JSON.parse(res.value.value.toString()) as PrivateNote);
+    }
+    await iter.close();
+    notes.sort((a, b) => a.timestamp - b.timestamp);
+
+    return JSON.stringify({ ...details, evidenceId, notes });
+  }
+
+  @Transaction(false)
+  @Returns("string")
+  public async GetCasePrivateDetails(
+    ctx: Context,
+    caseIdHash: string
+  ): Promise<string> {
+    this.assertPrivateReader(this.caller(ctx));
+
+    const details = await this.getPrivate<CasePrivateDetails>(
+      ctx,
+      this.casePrivateKey(ctx, caseIdHash)
+    );
+    if (!details) {
+      throw new Error(`NOT_FOUND: private details of case '${caseIdHash}'`);
+    }
+    return JSON.stringify(details);
+  }
+
+  // Filtered, bookmark-paginated listing. Requires CouchDB as the state
+  // database; indexes ship in chaincode/META-INF/statedb/couchdb/indexes.
+  @Transaction(false)
+  @Returns("string")
+  public async SearchEvidence(
+    ctx: Context,
+    queryJson: string
+  ): Promise<string> {
+    const input = queryJson
+      ? this.parseInput<SearchEvidenceInput>(
+          queryJson,
+          INPUT_SCHEMAS.SearchEvidenceInput
+        )
+      : {};
+
+    const pageSize = Math.min(
+      Math.max(Number(input.pageSize) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+
+    const selector: Record<string, unknown> = { docType: "evidence" };
+    if (input.status) selector.status = input.status;
+    if (input.custodian) selector.currentCustodian = input.custodian;
+    if (input.createdBy) selector.createdBy = input.createdBy;
+
+    const range = (from?: number, to?: number) => {
+      const r: Record<string, number> = {};
+      if (from !== undefined) r.$gte = Number(from);
+      if (to !== undefined) r.$lte = Number(to);
+      return Object.keys(r).length ? r : undefined;
+    };
+    const created = range(input.createdFrom, input.createdTo);
+    const updated = range(input.updatedFrom, input.updatedTo);
+    if (created) selector.createdAt = created;
+    if (updated) selector.updatedAt = updated;
+
+    const { iterator, metadata } = await ctx.stub.getQueryResultWithPagination(
+      JSON.stringify({ selector }),
+      pageSize,
+      input.bookmark || ""
+    );
+
+    const records: EvidenceRecord[] = [];
+    for (
+      let res = await iterator.next();
+      !res.done;
+      res = await iterator.next()
+    ) {
+      records.push(JSON.parse(res.value.value.toString()) as EvidenceRecord);
+    }
+    await iterator.close();
+
+    return JSON.stringify({
+      records,
+      fetchedRecordsCount: metadata.fetchedRecordsCount,
+      bookmark: metadata.bookmark,
+    });
+  }
+
+  // Write operations
+  @Transaction()
+  public async CreateCase(ctx: Context, inputJson: string): Promise<void> {
+    const input = this.parseInput<CreateCaseInput>(
+      inputJson,
+      INPUT_SCHEMAS.CreateCaseInput
+    );
+
+    const caller = this.caller(ctx);
+    this.assertRole(caller, ["EvidenceManager"]);
+    this.assertNoPrivateInput(ctx, input);
+
+    const key = this.caseKey(ctx, input.caseIdHash);
+    const exists = await this.get<CaseRecord>(ctx, key);
+    if (exists) throw new Error(`ALREADY_EXISTS: case '${input.caseIdHash}'`);
 
     const now = this.now(ctx);
-    const performedBy = input.performedBy || "unknown";
+    const rec: CaseRecord = {
+      caseIdHash: input.caseIdHash,
+      status: "OPEN",
+      leadInvestigator: input.leadInvestigator,
+      createdBy: caller.name,
+      createdAt: now,
+      updatedAt: now,
+    };
 
-    rec.status = "CHECKED_IN";
-    rec.currentCustodian =
-      input.custodian || rec.currentCustodian || performedBy;
-    rec.role = input.role || rec.role;
-    rec.updatedAt = now;
+    await this.put(ctx, key, rec);
+  }
+
+  /*
+   * Plaintext is written by transactions of its own that touch nothing but
+   * PRIVATE_COLLECTION: the collection's endorsement policy then applies
+   * instead of the chaincode's MAJORITY, so only member orgs' peers endorse
+   * them and receive the transient data. The backend submits one once the
+   * public transaction it belongs to has committed.
+   */
+
+  // Case number, description and notes of a case, by its creator
+  @Transaction()
+  public async PutCasePrivateDetails(
+    ctx: Context,
+    inputJson: string
+  ): Promise<void> {
+    const input = this.parseInput<CasePrivateDetailsInput>(
+      inputJson,
+      INPUT_SCHEMAS.CasePrivateDetailsInput
+    );
+
+    const caller = this.caller(ctx);
+    this.assertPrivateWriter(caller);
+    const priv = this.privateInput(ctx, input);
+
+    const caseRec = await this.get<CaseRecord>(
+      ctx,
+      this.caseKey(ctx, input.caseIdHash)
+    );
+    if (!caseRec) throw new Error(`NOT_FOUND: case '${input.caseIdHash}'`);
+    if (caseRec.createdBy !== caller.name) {
+      throw new Error(
+        `ACCESS_DENIED: only ${caseRec.createdBy} may add private details of case '${input.caseIdHash}'`
+      );
+    }
+
+    const key = this.casePrivateKey(ctx, input.caseIdHash);
+    if (await this.getPrivate<CasePrivateDetails>(ctx, key)) {
+      throw new Error(
+        `ALREADY_EXISTS: private details of case '${input.caseIdHash}'`
+      );
+    }
+    await this.putPrivate<CasePrivateDetails>(ctx, key, {
+      caseIdHash: input.caseIdHash,
+      caseId: priv.caseId,
+      description: priv.description,
+      notes: priv.notes,
+    });
+  }
+
+  // Private details of the evidence event txId, by whoever performed it:
+  // notes for any event, and the case number and description for CREATED
+  @Transaction()
+  public async PutEvidencePrivateDetails(
+    ctx: Context,
+    inputJson: string
+  ): Promise<void> {
+    const input = this.parseInput<EvidencePrivateDetailsInput>(
+      inputJson,
+      INPUT_SCHEMAS.EvidencePrivateDetailsInput
+    );
+
+    const caller = this.caller(ctx);
+    this.assertPrivateWriter(caller);
+    const priv = this.privateInput(ctx, input);
+
+    const event = await this.get<EvidenceEvent>(
+      ctx,
+      this.evidenceEventKey(ctx, input.evidenceId, input.txId)
+    );
+    if (!event) {
+      throw new Error(
+        `NOT_FOUND: event '${input.txId}' of evidence '${input.evidenceId}'`
+      );
+    }
+    if (
+      event.cert.subject !== caller.subject ||
+      event.cert.mspId !== caller.mspId
+    ) {
+      throw new Error(
+        `ACCESS_DENIED: only ${event.performedBy} may add private details to event '${input.txId}'`
+      );
+    }
+
+    if (priv.caseId || priv.description) {
+      if (event.eventType !== "CREATED") {
+        throw new Error(
+          "VALIDATION_ERROR: caseId and description belong to the CREATED event"
+        );
+      }
+      const key = this.evidencePrivateKey(ctx, input.evidenceId);
+      if (await this.getPrivate<EvidencePrivateDetails>(ctx, key)) {
+        throw new Error(
+          `ALREADY_EXISTS: private details of evidence '${input.evidenceId}'`
+        );
+      }
+      await this.putPrivate<Omit<EvidencePrivateDetails, "notes">>(ctx, key, {
+        evidenceId: input.evidenceId,
+        caseId: priv.caseId,
+        description: priv.description,
+      });
+    }
+
+    if (priv.notes) {
+      const key = this.evidenceNoteKey(ctx, input.evidenceId, input.txId);
+      if (await this.getPrivate<PrivateNote>(ctx, key)) {
+        throw new Error(`ALREADY_EXISTS: notes of event '${input.txId}'`);
+      }
+      await this.putPrivate<PrivateNote>(ctx, key, {
+        txId: input.txId,
+        eventType: event.eventType,
+        timestamp: event.timestamp,
+        author: caller.name,
+        text: priv.notes,
+      });
+    }
+  }
+
+  @Transaction()
+  public async CloseCase(ctx: Context, inputJson: string): Promise<void> {
+    await this.setCaseStatus(ctx, inputJson, "CLOSED");
+  }
+
+  @Transaction()
+  public async ReopenCase(ctx: Context, inputJson: string): Promise<void> {
+    await this.setCaseStatus(ctx, inputJson, "OPEN");
+  }
+
+  @Transaction()
+  public async AssignLeadInvestigator(
+    ctx: Context,
+    inputJson: string
+  ): Promise<void> {
+    const input = this.parseInput<AssignLeadInput>(
+      inputJson,
+      INPUT_SCHEMAS.AssignLeadInput
+    );
+
+    this.assertRole(this.caller(ctx), ["EvidenceManager"]);
+
+    const key = this.caseKey(ctx, input.caseIdHash);
+    const rec = await this.get<CaseRecord>(ctx, key);
+    if (!rec) throw new Error(`NOT_FOUND: case '${input.caseIdHash}'`);
+    if (rec.status === "CLOSED") {
+      throw new Error(`INVALID_STATE: case '${input.caseIdHash}' is closed`);
+    }
+
+    rec.leadInvestigator = input.leadInvestigator;
+    rec.updatedAt = this.now(ctx);
 
     await this.put(ctx, key, rec);
+  }
+
+  private async setCaseStatus(
+    ctx: Context,
+    inputJson: string,
+    status: CaseStatus
+  ): Promise<void> {
+    const input = this.parseInput<CaseStatusInput>(
+      inputJson,
+      INPUT_SCHEMAS.CaseStatusInput
+    );
+
+    this.assertRole(this.caller(ctx), ["EvidenceManager"]);
+
+    const key = this.caseKey(ctx, input.caseIdHash);
+    const rec = await this.get<CaseRecord>(ctx, key);
+    if (!rec) throw new Error(`NOT_FOUND: case '${input.caseIdHash}'`);
+    if (rec.status === status) {
+      throw new Error(
+        `INVALID_STATE: case '${input.caseIdHash}' is already ${status}`
+      );
+    }
+
+    rec.status = status;
+    rec.updatedAt = this.now(ctx);
+
+    await this.put(ctx, key, rec);
+  }
+
+  @Transaction()
+  public async CreateEvidence(ctx: Context, inputJson: string): Promise<void> {
+    const input = this.parseInput<CreateEvidenceInput>(
+      inputJson,
+      INPUT_SCHEMAS.CreateEvidenceInput
+    );
+
+    if (input.imageHash) {
+      this.assertArtifactInput(
+        input.imageHash,
+        input.imageSize,
+        input.imageMediaType
+      );
+      this.assertMerkleInput(input.imageMerkleRoot, input.imageChunkSize);
+    }
+
+    // RBAC
+    const caller = this.caller(ctx);
+    const role = this.assertRole(caller, [
+      "ForensicTechnician",
+      "EvidenceManager",
+    ]);
+    this.assertNoPrivateInput(ctx, input);
+
+    const caseRec = await this.get<CaseRecord>(
+      ctx,
+      this.caseKey(ctx, input.caseIdHash)
+    );
+    if (!caseRec) throw new Error(`NOT_FOUND: case '${input.caseIdHash}'`);
+    if (caseRec.status === "CLOSED") {
+      throw new Error(`INVALID_STATE: case '${input.caseIdHash}' is closed`);
+    }
+
+    const key = this.evidenceKey(ctx, input.evidenceId);
+    const exists = await this.get<EvidenceRecord>(ctx, key);
+    if (exists) throw new Error(`ALREADY_EXISTS: '${input.evidenceId}'`);
+
+    const now = this.now(ctx);
+
+    const rec: EvidenceRecord = {
+      docType: "evidence",
+      evidenceId: input.evidenceId,
+      caseIdHash: input.caseIdHash,
+      category: input.category,
+      status: "CREATED",
+      imageHash: input.imageHash,
+      imageFilename: input.imageFilename,
+      imageMerkleRoot: input.imageMerkleRoot,
+      imageChunkSize: input.imageChunkSize,
+      createdBy: caller.name,
+      role: role,
+      currentCustodian: input.currentCustodian || caller.name,
+      custodianMspId: caller.mspId,
+      createdAt: now,
+      updatedAt: now,
+      statusSince: now,
+      statusRole: role,
+    };
+
+    await this.put(ctx, key, rec);
+    await this.updateCustodyEndorsement(ctx, key, rec);
+    await ctx.stub.putState(
+      this.caseEvidenceKey(ctx, input.caseIdHash, input.evidenceId),
+      Buffer.from("\u0000")
+    );
+    if (input.imageHash) {
+      // the CREATED event doubles as this artifact's lifecycle event
+      await this.put<ArtifactRecord>(
+        ctx,
+        this.artifactKey(ctx, input.evidenceId, input.imageHash),
+        {
+          docType: "artifact",
+          evidenceId: input.evidenceId,
+          artifactHash: input.imageHash,
+          filename: input.imageFilename,
+          size: input.imageSize as number,
+          mediaType: input.imageMediaType as string,
+          merkleRoot: input.imageMerkleRoot,
+          chunkSize: input.imageChunkSize,
+          addedBy: caller.name,
+          role,
+          createdAt: now,
+          txId: ctx.stub.getTxID(),
+        }
+      );
+      await ctx.stub.putState(
+        this.hashEvidenceKey(ctx, input.imageHash, input.evidenceId),
+        Buffer.from("\u0000")
+      );
+    }
 
     await this.appendEvent(ctx, input.evidenceId, {
-      eventType: "CHECKED_IN",
+      eventType: "CREATED",
       timestamp: now,
-      performedBy,
+      performedBy: caller.name,
       role: rec.role,
-      notes: input.notes,
       toCustodian: rec.currentCustodian,
-      cert: input.cert,
+      imageHash: input.imageHash,
+      imageFilename: input.imageFilename,
+      cert: this.certInfo(caller),
     });
   }
 
-  // Transfer evidence between custodians
+  // Attaches a file to an evidence item, optionally derived from one of its
+  // existing artifacts, and records an ARTIFACT_ADDED event
   @Transaction()
-  public async TransferEvidence(
+  public async AddArtifact(ctx: Context, inputJson: string): Promise<void> {
+    const input = this.parseInput<AddArtifactInput>(
+      inputJson,
+      INPUT_SCHEMAS.AddArtifactInput
+    );
+    this.assertMerkleInput(input.merkleRoot, input.chunkSize);
+
+    const caller = this.caller(ctx);
+    const role = this.assertRole(caller, ARTIFACT_ROLES);
+
+    const rec = await this.get<EvidenceRecord>(
+      ctx,
+      this.evidenceKey(ctx, input.evidenceId)
+    );
+    if (!rec) throw new Error(`NOT_FOUND: evidence '${input.evidenceId}'`);
+    if (FINAL_STATES.includes(rec.status)) {
+      throw new Error(
+        `INVALID_STATE: cannot add artifacts to evidence '${input.evidenceId}' in state ${rec.status}`
+      );
+    }
+
+    const key = this.artifactKey(ctx, input.evidenceId, input.artifactHash);
+    if (await this.get<ArtifactRecord>(ctx, key)) {
+      throw new Error(
+        `ALREADY_EXISTS: artifact '${input.artifactHash}' of evidence '${input.evidenceId}'`
+      );
+    }
+    if (
+      input.parentHash &&
+      !(await this.get<ArtifactRecord>(
+        ctx,
+        this.artifactKey(ctx, input.evidenceId, input.parentHash)
+      ))
+    ) {
+      throw new Error(
+        `NOT_FOUND: parent artifact '${input.parentHash}' of evidence '${input.evidenceId}'`
+      );
+    }
+
+    const now = this.now(ctx);
+    await this.put<ArtifactRecord>(ctx, key, {
+      docType: "artifact",
+      evidenceId: input.evidenceId,
+      artifactHash: input.artifactHash,
+      filename: input.filename,
+      size: input.size,
+      mediaType: input.mediaType,
+      parentHash: input.parentHash,
+      merkleRoot: input.merkleRoot,
+      chunkSize: input.chunkSize,
+      addedBy: caller.name,
+      role,
+      createdAt: now,
+      txId: ctx.stub.getTxID(),
+    });
+    await ctx.stub.putState(
+      this.hashEvidenceKey(ctx, input.artifactHash, input.evidenceId),
+      Buffer.from("\u0000")
+    );
+
+    await this.appendEvent(ctx, input.evidenceId, {
+      eventType: "ARTIFACT_ADDED",
+      timestamp: now,
+      performedBy: caller.name,
+      role,
+      artifactHash: input.artifactHash,
+      parentArtifactHash: input.parentHash,
+      imageFilename: input.filename,
+      cert: this.certInfo(caller),
+    });
+  }
+
+  // Logs that the caller viewed, downloaded or verified the evidence, with
+  // their stated purpose. The record itself is left untouched.
+  @Transaction()
+  public async RecordAccess(ctx: Context, inputJson: string): Promise<void> {
+    const input = this.parseInput<RecordAccessInput>(
+      inputJson,
+      INPUT_SCHEMAS.RecordAccessInput
+    );
+
+    const caller = this.caller(ctx);
+    const role = this.assertRole(caller, ACCESS_ROLES);
+
+    const rec = await this.get<EvidenceRecord>(
+      ctx,
+      this.evidenceKey(ctx, input.evidenceId)
+    );
+    if (!rec) throw new Error(`NOT_FOUND: evidence '${input.evidenceId}'`);
+
+    await this.appendEvent(ctx, input.evidenceId, {
+      eventType: input.accessType,
+      timestamp: this.now(ctx),
+      performedBy: caller.name,
+      role,
+      purpose: input.purpose || undefined,
+      artifactHash: input.artifactHash,
+      cert: this.certInfo(caller),
+    });
+  }
+
+  // Sets how many days evidence of a category is kept before it becomes
+  // eligible for disposition
+  @Transaction()
+  public async SetRetentionPolicy(
+    ctx: Context,
+    inputJson: string
+  ): Promise<void> {
+    const input = this.parseInput<RetentionPolicyInput>(
+      inputJson,
+      INPUT_SCHEMAS.RetentionPolicyInput
+    );
+
+    const caller = this.caller(ctx);
+    this.assertRole(caller, RETENTION_ROLES);
+
+    await this.put<RetentionPolicy>(
+      ctx,
+      this.retentionKey(ctx, input.category),
+      {
+        category: input.category,
+        retentionDays: input.retentionDays,
+        setBy: caller.name,
+        updatedAt: this.now(ctx),
+      }
+    );
+  }
+
+  // Sets how many days evidence may stay in a status, for items moved there
+  // by input.role or, without one, by anyone
+  @Transaction()
+  public async SetCustodySla(ctx: Context, inputJson: string): Promise<void> {
+    const input = this.parseInput<CustodySlaInput>(
+      inputJson,
+      INPUT_SCHEMAS.CustodySlaInput
+    );
+
+    const caller = this.caller(ctx);
+    this.assertRole(caller, CUSTODY_SLA_ROLES);
+
+    await this.put<CustodySla>(
+      ctx,
+      this.custodySlaKey(ctx, input.status, input.role),
+      {
+        status: input.status,
+        role: input.role,
+        maxDays: input.maxDays,
+        setBy: caller.name,
+        updatedAt: this.now(ctx),
+      }
+    );
+  }
+
+  @Transaction()
+  public async RemoveCustodySla(
     ctx: Context,
     inputJson: string
   ): Promise<void> {
-    const input = JSON.parse(inputJson) as TransferInput;
+    const input = this.parseInput<RemoveCustodySlaInput>(
+      inputJson,
+      INPUT_SCHEMAS.RemoveCustodySlaInput
+    );
+
+    this.assertRole(this.caller(ctx), CUSTODY_SLA_ROLES);
 
-    if (!input?.evidenceId || !input?.toCustodian) {
+    const key = this.custodySlaKey(ctx, input.status, input.role);
+    if (!(await this.get<CustodySla>(ctx, key))) {
       throw new Error(
-        "VALIDATION_ERROR: evidenceId and toCustodian are required"
+        `NOT_FOUND: custody SLA for ${input.status}${
+          input.role ? ` by ${input.role}` : ""
+        }`
       );
     }
+    await ctx.stub.deleteState(key);
+  }
 
-    // Only EvidenceManager can transfer
-    this.assertRole(input.role, ["EvidenceManager"]);
+  // Blocks release, destruction and removal (HOLD_BLOCKED_ACTIONS) until the
+  // hold is released; the reason travels as private notes
+  @Transaction()
+  public async PlaceLegalHold(ctx: Context, inputJson: string): Promise<void> {
+    await this.setLegalHold(ctx, inputJson, true);
+  }
+
+  @Transaction()
+  public async ReleaseLegalHold(
+    ctx: Context,
+    inputJson: string
+  ): Promise<void> {
+    await this.setLegalHold(ctx, inputJson, false);
+  }
+
+  private async setLegalHold(
+    ctx: Context,
+    inputJson: string,
+    place: boolean
+  ): Promise<void> {
+    const input = this.parseInput<LegalHoldInput>(
+      inputJson,
+      INPUT_SCHEMAS.LegalHoldInput
+    );
+
+    const caller = this.caller(ctx);
+    const role = this.assertRole(caller, LEGAL_HOLD_ROLES);
+    this.assertNoPrivateInput(ctx, input);
 
     const key = this.evidenceKey(ctx, input.evidenceId);
     const rec = await this.get<EvidenceRecord>(ctx, key);
     if (!rec) throw new Error(`NOT_FOUND: evidence '${input.evidenceId}'`);
-    if (rec.status === "REMOVED") {
-      throw new Error(`INVALID_STATE: evidence '${input.evidenceId}' removed`);
+    if (place && rec.legalHold) {
+      throw new Error(
+        `INVALID_STATE: evidence '${input.evidenceId}' is already under legal hold`
+      );
+    }
+    if (place && FINAL_STATES.includes(rec.status)) {
+      throw new Error(
+        `INVALID_STATE: evidence '${input.evidenceId}' is already ${rec.status}`
+      );
+    }
+    if (!place && !rec.legalHold) {
+      throw new Error(
+        `INVALID_STATE: evidence '${input.evidenceId}' is not under legal hold`
+      );
     }
 
     const now = this.now(ctx);
-    const performedBy = input.performedBy || "unknown";
-    const fromCustodian =
-      input.fromCustodian || rec.currentCustodian || "unknown";
-
-    rec.status = "TRANSFERRED";
-    rec.currentCustodian = input.toCustodian;
-    rec.role = input.role || rec.role;
+    const eventType = place ? "LEGAL_HOLD_PLACED" : "LEGAL_HOLD_RELEASED";
+    rec.legalHold = place
+      ? {
+          placedBy: caller.name,
+          placedByMspId: caller.mspId,
+          placedAt: now,
+          txId: ctx.stub.getTxID(),
+        }
+      : undefined;
     rec.updatedAt = now;
 
     await this.put(ctx, key, rec);
 
     await this.appendEvent(ctx, input.evidenceId, {
-      eventType: "TRANSFERRED",
+      eventType,
       timestamp: now,
-      performedBy,
-      role: rec.role,
-      fromCustodian,
-      toCustodian: input.toCustodian,
-      notes: input.notes,
-      cert: input.cert,
+      performedBy: caller.name,
+      role,
+      cert: this.certInfo(caller),
     });
   }
 
-  // Mark evidence as removed (e.g., destroyed or archived off-chain)
+  // Generic entry point: applies input.action according to TRANSITIONS
+  @Transaction()
+  public async PerformAction(ctx: Context, inputJson: string): Promise<void> {
+    const input = this.parseInput<EvidenceActionInput>(
+      inputJson,
+      INPUT_SCHEMAS.PerformActionInput
+    );
+    await this.applyAction(ctx, input.action as EvidenceAction, input);
+  }
+
+  // Check in evidence (e.g., back into storage or lab).
+  @Transaction()
+  public async CheckInEvidence(ctx: Context, inputJson: string): Promise<void> {
+    await this.applyAction(ctx, "CHECK_IN", this.actionInput(inputJson));
+  }
+
+  @Transaction()
+  public async CheckOutEvidence(
+    ctx: Context,
+    inputJson: string
+  ): Promise<void> {
+    await this.applyAction(ctx, "CHECK_OUT", this.actionInput(inputJson));
+  }
+
+  @Transaction()
+  public async StartAnalysis(ctx: Context, inputJson: string): Promise<void> {
+    await this.applyAction(ctx, "START_ANALYSIS", this.actionInput(inputJson));
+  }
+
+  @Transaction()
+  public async ReturnEvidence(ctx: Context, inputJson: string): Promise<void> {
+    await this.applyAction(ctx, "RETURN", this.actionInput(inputJson));
+  }
+
+  // Start a custody handoff; custody only moves once the recipient accepts
+  @Transaction()
+  public async InitiateTransfer(
+    ctx: Context,
+    inputJson: string
+  ): Promise<void> {
+    await this.applyAction(
+      ctx,
+      "INITIATE_TRANSFER",
+      this.actionInput(inputJson)
+    );
+  }
+
+  // Only the named recipient identity can accept
+  @Transaction()
+  public async AcceptTransfer(ctx: Context, inputJson: string): Promise<void> {
+    await this.applyAction(ctx, "ACCEPT_TRANSFER", this.actionInput(inputJson));
+  }
+
+  // Recipient declines the handoff; custody stays with the sender
+  @Transaction()
+  public async RejectTransfer(ctx: Context, inputJson: string): Promise<void> {
+    await this.applyAction(ctx, "REJECT_TRANSFER", this.actionInput(inputJson));
+  }
+
+  // An EvidenceManager (normally the initiator) withdraws an unaccepted handoff
+  @Transaction()
+  public async CancelTransfer(ctx: Context, inputJson: string): Promise<void> {
+    await this.applyAction(ctx, "CANCEL_TRANSFER", this.actionInput(inputJson));
+  }
+
+  @Transaction()
+  public async ArchiveEvidence(ctx: Context, inputJson: string): Promise<void> {
+    await this.applyAction(ctx, "ARCHIVE", this.actionInput(inputJson));
+  }
+
+  // Release, destruction and removal are requests; the status only changes
+  // once another EvidenceManager approves (ApproveDisposition)
+  @Transaction()
+  public async ReleaseEvidence(ctx: Context, inputJson: string): Promise<void> {
+    await this.applyAction(ctx, "RELEASE", this.actionInput(inputJson));
+  }
+
+  @Transaction()
+  public async DestroyEvidence(ctx: Context, inputJson: string): Promise<void> {
+    await this.applyAction(ctx, "DESTROY", this.actionInput(inputJson));
+  }
+
+  // Mark evidence as removed without a more specific disposition
   @Transaction()
   public async RemoveEvidence(ctx: Context, inputJson: string): Promise<void> {
-    const input = JSON.parse(inputJson) as RemoveInput;
+    await this.applyAction(ctx, "REMOVE", this.actionInput(inputJson));
+  }
+
+  // A second EvidenceManager signs off on the requested disposition
+  @Transaction()
+  public async ApproveDisposition(
+    ctx: Context,
+    inputJson: string
+  ): Promise<void> {
+    await this.applyAction(
+      ctx,
+      "APPROVE_DISPOSITION",
+      this.actionInput(inputJson)
+    );
+  }
+
+  @Transaction()
+  public async CancelDisposition(
+    ctx: Context,
+    inputJson: string
+  ): Promise<void> {
+    await this.applyAction(
+      ctx,
+      "CANCEL_DISPOSITION",
+      this.actionInput(inputJson)
+    );
+  }
+
+  // Actions the calling identity may perform on the evidence right now
+  @Transaction(false)
+  @Returns("string")
+  public async GetAllowedActions(
+    ctx: Context,
+    evidenceId: string
+  ): Promise<string> {
+    const key = this.evidenceKey(ctx, evidenceId);
+    const rec = await this.get<EvidenceRecord>(ctx, key);
+    if (!rec) throw new Error(`NOT_FOUND: evidence '${evidenceId}'`);
+
+    const caller = this.caller(ctx);
+    const allowed = (Object.keys(TRANSITIONS) as EvidenceAction[])
+      .filter((action) => {
+        const t = TRANSITIONS[action];
+        if (!t.from.includes(rec.status)) return false;
+        if (!caller.role || !t.roles.includes(caller.role)) return false;
+        if (rec.legalHold && HOLD_BLOCKED_ACTIONS.includes(action)) {
+          return false;
+        }
+        if (action === "APPROVE_DISPOSITION" && this.hasApproved(caller, rec)) {
+          return false;
+        }
+        return !t.recipientOnly || this.isRecipient(caller, rec);
+      })
+      .map((action) => {
+        const { label, to, fields, required } = TRANSITIONS[action];
+        return { action, label, to, fields, required: required || [] };
+      });
+
+    return JSON.stringify({ evidenceId, status: rec.status, allowed });
+  }
+
+  // Pending transfers addressed to the calling identity
+  @Transaction(false)
+  @Returns("string")
+  public async GetPendingTransfers(ctx: Context): Promise<string> {
+    const caller = this.caller(ctx);
+    const query = {
+      selector: {
+        docType: "evidence",
+        status: "PENDING_TRANSFER",
+        "pendingTransfer.toCustodian": caller.name,
+        "pendingTransfer.toMspId": caller.mspId,
+      },
+    };
+
+    const iter = await ctx.stub.getQueryResult(JSON.stringify(query));
+    const out: EvidenceRecord[] = [];
+    for (let res = await iter.next(); !res.done; res = await iter.next()) {
+      out.push(JSON.parse(res.value.value.toString()) as EvidenceRecord);
+    }
+    await iter.close();
+
+    return JSON.stringify(out);
+  }
+
+  // Orgs whose peers must endorse a transaction changing the evidence
+  // record; empty when the record has no key-level policy (or no record)
+  @Transaction(false)
+  @Returns("string")
+  public async GetEndorsingOrgs(
+    ctx: Context,
+    evidenceId: string
+  ): Promise<string> {
+    const policy = await ctx.stub.getStateValidationParameter(
+      this.evidenceKey(ctx, evidenceId)
+    );
+    return JSON.stringify(
+      policy && policy.length > 0
+        ? new KeyEndorsementPolicy(policy).listOrgs()
+        : []
+    );
+  }
+
+  // Every category's retention policy
+  @Transaction(false)
+  @Returns("string")
+  public async GetRetentionPolicies(ctx: Context): Promise<string> {
+    return JSON.stringify(await this.retentionPolicies(ctx));
+  }
+
+  // Evidence whose category's retention period has run out, that is not yet
+  // disposed of and not under legal hold, longest overdue first
+  @Transaction(false)
+  @Returns("string")
+  public async GetEligibleForDisposition(ctx: Context): Promise<string> {
+    const now = this.now(ctx);
+    const out: Array<{
+      evidence: EvidenceRecord;
+      retentionDays: number;
+      eligibleSince: number;
+    }> = [];
+
+    for (const policy of await this.retentionPolicies(ctx)) {
+      const retentionMs = policy.retentionDays * DAY_MS;
+      const query = {
+        selector: {
+          docType: "evidence",
+          category: policy.category,
+          createdAt: { $lte: now - retentionMs },
+          status: { $nin: FINAL_STATES },
+          legalHold: { $exists: false },
+        },
+      };
+
+      const iter = await ctx.stub.getQueryResult(JSON.stringify(query));
+      for (let res = await iter.next(); !res.done; res = await iter.next()) {
+        const evidence = JSON.parse(
+          res.value.value.toString()
+        ) as EvidenceRecord;
+        out.push({
+          evidence,
+          retentionDays: policy.retentionDays,
+          eligibleSince: evidence.createdAt + retentionMs,
+        });
+      }
+      await iter.close();
+    }
+
+    out.sort((a, b) => a.eligibleSince - b.eligibleSince);
+    return JSON.stringify(out);
+  }
 
-    if (!input?.evidenceId) {
-      throw new Error("VALIDATION_ERROR: evidenceId is required");
+  private async retentionPolicies(ctx: Context): Promise<RetentionPolicy[]> {
+    const iter = await ctx.stub.getStateByPartialCompositeKey("RETENTION", []);
+    const policies: RetentionPolicy[] = [];
+    for (let res = await iter.next(); !res.done; res = await iter.next()) {
+      policies.push(JSON.parse(res.value.value.toString()) as RetentionPolicy);
     }
+    await iter.close();
+    return policies;
+  }
 
-    this.assertRole(input.role, ["EvidenceManager"]);
+  // Every custody SLA
+  @Transaction(false)
+  @Returns("string")
+  public async GetCustodySlas(ctx: Context): Promise<string> {
+    return JSON.stringify(await this.custodySlas(ctx));
+  }
+
+  // Evidence that has been in its status longer than its custody SLA
+  // allows, longest overdue first; all of it or one case's. Covers one
+  // page of records, see queryEvidence.
+  @Transaction(false)
+  @Returns("string")
+  public async GetOverdueEvidence(
+    ctx: Context,
+    inputJson: string
+  ): Promise<string> {
+    const input = this.parseInput<OverdueEvidenceInput>(
+      inputJson,
+      INPUT_SCHEMAS.OverdueEvidenceInput
+    );
+    const now = this.now(ctx);
+    const slas = await this.custodySlas(ctx);
+    const out: Array<CustodyDeadline & { evidence: EvidenceRecord }> = [];
+
+    const statuses = [...new Set(slas.map((sla) => sla.status))];
+    if (statuses.length === 0) {
+      return JSON.stringify({ records: out, truncated: false, bookmark: "" });
+    }
+
+    const selector: Record<string, unknown> = {
+      docType: "evidence",
+      status: { $in: statuses },
+    };
+    if (input.caseIdHash) selector.caseIdHash = input.caseIdHash;
+    const page = await this.queryEvidence(ctx, { selector }, input.bookmark);
+    for (const evidence of page.records) {
+      const deadline = this.custodyDeadline(evidence, slas);
+      if (deadline && deadline.dueAt < now) {
+        out.push({ evidence, ...deadline });
+      }
+    }
+
+    out.sort((a, b) => a.dueAt - b.dueAt);
+    return JSON.stringify({
+      records: out,
+      truncated: page.truncated,
+      bookmark: page.bookmark,
+    });
+  }
+
+  // Time the item has spent with each custodian, oldest first
+  @Transaction(false)
+  @Returns("string")
+  public async GetCustodyPeriods(
+    ctx: Context,
+    evidenceId: string
+  ): Promise<string> {
+    const rec = await this.get<EvidenceRecord>(
+      ctx,
+      this.evidenceKey(ctx, evidenceId)
+    );
+    if (!rec) throw new Error(`NOT_FOUND: evidence '${evidenceId}'`);
+
+    return JSON.stringify(
+      this.custodyPeriods(
+        await this.evidenceEvents(ctx, evidenceId),
+        this.now(ctx)
+      )
+    );
+  }
+
+  // Counts by status and by custodian with the overdue items among them,
+  // and each custodian's total custody time, over all evidence or one case.
+  // Covers one page of records; the counts of further pages add up.
+  @Transaction(false)
+  @Returns("string")
+  public async GetCustodyAnalytics(
+    ctx: Context,
+    inputJson: string
+  ): Promise<string> {
+    const input = this.parseInput<CustodyAnalyticsInput>(
+      inputJson,
+      INPUT_SCHEMAS.CustodyAnalyticsInput
+    );
+    const now = this.now(ctx);
+    const slas = await this.custodySlas(ctx);
+
+    const selector: Record<string, unknown> = { docType: "evidence" };
+    if (input.caseIdHash) selector.caseIdHash = input.caseIdHash;
+    const page = await this.queryEvidence(ctx, { selector }, input.bookmark);
+
+    const byStatus: Record<string, { count: number; overdue: number }> = {};
+    const custodians = new Map<string, CustodianStats>();
+    const statsOf = (custodian: string): CustodianStats => {
+      let stats = custodians.get(custodian);
+      if (!stats) {
+        stats = {
+          custodian,
+          holding: 0,
+          holdingByStatus: {},
+          overdue: 0,
+          heldMs: 0,
+          periods: 0,
+        };
+        custodians.set(custodian, stats);
+      }
+      return stats;
+    };
+
+    let overdue = 0;
+    for (const rec of page.records) {
+      const deadline = this.custodyDeadline(rec, slas);
+      const isOverdue = !!deadline && deadline.dueAt < now;
+      if (isOverdue) overdue++;
+
+      const status = byStatus[rec.status] || { count: 0, overdue: 0 };
+      status.count++;
+      if (isOverdue) status.overdue++;
+      byStatus[rec.status] = status;
+
+      if (rec.currentCustodian && !FINAL_STATES.includes(rec.status)) {
+        const stats = statsOf(rec.currentCustodian);
+        stats.holding++;
+        stats.holdingByStatus[rec.status] =
+          (stats.holdingByStatus[rec.status] || 0) + 1;
+        if (isOverdue) stats.overdue++;
+      }
+
+      const events = await this.evidenceEvents(ctx, rec.evidenceId);
+      for (const period of this.custodyPeriods(events, now)) {
+        const stats = statsOf(period.custodian);
+        stats.heldMs += period.durationMs;
+        stats.periods++;
+      }
+    }
+
+    return JSON.stringify({
+      asOf: now,
+      total: page.records.length,
+      overdue,
+      byStatus,
+      custodians: [...custodians.values()].sort(
+        (a, b) =>
+          b.holding - a.holding || a.custodian.localeCompare(b.custodian)
+      ),
+      truncated: page.truncated,
+      bookmark: page.bookmark,
+    });
+  }
+
+  private async custodySlas(ctx: Context): Promise<CustodySla[]> {
+    const iter = await ctx.stub.getStateByPartialCompositeKey(
+      "CUSTODY_SLA",
+      []
+    );
+    const slas: CustodySla[] = [];
+    for (let res = await iter.next(); !res.done; res = await iter.next()) {
+      slas.push(JSON.parse(res.value.value.toString()) as CustodySla);
+    }
+    await iter.close();
+    return slas;
+  }
+
+  // Up to CUSTODY_SCAN_LIMIT evidence records matching the query from
+  // bookmark on; truncated when more follow the returned bookmark
+  private async queryEvidence(
+    ctx: Context,
+    query: object,
+    bookmark = ""
+  ): Promise<{
+    records: EvidenceRecord[];
+    truncated: boolean;
+    bookmark: string;
+  }> {
+    const queryJson = JSON.stringify(query);
+    const { iterator, metadata } = await ctx.stub.getQueryResultWithPagination(
+      queryJson,
+      CUSTODY_SCAN_LIMIT,
+      bookmark
+    );
+    const records: EvidenceRecord[] = [];
+    for (
+      let res = await iterator.next();
+      !res.done;
+      res = await iterator.next()
+    ) {
+      records.push(JSON.parse(res.value.value.toString()) as EvidenceRecord);
+    }
+    await iterator.close();
+
+    let truncated = false;
+    if (records.length === CUSTODY_SCAN_LIMIT) {
+      const next = await ctx.stub.getQueryResultWithPagination(
+        queryJson,
+        1,
+        metadata.bookmark
+      );
+      truncated = next.metadata.fetchedRecordsCount > 0;
+      await next.iterator.close();
+    }
+    return { records, truncated, bookmark: metadata.bookmark };
+  }
+
+  // The custody SLA the item is held to in its current status, if any, and
+  // when it falls due. Records from before statusSince was kept count from
+  // their last update.
+  private custodyDeadline(
+    rec: EvidenceRecord,
+    slas: CustodySla[]
+  ): CustodyDeadline | undefined {
+    const since = rec.statusSince ?? rec.updatedAt;
+    const role = rec.statusRole ?? rec.role;
+    const applicable = slas.filter((sla) => sla.status === rec.status);
+    const sla =
+      applicable.find((s) => s.role === role) ||
+      applicable.find((s) => !s.role);
+    return sla && { sla, since, dueAt: since + sla.maxDays * DAY_MS };
+  }
+
+  // Custody periods from the item's events: custody starts at creation,
+  // passes on with check-ins and check-outs to someone else and accepted
+  // transfers, and ends when the item is released, destroyed or removed.
+  // The period still open runs until now.
+  private custodyPeriods(
+    events: EvidenceEvent[],
+    now: number
+  ): CustodyPeriod[] {
+    const periods: CustodyPeriod[] = [];
+    let current: CustodyPeriod | undefined;
+    const close = (at: number) => {
+      if (!current) return;
+      current.to = at;
+      current.durationMs = at - current.from;
+      current = undefined;
+    };
+
+    for (const event of events) {
+      if (FINAL_STATES.includes(event.eventType as EvidenceStatus)) {
+        close(event.timestamp);
+        continue;
+      }
+      // CREATED events from before they named the custodian
+      const custodian =
+        event.eventType === "CREATED"
+          ? event.toCustodian || event.performedBy
+          : CUSTODY_EVENTS.includes(event.eventType)
+          ? event.toCustodian
+          : undefined;
+      if (!custodian || custodian === current?.custodian) continue;
+
+      close(event.timestamp);
+      current = { custodian, from: event.timestamp, durationMs: 0 };
+      periods.push(current);
+    }
+    if (current) current.durationMs = now - current.from;
+    return periods;
+  }
+
+  private hasApproved(caller: CallerIdentity, rec: EvidenceRecord): boolean {
+    return !!rec.pendingDisposition?.approvals.some(
+      (a) => a.name === caller.name && a.mspId === caller.mspId
+    );
+  }
+
+  private isRecipient(caller: CallerIdentity, rec: EvidenceRecord): boolean {
+    const pending = rec.pendingTransfer;
+    return (
+      !!pending &&
+      caller.name === pending.toCustodian &&
+      caller.mspId === pending.toMspId
+    );
+  }
+
+  private actionInput(inputJson: string): EvidenceActionInput {
+    return this.parseInput(inputJson, INPUT_SCHEMAS.EvidenceActionInput);
+  }
+
+  // Validates an action against TRANSITIONS, applies it and records the event
+  private async applyAction(
+    ctx: Context,
+    action: EvidenceAction,
+    input: EvidenceActionInput
+  ): Promise<void> {
+    const t = TRANSITIONS[action];
+
+    for (const field of t.required || []) {
+      if (!input[field]) {
+        throw new Error(`VALIDATION_ERROR: ${field} is required for ${action}`);
+      }
+    }
+
+    const caller = this.caller(ctx);
+    const role = this.assertRole(caller, t.roles);
+    this.assertNoPrivateInput(ctx, input);
 
     const key = this.evidenceKey(ctx, input.evidenceId);
     const rec = await this.get<EvidenceRecord>(ctx, key);
     if (!rec) throw new Error(`NOT_FOUND: evidence '${input.evidenceId}'`);
+    if (!t.from.includes(rec.status)) {
+      throw new Error(
+        `INVALID_STATE: cannot ${action} evidence '${input.evidenceId}' in state ${rec.status}`
+      );
+    }
+
+    if (rec.legalHold && HOLD_BLOCKED_ACTIONS.includes(action)) {
+      throw new Error(
+        `INVALID_STATE: evidence '${input.evidenceId}' is under legal hold`
+      );
+    }
+
+    const pending = rec.pendingTransfer;
+    if (t.recipientOnly && !this.isRecipient(caller, rec)) {
+      throw new Error(
+        `ACCESS_DENIED: transfer of '${input.evidenceId}' is addressed to '${pending?.toCustodian}' (${pending?.toMspId})`
+      );
+    }
+
+    // records from before custody orgs were tracked: the sender of a pending
+    // transfer, otherwise the caller's org
+    if (!rec.custodianMspId) {
+      rec.custodianMspId = pending?.initiatedByMspId || caller.mspId;
+    }
 
     const now = this.now(ctx);
-    const performedBy = input.performedBy || "unknown";
+    let status = t.to;
+    let eventType = t.event;
+    let fromCustodian: string | undefined;
+    let toCustodian: string | undefined;
+    let approvedBy: string[] | undefined;
+
+    switch (action) {
+      case "CHECK_IN":
+      case "CHECK_OUT":
+        rec.currentCustodian =
+          input.custodian || rec.currentCustodian || caller.name;
+        toCustodian = rec.currentCustodian;
+        break;
+
+      case "INITIATE_TRANSFER":
+        fromCustodian = rec.currentCustodian || "unknown";
+        toCustodian = input.toCustodian as string;
+        rec.pendingTransfer = {
+          fromCustodian,
+          toCustodian,
+          toMspId: input.toMspId || caller.mspId,
+          previousStatus: rec.status,
+          initiatedBy: caller.name,
+          initiatedByMspId: caller.mspId,
+          initiatedAt: now,
+        };
+        break;
 
-    rec.status = "REMOVED";
-    rec.role = input.role || rec.role;
+      case "ACCEPT_TRANSFER":
+      case "REJECT_TRANSFER":
+      case "CANCEL_TRANSFER":
+        if (!pending) {
+          throw new Error(
+            `INVALID_STATE: evidence '${input.evidenceId}' has no pending transfer`
+          );
+        }
+        fromCustodian = pending.fromCustodian;
+        toCustodian = pending.toCustodian;
+        if (action === "ACCEPT_TRANSFER") {
+          rec.currentCustodian = pending.toCustodian;
+          rec.custodianMspId = pending.toMspId;
+        }
+        rec.pendingTransfer = undefined;
+        status = status || pending.previousStatus;
+        break;
+
+      case "RELEASE":
+      case "DESTROY":
+      case "REMOVE":
+        rec.pendingDisposition = {
+          disposition: t.disposition as EvidenceStatus,
+          previousStatus: rec.status,
+          approvals: [
+            { name: caller.name, mspId: caller.mspId, approvedAt: now },
+          ],
+        };
+        break;
+
+      case "APPROVE_DISPOSITION":
+      case "CANCEL_DISPOSITION": {
+        const disposal = rec.pendingDisposition;
+        if (!disposal) {
+          throw new Error(
+            `INVALID_STATE: evidence '${input.evidenceId}' has no pending disposition`
+          );
+        }
+        if (action === "CANCEL_DISPOSITION") {
+          status = disposal.previousStatus;
+          rec.pendingDisposition = undefined;
+          break;
+        }
+
+        if (this.hasApproved(caller, rec)) {
+          throw new Error(
+            `ACCESS_DENIED: '${caller.name}' has already approved the disposition of '${input.evidenceId}'`
+          );
+        }
+        disposal.approvals.push({
+          name: caller.name,
+          mspId: caller.mspId,
+          approvedAt: now,
+        });
+        status = rec.status;
+        if (disposal.approvals.length >= DISPOSITION_APPROVALS) {
+          status = disposal.disposition;
+          eventType = disposal.disposition;
+          approvedBy = disposal.approvals.map((a) => a.name);
+          rec.pendingDisposition = undefined;
+        }
+        break;
+      }
+    }
+
+    if (status !== rec.status) {
+      rec.statusSince = now;
+      rec.statusRole = role;
+    }
+    rec.status = status as EvidenceStatus;
+    rec.role = role;
     rec.updatedAt = now;
 
     await this.put(ctx, key, rec);
+    await this.updateCustodyEndorsement(ctx, key, rec);
 
     await this.appendEvent(ctx, input.evidenceId, {
-      eventType: "REMOVED",
+      eventType,
       timestamp: now,
-      performedBy,
+      performedBy: caller.name,
       role: rec.role,
-      notes: input.notes,
-      cert: input.cert,
+      fromCustodian,
+      toCustodian,
+      approvedBy,
+      cert: this.certInfo(caller),
     });
   }
 }
@@ -0,0 +1,262 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Forensic Chainguard — Evidence custody state machine
+ */
+
+export type EvidenceStatus =
+  | "CREATED"
+  | "CHECKED_IN"
+  | "CHECKED_OUT"
+  | "IN_ANALYSIS"
+  | "RETURNED"
+  | "PENDING_TRANSFER"
+  | "TRANSFERRED"
+  | "PENDING_DISPOSITION"
+  | "ARCHIVED"
+  | "RELEASED"
+  | "DESTROYED"
+  | "REMOVED";
+
+export type EvidenceAction =
+  | "CHECK_IN"
+  | "CHECK_OUT"
+  | "START_ANALYSIS"
+  | "RETURN"
+  | "INITIATE_TRANSFER"
+  | "ACCEPT_TRANSFER"
+  | "REJECT_TRANSFER"
+  | "CANCEL_TRANSFER"
+  | "ARCHIVE"
+  | "RELEASE"
+  | "DESTROY"
+  | "REMOVE"
+  | "APPROVE_DISPOSITION"
+  | "CANCEL_DISPOSITION";
+
+export type EvidenceEventType =
+  | EvidenceStatus
+  | "TRANSFER_INITIATED"
+  | "TRANSFER_REJECTED"
+  | "TRANSFER_CANCELLED"
+  | "ARTIFACT_ADDED"
+  | "DISPOSITION_REQUESTED"
+  | "DISPOSITION_APPROVED"
+  | "DISPOSITION_CANCELLED"
+  | "LEGAL_HOLD_PLACED"
+  | "LEGAL_HOLD_RELEASED"
+  | AccessType;
+
+// Reads of the evidence recorded by RecordAccess; they leave the status alone
+export type AccessType = "VIEWED" | "DOWNLOADED" | "VERIFIED";
+
+// Optional inputs an action reads from the payload
+export type ActionField = "custodian" | "toCustodian" | "toMspId";
+
+export interface Transition {
+  label: string;
+  from: EvidenceStatus[];
+  // Omitted for transfer reject/cancel, which restore the pre-handoff status,
+  // and for disposition approve/cancel (see PendingDisposition)
+  to?: EvidenceStatus;
+  event: EvidenceEventType;
+  roles: string[];
+  fields: ActionField[];
+  required?: ActionField[];
+  // Only the identity named in the pending transfer may perform it
+  recipientOnly?: boolean;
+  // Requests this final status; it is only reached once
+  // DISPOSITION_APPROVALS distinct managers have approved
+  disposition?: EvidenceStatus;
+}
+
+const HANDLERS = ["ForensicTechnician", "EvidenceManager"];
+const MANAGERS = ["EvidenceManager"];
+
+// States in which the item is physically held by a custodian
+const IN_CUSTODY: EvidenceStatus[] = [
+  "CREATED",
+  "CHECKED_IN",
+  "CHECKED_OUT",
+  "RETURNED",
+  "TRANSFERRED",
+];
+
+// Single source of truth for which action may move evidence from which
+// state, and who may perform it. Anything not listed fails INVALID_STATE.
+export const TRANSITIONS: Record<EvidenceAction, Transition> = {
+  CHECK_IN: {
+    label: "Check In",
+    from: ["CREATED", "CHECKED_OUT", "RETURNED", "TRANSFERRED"],
+    to: "CHECKED_IN",
+    event: "CHECKED_IN",
+    roles: HANDLERS,
+    fields: ["custodian"],
+  },
+  CHECK_OUT: {
+    label: "Check Out",
+    from: ["CHECKED_IN", "ARCHIVED"],
+    to: "CHECKED_OUT",
+    event: "CHECKED_OUT",
+    roles: HANDLERS,
+    fields: ["custodian"],
+  },
+  START_ANALYSIS: {
+    label: "Start Analysis",
+    from: ["CHECKED_OUT", "TRANSFERRED"],
+    to: "IN_ANALYSIS",
+    event: "IN_ANALYSIS",
+    roles: ["ForensicTechnician"],
+    fields: [],
+  },
+  RETURN: {
+    label: "Return",
+    from: ["CHECKED_OUT", "IN_ANALYSIS"],
+    to: "RETURNED",
+    event: "RETURNED",
+    roles: HANDLERS,
+    fields: [],
+  },
+  INITIATE_TRANSFER: {
+    label: "Initiate Transfer",
+    from: IN_CUSTODY,
+    to: "PENDING_TRANSFER",
+    event: "TRANSFER_INITIATED",
+    roles: MANAGERS,
+    fields: ["toCustodian", "toMspId"],
+    required: ["toCustodian"],
+  },
+  ACCEPT_TRANSFER: {
+    label: "Accept Transfer",
+    from: ["PENDING_TRANSFER"],
+    to: "TRANSFERRED",
+    event: "TRANSFERRED",
+    roles: HANDLERS,
+    fields: [],
+    recipientOnly: true,
+  },
+  REJECT_TRANSFER: {
+    label: "Reject Transfer",
+    from: ["PENDING_TRANSFER"],
+    event: "TRANSFER_REJECTED",
+    roles: HANDLERS,
+    fields: [],
+    recipientOnly: true,
+  },
+  CANCEL_TRANSFER: {
+    label: "Cancel Transfer",
+    from: ["PENDING_TRANSFER"],
+    event: "TRANSFER_CANCELLED",
+    roles: MANAGERS,
+    fields: [],
+  },
+  ARCHIVE: {
+    label: "Archive",
+    from: ["CHECKED_IN", "RETURNED"],
+    to: "ARCHIVED",
+    event: "ARCHIVED",
+    roles: MANAGERS,
+    fields: [],
+  },
+  RELEASE: {
+    label: "Request Release",
+    from: ["CHECKED_IN", "RETURNED", "ARCHIVED"],
+    to: "PENDING_DISPOSITION",
+    event: "DISPOSITION_REQUESTED",
+    roles: MANAGERS,
+    fields: [],
+    disposition: "RELEASED",
+  },
+  DESTROY: {
+    label: "Request Destruction",
+    from: ["CHECKED_IN", "RETURNED", "ARCHIVED"],
+    to: "PENDING_DISPOSITION",
+    event: "DISPOSITION_REQUESTED",
+    roles: MANAGERS,
+    fields: [],
+    disposition: "DESTROYED",
+  },
+  REMOVE: {
+    label: "Request Removal",
+    from: [...IN_CUSTODY, "ARCHIVED"],
+    to: "PENDING_DISPOSITION",
+    event: "DISPOSITION_REQUESTED",
+    roles: MANAGERS,
+    fields: [],
+    disposition: "REMOVED",
+  },
+  // The approval completing the quorum records the final status instead of
+  // DISPOSITION_APPROVED
+  APPROVE_DISPOSITION: {
+    label: "Approve Disposition",
+    from: ["PENDING_DISPOSITION"],
+    event: "DISPOSITION_APPROVED",
+    roles: MANAGERS,
+    fields: [],
+  },
+  CANCEL_DISPOSITION: {
+    label: "Cancel Disposition",
+    from: ["PENDING_DISPOSITION"],
+    event: "DISPOSITION_CANCELLED",
+    roles: MANAGERS,
+    fields: [],
+  },
+};
+
+// Distinct EvidenceManager identities, the requester included, that must
+// approve a disposition
+export const DISPOSITION_APPROVALS = 2;
+// Blocked while the item is under legal hold
+export const HOLD_BLOCKED_ACTIONS: EvidenceAction[] = [
+  "RELEASE",
+  "DESTROY",
+  "REMOVE",
+  "APPROVE_DISPOSITION",
+];
+export const LEGAL_HOLD_ROLES = MANAGERS;
+export const RETENTION_ROLES = MANAGERS;
+export const CUSTODY_SLA_ROLES = MANAGERS;
+
+// Artifacts can be attached while the item is in any non-final state
+export const ARTIFACT_ROLES = HANDLERS;
+export const FINAL_STATES: EvidenceStatus[] = [
+  "RELEASED",
+  "DESTROYED",
+  "REMOVED",
+];
+
+export const ACCESS_TYPES: AccessType[] = ["VIEWED", "DOWNLOADED", "VERIFIED"];
+export const EVIDENCE_STATUSES: EvidenceStatus[] = [
+  "CREATED",
+  "CHECKED_IN",
+  "CHECKED_OUT",
+  "IN_ANALYSIS",
+  "RETURNED",
+  "PENDING_TRANSFER",
+  "TRANSFERRED",
+  "PENDING_DISPOSITION",
+  "ARCHIVED",
+  "RELEASED",
+  "DESTROYED",
+  "REMOVED",
+];
+// Every eventType an EvidenceEvent can carry
+export const EVIDENCE_EVENT_TYPES: EvidenceEventType[] = [
+  ...EVIDENCE_STATUSES,
+  "TRANSFER_INITIATED",
+  "TRANSFER_REJECTED",
+  "TRANSFER_CANCELLED",
+  "ARTIFACT_ADDED",
+  "DISPOSITION_REQUESTED",
+  "DISPOSITION_APPROVED",
+  "DISPOSITION_CANCELLED",
+  "LEGAL_HOLD_PLACED",
+  "LEGAL_HOLD_RELEASED",
+  ...ACCESS_TYPES,
+];
+// Anyone who may read the ledger leaves a trace when doing so
+export const ACCESS_ROLES = [...HANDLERS, "Viewer"];
+
+export function isEvidenceAction(action: string): action is EvidenceAction {
+  return Object.prototype.hasOwnProperty.call(TRANSITIONS, action);
+}
@@ -0,0 +1,401 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Forensic Chainguard — Input schemas
+ *
+ * JSON Schemas of every transaction's inputJson (INPUT_SCHEMAS) and of the
+ * backend's request bodies (REQUEST_SCHEMAS). The contract checks its inputs
+ * with validate(); the backend loads this module from chaincode/dist to
+ * check request bodies the same way and publishes both sets in its OpenAPI
+ * document. Only the keywords in Schema are supported.
+ */
+
+import {
+  ACCESS_TYPES,
+  EVIDENCE_EVENT_TYPES,
+  EVIDENCE_STATUSES,
+  EvidenceAction,
+  FINAL_STATES,
+  TRANSITIONS,
+} from "./lifecycle";
+
+export interface Schema {
+  type?: "object" | "array" | "string" | "integer" | "number" | "boolean";
+  description?: string;
+  properties?: Record<string, Schema>;
+  required?: string[];
+  items?: Schema;
+  enum?: readonly string[];
+  pattern?: string;
+  minLength?: number;
+  maxLength?: number;
+  minimum?: number;
+  anyOf?: Schema[];
+}
+
+export const MAX_PURPOSE_LENGTH = 500;
+
+export const ROLES = ["ForensicTechnician", "EvidenceManager", "Viewer"];
+
+// Member orgs of the channel. A transfer's toMspId goes into the record's
+// key-level endorsement policy, and an org without peers on the channel
+// could never endorse another change to the record.
+export const CHANNEL_ORGS = ["Org1MSP", "Org2MSP"];
+
+const ACTIONS = Object.keys(TRANSITIONS) as EvidenceAction[];
+
+// Custody SLAs apply to the statuses an item can stay in
+const slaStatus: Schema = {
+  type: "string",
+  enum: EVIDENCE_STATUSES.filter((s) => !FINAL_STATES.includes(s)),
+};
+const slaRole: Schema = {
+  type: "string",
+  enum: ROLES,
+  description: "Role that moved the item into the status; any role if absent",
+};
+
+// Ledger event types, plus the backend's own tamper notification
+export const WEBHOOK_EVENT_TYPES: string[] = [
+  ...EVIDENCE_EVENT_TYPES,
+  "TAMPER_DETECTED",
+];
+
+// Required text fields must not be empty; optional ones may be, since
+// forms send "" for fields left blank
+const text: Schema = { type: "string", minLength: 1 };
+const optionalText: Schema = { type: "string" };
+const sha256: Schema = { type: "string", pattern: "^[0-9a-f]{64}$" };
+const optionalSha256: Schema = { type: "string", pattern: "^([0-9a-f]{64})?$" };
+const byteCount: Schema = { type: "integer", minimum: 0 };
+const positiveInt: Schema = { type: "integer", minimum: 1 };
+const timestamp: Schema = { type: "number", description: "Unix time (ms)" };
+const mspId: Schema = {
+  type: "string",
+  enum: ["", ...CHANNEL_ORGS],
+  description: "Receiving org; the caller's org if empty",
+};
+
+function object(
+  properties: Record<string, Schema>,
+  required: string[] = [],
+  description?: string
+): Schema {
+  return { type: "object", description, properties, required };
+}
+
+const evidenceActionInput = object(
+  {
+    evidenceId: text,
+    action: { type: "string", enum: ACTIONS },
+    custodian: optionalText,
+    toCustodian: optionalText,
+    toMspId: mspId,
+  },
+  ["evidenceId"],
+  "Payload of every lifecycle action; see TRANSITIONS for the fields each reads"
+);
+
+export const INPUT_SCHEMAS: Record<string, Schema> = {
+  CreateEvidenceInput: object(
+    {
+      evidenceId: text,
+      caseIdHash: text,
+      imageHash: sha256,
+      imageFilename: optionalText,
+      imageSize: byteCount,
+      imageMediaType: text,
+      imageMerkleRoot: sha256,
+      imageChunkSize: positiveInt,
+      category: text,
+      currentCustodian: optionalText,
+    },
+    ["evidenceId", "caseIdHash"]
+  ),
+  EvidenceActionInput: evidenceActionInput,
+  PerformActionInput: {
+    ...evidenceActionInput,
+    required: ["evidenceId", "action"],
+  },
+  RecordAccessInput: object(
+    {
+      evidenceId: text,
+      accessType: { type: "string", enum: ACCESS_TYPES },
+      purpose: { type: "string", maxLength: MAX_PURPOSE_LENGTH },
+      artifactHash: sha256,
+    },
+    ["evidenceId", "accessType"]
+  ),
+  LegalHoldInput: object({ evidenceId: text }, ["evidenceId"]),
+  RetentionPolicyInput: object({ category: text, retentionDays: positiveInt }, [
+    "category",
+    "retentionDays",
+  ]),
+  AddArtifactInput: object(
+    {
+      evidenceId: text,
+      artifactHash: sha256,
+      filename: optionalText,
+      size: byteCount,
+      mediaType: text,
+      parentHash: sha256,
+      merkleRoot: sha256,
+      chunkSize: positiveInt,
+    },
+    ["evidenceId", "artifactHash", "size", "mediaType"]
+  ),
+  CreateCaseInput: object(
+    { caseIdHash: text, leadInvestigator: optionalText },
+    ["caseIdHash"]
+  ),
+  CaseStatusInput: object({ caseIdHash: text }, ["caseIdHash"]),
+  CasePrivateDetailsInput: object({ caseIdHash: text }, ["caseIdHash"]),
+  // transient data of the private details transactions
+  PrivateInput: object({
+    caseId: optionalText,
+    description: optionalText,
+    notes: optionalText,
+  }),
+  EvidencePrivateDetailsInput: object({ evidenceId: text, txId: sha256 }, [
+    "evidenceId",
+    "txId",
+  ]),
+  AssignLeadInput: object({ caseIdHash: text, leadInvestigator: text }, [
+    "caseIdHash",
+    "leadInvestigator",
+  ]),
+  CustodySlaInput: object(
+    { status: slaStatus, role: slaRole, maxDays: positiveInt },
+    ["status", "maxDays"]
+  ),
+  RemoveCustodySlaInput: object({ status: slaStatus, role: slaRole }, [
+    "status",
+  ]),
+  OverdueEvidenceInput: object({ caseIdHash: text, bookmark: optionalText }),
+  CustodyAnalyticsInput: object({ caseIdHash: text, bookmark: optionalText }),
+  SearchEvidenceInput: object({
+    status: optionalText,
+    custodian: optionalText,
+    createdBy: optionalText,
+    createdFrom: timestamp,
+    createdTo: timestamp,
+    updatedFrom: timestamp,
+    updatedTo: timestamp,
+    pageSize: { type: "number" },
+    bookmark: optionalText,
+  }),
+};
+
+// Multipart bodies arrive as strings (uploadId repeats for several files)
+export const REQUEST_SCHEMAS: Record<string, Schema> = {
+  Login: object({ username: text, password: text }, ["username", "password"]),
+  CreateUser: object(
+    { username: text, password: text, role: { type: "string", enum: ROLES } },
+    ["username", "password", "role"]
+  ),
+  CreateUpload: object(
+    {
+      filename: text,
+      size: byteCount,
+      mediaType: optionalText,
+      chunkSize: positiveInt,
+    },
+    ["filename", "size"]
+  ),
+  CreateEvidence: object(
+    {
+      evidenceId: text,
+      caseId: text,
+      category: optionalText,
+      description: optionalText,
+      notes: optionalText,
+      uploadId: optionalText,
+    },
+    ["evidenceId", "caseId"],
+    "multipart/form-data with the image file in `image`, or uploadId"
+  ),
+  AddArtifacts: object(
+    {
+      parentHash: optionalSha256,
+      uploadId: {
+        anyOf: [optionalText, { type: "array", items: optionalText }],
+      },
+    },
+    [],
+    "multipart/form-data with the files in `files`, or uploadIds"
+  ),
+  EvidenceAction: object(
+    {
+      actionType: { type: "string", enum: ACTIONS },
+      custodian: optionalText,
+      toCustodian: optionalText,
+      toMspId: mspId,
+      notes: optionalText,
+    },
+    ["actionType"]
+  ),
+  LegalHold: object({ notes: optionalText }),
+  EvidencePrivateDetails: object(
+    {
+      txId: sha256,
+      caseId: optionalText,
+      description: optionalText,
+      notes: optionalText,
+    },
+    ["txId"],
+    "Writes the private details of the event txId again when they failed after its commit"
+  ),
+  VerifyReport: object({ reportId: text, verificationHash: text }, [
+    "reportId",
+    "verificationHash",
+  ]),
+  VerifyFile: object(
+    { evidenceId: optionalText },
+    [],
+    "multipart/form-data with the file to check in `file`"
+  ),
+  Intake: object(
+    {},
+    [],
+    "multipart/form-data with a CSV or JSON manifest in `manifest` and a ZIP of the files it names in `archive`"
+  ),
+  IntakeManifestRow: object(
+    {
+      evidenceId: text,
+      caseId: text,
+      file: text,
+      category: optionalText,
+      description: optionalText,
+      notes: optionalText,
+      mediaType: optionalText,
+      sha256: optionalSha256,
+    },
+    ["evidenceId", "caseId", "file"],
+    "One manifest row: file is the path inside the ZIP; sha256, when given, must match that file"
+  ),
+  RetentionPolicy: object({ retentionDays: positiveInt }, ["retentionDays"]),
+  CustodySla: object({ role: slaRole, maxDays: positiveInt }, ["maxDays"]),
+  CreateCase: object(
+    {
+      caseId: text,
+      leadInvestigator: optionalText,
+      description: optionalText,
+    },
+    ["caseId"]
+  ),
+  CasePrivateDetails: object(
+    { description: optionalText, notes: optionalText },
+    [],
+    "Writes a case's private details again when they failed after its creation"
+  ),
+  CaseAction: object(
+    {
+      actionType: {
+        type: "string",
+        enum: ["CLOSE", "REOPEN", "ASSIGN_LEAD"],
+      },
+      leadInvestigator: optionalText,
+    },
+    ["actionType"]
+  ),
+  CreateWebhook: object(
+    {
+      url: { type: "string", pattern: "^https?://\\S+$" },
+      description: optionalText,
+      eventTypes: {
+        type: "array",
+        description: "Event types to deliver; all of them when absent or empty",
+        items: { type: "string", enum: WEBHOOK_EVENT_TYPES },
+      },
+      caseId: optionalText,
+      caseIdHash: optionalSha256,
+      custodian: optionalText,
+    },
+    ["url"],
+    "Give caseId or caseIdHash to deliver only one case's events, and custodian for items that person holds, received or handed over"
+  ),
+};
+
+function hasType(value: unknown, type: Schema["type"]): boolean {
+  switch (type) {
+    case "object":
+      return (
+        typeof value === "object" && value !== null && !Array.isArray(value)
+      );
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/*
+ * Problems with value against schema, one message per problem; empty when
+ * it conforms. path names the value in the messages; fields of the
+ * top-level input are named by their key alone.
+ */
+export function validate(
+  schema: Schema,
+  value: unknown,
+  path = "input"
+): string[] {
+  if (schema.anyOf) {
+    return schema.anyOf.some((s) => validate(s, value, path).length === 0)
+      ? []
+      : [`${path} has an unsupported form`];
+  }
+  if (schema.type && !hasType(value, schema.type)) {
+    return [`${path} must be of type ${schema.type}`];
+  }
+
+  const errors: string[] = [];
+  if (schema.enum && !schema.enum.includes(value as string)) {
+    errors.push(`${path} must be one of ${schema.enum.join(", ")}`);
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(
+        schema.pattern === sha256.pattern
+          ? `${path} must be SHA-256 hex`
+          : `${path} must match ${schema.pattern}`
+      );
+    }
+  }
+  if (
+    typeof value === "number" &&
+    schema.minimum !== undefined &&
+    value < schema.minimum
+  ) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) =>
+      errors.push(...validate(schema.items as Schema, item, `${path}[${i}]`))
+    );
+  }
+  if (hasType(value, "object")) {
+    const obj = value as Record<string, unknown>;
+    for (const field of schema.required || []) {
+      if (obj[field] === undefined) errors.push(`${field} is required`);
+    }
+    for (const [field, fieldSchema] of Object.entries(
+      schema.properties || {}
+    )) {
+      if (obj[field] !== undefined) {
+        const fieldPath = path === "input" ? field : `${path}.${field}`;
+        errors.push(...validate(fieldSchema, obj[field], fieldPath));
+      }
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,708 @@
+#!/usr/bin/env node
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Forensic Chainguard — offline proof bundle verifier
+ *
+ * Checks a bundle exported from GET /api/evidence/:id/proof without access
+ * to the Fabric network. Uses only Node.js (>= 16) built-ins so it can be
+ * handed to auditors as a single file.
+ *
+ *   node verify-bundle.js <bundle.json> --ca <org-ca.pem> [--ca ...]
+ *                         [--image <evidence-file>]
+ *
+ * --ca takes the root CA certificates of every org whose peers, clients or
+ * orderers appear in the bundle (PEM, several per file allowed).
+ *
+ * Exit code 0 when every check passes, 1 when any fails, 2 on bad usage.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+const BUNDLE_FORMAT = "forensic-chainguard-proof-bundle";
+const EVIDENCE_EVENT_NAME = "EvidenceEvent";
+const ENDORSER_TRANSACTION = 3;
+const TX_VALID = 0;
+// common.BlockMetadataIndex
+const METADATA_SIGNATURES = 0;
+const METADATA_TRANSACTIONS_FILTER = 2;
+
+// ---------------------------------------------------------------------------
+// Protobuf wire format: just enough to walk Fabric blocks by field number.
+
+function readFields(buf) {
+  const fields = {};
+  let pos = 0;
+
+  const varint = () => {
+    let value = 0n;
+    for (let shift = 0n; ; shift += 7n) {
+      if (pos >= buf.length) {
+        throw new Error("Truncated protobuf varint");
+      }
+      const b = buf[pos++];
+      value |= BigInt(b & 0x7f) << shift;
+      if (!(b & 0x80)) {
+        return value;
+      }
+    }
+  };
+  const take = (len) => {
+    if (pos + len > buf.length) {
+      throw new Error("Truncated protobuf field");
+    }
+    pos += len;
+    return buf.subarray(pos - len, pos);
+  };
+
+  while (pos < buf.length) {
+    const key = Number(varint());
+    const wireType = key & 7;
+    let value;
+    switch (wireType) {
+      case 0:
+        value = varint();
+        break;
+      case 1:
+        value = take(8);
+        break;
+      case 2:
+        value = take(Number(varint()));
+        break;
+      case 5:
+        value = take(4);
+        break;
+      default:
+        throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+    (fields[key >>> 3] = fields[key >>> 3] || []).push(value);
+  }
+  return fields;
+}
+
+function first(fields, n) {
+  return fields[n] ? fields[n][0] : undefined;
+}
+
+function bytesField(fields, n) {
+  return first(fields, n) || Buffer.alloc(0);
+}
+
+function stringField(fields, n) {
+  return bytesField(fields, n).toString("utf8");
+}
+
+function intField(fields, n) {
+  return first(fields, n) || 0n;
+}
+
+// msp.SerializedIdentity
+function decodeIdentity(buf) {
+  const f = readFields(buf);
+  return { mspId: stringField(f, 1), certPem: stringField(f, 2) };
+}
+
+// common.Block
+function decodeBlock(buf) {
+  const block = readFields(buf);
+  const header = readFields(bytesField(block, 1));
+  const data = readFields(bytesField(block, 2));
+  const metadata = readFields(bytesField(block, 3));
+  return {
+    number: intField(header, 1),
+    previousHash: bytesField(header, 2),
+    dataHash: bytesField(header, 3),
+    data: data[1] || [],
+    metadata: metadata[1] || [],
+  };
+}
+
+// common.Metadata of the SIGNATURES slot
+function decodeBlockSignatures(buf) {
+  const md = readFields(buf);
+  return {
+    value: bytesField(md, 1),
+    signatures: (md[2] || []).map((s) => {
+      const sig = readFields(s);
+      const signatureHeader = bytesField(sig, 1);
+      return {
+        signatureHeader,
+        signature: bytesField(sig, 2),
+        creator: decodeIdentity(bytesField(readFields(signatureHeader), 1)),
+      };
+    }),
+  };
+}
+
+// common.Envelope carrying a peer.Transaction
+function decodeEnvelope(buf) {
+  const env = readFields(buf);
+  const payloadBytes = bytesField(env, 1);
+  const payload = readFields(payloadBytes);
+  const header = readFields(bytesField(payload, 1));
+  const channelHeader = readFields(bytesField(header, 1));
+  const signatureHeader = readFields(bytesField(header, 2));
+  const ts = readFields(bytesField(channelHeader, 3));
+
+  return {
+    payloadBytes,
+    signature: bytesField(env, 2),
+    type: Number(intField(channelHeader, 1)),
+    channelId: stringField(channelHeader, 4),
+    txId: stringField(channelHeader, 5),
+    timestampMs:
+      Number(intField(ts, 1)) * 1000 +
+      Math.floor(Number(intField(ts, 2)) / 1e6),
+    creator: decodeIdentity(bytesField(signatureHeader, 1)),
+    actions: (readFields(bytesField(payload, 2))[1] || []).map(decodeAction),
+  };
+}
+
+// peer.TransactionAction -> endorsements and the chaincode action they sign
+function decodeAction(buf) {
+  const action = readFields(buf);
+  const ccPayload = readFields(bytesField(action, 2));
+  const endorsed = readFields(bytesField(ccPayload, 2));
+  const prpBytes = bytesField(endorsed, 1);
+  const prp = readFields(prpBytes);
+  const ccAction = readFields(bytesField(prp, 2));
+  const event = readFields(bytesField(ccAction, 2));
+
+  return {
+    prpBytes,
+    endorsements: (endorsed[2] || []).map((e) => {
+      const f = readFields(e);
+      const endorserBytes = bytesField(f, 1);
+      return {
+        endorserBytes,
+        endorser: decodeIdentity(endorserBytes),
+        signature: bytesField(f, 2),
+      };
+    }),
+    chaincode: stringField(readFields(bytesField(ccAction, 4)), 2),
+    writes: decodeWrites(bytesField(ccAction, 1)),
+    event: {
+      chaincode: stringField(event, 1),
+      eventName: stringField(event, 3),
+      payload: bytesField(event, 4),
+    },
+  };
+}
+
+// rwset.TxReadWriteSet -> [{ namespace, key, isDelete, value }]
+function decodeWrites(buf) {
+  const writes = [];
+  for (const nsBuf of readFields(buf)[2] || []) {
+    const ns = readFields(nsBuf);
+    const namespace = stringField(ns, 1);
+    for (const w of readFields(bytesField(ns, 2))[3] || []) {
+      const write = readFields(w);
+      writes.push({
+        namespace,
+        key: stringField(write, 1),
+        isDelete: intField(write, 2) === 1n,
+        value: bytesField(write, 3),
+      });
+    }
+  }
+  return writes;
+}
+
+// ---------------------------------------------------------------------------
+// Fabric hashing and identities
+
+// Header hash as computed by Fabric: SHA-256 over the ASN.1 DER
+// SEQUENCE { INTEGER number, OCTET STRING previousHash, OCTET STRING dataHash }
+function derLength(n) {
+  if (n < 0x80) {
+    return Buffer.from([n]);
+  }
+  const out = [];
+  for (; n > 0; n >>= 8) {
+    out.unshift(n & 0xff);
+  }
+  return Buffer.from([0x80 | out.length, ...out]);
+}
+
+function der(tag, content) {
+  return Buffer.concat([
+    Buffer.from([tag]),
+    derLength(content.length),
+    content,
+  ]);
+}
+
+function derUint(n) {
+  let hex = n.toString(16);
+  if (hex.length % 2) {
+    hex = `0${hex}`;
+  }
+  let bytes = Buffer.from(hex, "hex");
+  if (bytes[0] & 0x80) {
+    bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  }
+  return der(0x02, bytes);
+}
+
+function headerBytes(number, previousHash, dataHash) {
+  return der(
+    0x30,
+    Buffer.concat([
+      derUint(number),
+      der(0x04, previousHash),
+      der(0x04, dataHash),
+    ])
+  );
+}
+
+function sha256(buf) {
+  return crypto.createHash("sha256").update(buf).digest();
+}
+
+function evidenceKey(evidenceId) {
+  return `\u0000EVIDENCE\u0000${evidenceId}\u0000`;
+}
+
+function eventKey(evidenceId, txId) {
+  return `\u0000EVIDENCE_EVENT\u0000${evidenceId}\u0000${txId}\u0000`;
+}
+
+// JSON with sorted keys so values can be compared regardless of field order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function sameJson(a, b) {
+  return canonicalJson(a) === canonicalJson(b);
+}
+
+function loadCaCerts(files) {
+  const certs = [];
+  for (const file of files) {
+    const pems = fs
+      .readFileSync(file, "utf8")
+      .match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+    if (!pems) {
+      throw new Error(`No certificate found in ${file}`);
+    }
+    certs.push(...pems.map((pem) => new crypto.X509Certificate(pem)));
+  }
+  return certs;
+}
+
+// Verifies `signature` over `data` by `identity` and that its certificate was
+// issued by one of the trusted CAs and valid at `atMs`. Returns an error
+// message or null.
+function checkSignature(identity, data, signature, cas, atMs) {
+  let cert;
+  try {
+    cert = new crypto.X509Certificate(identity.certPem);
+  } catch (err) {
+    return `unreadable certificate for ${identity.mspId}`;
+  }
+  const who = `${identity.mspId} ${cert.subject.replace(/\n/g, ", ")}`;
+
+  if (!cas.some((ca) => cert.checkIssued(ca) && cert.verify(ca.publicKey))) {
+    return `${who}: certificate not issued by a trusted CA`;
+  }
+  if (
+    atMs !== undefined &&
+    (atMs < Date.parse(cert.validFrom) || atMs > Date.parse(cert.validTo))
+  ) {
+    return `${who}: certificate not valid at ${new Date(atMs).toISOString()}`;
+  }
+  if (!crypto.verify("sha256", data, cert.publicKey, signature)) {
+    return `${who}: signature does not verify`;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Checks
+
+class Report {
+  constructor() {
+    this.failures = 0;
+  }
+
+  check(ok, message, detail) {
+    if (!ok) {
+      this.failures++;
+    }
+    console.log(`${ok ? "PASS" : "FAIL"}  ${message}`);
+    if (!ok && detail) {
+      console.log(`      ${detail}`);
+    }
+    return ok;
+  }
+
+  section(title) {
+    console.log(`\n${title}`);
+  }
+}
+
+// Decodes and checks every block in the bundle. Returns the verified
+// transactions by tx ID, each with its block position.
+function verifyBlocks(bundle, cas, report) {
+  const txs = new Map();
+  const blockHashes = new Map();
+
+  report.section("Blocks");
+  for (const entry of bundle.blocks) {
+    const raw = Buffer.from(entry.block, "base64");
+    const block = decodeBlock(raw);
+    const label = `block ${block.number}`;
+    const hash = sha256(
+      headerBytes(block.number, block.previousHash, block.dataHash)
+    );
+    blockHashes.set(block.number.toString(), {
+      hash,
+      previousHash: block.previousHash,
+      dataHash: block.dataHash,
+    });
+
+    report.check(
+      block.number.toString() === String(entry.number),
+      `${label}: number matches bundle index`
+    );
+    report.check(
+      sha256(Buffer.concat(block.data)).equals(block.dataHash),
+      `${label}: data hash matches block contents`
+    );
+
+    const sigs = decodeBlockSignatures(
+      block.metadata[METADATA_SIGNATURES] || Buffer.alloc(0)
+    );
+    const signedHeader = headerBytes(
+      block.number,
+      block.previousHash,
+      block.dataHash
+    );
+    report.check(
+      sigs.signatures.length > 0,
+      `${label}: carries orderer signatures`
+    );
+    sigs.signatures.forEach((sig) => {
+      const error = checkSignature(
+        sig.creator,
+        Buffer.concat([sigs.value, sig.signatureHeader, signedHeader]),
+        sig.signature,
+        cas
+      );
+      report.check(
+        !error,
+        `${label}: orderer signature (${sig.creator.mspId})`,
+        error
+      );
+    });
+
+    const filter =
+      block.metadata[METADATA_TRANSACTIONS_FILTER] || Buffer.alloc(0);
+    const wanted = new Set(entry.txIds);
+    block.data.forEach((envBuf, index) => {
+      const tx = decodeEnvelope(envBuf);
+      if (!wanted.has(tx.txId)) {
+        return;
+      }
+      wanted.delete(tx.txId);
+      verifyTransaction(bundle, tx, filter[index], cas, report);
+      txs.set(tx.txId, { ...tx, blockNumber: block.number, index });
+    });
+    for (const txId of wanted) {
+      report.check(false, `${label}: contains transaction ${txId}`);
+    }
+  }
+
+  return { txs, blockHashes };
+}
+
+function verifyTransaction(bundle, tx, validationCode, cas, report) {
+  const label = `  tx ${tx.txId}`;
+
+  report.check(
+    tx.type === ENDORSER_TRANSACTION && tx.channelId === bundle.channel,
+    `${label}: endorser transaction on channel ${bundle.channel}`
+  );
+  report.check(
+    validationCode === TX_VALID,
+    `${label}: committed as valid`,
+    `validation code ${validationCode}`
+  );
+
+  const creatorError = checkSignature(
+    tx.creator,
+    tx.payloadBytes,
+    tx.signature,
+    cas,
+    tx.timestampMs
+  );
+  report.check(
+    !creatorError,
+    `${label}: creator signature (${tx.creator.mspId})`,
+    creatorError
+  );
+
+  for (const action of tx.actions) {
+    report.check(
+      action.chaincode === bundle.chaincode,
+      `${label}: invokes chaincode ${bundle.chaincode}`,
+      `invoked '${action.chaincode}'`
+    );
+    report.check(
+      action.endorsements.length > 0,
+      `${label}: carries endorsements`
+    );
+    for (const e of action.endorsements) {
+      const error = checkSignature(
+        e.endorser,
+        Buffer.concat([action.prpBytes, e.endorserBytes]),
+        e.signature,
+        cas,
+        tx.timestampMs
+      );
+      report.check(
+        !error,
+        `${label}: endorsement by ${e.endorser.mspId}`,
+        error
+      );
+    }
+  }
+}
+
+function findWrite(tx, namespace, key) {
+  for (const action of tx.actions) {
+    const write = action.writes.find(
+      (w) => w.namespace === namespace && w.key === key
+    );
+    if (write) {
+      return write;
+    }
+  }
+  return null;
+}
+
+function parseJson(buf) {
+  try {
+    return JSON.parse(buf.toString("utf8"));
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// Bundle events must be exactly what the transactions wrote and emitted.
+function verifyEvents(bundle, txs, report) {
+  const { evidenceId } = bundle.evidence;
+
+  report.section("Custody events");
+  for (const ev of bundle.events) {
+    const label = `${ev.eventType} ${ev.timestamp} (tx ${ev.txId})`;
+    const tx = txs.get(ev.txId);
+    if (!report.check(Boolean(tx), `${label}: transaction verified`)) {
+      continue;
+    }
+
+    report.check(
+      ev.evidenceId === evidenceId,
+      `${label}: belongs to evidence ${evidenceId}`
+    );
+
+    const write = findWrite(
+      tx,
+      bundle.chaincode,
+      eventKey(evidenceId, ev.txId)
+    );
+    report.check(
+      Boolean(write) && sameJson(parseJson(write.value), ev),
+      `${label}: matches ledger write`
+    );
+
+    const emitted = tx.actions
+      .map((a) => a.event)
+      .find((e) => e.eventName === EVIDENCE_EVENT_NAME);
+    report.check(
+      Boolean(emitted) && sameJson(parseJson(emitted.payload), ev),
+      `${label}: matches chaincode event`
+    );
+  }
+}
+
+// History entries must match the evidence key writes, and the current
+// record must be the latest of them.
+function verifyHistory(bundle, txs, report) {
+  const key = evidenceKey(bundle.evidence.evidenceId);
+  let latest = null;
+
+  report.section("Record history");
+  for (const entry of bundle.history) {
+    const label = `${new Date(entry.timestamp).toISOString()} (tx ${
+      entry.txId
+    })`;
+    const tx = txs.get(entry.txId);
+    if (!report.check(Boolean(tx), `${label}: transaction verified`)) {
+      continue;
+    }
+
+    report.check(
+      tx.timestampMs === entry.timestamp,
+      `${label}: timestamp matches transaction`
+    );
+    const write = findWrite(tx, bundle.chaincode, key);
+    const matches =
+      Boolean(write) &&
+      write.isDelete === Boolean(entry.isDelete) &&
+      (entry.isDelete || sameJson(parseJson(write.value), entry.value));
+    report.check(matches, `${label}: matches ledger write`);
+
+    if (
+      !latest ||
+      tx.blockNumber > latest.tx.blockNumber ||
+      (tx.blockNumber === latest.tx.blockNumber && tx.index > latest.tx.index)
+    ) {
+      latest = { entry, tx };
+    }
+  }
+
+  report.check(
+    Boolean(latest) &&
+      !latest.entry.isDelete &&
+      sameJson(latest.entry.value, bundle.evidence),
+    "current record equals latest ledger write"
+  );
+}
+
+// Every header from the first to the last evidence block must link by hash;
+// the blocks themselves must match their headers.
+function verifyHashChain(bundle, blockHashes, report) {
+  report.section("Hash chain");
+
+  const headers = bundle.headers.map((h) => ({
+    number: BigInt(h.number),
+    previousHash: Buffer.from(h.previousHash, "hex"),
+    dataHash: Buffer.from(h.dataHash, "hex"),
+  }));
+
+  let ok = true;
+  let prev = null;
+  for (const h of headers) {
+    const hash = sha256(headerBytes(h.number, h.previousHash, h.dataHash));
+    const block = blockHashes.get(h.number.toString());
+    if (block && !block.hash.equals(hash)) {
+      ok = report.check(false, `header ${h.number} matches its block`);
+    }
+    if (prev && h.number !== prev.number + 1n) {
+      ok = report.check(false, `header ${h.number} follows ${prev.number}`);
+    } else if (prev && !h.previousHash.equals(prev.hash)) {
+      ok = report.check(false, `header ${h.number} links to ${prev.number}`);
+    }
+    prev = { number: h.number, hash };
+  }
+
+  for (const number of blockHashes.keys()) {
+    if (!headers.some((h) => h.number.toString() === number)) {
+      ok = report.check(false, `block ${number} is covered by the headers`);
+    }
+  }
+
+  if (ok && headers.length) {
+    report.check(
+      true,
+      `blocks ${headers[0].number}-${prev.number} link by hash`
+    );
+  }
+
+  const info = bundle.chainInfo;
+  if (info && prev && BigInt(info.height) === prev.number + 1n) {
+    report.check(
+      Buffer.from(info.currentBlockHash, "hex").equals(prev.hash),
+      "last block is the chain head at export time"
+    );
+  }
+}
+
+function verifyImage(bundle, imagePath, report) {
+  const { evidence } = bundle;
+  const created = bundle.events.find((ev) => ev.eventType === "CREATED");
+
+  report.section("Image");
+  report.check(
+    !created || created.imageHash === evidence.imageHash,
+    "record hash equals hash registered at creation"
+  );
+  if (!imagePath) {
+    console.log("SKIP  no --image given");
+    return;
+  }
+  const hash = sha256(fs.readFileSync(imagePath)).toString("hex");
+  report.check(
+    hash === evidence.imageHash,
+    `${imagePath} matches on-chain hash`,
+    `file ${hash}, ledger ${evidence.imageHash}`
+  );
+}
+
+function parseArgs(argv) {
+  const args = { cas: [], image: null, bundle: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--ca") {
+      args.cas.push(argv[++i]);
+    } else if (argv[i] === "--image") {
+      args.image = argv[++i];
+    } else if (!args.bundle) {
+      args.bundle = argv[i];
+    } else {
+      return null;
+    }
+  }
+  return args.bundle && args.cas.length && !args.cas.includes(undefined)
+    ? args
+    : null;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args) {
+    console.error(
+      "Usage: node verify-bundle.js <bundle.json> --ca <org-ca.pem> [--ca ...] [--image <file>]"
+    );
+    process.exit(2);
+  }
+
+  const bundle = JSON.parse(fs.readFileSync(args.bundle, "utf8"));
+  if (bundle.format !== BUNDLE_FORMAT) {
+    console.error(`${args.bundle} is not a Forensic Chainguard proof bundle`);
+    process.exit(2);
+  }
+  const cas = loadCaCerts(args.cas);
+
+  console.log(
+    `Evidence ${bundle.evidence.evidenceId} — channel ${bundle.channel}, ` +
+      `exported ${bundle.exportedAt} by ${bundle.exportedBy}`
+  );
+
+  const report = new Report();
+  const { txs, blockHashes } = verifyBlocks(bundle, cas, report);
+  verifyEvents(bundle, txs, report);
+  verifyHistory(bundle, txs, report);
+  verifyHashChain(bundle, blockHashes, report);
+  verifyImage(bundle, args.image, report);
+
+  console.log(
+    report.failures
+      ? `\nVERIFICATION FAILED: ${report.failures} check(s) failed`
+      : "\nVERIFIED: all checks passed"
+  );
+  process.exit(report.failures ? 1 : 0);
+}
+
+main();